@@ -1,11 +1,13 @@
 -- OOOSH Driver Verification Database Schema
+-- MySQL (production). Keep database.sqlite.sql in step for local development.
 
 -- Jobs table (from Monday.com or manual entry)
+-- Dates stay NULL for jobs first seen on a verification, until synced from the job source
 CREATE TABLE jobs (
     id VARCHAR(50) PRIMARY KEY,
     job_name VARCHAR(255) NOT NULL,
-    start_date DATE NOT NULL,
-    end_date DATE NOT NULL,
+    start_date DATE,
+    end_date DATE,
     vehicle_type VARCHAR(100),
     client_name VARCHAR(255),
     status ENUM('active', 'completed', 'cancelled') DEFAULT 'active',
@@ -19,25 +21,31 @@ CREATE TABLE drivers (
     email VARCHAR(255) UNIQUE NOT NULL,
     name VARCHAR(255),
     phone VARCHAR(20),
+    profile JSON,                 -- Full driver record (same fields as Board A)
+    monday_item_id VARCHAR(50),   -- Board A mirror item
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     
     INDEX idx_email (email)
 );
 
--- Email verification codes
+-- Verification codes sent by email or text (see functions/lib/verification-codes.js)
+-- Only a keyed hash of each code is kept; a code works once, until it expires or too many wrong guesses
+-- job_id is the hire's job number - jobs are looked up in Monday.com / HireHop, not the jobs table
 CREATE TABLE email_verifications (
     id INT AUTO_INCREMENT PRIMARY KEY,
     email VARCHAR(255) NOT NULL,
-    code VARCHAR(6) NOT NULL,
+    code_hash CHAR(64) NOT NULL,
     job_id VARCHAR(50) NOT NULL,
+    channel VARCHAR(10) NOT NULL DEFAULT 'email',   -- email or sms - where the code was sent
+    failed_attempts INT DEFAULT 0,
     verified BOOLEAN DEFAULT FALSE,
+    used_at TIMESTAMP NULL,
+    invalidated_at TIMESTAMP NULL,     -- replaced by a newer code, or too many wrong guesses
     expires_at TIMESTAMP NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     
-    INDEX idx_email_job (email, job_id),
-    INDEX idx_code (code),
-    FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
+    INDEX idx_email_job (email, job_id)
 );
 
 -- Driver verifications (per job)
@@ -78,6 +86,118 @@ CREATE TABLE driver_verifications (
     FOREIGN KEY (job_id) REFERENCES jobs(id) ON DELETE CASCADE
 );
 
+-- Field-level audit trail (append-only - see functions/lib/audit-log.js)
+-- Keyed by email so Board A-only drivers are covered too
+CREATE TABLE driver_audit_log (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    change_id CHAR(36) NOT NULL,          -- Groups the fields written together
+    driver_email VARCHAR(255) NOT NULL,
+    field_name VARCHAR(100) NOT NULL,
+    old_value TEXT,                       -- JSON encoded
+    new_value TEXT,                       -- JSON encoded
+    source VARCHAR(150) NOT NULL,         -- Function that made the change
+    actor VARCHAR(100),
+    scan_ref VARCHAR(255),
+    job_id VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    INDEX idx_audit_email (driver_email, created_at),
+    INDEX idx_audit_change (change_id)
+);
+
+-- Erased drivers and legal holds (see functions/lib/driver-erasure.js)
+-- Keyed by an HMAC of the email so nothing personal is kept after erasure
+CREATE TABLE driver_tombstones (
+    email_hash CHAR(64) PRIMARY KEY,
+    legal_hold BOOLEAN DEFAULT FALSE,    -- Held drivers cannot be erased or purged
+    hold_reason TEXT,
+    hold_set_by VARCHAR(100),
+    erased_at TIMESTAMP NULL,
+    erased_by VARCHAR(100),
+    erasure_reason VARCHAR(255),
+    receipt JSON,                        -- Deletion receipt returned to staff
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Expected drivers per job (see functions/lib/job-roster.js)
+-- Set by staff; Board B assignments are counted against it
+CREATE TABLE job_rosters (
+    job_id VARCHAR(50) PRIMARY KEY,
+    drivers_required INT NOT NULL,
+    set_by VARCHAR(100),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Drivers named on a roster before they have signed (removed on erasure)
+CREATE TABLE job_roster_drivers (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    job_id VARCHAR(50) NOT NULL,
+    email VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    
+    UNIQUE KEY unique_roster_driver (job_id, email),
+    INDEX idx_roster_driver_email (email)
+);
+
+-- Sliding-window rate limits (see functions/lib/rate-limit.js)
+-- bucket is a hash of the limit and its key, so no email or IP address is stored
+CREATE TABLE rate_limit_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    bucket CHAR(64) NOT NULL,
+    created_at BIGINT NOT NULL,        -- epoch milliseconds
+    expires_at BIGINT NOT NULL,        -- epoch milliseconds - purged after this
+    
+    INDEX idx_rate_limit_bucket (bucket, created_at),
+    INDEX idx_rate_limit_expiry (expires_at)
+);
+
+-- Single-use desktop-to-phone handoff tokens (see functions/lib/session-handoff.js)
+-- Only the token id and timestamps - who it was for is in the signed token itself
+CREATE TABLE session_handoffs (
+    id CHAR(32) PRIMARY KEY,
+    expires_at BIGINT NOT NULL,        -- epoch milliseconds
+    used_at BIGINT NULL                -- epoch milliseconds
+);
+
+-- Signed Idenfy webhook bodies, kept verbatim so a failed run can be replayed (see functions/lib/webhook-events.js)
+-- Removed with the driver on erasure
+CREATE TABLE idenfy_webhook_events (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    scan_ref VARCHAR(255),
+    client_id VARCHAR(255),
+    driver_email VARCHAR(255),            -- Parsed from client_id, for erasure and export
+    body MEDIUMTEXT NOT NULL,             -- Exactly as Idenfy signed it
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    status VARCHAR(20) NOT NULL DEFAULT 'received',  -- received, processed, ignored, duplicate, failed
+    outcome JSON,                         -- Response returned to Idenfy
+    error TEXT,
+    processed_at TIMESTAMP NULL,
+    replay_count INT DEFAULT 0,
+    last_replayed_at TIMESTAMP NULL,
+    last_replayed_by VARCHAR(100),
+    
+    INDEX idx_webhook_scan_ref (scan_ref, received_at),
+    INDEX idx_webhook_email (driver_email)
+);
+
+-- Stages of each Idenfy result, so retries resume instead of repeating (see functions/lib/processing-ledger.js)
+-- Keyed by scan reference and final status - no personal data. A row is claimed before its stage
+-- runs, so two deliveries of one result never run the same stage side by side.
+CREATE TABLE idenfy_processing_stages (
+    id BIGINT AUTO_INCREMENT PRIMARY KEY,
+    scan_ref VARCHAR(255) NOT NULL,
+    final_status VARCHAR(50) NOT NULL,    -- status.overall, e.g. APPROVED
+    stage VARCHAR(50) NOT NULL,           -- board-update, file-uploads, poa-ocr, ... complete
+    result JSON,                          -- What the stage returned, reused on a resume
+    claim_id CHAR(32) NULL,               -- Run working on the stage (NULL once finished)
+    claimed_until BIGINT NULL,            -- epoch milliseconds - a claim left by a crashed run lapses
+    completed_at TIMESTAMP NULL,          -- NULL while the stage is claimed but not finished
+    
+    UNIQUE KEY unique_processing_stage (scan_ref, final_status, stage)
+);
+
 -- Sample data for testing
 INSERT INTO jobs (id, job_name, start_date, end_date, vehicle_type, client_name) VALUES
 ('JOB001', 'London Event Transport', '2025-07-15', '2025-07-20', 'Mercedes Sprinter', 'Events Ltd'),
@@ -0,0 +1,184 @@
+-- OOOSH Driver Verification Database Schema (SQLite)
+-- Local development copy of database.sql - applied automatically by functions/lib/db.js
+
+PRAGMA foreign_keys = ON;
+
+-- Jobs table (from Monday.com or manual entry)
+CREATE TABLE IF NOT EXISTS jobs (
+    id TEXT PRIMARY KEY,
+    job_name TEXT NOT NULL,
+    start_date TEXT,
+    end_date TEXT,
+    vehicle_type TEXT,
+    client_name TEXT,
+    status TEXT DEFAULT 'active' CHECK (status IN ('active', 'completed', 'cancelled')),
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Drivers table
+CREATE TABLE IF NOT EXISTS drivers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT UNIQUE NOT NULL,
+    name TEXT,
+    phone TEXT,
+    profile TEXT,
+    monday_item_id TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Email verification codes
+CREATE TABLE IF NOT EXISTS email_verifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    email TEXT NOT NULL,
+    code_hash TEXT NOT NULL,
+    job_id TEXT NOT NULL,
+    channel TEXT NOT NULL DEFAULT 'email',
+    failed_attempts INTEGER DEFAULT 0,
+    verified INTEGER DEFAULT 0,
+    used_at TEXT,
+    invalidated_at TEXT,
+    expires_at TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_job ON email_verifications (email, job_id);
+
+-- Driver verifications (per job)
+CREATE TABLE IF NOT EXISTS driver_verifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    driver_id INTEGER NOT NULL REFERENCES drivers(id) ON DELETE CASCADE,
+    job_id TEXT NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'verified', 'rejected', 'expired')),
+
+    -- Document status
+    license_valid INTEGER DEFAULT 0,
+    license_expiry TEXT,
+    poa1_valid INTEGER DEFAULT 0,
+    poa1_type TEXT,
+    poa1_expiry TEXT,
+    poa2_valid INTEGER DEFAULT 0,
+    poa2_type TEXT,
+    poa2_expiry TEXT,
+    dvla_check_valid INTEGER DEFAULT 0,
+    dvla_check_date TEXT,
+
+    -- Idenfy integration data
+    idenfy_session_id TEXT,
+    idenfy_status TEXT,
+    idenfy_webhook_data TEXT,
+
+    -- Insurance compliance
+    points_count INTEGER DEFAULT 0,
+    insurance_approved INTEGER DEFAULT 0,
+    manual_override INTEGER DEFAULT 0,
+    override_reason TEXT,
+
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+
+    UNIQUE (driver_id, job_id)
+);
+
+-- Field-level audit trail (append-only - see functions/lib/audit-log.js)
+CREATE TABLE IF NOT EXISTS driver_audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    change_id TEXT NOT NULL,
+    driver_email TEXT NOT NULL,
+    field_name TEXT NOT NULL,
+    old_value TEXT,
+    new_value TEXT,
+    source TEXT NOT NULL,
+    actor TEXT,
+    scan_ref TEXT,
+    job_id TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_email ON driver_audit_log (driver_email, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_change ON driver_audit_log (change_id);
+
+-- Erased drivers and legal holds (see functions/lib/driver-erasure.js)
+CREATE TABLE IF NOT EXISTS driver_tombstones (
+    email_hash TEXT PRIMARY KEY,
+    legal_hold INTEGER DEFAULT 0,
+    hold_reason TEXT,
+    hold_set_by TEXT,
+    erased_at TEXT,
+    erased_by TEXT,
+    erasure_reason TEXT,
+    receipt TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Expected drivers per job (see functions/lib/job-roster.js)
+CREATE TABLE IF NOT EXISTS job_rosters (
+    job_id TEXT PRIMARY KEY,
+    drivers_required INTEGER NOT NULL,
+    set_by TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS job_roster_drivers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    job_id TEXT NOT NULL,
+    email TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (job_id, email)
+);
+
+CREATE INDEX IF NOT EXISTS idx_roster_driver_email ON job_roster_drivers (email);
+
+-- Sliding-window rate limits (see functions/lib/rate-limit.js)
+CREATE TABLE IF NOT EXISTS rate_limit_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    bucket TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limit_bucket ON rate_limit_events (bucket, created_at);
+CREATE INDEX IF NOT EXISTS idx_rate_limit_expiry ON rate_limit_events (expires_at);
+
+-- Single-use desktop-to-phone handoff tokens (see functions/lib/session-handoff.js)
+CREATE TABLE IF NOT EXISTS session_handoffs (
+    id TEXT PRIMARY KEY,
+    expires_at INTEGER NOT NULL,
+    used_at INTEGER
+);
+
+-- Signed Idenfy webhook bodies, kept verbatim for replay (see functions/lib/webhook-events.js)
+CREATE TABLE IF NOT EXISTS idenfy_webhook_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scan_ref TEXT,
+    client_id TEXT,
+    driver_email TEXT,
+    body TEXT NOT NULL,
+    received_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    status TEXT NOT NULL DEFAULT 'received',
+    outcome TEXT,
+    error TEXT,
+    processed_at TEXT,
+    replay_count INTEGER DEFAULT 0,
+    last_replayed_at TEXT,
+    last_replayed_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_scan_ref ON idenfy_webhook_events (scan_ref, received_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_email ON idenfy_webhook_events (driver_email);
+
+-- Finished stages of each Idenfy result (see functions/lib/processing-ledger.js)
+CREATE TABLE IF NOT EXISTS idenfy_processing_stages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    scan_ref TEXT NOT NULL,
+    final_status TEXT NOT NULL,
+    stage TEXT NOT NULL,
+    result TEXT,
+    claim_id TEXT,
+    claimed_until INTEGER,
+    completed_at TEXT,
+    UNIQUE (scan_ref, final_status, stage)
+);
@@ -0,0 +1,65 @@
+// File: dev/hirehop/fake-hirehop.js
+// OOOSH Driver Verification - Local HireHop stand-in
+// Answers the two HireHop endpoints the job source uses, from fixture jobs:
+//   GET /api/job_data.php?job=<n>&token=<t>                 -> job header
+//   GET /frames/items_to_supply_list.php?job=<n>&token=<t>  -> items on the job
+// Like HireHop, problems come back as HTTP 200 with { error: <code> }.
+
+const path = require('path');
+const { resolveTokens } = require('../monday/fixtures');
+
+const ERROR_JOB_NOT_FOUND = 1;
+const ERROR_BAD_TOKEN = 327;
+
+/**
+ * Create a fake HireHop account seeded from fixtures
+ * @param {Object} options - { jobs, token } - jobs defaults to dev/hirehop/fixtures/jobs.json
+ * @returns {Object} - { handle(url) -> { status, body }, jobs, reset() }
+ */
+function createFakeHireHop(options = {}) {
+  const token = options.token || process.env.REACT_APP_HIREHOP_API_KEY || 'local-hirehop-token';
+  let jobs;
+
+  const reset = () => {
+    const fixtures = options.jobs || require(path.join(__dirname, 'fixtures', 'jobs.json'));
+    jobs = new Map(resolveTokens(fixtures, new Date()).map(job => [String(job.ID), job]));
+  };
+
+  const handle = (url) => {
+    const { pathname, searchParams } = new URL(url);
+
+    if (searchParams.get('token') !== token) {
+      return { status: 200, body: { error: ERROR_BAD_TOKEN } };
+    }
+
+    const job = jobs.get(String(searchParams.get('job')));
+
+    switch (pathname) {
+      case '/api/job_data.php': {
+        if (!job) return { status: 200, body: { error: ERROR_JOB_NOT_FOUND } };
+        const { items, ...header } = job;
+        return { status: 200, body: header };
+      }
+      case '/frames/items_to_supply_list.php':
+        if (!job) return { status: 200, body: { error: ERROR_JOB_NOT_FOUND } };
+        return { status: 200, body: job.items || [] };
+      default:
+        return { status: 404, body: { error: `Unknown endpoint: ${pathname}` } };
+    }
+  };
+
+  reset();
+
+  return {
+    token,
+    handle,
+    reset,
+    get jobs() {
+      return [...jobs.values()];
+    }
+  };
+}
+
+module.exports = {
+  createFakeHireHop
+};
@@ -0,0 +1,88 @@
+/** @jest-environment node */
+// File: dev/hirehop/fake-hirehop.test.js
+
+const { createFakeHireHop } = require('./fake-hirehop');
+
+const BASE_URL = 'http://hirehop.local';
+
+let hirehop;
+
+beforeEach(() => {
+  process.env.JOB_SOURCE = 'hirehop';
+  process.env.REACT_APP_HIREHOP_BASE_URL = BASE_URL;
+  process.env.REACT_APP_HIREHOP_API_KEY = 'local-hirehop-token';
+  hirehop = createFakeHireHop();
+
+  // The job source only needs ok, status and json() from a response
+  global.fetch = jest.fn(async (url) => {
+    const { status, body } = hirehop.handle(url);
+    return { ok: status < 400, status, json: async () => body };
+  });
+});
+
+afterEach(() => {
+  delete global.fetch;
+  delete process.env.JOB_SOURCE;
+  delete process.env.REACT_APP_HIREHOP_BASE_URL;
+  delete process.env.REACT_APP_HIREHOP_API_KEY;
+});
+
+function addDays(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+describe('fake HireHop', () => {
+  test('job headers and items come from the fixtures', () => {
+    expect(hirehop.handle(`${BASE_URL}/api/job_data.php?job=11001&token=local-hirehop-token`)).toMatchObject({
+      status: 200,
+      body: { ID: 11001, JOB_NAME: 'Example Band - UK Tour' }
+    });
+    expect(hirehop.handle(`${BASE_URL}/frames/items_to_supply_list.php?job=11001&token=local-hirehop-token`).body).toHaveLength(2);
+  });
+
+  test('problems come back as HTTP 200 with an error code, as HireHop does', () => {
+    expect(hirehop.handle(`${BASE_URL}/api/job_data.php?job=11001&token=wrong`)).toEqual({ status: 200, body: { error: 327 } });
+    expect(hirehop.handle(`${BASE_URL}/api/job_data.php?job=99999&token=local-hirehop-token`)).toEqual({ status: 200, body: { error: 1 } });
+  });
+
+  test('fixture dates are relative to today', () => {
+    const [job] = hirehop.jobs;
+
+    expect(job.JOB_DATE).toBe(`${addDays(3)} 09:00:00`);
+  });
+});
+
+describe('HireHop job source against the fake', () => {
+  const { getJobSource } = require('../../functions/lib/job-source');
+
+  test('a job is read with its vehicle, dates and driver count', async () => {
+    expect(await getJobSource().findJob('11001')).toMatchObject({
+      jobNumber: '11001',
+      startDate: addDays(3),
+      endDate: addDays(17),
+      vehicle: 'Mercedes Sprinter 9-seat splitter',
+      driversRequired: 3,
+      status: 'active'
+    });
+  });
+
+  test('cancelled and unknown jobs', async () => {
+    expect(await getJobSource().findJob('11003')).toMatchObject({ status: 'cancelled' });
+    expect(await getJobSource().findJob('99999')).toBeNull();
+  });
+
+  test('end dates leave unknown jobs out', async () => {
+    expect(await getJobSource().getEndDates(['11001', '11002', '99999'])).toEqual({
+      11001: addDays(17),
+      11002: addDays(33)
+    });
+  });
+
+  test('a bad API key is an error, not a missing job', async () => {
+    process.env.REACT_APP_HIREHOP_API_KEY = 'wrong-token';
+
+    await expect(getJobSource().findJob('11001')).rejects.toThrow();
+  });
+});
@@ -0,0 +1,49 @@
+// File: dev/hirehop/install.js
+// OOOSH Driver Verification - Route HireHop fetch() calls to the local stand-in
+// Install after installFakeMonday() when both are needed - other requests fall through
+// to whatever fetch was in place before.
+
+const { createFakeHireHop } = require('./fake-hirehop');
+
+const DEFAULT_BASE_URL = 'http://hirehop.local';
+
+/**
+ * Patch global fetch so the HireHop job source talks to the fake jobs
+ * Sets JOB_SOURCE=hirehop and the HireHop URL/key env vars unless already set
+ * @param {Object} options - { fake, baseUrl }
+ * @returns {Object} - { fake, restore() }
+ */
+function installFakeHireHop(options = {}) {
+  process.env.JOB_SOURCE = process.env.JOB_SOURCE || 'hirehop';
+  process.env.REACT_APP_HIREHOP_BASE_URL = options.baseUrl || process.env.REACT_APP_HIREHOP_BASE_URL || DEFAULT_BASE_URL;
+  process.env.REACT_APP_HIREHOP_API_KEY = process.env.REACT_APP_HIREHOP_API_KEY || 'local-hirehop-token';
+
+  const baseUrl = process.env.REACT_APP_HIREHOP_BASE_URL.replace(/\/$/, '');
+  const fake = options.fake || createFakeHireHop();
+  const previousFetch = global.fetch;
+
+  global.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+
+    if (url.startsWith(`${baseUrl}/`)) {
+      const { status, body } = fake.handle(url);
+      return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    return previousFetch(input, init);
+  };
+
+  return {
+    fake,
+    restore: () => {
+      global.fetch = previousFetch;
+    }
+  };
+}
+
+module.exports = {
+  installFakeHireHop
+};
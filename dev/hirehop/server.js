@@ -0,0 +1,30 @@
+// File: dev/hirehop/server.js
+// OOOSH Driver Verification - Local HireHop stand-in over HTTP
+// For `netlify dev`: run this, then set JOB_SOURCE=hirehop,
+// REACT_APP_HIREHOP_BASE_URL=http://localhost:4020 and REACT_APP_HIREHOP_API_KEY=local-hirehop-token
+//
+// Usage: node dev/hirehop/server.js [port]
+
+const http = require('http');
+const { createFakeHireHop } = require('./fake-hirehop');
+
+const port = Number(process.argv[2] || process.env.HIREHOP_FAKE_PORT || 4020);
+const fake = createFakeHireHop();
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'POST' && req.url === '/reset') {
+    fake.reset();
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const { status, body } = fake.handle(`http://localhost:${port}${req.url}`);
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+});
+
+server.listen(port, () => {
+  console.log(`🧪 Fake HireHop listening on http://localhost:${port}`);
+  console.log(`   Jobs: ${fake.jobs.map(job => job.ID).join(', ')}   Token: ${fake.token}   Reset: POST /reset`);
+});
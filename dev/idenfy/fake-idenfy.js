@@ -0,0 +1,332 @@
+// File: dev/idenfy/fake-idenfy.js
+// OOOSH Driver Verification - Local Idenfy stand-in
+// Answers the Idenfy endpoints we call and plays the part of Idenfy's callback:
+//   POST /api/v2/token             -> new verification session (create-idenfy-session.js)
+//   GET  /files/<scanRef>/<name>   -> fake document images/PDFs named in the webhooks
+// buildWebhook()/fireWebhook() produce final results for scripted scenarios, signed the way
+// idenfy-webhook.js checks them (HMAC-SHA256 of the body with IDENFY_CALLBACK_SIGNING_KEY).
+
+const crypto = require('crypto');
+
+// Smallest files that pass the webhook's magic-byte checks
+const FAKE_JPEG = Buffer.from('FFD8FFE000104A46494600010100000100010000FFD9', 'hex');
+const FAKE_PDF = Buffer.from('%PDF-1.4\n1 0 obj << /Type /Catalog >> endobj\ntrailer << /Root 1 0 R >>\n%%EOF\n');
+
+const SCENARIOS = {
+  'approved-uk': {
+    description: 'UK licence approved, two POA PDFs - routes to the DVLA check'
+  },
+  'approved-non-uk': {
+    description: 'French licence approved, two POA PDFs - verification complete'
+  },
+  'suspected': {
+    description: 'Face match suspected - Idenfy flags it for review'
+  },
+  'denied': {
+    description: 'Expired licence - verification failed'
+  },
+  'poa-reupload': {
+    description: 'Additional Steps only: a photo of a new utility bill, no licence data - POA re-validated'
+  },
+  'duplicate-retry': {
+    description: 'UK licence approved, then Idenfy delivers the same webhook again',
+    deliveries: 2
+  },
+  'missing-files': {
+    description: 'UK licence approved but the document files can no longer be downloaded'
+  }
+};
+
+/**
+ * Create a fake Idenfy account
+ * @param {Object} options - { baseUrl, apiKey, apiSecret, signingKey }
+ * @returns {Object} - { handle(url, init), buildWebhook, signWebhook, fireWebhook, getSession, findSessionByAuthToken, reset() }
+ */
+function createFakeIdenfy(options = {}) {
+  const baseUrl = (options.baseUrl || process.env.IDENFY_BASE_URL || 'http://idenfy.local').replace(/\/$/, '');
+  const apiKey = options.apiKey || process.env.IDENFY_API_KEY || 'local-idenfy-key';
+  const apiSecret = options.apiSecret || process.env.IDENFY_API_SECRET || 'local-idenfy-secret';
+  const signingKey = options.signingKey || process.env.IDENFY_CALLBACK_SIGNING_KEY || 'local-signing-key';
+  let sessions;
+
+  const reset = () => {
+    sessions = new Map(); // scanRef -> token request + authToken
+  };
+
+  const handle = (url, init = {}) => {
+    const { pathname } = new URL(url);
+    const method = (init.method || 'GET').toUpperCase();
+
+    if (method === 'POST' && pathname === '/api/v2/token') {
+      const expected = `Basic ${Buffer.from(`${apiKey}:${apiSecret}`).toString('base64')}`;
+      if (getHeader(init.headers, 'authorization') !== expected) {
+        return json(401, { identifier: 'AUTHENTICATION_FAILED', message: 'Provided API key or secret is invalid.' });
+      }
+
+      const request = JSON.parse(init.body || '{}');
+      if (!request.clientId) {
+        return json(400, { identifier: 'MISSING_PARAMETER', message: 'clientId is required.' });
+      }
+
+      const session = {
+        ...request,
+        scanRef: crypto.randomUUID(),
+        authToken: crypto.randomBytes(20).toString('hex'),
+        createdAt: new Date().toISOString()
+      };
+      sessions.set(session.scanRef, session);
+
+      return json(201, {
+        authToken: session.authToken,
+        scanRef: session.scanRef,
+        clientId: session.clientId,
+        expiryTime: request.expiryTime || 3600,
+        sessionLength: request.sessionLength || 600,
+        tokenType: request.tokenType || 'IDENTIFICATION',
+        digitString: String(crypto.randomInt(100000, 1000000))
+      });
+    }
+
+    if (method === 'GET' && pathname.startsWith('/files/')) {
+      // /files/<scanRef>/missing/<name> stands for a download link that has gone stale
+      if (pathname.includes('/missing/')) {
+        return json(404, { message: 'File not found' });
+      }
+      const isPdf = pathname.endsWith('.pdf');
+      return { status: 200, contentType: isPdf ? 'application/pdf' : 'image/jpeg', body: isPdf ? FAKE_PDF : FAKE_JPEG };
+    }
+
+    return json(404, { message: `Unknown endpoint: ${method} ${pathname}` });
+  };
+
+  /**
+   * Build the final webhook body Idenfy would send for a scenario
+   * @param {string} scenario - Key of SCENARIOS
+   * @param {Object} target - { scanRef } of a session from /api/v2/token, or { email, jobId }
+   * @returns {Object} - Webhook payload
+   */
+  const buildWebhook = (scenario, target = {}) => {
+    if (!SCENARIOS[scenario]) {
+      throw new Error(`Unknown scenario: ${scenario} (expected one of ${Object.keys(SCENARIOS).join(', ')})`);
+    }
+
+    const session = target.scanRef ? sessions.get(target.scanRef) : null;
+    const scanRef = session?.scanRef || target.scanRef || crypto.randomUUID();
+    const clientId = session?.clientId || clientIdFor(target.email || 'sim.driver@example.com', target.jobId || '11001');
+
+    return buildScenarioPayload(scenario, { baseUrl, scanRef, clientId });
+  };
+
+  /**
+   * Sign a webhook body the way Idenfy does
+   * @param {Object|string} payload - Webhook payload (or the exact body to sign)
+   * @returns {Object} - { body, signature }
+   */
+  const signWebhook = (payload) => {
+    const body = typeof payload === 'string' ? payload : JSON.stringify(payload);
+    const signature = crypto.createHmac('sha256', signingKey).update(body).digest('hex');
+    return { body, signature };
+  };
+
+  /**
+   * POST a scenario's signed webhook(s) to idenfy-webhook
+   * @param {string} scenario - Key of SCENARIOS
+   * @param {Object} options - { webhookUrl, scanRef, email, jobId }
+   * @returns {Promise<Object>} - { scenario, scanRef, deliveries: [{ status, body }] }
+   */
+  const fireWebhook = async (scenario, { webhookUrl, ...target } = {}) => {
+    const url = webhookUrl || `${process.env.URL}/.netlify/functions/idenfy-webhook`;
+    const payload = buildWebhook(scenario, target);
+    const { body, signature } = signWebhook(payload);
+    const deliveries = [];
+
+    // A retry is the same body byte for byte - Idenfy doesn't re-sign or re-time it
+    for (let i = 0; i < (SCENARIOS[scenario].deliveries || 1); i++) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Idenfy-Signature': signature },
+        body
+      });
+      deliveries.push({ status: response.status, body: await response.json().catch(() => null) });
+    }
+
+    return { scenario, scanRef: payload.scanRef, deliveries };
+  };
+
+  reset();
+
+  return {
+    baseUrl,
+    handle,
+    buildWebhook,
+    signWebhook,
+    fireWebhook,
+    reset,
+    getSession: (scanRef) => sessions.get(scanRef) || null,
+    findSessionByAuthToken: (authToken) => [...sessions.values()].find(session => session.authToken === authToken) || null
+  };
+}
+
+/**
+ * Client ID in the format create-idenfy-session.js sends (ooosh_<jobId>_<email>_<timestamp>)
+ * @param {string} email - Driver email
+ * @param {string} jobId - Job number
+ * @returns {string}
+ */
+function clientIdFor(email, jobId) {
+  const encodedEmail = email
+    .toLowerCase()
+    .trim()
+    .replace(/@/g, '_at_')
+    .replace(/\./g, '_dot_')
+    .replace(/[^a-z0-9_]/g, '');
+  return `ooosh_${jobId}_${encodedEmail}_${Date.now()}`;
+}
+
+// ========================================
+// SCENARIO PAYLOADS
+// ========================================
+
+function buildScenarioPayload(scenario, { baseUrl, scanRef, clientId }) {
+  const files = `${baseUrl}/files/${scanRef}`;
+  const inYears = (years) => {
+    const date = new Date();
+    date.setFullYear(date.getFullYear() + years);
+    return date.toISOString().split('T')[0];
+  };
+
+  const ukLicence = {
+    docFirstName: 'Alex',
+    docLastName: 'Example',
+    docNumber: 'EXAMP801015AB1CD',
+    docExpiry: inYears(5),
+    docDob: '1980-10-15',
+    docType: 'DRIVER_LICENSE',
+    docIssuingCountry: 'GB',
+    docNationality: 'GB',
+    authority: 'DVLA',
+    address: '2 Sample Road, Brighton, BN1 1AA',
+    additionalData: {
+      UTILITY_BILL: { address: { value: '2 Sample Road, Brighton, BN1 1AA', status: 'MATCH' } },
+      POA2: { address: { value: '2 Sample Road, Brighton, BN1 1AA', status: 'MATCH' } }
+    }
+  };
+
+  const approved = {
+    overall: 'APPROVED',
+    autoDocument: 'DOC_VALIDATED',
+    autoFace: 'FACE_MATCH',
+    manualDocument: 'DOC_VALIDATED',
+    manualFace: 'FACE_MATCH',
+    additionalSteps: 'VALID',
+    fraudTags: [],
+    mismatchTags: [],
+    suspicionReasons: []
+  };
+
+  const licenceFiles = (folder = files) => ({
+    FRONT: `${folder}/FRONT.jpg`,
+    BACK: `${folder}/BACK.jpg`,
+    FACE: `${folder}/FACE.jpg`
+  });
+
+  const poaPdfs = (folder = files) => ({
+    UTILITY_BILL: `${folder}/UTILITY_BILL.pdf`,
+    POA2: `${folder}/POA2.pdf`
+  });
+
+  const base = { clientId, scanRef, final: true, platform: 'MOBILE_APP' };
+
+  switch (scenario) {
+    case 'approved-uk':
+    case 'duplicate-retry':
+      return { ...base, status: approved, data: ukLicence, fileUrls: licenceFiles(), additionalStepPdfUrls: poaPdfs() };
+
+    case 'approved-non-uk':
+      return {
+        ...base,
+        status: approved,
+        data: {
+          ...ukLicence,
+          docFirstName: 'Camille',
+          docLastName: 'Exemple',
+          docNumber: '120375500123',
+          docIssuingCountry: 'FR',
+          docNationality: 'FR',
+          authority: 'Préfecture de Paris',
+          address: '12 Rue Exemple, 75001 Paris'
+        },
+        fileUrls: licenceFiles(),
+        additionalStepPdfUrls: poaPdfs()
+      };
+
+    case 'suspected':
+      return {
+        ...base,
+        status: {
+          ...approved,
+          overall: 'SUSPECTED',
+          autoFace: 'FACE_MISMATCH',
+          manualDocument: null,
+          manualFace: null,
+          suspicionReasons: ['FACE_SUSPECTED']
+        },
+        data: ukLicence,
+        fileUrls: licenceFiles(),
+        additionalStepPdfUrls: poaPdfs()
+      };
+
+    case 'denied':
+      return {
+        ...base,
+        status: {
+          ...approved,
+          overall: 'DENIED',
+          autoDocument: 'DOC_EXPIRED',
+          manualDocument: 'DOC_EXPIRED',
+          mismatchTags: ['EXPIRED_DOCUMENT']
+        },
+        data: { ...ukLicence, docExpiry: inYears(-1) },
+        fileUrls: licenceFiles()
+      };
+
+    case 'poa-reupload':
+      return {
+        ...base,
+        status: { overall: 'APPROVED', additionalSteps: 'VALID', fraudTags: [], mismatchTags: [], suspicionReasons: [] },
+        data: {},
+        fileUrls: {},
+        // A photo rather than a PDF - document-processor's OCR only reads images
+        additionalStepPdfUrls: { UTILITY_BILL: `${files}/UTILITY_BILL.jpg` }
+      };
+
+    case 'missing-files':
+      return {
+        ...base,
+        status: approved,
+        data: ukLicence,
+        fileUrls: licenceFiles(`${files}/missing`),
+        additionalStepPdfUrls: poaPdfs(`${files}/missing`)
+      };
+
+    default:
+      throw new Error(`Unknown scenario: ${scenario}`);
+  }
+}
+
+// INTERNAL: Header lookup that works for plain objects and Headers instances
+function getHeader(headers = {}, name) {
+  if (typeof headers.get === 'function') return headers.get(name);
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+function json(status, body) {
+  return { status, contentType: 'application/json', body };
+}
+
+module.exports = {
+  SCENARIOS,
+  createFakeIdenfy,
+  clientIdFor
+};
@@ -0,0 +1,137 @@
+/** @jest-environment node */
+// File: dev/idenfy/fake-idenfy.test.js
+
+const crypto = require('crypto');
+const path = require('path');
+const { execFile } = require('child_process');
+const { createFakeIdenfy, SCENARIOS } = require('./fake-idenfy');
+const { createFakeTextract } = require('./fake-textract');
+
+const BASE_URL = 'http://idenfy.local';
+const SIGNING_KEY = 'local-signing-key';
+const REPO_ROOT = path.join(__dirname, '..', '..');
+
+let idenfy;
+
+beforeEach(() => {
+  process.env.IDENFY_CALLBACK_SIGNING_KEY = SIGNING_KEY;
+  idenfy = createFakeIdenfy({ baseUrl: BASE_URL });
+});
+
+afterEach(() => {
+  delete process.env.IDENFY_CALLBACK_SIGNING_KEY;
+});
+
+function startSession(auth = 'Basic ' + Buffer.from('local-idenfy-key:local-idenfy-secret').toString('base64')) {
+  return idenfy.handle(`${BASE_URL}/api/v2/token`, {
+    method: 'POST',
+    headers: { Authorization: auth },
+    body: JSON.stringify({ clientId: 'ooosh_11001_alex_at_example_dot_com_1' })
+  });
+}
+
+describe('fake Idenfy', () => {
+  test('sessions need the API key and secret', () => {
+    expect(startSession('Basic wrong').status).toBe(401);
+
+    const { status, body } = startSession();
+    expect(status).toBe(201);
+    expect(idenfy.getSession(body.scanRef)).toMatchObject({ clientId: 'ooosh_11001_alex_at_example_dot_com_1' });
+    expect(idenfy.findSessionByAuthToken(body.authToken).scanRef).toBe(body.scanRef);
+  });
+
+  test('webhooks are signed with an HMAC-SHA256 of the exact body', () => {
+    const { scanRef } = startSession().body;
+    const { body, signature } = idenfy.signWebhook(idenfy.buildWebhook('approved-uk', { scanRef }));
+
+    expect(signature).toBe(crypto.createHmac('sha256', SIGNING_KEY).update(body).digest('hex'));
+    expect(JSON.parse(body)).toMatchObject({ scanRef, clientId: 'ooosh_11001_alex_at_example_dot_com_1', final: true });
+  });
+
+  test('idenfy-webhook refuses a missing signature or a body changed after signing', async () => {
+    const { handler } = require('../../functions/idenfy-webhook');
+    const { body, signature } = idenfy.signWebhook(idenfy.buildWebhook('approved-uk'));
+    const deliver = (headers, deliveredBody = body) => handler({ httpMethod: 'POST', headers, body: deliveredBody });
+
+    expect((await deliver({})).statusCode).toBe(401);
+    expect((await deliver({ 'idenfy-signature': signature }, body.replace('APPROVED', 'DENIED'))).statusCode).toBe(403);
+  });
+
+  test('documents are served with the content type their name implies', () => {
+    expect(idenfy.handle(`${BASE_URL}/files/ref/FRONT.jpg`)).toMatchObject({ status: 200, contentType: 'image/jpeg' });
+    expect(idenfy.handle(`${BASE_URL}/files/ref/POA2.pdf`)).toMatchObject({ status: 200, contentType: 'application/pdf' });
+    expect(idenfy.handle(`${BASE_URL}/files/ref/missing/FRONT.jpg`).status).toBe(404);
+  });
+
+  test('the POA re-upload is an image, so the OCR can read it', () => {
+    const { additionalStepPdfUrls } = idenfy.buildWebhook('poa-reupload');
+    const { contentType } = idenfy.handle(additionalStepPdfUrls.UTILITY_BILL);
+
+    expect(contentType).toBe('image/jpeg');
+  });
+
+  test('unknown scenarios are refused', () => {
+    expect(() => idenfy.buildWebhook('no-such-scenario')).toThrow('Unknown scenario: no-such-scenario');
+  });
+});
+
+describe('fake Textract', () => {
+  const textract = createFakeTextract();
+  const detect = (body) => textract.handle('https://textract.eu-west-2.amazonaws.com/', {
+    method: 'POST',
+    headers: { 'X-Amz-Target': 'Textract.DetectDocumentText' },
+    body: JSON.stringify(body)
+  });
+
+  test('only answers Textract hosts', () => {
+    expect(textract.handles('https://textract.eu-west-2.amazonaws.com/')).toBe(true);
+    expect(textract.handles(`${BASE_URL}/files/ref/FRONT.jpg`)).toBe(false);
+  });
+
+  test('any document reads as a dated utility bill', () => {
+    const { status, body } = detect({ Document: { Bytes: 'AAAA' } });
+    const text = body.Blocks.map(block => block.Text).join('\n');
+
+    expect(status).toBe(200);
+    expect(text).toContain('British Gas');
+    expect(text).toContain('BN1 1AA');
+  });
+
+  test('a request without a document is refused', () => {
+    expect(detect({}).status).toBe(400);
+  });
+});
+
+describe('scenario run-through', () => {
+  // Runs as a separate process - the functions need Node's own fetch, which jest doesn't provide
+  const runScenarios = (scenarios) => new Promise((resolve, reject) => {
+    const env = { ...process.env };
+    delete env.DATABASE_URL;
+
+    execFile('node', [path.join(__dirname, 'run-scenarios.js'), ...scenarios], { cwd: REPO_ROOT, env, timeout: 120000 },
+      (error, stdout) => (error ? reject(error) : resolve(stdout)));
+  });
+
+  let output;
+
+  beforeAll(async () => {
+    output = await runScenarios(['approved-uk', 'poa-reupload', 'duplicate-retry']);
+  }, 150000);
+
+  const section = (scenario) => output.split('\n🎬 ').find(part => part.startsWith(`${scenario} - ${SCENARIOS[scenario].description}`));
+
+  test('each driver shows their overall status in Board A', () => {
+    expect(section('approved-uk')).toContain('overallStatus: Working on it');
+    expect(section('approved-uk')).toMatch(/"nextStep":"dvla_processing"/);
+  });
+
+  test('a readable POA re-upload passes re-validation and moves on to the DVLA check', () => {
+    expect(section('poa-reupload')).toMatch(/"additionalStepsProcessed":true/);
+    expect(section('poa-reupload')).toMatch(/"nextStep":"dvla_processing"/);
+  });
+
+  test('a retried delivery is recognised rather than processed again', () => {
+    expect(section('duplicate-retry')).toMatch(/\(delivery 1\): 200 \{"message":"Webhook processed successfully"/);
+    expect(section('duplicate-retry')).toMatch(/\(delivery 2\): 200 \{"message":"Webhook already processed"/);
+  });
+});
@@ -0,0 +1,70 @@
+// File: dev/idenfy/fake-textract.js
+// OOOSH Driver Verification - Local AWS Textract stand-in
+// Answers document-processor's DetectDocumentText calls with the lines of a utility bill, so the
+// OCR of an Idenfy document runs offline. Any image reads as the same bill, dated two weeks ago.
+
+const TEXTRACT_HOST_PATTERN = /^https:\/\/textract\.[a-z0-9-]+\.amazonaws\.com\//;
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August',
+  'September', 'October', 'November', 'December'];
+
+/**
+ * Create a fake Textract endpoint
+ * @param {Object} options - { lines } to read from every document instead of the utility bill
+ * @returns {Object} - { handles(url), handle(url, init), billDate }
+ */
+function createFakeTextract(options = {}) {
+  const billDate = new Date();
+  billDate.setDate(billDate.getDate() - 14);
+
+  const lines = options.lines || [
+    'British Gas',
+    'Your energy bill',
+    `Bill date ${billDate.getDate()} ${MONTHS[billDate.getMonth()]} ${billDate.getFullYear()}`,
+    'Account number 850012345678',
+    'Alex Example',
+    '2 Sample Road',
+    'Brighton',
+    'BN1 1AA',
+    'Amount due £84.20'
+  ];
+
+  const handle = (url, init = {}) => {
+    const target = getHeader(init.headers, 'x-amz-target');
+
+    if (target !== 'Textract.DetectDocumentText') {
+      return json(400, { __type: 'InvalidParameterException', Message: `Unsupported action: ${target}` });
+    }
+
+    const { Document } = JSON.parse(init.body || '{}');
+    if (!Document || !Document.Bytes) {
+      return json(400, { __type: 'InvalidParameterException', Message: 'Document.Bytes is required' });
+    }
+
+    return json(200, {
+      DocumentMetadata: { Pages: 1 },
+      Blocks: lines.map((text, index) => ({ BlockType: 'LINE', Id: `line-${index + 1}`, Text: text, Confidence: 99.1 }))
+    });
+  };
+
+  return {
+    billDate: billDate.toISOString().split('T')[0],
+    handles: (url) => TEXTRACT_HOST_PATTERN.test(url),
+    handle
+  };
+}
+
+// INTERNAL: Header lookup that works for plain objects and Headers instances
+function getHeader(headers = {}, name) {
+  if (typeof headers.get === 'function') return headers.get(name);
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key ? headers[key] : undefined;
+}
+
+function json(status, body) {
+  return { status, contentType: 'application/x-amz-json-1.1', body };
+}
+
+module.exports = {
+  createFakeTextract
+};
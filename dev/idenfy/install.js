@@ -0,0 +1,69 @@
+// File: dev/idenfy/install.js
+// OOOSH Driver Verification - Route Idenfy fetch() calls to the local stand-in
+// Install after installFakeMonday() so webhooks fired at ${URL}/.netlify/functions/idenfy-webhook
+// run in-process - other requests fall through to whatever fetch was in place before.
+// Textract calls go to fake-textract.js so document-processor can read the Idenfy documents.
+
+const { createFakeIdenfy } = require('./fake-idenfy');
+const { createFakeTextract } = require('./fake-textract');
+
+const DEFAULT_BASE_URL = 'http://idenfy.local';
+
+/**
+ * Patch global fetch so create-idenfy-session, the document downloads and their OCR talk to fakes
+ * Sets IDENFY_BASE_URL, the Idenfy key/secret/signing key and AWS key env vars unless already set
+ * @param {Object} options - { fake, baseUrl, textract }
+ * @returns {Object} - { fake, textract, restore() }
+ */
+function installFakeIdenfy(options = {}) {
+  process.env.IDENFY_BASE_URL = options.baseUrl || process.env.IDENFY_BASE_URL || DEFAULT_BASE_URL;
+  process.env.IDENFY_API_KEY = process.env.IDENFY_API_KEY || 'local-idenfy-key';
+  process.env.IDENFY_API_SECRET = process.env.IDENFY_API_SECRET || 'local-idenfy-secret';
+  process.env.IDENFY_CALLBACK_SIGNING_KEY = process.env.IDENFY_CALLBACK_SIGNING_KEY || 'local-signing-key';
+  process.env.OOOSH_AWS_ACCESS_KEY_ID = process.env.OOOSH_AWS_ACCESS_KEY_ID || 'local-aws-key';
+  process.env.OOOSH_AWS_SECRET_ACCESS_KEY = process.env.OOOSH_AWS_SECRET_ACCESS_KEY || 'local-aws-secret';
+
+  const baseUrl = process.env.IDENFY_BASE_URL.replace(/\/$/, '');
+  const fake = options.fake || createFakeIdenfy({ baseUrl });
+  const textract = options.textract || createFakeTextract();
+  const previousFetch = global.fetch;
+
+  global.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+
+    if (url.startsWith(`${baseUrl}/`)) {
+      return toResponse(fake.handle(url, init));
+    }
+
+    if (textract.handles(url)) {
+      return toResponse(textract.handle(url, init));
+    }
+
+    return previousFetch(input, init);
+  };
+
+  return {
+    fake,
+    textract,
+    restore: () => {
+      global.fetch = previousFetch;
+    }
+  };
+}
+
+/**
+ * Turn a fake Idenfy answer into a fetch Response
+ * @param {Object} answer - { status, contentType, body } from fake.handle()
+ * @returns {Response}
+ */
+function toResponse({ status, contentType, body }) {
+  return new Response(Buffer.isBuffer(body) ? body : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': contentType }
+  });
+}
+
+module.exports = {
+  installFakeIdenfy,
+  toResponse
+};
@@ -0,0 +1,103 @@
+// File: dev/idenfy/run-scenarios.js
+// OOOSH Driver Verification - Offline Idenfy scenario run-through
+// For each scenario: the driver starts an ID check (create-idenfy-session against the fake
+// Idenfy), Idenfy posts its signed result to idenfy-webhook, and the documents are fetched from
+// the fake file URLs. Prints each webhook response and what landed in Board A.
+// Runs against an in-memory SQLite store unless DATABASE_URL is set - without the webhook store
+// and processing ledger a retried delivery is processed again, so duplicate-retry needs one.
+//
+// Usage: node dev/idenfy/run-scenarios.js [scenario ...]
+
+const path = require('path');
+
+process.env.TOKEN_SIGNING_SECRET = process.env.TOKEN_SIGNING_SECRET || 'local-token-secret';
+process.env.DATABASE_URL = process.env.DATABASE_URL || 'sqlite::memory:';
+process.env.SQLITE_SCHEMA_PATH = process.env.SQLITE_SCHEMA_PATH || path.join(__dirname, '..', '..', 'database.sqlite.sql');
+
+const { installFakeMonday } = require('../monday/install');
+const { installFakeIdenfy } = require('./install');
+const { SCENARIOS } = require('./fake-idenfy');
+const { createDriverSession } = require('../../functions/lib/session');
+const { getDriverRepository } = require('../../functions/lib/driver-repository');
+const { BOARD_A, getColumnId } = require('../../functions/lib/monday-columns');
+
+// What each scenario is there to show: the statuses it leaves and the documents it files
+const SHOWN_FIELDS = [
+  'overallStatus', 'licenseStatus', 'poaStatus', 'dvlaStatus', 'nationality',
+  'licenseFrontFile', 'licenseBackFile', 'poa1File', 'poa2File'
+];
+const SHOWN_COLUMNS = SHOWN_FIELDS.map(field => getColumnId(BOARD_A, field));
+
+async function main() {
+  const requested = process.argv.slice(2);
+  const scenarios = requested.length > 0 ? requested : Object.keys(SCENARIOS);
+  const jobId = '11001';
+
+  const monday = installFakeMonday();
+  const idenfy = installFakeIdenfy();
+
+  try {
+    for (const scenario of scenarios) {
+      if (!SCENARIOS[scenario]) {
+        console.error(`❌ Unknown scenario: ${scenario} (expected one of ${Object.keys(SCENARIOS).join(', ')})`);
+        process.exitCode = 1;
+        continue;
+      }
+
+      // clientId encoding drops hyphens - keep the address round-trippable
+      const email = `${scenario.replace(/-/g, '.')}@example.com`;
+      console.log(`\n🎬 ${scenario} - ${SCENARIOS[scenario].description}`);
+
+      // A POA re-upload is asked of a driver already on file whose POAs failed the source check
+      if (scenario === 'poa-reupload') {
+        await getDriverRepository().create(email, {
+          driverName: 'Alex Example',
+          nationality: 'GB',
+          overallStatus: 'Stuck'
+        }, { source: 'run-scenarios', actor: 'dev' });
+      }
+
+      // 1. The driver starts an ID check - create-idenfy-session asks (fake) Idenfy for a token
+      const session = createDriverSession(email, jobId);
+      const sessionResponse = await fetch(`${process.env.URL}/.netlify/functions/create-idenfy-session`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Session-Token': session.token },
+        body: JSON.stringify({ email, jobId, verificationType: scenario === 'poa-reupload' ? 'poa1' : 'full' })
+      });
+      const idenfySession = await sessionResponse.json();
+
+      if (!sessionResponse.ok) {
+        console.error('❌ create-idenfy-session:', sessionResponse.status, idenfySession);
+        process.exitCode = 1;
+        continue;
+      }
+      console.log(`🪪 create-idenfy-session: ${sessionResponse.status} scanRef ${idenfySession.scanRef}`);
+
+      // 2. Idenfy posts the signed result (twice for a retry)
+      const { deliveries } = await idenfy.fake.fireWebhook(scenario, { scanRef: idenfySession.scanRef });
+      deliveries.forEach(({ status, body }, index) => {
+        console.log(`📨 idenfy-webhook${deliveries.length > 1 ? ` (delivery ${index + 1})` : ''}: ${status} ${JSON.stringify(body)}`);
+      });
+
+      // 3. What Board A holds now
+      monday.fake.findItems(BOARD_A.id, getColumnId(BOARD_A, 'email'), email).forEach(item => {
+        console.log(`🅰️  #${item.id} ${item.name}`);
+        SHOWN_COLUMNS
+          .map(columnId => item.column_values.find(col => col.id === columnId))
+          .filter(col => col && col.text)
+          .forEach(col => console.log(`    ${SHOWN_FIELDS[SHOWN_COLUMNS.indexOf(col.id)]}: ${col.text}`));
+      });
+    }
+  } finally {
+    idenfy.restore();
+    monday.restore();
+  }
+}
+
+main().then(
+  () => process.exit(),
+  (error) => {
+    console.error('💥 Scenario run failed:', error);
+    process.exit(1);
+  }
+);
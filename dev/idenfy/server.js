@@ -0,0 +1,117 @@
+// File: dev/idenfy/server.js
+// OOOSH Driver Verification - Local Idenfy stand-in over HTTP
+// For `netlify dev`: run this, then set IDENFY_BASE_URL=http://localhost:4030,
+// IDENFY_UI_URL=http://localhost:4030, IDENFY_API_KEY=local-idenfy-key,
+// IDENFY_API_SECRET=local-idenfy-secret and IDENFY_CALLBACK_SIGNING_KEY=local-signing-key.
+// Starting an ID check then opens a page here with one button per scenario - pressing one
+// fires the signed webhook and sends the driver back to the app, as Idenfy would.
+//
+//   GET  /session?authToken=...   -> scenario picker for a session
+//   POST /session/complete        -> form post from the picker (authToken, scenario)
+//   POST /simulate                -> { scenario, scanRef | email, jobId, webhookUrl } fire a webhook directly
+//   POST /reset                   -> forget all sessions
+//
+// Usage: node dev/idenfy/server.js [port]
+
+const http = require('http');
+const { createFakeIdenfy, SCENARIOS } = require('./fake-idenfy');
+const { escapeHtml } = require('../../functions/lib/html');
+
+const port = Number(process.argv[2] || process.env.IDENFY_FAKE_PORT || 4030);
+const webhookUrl = process.env.IDENFY_FAKE_WEBHOOK_URL || 'http://localhost:8888/.netlify/functions/idenfy-webhook';
+const fake = createFakeIdenfy({ baseUrl: `http://localhost:${port}` });
+
+const server = http.createServer(async (req, res) => {
+  try {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    const body = req.method === 'POST' ? await readBody(req) : '';
+
+    if (req.method === 'POST' && url.pathname === '/reset') {
+      fake.reset();
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/session') {
+      const session = fake.findSessionByAuthToken(url.searchParams.get('authToken'));
+      if (!session) {
+        return send(res, 404, 'text/html', '<p>Unknown or expired authToken</p>');
+      }
+      return send(res, 200, 'text/html', sessionPage(session));
+    }
+
+    if (req.method === 'POST' && url.pathname === '/session/complete') {
+      const form = new URLSearchParams(body);
+      const session = fake.findSessionByAuthToken(form.get('authToken'));
+      if (!session) {
+        return send(res, 404, 'text/html', '<p>Unknown or expired authToken</p>');
+      }
+
+      const result = await fake.fireWebhook(form.get('scenario'), { webhookUrl, scanRef: session.scanRef });
+      console.log(`📨 ${result.scenario} for ${result.scanRef}:`, result.deliveries.map(delivery => delivery.status).join(', '));
+
+      const redirectTo = form.get('scenario') === 'denied' ? session.errorUrl : session.successUrl;
+      res.writeHead(303, { Location: redirectTo || '/' });
+      res.end();
+      return;
+    }
+
+    if (req.method === 'POST' && url.pathname === '/simulate') {
+      const { scenario, webhookUrl: target, ...rest } = JSON.parse(body || '{}');
+      const result = await fake.fireWebhook(scenario, { webhookUrl: target || webhookUrl, ...rest });
+      console.log(`📨 ${result.scenario} for ${result.scanRef}:`, result.deliveries.map(delivery => delivery.status).join(', '));
+      return send(res, 200, 'application/json', JSON.stringify(result));
+    }
+
+    const answer = fake.handle(url.href, { method: req.method, headers: req.headers, body });
+    return send(
+      res,
+      answer.status,
+      answer.contentType,
+      Buffer.isBuffer(answer.body) ? answer.body : JSON.stringify(answer.body)
+    );
+
+  } catch (error) {
+    console.error('❌ Fake Idenfy error:', error);
+    return send(res, 500, 'application/json', JSON.stringify({ error: error.message }));
+  }
+});
+
+server.listen(port, () => {
+  console.log(`🧪 Fake Idenfy listening on http://localhost:${port}`);
+  console.log(`   Webhooks go to ${webhookUrl}   Reset: POST /reset`);
+  console.log(`   Scenarios: ${Object.keys(SCENARIOS).join(', ')}`);
+});
+
+// INTERNAL: Scenario picker shown in place of Idenfy's verification UI
+function sessionPage(session) {
+  const buttons = Object.entries(SCENARIOS).map(([name, { description }]) => `
+    <p><button name="scenario" value="${name}">${name}</button> ${escapeHtml(description)}</p>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+  <head><title>Fake Idenfy</title></head>
+  <body>
+    <h1>Fake Idenfy</h1>
+    <p>Client <code>${escapeHtml(session.clientId)}</code> - scan <code>${session.scanRef}</code></p>
+    <form method="POST" action="/session/complete">
+      <input type="hidden" name="authToken" value="${session.authToken}">${buttons}
+    </form>
+  </body>
+</html>`;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, contentType, body) {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(body);
+}
@@ -0,0 +1,572 @@
+// File: dev/monday/fake-monday.js
+// OOOSH Driver Verification - Local Monday.com GraphQL stand-in
+// Understands the subset of the Monday.com API the functions use, backed by in-memory boards
+//
+// Supported operations:
+//   me, complexity, boards, items, items_page_by_column_values, next_items_page
+//   create_item, change_multiple_column_values, change_column_value,
+//   change_simple_column_value, change_item_name, add_file_to_column,
+//   create_update, delete_item
+
+const { parse, Kind, valueFromASTUntyped } = require('graphql');
+const { loadFixtures } = require('./fixtures');
+
+// GraphQL __typename for each column type (used by "... on DateValue" fragments)
+const VALUE_TYPENAMES = {
+  text: 'TextValue',
+  long_text: 'LongTextValue',
+  email: 'EmailValue',
+  date: 'DateValue',
+  status: 'StatusValue',
+  file: 'FileValue',
+  numbers: 'NumbersValue',
+  checkbox: 'CheckboxValue'
+};
+
+// Complexity charged per root field, and the budget that refills every minute (Monday's default)
+const FIELD_COMPLEXITY = 1000;
+const COMPLEXITY_BUDGET = 10000000;
+
+// Fields returned by listItems() - enough to eyeball a board from a script
+const LIST_SELECTION = parse('{ id name column_values { id text value } assets { id name url } updates { id body } }')
+  .definitions[0].selectionSet;
+
+class MondayError extends Error {
+  constructor(message, extensions = {}) {
+    super(message);
+    this.extensions = extensions;
+  }
+}
+
+/**
+ * Create a fake Monday.com account seeded from fixtures
+ * @param {Object} options - { boards, baseUrl, complexityBudget } - boards defaults to dev/monday/fixtures
+ * @returns {Object} - { execute(query, variables), listItems(boardId), findItems(boardId, columnId, text), files, reset(),
+ *   simulateLimit(failure), takeSimulatedLimit() }
+ */
+function createFakeMonday(options = {}) {
+  const baseUrl = options.baseUrl || 'https://api.monday.com/v2';
+  let boards;
+  let nextId;
+  const files = new Map(); // assetId -> { name, contentType, buffer }
+  const budgetSize = options.complexityBudget || COMPLEXITY_BUDGET;
+  let budget;
+  let complexity;
+  let simulatedLimits;
+
+  const reset = () => {
+    boards = new Map();
+    nextId = 10000000000;
+    files.clear();
+    budget = { remaining: budgetSize, resetAt: Date.now() + 60000 };
+    simulatedLimits = [];
+
+    (options.boards || loadFixtures()).forEach(fixture => {
+      const board = {
+        id: String(fixture.id),
+        name: fixture.name,
+        columns: fixture.columns.map(column => ({ ...column, labels: [...(column.labels || [])] })),
+        items: new Map()
+      };
+      boards.set(board.id, board);
+
+      (fixture.items || []).forEach(itemFixture => {
+        const item = newItem(board, itemFixture.name, itemFixture.id);
+        if (itemFixture.createdAt) item.createdAt = item.updatedAt = itemFixture.createdAt;
+        writeColumnValues(board, item, itemFixture.values || {});
+      });
+    });
+  };
+
+  const newId = () => String(nextId++);
+
+  const newItem = (board, name, id) => {
+    const now = new Date().toISOString();
+    const item = {
+      id: id ? String(id) : newId(),
+      name: name || 'New item',
+      boardId: board.id,
+      createdAt: now,
+      updatedAt: now,
+      values: {},
+      assets: {},
+      updates: []
+    };
+    board.items.set(item.id, item);
+    return item;
+  };
+
+  const getBoard = (boardId) => {
+    const board = boards.get(String(boardId));
+    if (!board) {
+      throw new MondayError(`Board not found: ${boardId}`, { code: 'ResourceNotFoundException' });
+    }
+    return board;
+  };
+
+  const getItem = (itemId, boardId) => {
+    const candidates = boardId ? [getBoard(boardId)] : [...boards.values()];
+    for (const board of candidates) {
+      const item = board.items.get(String(itemId));
+      if (item) return { board, item };
+    }
+    throw new MondayError(`Item not found: ${itemId}`, { code: 'ResourceNotFoundException' });
+  };
+
+  const getColumn = (board, columnId) => {
+    const column = board.columns.find(col => col.id === columnId);
+    if (!column) {
+      throw new MondayError(`This column ID doesn't exist for the board: ${columnId}`, {
+        code: 'InvalidColumnIdException',
+        column_id: columnId
+      });
+    }
+    return column;
+  };
+
+  // Store a column value the way Monday.com does - a JSON "value" plus display "text"
+  const writeColumnValue = (board, item, columnId, input) => {
+    const column = getColumn(board, columnId);
+
+    if (column.type === 'name') {
+      item.name = String(input);
+      return;
+    }
+
+    if (column.type === 'file') {
+      if (input && input.clear_all) {
+        item.assets[columnId] = [];
+        return;
+      }
+      throw new MondayError('File columns can only be changed through add_file_to_column', {
+        code: 'ColumnValueException',
+        column_id: columnId
+      });
+    }
+
+    if (input === null || input === '' || (typeof input === 'object' && Object.keys(input).length === 0)) {
+      delete item.values[columnId];
+      return;
+    }
+
+    let stored;
+    switch (column.type) {
+      case 'email': {
+        const email = typeof input === 'string' ? input.split(' ')[0] : input.email;
+        stored = { text: email || '', value: { email, text: (typeof input === 'object' && input.text) || email } };
+        break;
+      }
+      case 'date': {
+        const date = typeof input === 'string' ? input : input.date;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '')) {
+          throw new MondayError(`Invalid date value for column ${columnId}: ${JSON.stringify(input)}`, {
+            code: 'ColumnValueException',
+            column_id: columnId
+          });
+        }
+        stored = { text: date, value: input.time ? { date, time: input.time } : { date } };
+        break;
+      }
+      case 'status': {
+        let label = typeof input === 'string' ? input : input.label;
+        if (label === undefined && input.index !== undefined) {
+          label = column.labels[input.index];
+        }
+        label = String(label);
+        if (!column.labels.includes(label)) column.labels.push(label);
+        stored = { text: label, value: { index: column.labels.indexOf(label), label } };
+        break;
+      }
+      case 'long_text': {
+        const text = typeof input === 'string' ? input : input.text;
+        stored = { text: text || '', value: { text } };
+        break;
+      }
+      case 'checkbox': {
+        const checked = input === true || input === 'true' || input.checked === true || input.checked === 'true';
+        stored = checked ? { text: 'v', value: { checked: 'true' } } : null;
+        break;
+      }
+      default: {
+        const text = typeof input === 'object' ? (input.text ?? JSON.stringify(input)) : String(input);
+        stored = { text, value: text };
+      }
+    }
+
+    if (stored) {
+      item.values[columnId] = stored;
+    } else {
+      delete item.values[columnId];
+    }
+  };
+
+  const writeColumnValues = (board, item, columnValues) => {
+    const values = typeof columnValues === 'string' ? parseJsonArgument(columnValues, 'column_values') : columnValues;
+    Object.entries(values || {}).forEach(([columnId, input]) => {
+      writeColumnValue(board, item, columnId, input);
+    });
+    item.updatedAt = new Date().toISOString();
+  };
+
+  const parseJsonArgument = (raw, name) => {
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      throw new MondayError(`Invalid JSON in ${name}: ${error.message}`, { code: 'JsonParseException' });
+    }
+  };
+
+  // ========================================
+  // RESPONSE SHAPES
+  // ========================================
+
+  const columnValueView = (board, item, column) => {
+    if (column.type === 'file') {
+      const assets = item.assets[column.id] || [];
+      return {
+        __typename: VALUE_TYPENAMES.file,
+        id: column.id,
+        type: column.type,
+        text: assets.map(asset => asset.public_url).join(', '),
+        value: assets.length > 0
+          ? JSON.stringify({ files: assets.map(asset => ({ name: asset.name, assetId: Number(asset.id), isImage: String(asset.file_extension !== 'pdf'), fileType: 'ASSET' })) })
+          : null,
+        files: assets
+      };
+    }
+
+    const stored = item.values[column.id];
+    return {
+      __typename: VALUE_TYPENAMES[column.type] || 'ColumnValue',
+      id: column.id,
+      type: column.type,
+      text: stored ? stored.text : '',
+      value: stored ? JSON.stringify(stored.value) : null,
+      date: column.type === 'date' && stored ? stored.value.date : null,
+      label: column.type === 'status' && stored ? stored.value.label : null,
+      index: column.type === 'status' && stored ? stored.value.index : null,
+      email: column.type === 'email' && stored ? stored.value.email : null,
+      column: { id: column.id, title: column.title, type: column.type }
+    };
+  };
+
+  const itemView = (board, item) => ({
+    __typename: 'Item',
+    id: item.id,
+    name: item.name,
+    state: 'active',
+    created_at: item.createdAt,
+    updated_at: item.updatedAt,
+    board: { id: board.id, name: board.name },
+    column_values: (args = {}) => board.columns
+      .filter(column => column.type !== 'name')
+      .filter(column => !args.ids || args.ids.map(String).includes(column.id))
+      .map(column => columnValueView(board, item, column)),
+    assets: () => Object.values(item.assets).flat(),
+    updates: () => item.updates.slice().reverse()
+  });
+
+  const boardView = (board) => ({
+    __typename: 'Board',
+    id: board.id,
+    name: board.name,
+    columns: (args = {}) => board.columns
+      .filter(column => !args.ids || args.ids.map(String).includes(column.id))
+      .map(column => ({
+        id: column.id,
+        title: column.title,
+        type: column.type,
+        settings_str: JSON.stringify(column.type === 'status'
+          ? { labels: Object.fromEntries(column.labels.map((label, index) => [index, label])) }
+          : {})
+      })),
+    items_count: board.items.size,
+    items_page: (args = {}) => pageItems(board, 0, args.limit)
+  });
+
+  // Cursor is "<boardId>:<offset>" - opaque to callers, like Monday's own cursors
+  const pageItems = (board, offset, limit = 25) => {
+    const items = [...board.items.values()];
+    const end = offset + limit;
+    return {
+      cursor: end < items.length ? `${board.id}:${end}` : null,
+      items: items.slice(offset, end).map(item => itemView(board, item))
+    };
+  };
+
+  // ========================================
+  // ROOT FIELDS
+  // ========================================
+
+  const resolvers = {
+    me: () => ({ id: '1', name: 'Local Monday', email: 'dev@localhost' }),
+
+    complexity: () => complexity,
+
+    // GraphQL coerces a single ID to a list, so ids: 123 and ids: [123] both work
+    boards: ({ ids }) => (ids ? [].concat(ids) : [...boards.keys()])
+      .map(id => boards.get(String(id)))
+      .filter(Boolean)
+      .map(boardView),
+
+    items: ({ ids }) => [].concat(ids || []).flatMap(id => {
+      try {
+        const { board, item } = getItem(id);
+        return [itemView(board, item)];
+      } catch (error) {
+        return [];
+      }
+    }),
+
+    next_items_page: ({ cursor, limit }) => {
+      const [boardId, offset] = String(cursor || '').split(':');
+      if (!boards.has(boardId) || isNaN(parseInt(offset))) {
+        throw new MondayError(`Invalid cursor: ${cursor}`, { code: 'InvalidCursorException' });
+      }
+      return pageItems(boards.get(boardId), parseInt(offset), limit);
+    },
+
+    items_page_by_column_values: ({ board_id, columns, limit }) => {
+      const board = getBoard(board_id);
+      const rules = columns || [];
+      rules.forEach(rule => getColumn(board, rule.column_id));
+
+      const items = [...board.items.values()].filter(item => rules.every(rule => {
+        const text = rule.column_id === 'name' ? item.name : (item.values[rule.column_id]?.text || '');
+        return (rule.column_values || []).map(String).includes(text);
+      }));
+
+      return {
+        cursor: null,
+        items: items.slice(0, limit || 25).map(item => itemView(board, item))
+      };
+    },
+
+    create_item: ({ board_id, item_name, column_values }) => {
+      const board = getBoard(board_id);
+      const item = newItem(board, item_name);
+      try {
+        writeColumnValues(board, item, column_values);
+      } catch (error) {
+        board.items.delete(item.id);
+        throw error;
+      }
+      return itemView(board, item);
+    },
+
+    change_multiple_column_values: ({ item_id, board_id, column_values }) => {
+      const { board, item } = getItem(item_id, board_id);
+      writeColumnValues(board, item, column_values);
+      return itemView(board, item);
+    },
+
+    change_column_value: ({ item_id, board_id, column_id, value }) => {
+      const { board, item } = getItem(item_id, board_id);
+      writeColumnValues(board, item, { [column_id]: parseJsonArgument(value, 'value') });
+      return itemView(board, item);
+    },
+
+    change_simple_column_value: ({ item_id, board_id, column_id, value }) => {
+      const { board, item } = getItem(item_id, board_id);
+      writeColumnValues(board, item, { [column_id]: value });
+      return itemView(board, item);
+    },
+
+    change_item_name: ({ item_id, board_id, name }) => {
+      const { board, item } = getItem(item_id, board_id);
+      item.name = name;
+      item.updatedAt = new Date().toISOString();
+      return itemView(board, item);
+    },
+
+    add_file_to_column: ({ item_id, column_id, file }) => {
+      if (!file || !file.buffer) {
+        throw new MondayError('No file was attached to the request', { code: 'FileUploadException' });
+      }
+
+      const { board, item } = getItem(item_id);
+      const column = getColumn(board, column_id);
+      if (column.type !== 'file') {
+        throw new MondayError(`Column ${column_id} is not a file column`, { code: 'ColumnValueException' });
+      }
+
+      const id = newId();
+      const extension = (file.name.split('.').pop() || '').toLowerCase();
+      const url = `${baseUrl}/files/${id}/${encodeURIComponent(file.name)}`;
+      const asset = {
+        id,
+        name: file.name,
+        url,
+        public_url: url,
+        file_extension: extension,
+        file_size: file.buffer.length,
+        created_at: new Date().toISOString()
+      };
+
+      files.set(id, { name: file.name, contentType: file.contentType, buffer: file.buffer });
+      item.assets[column_id] = [...(item.assets[column_id] || []), asset];
+      item.updatedAt = new Date().toISOString();
+      return asset;
+    },
+
+    create_update: ({ item_id, body }) => {
+      const { item } = getItem(item_id);
+      const update = { id: newId(), body, text_body: String(body).replace(/<[^>]+>/g, ''), created_at: new Date().toISOString() };
+      item.updates.push(update);
+      return update;
+    },
+
+    // Files go with the item (Monday.com keeps both in the trash for 30 days - not modelled here)
+    delete_item: ({ item_id }) => {
+      const { board, item } = getItem(item_id);
+      Object.values(item.assets).flat().forEach(asset => files.delete(asset.id));
+      board.items.delete(item.id);
+      return { id: item.id };
+    }
+  };
+
+  // ========================================
+  // EXECUTION
+  // ========================================
+
+  // Pick the requested fields out of a resolved value, following the selection set
+  const project = (value, selectionSet, variables) => {
+    if (value === null || value === undefined) return null;
+    if (Array.isArray(value)) return value.map(entry => project(entry, selectionSet, variables));
+    if (!selectionSet || typeof value !== 'object') return value;
+
+    const result = {};
+    selectionSet.selections.forEach(selection => {
+      if (selection.kind === Kind.INLINE_FRAGMENT) {
+        const typeName = selection.typeCondition?.name.value;
+        if (!typeName || typeName === value.__typename) {
+          Object.assign(result, project(value, selection.selectionSet, variables));
+        }
+        return;
+      }
+
+      if (selection.kind !== Kind.FIELD) return;
+
+      const fieldName = selection.name.value;
+      const key = selection.alias ? selection.alias.value : fieldName;
+      let fieldValue = value[fieldName];
+
+      if (typeof fieldValue === 'function') {
+        fieldValue = fieldValue(readArguments(selection, variables));
+      }
+
+      result[key] = project(fieldValue === undefined ? null : fieldValue, selection.selectionSet, variables);
+    });
+    return result;
+  };
+
+  const readArguments = (field, variables) => {
+    const args = {};
+    (field.arguments || []).forEach(argument => {
+      args[argument.name.value] = valueFromASTUntyped(argument.value, variables);
+    });
+    return args;
+  };
+
+  /**
+   * Execute a GraphQL request against the fake boards
+   * @param {string} query - GraphQL query or mutation
+   * @param {Object} variables - Variables (file uploads arrive as { name, contentType, buffer })
+   * @returns {Object} - { data } or { errors } in the Monday.com response shape
+   */
+  const execute = (query, variables = {}) => {
+    let document;
+    try {
+      document = parse(query);
+    } catch (error) {
+      return { errors: [{ message: `Parse error: ${error.message}` }] };
+    }
+
+    const operation = document.definitions.find(definition => definition.kind === Kind.OPERATION_DEFINITION);
+    if (!operation) {
+      return { errors: [{ message: 'No operation found in query' }] };
+    }
+
+    // Charge the complexity budget up front, as Monday.com does
+    const fields = operation.selectionSet.selections
+      .filter(selection => selection.kind === Kind.FIELD && selection.name.value !== 'complexity');
+    const cost = fields.length * FIELD_COMPLEXITY;
+
+    if (Date.now() >= budget.resetAt) {
+      budget = { remaining: budgetSize, resetAt: Date.now() + 60000 };
+    }
+
+    const resetInSeconds = Math.ceil((budget.resetAt - Date.now()) / 1000);
+
+    if (cost > budget.remaining) {
+      return {
+        errors: [{
+          message: `Complexity budget exhausted, query cost ${cost} budget remaining ${budget.remaining} out of ${budgetSize} reset in ${resetInSeconds} seconds`,
+          extensions: { code: 'ComplexityException', retry_in_seconds: resetInSeconds }
+        }]
+      };
+    }
+
+    complexity = { query: cost, before: budget.remaining, after: budget.remaining - cost, reset_in_x_seconds: resetInSeconds };
+    budget.remaining -= cost;
+
+    const data = {};
+    const errors = [];
+
+    operation.selectionSet.selections.forEach(selection => {
+      if (selection.kind !== Kind.FIELD) return;
+
+      const fieldName = selection.name.value;
+      const key = selection.alias ? selection.alias.value : fieldName;
+      const resolver = resolvers[fieldName];
+
+      if (!resolver) {
+        errors.push({ message: `Field '${fieldName}' doesn't exist on type '${operation.operation === 'mutation' ? 'Mutation' : 'Query'}'` });
+        data[key] = null;
+        return;
+      }
+
+      try {
+        data[key] = project(resolver(readArguments(selection, variables)), selection.selectionSet, variables);
+      } catch (error) {
+        if (!(error instanceof MondayError)) throw error;
+        errors.push({ message: error.message, path: [key], extensions: error.extensions });
+        data[key] = null;
+      }
+    });
+
+    return errors.length > 0 ? { data, errors } : { data };
+  };
+
+  reset();
+
+  return {
+    baseUrl,
+    execute,
+    reset,
+    files,
+    // Make the next request(s) fail the way Monday.com does under load:
+    // { code: 'RATE_LIMIT_EXCEEDED' | 'ComplexityException' | ..., status: 429, times: 1, retryInSeconds }
+    simulateLimit: (failure) => {
+      const { times = 1, ...details } = failure;
+      for (let i = 0; i < times; i++) simulatedLimits.push(details);
+    },
+    takeSimulatedLimit: () => simulatedLimits.shift() || null,
+    getBudget: () => ({ ...budget, size: budgetSize }),
+    listItems: (boardId) => {
+      const board = getBoard(boardId);
+      return [...board.items.values()].map(item => project(itemView(board, item), LIST_SELECTION, {}));
+    },
+    findItems: (boardId, columnId, text) => execute(`
+      query {
+        items_page_by_column_values(board_id: ${boardId}, columns: [{ column_id: "${columnId}", column_values: ["${text}"] }], limit: 100) {
+          items { id name column_values { id text value } }
+        }
+      }
+    `).data.items_page_by_column_values.items
+  };
+}
+
+module.exports = {
+  createFakeMonday
+};
@@ -0,0 +1,81 @@
+/** @jest-environment node */
+// File: dev/monday/fake-monday.test.js
+
+const { createFakeMonday } = require('./fake-monday');
+
+const BOARD_B_ID = '841453886';
+
+let monday;
+
+beforeEach(() => {
+  monday = createFakeMonday();
+});
+
+function createAssignment(values) {
+  return monday.execute(
+    'mutation ($values: JSON!) { create_item(board_id: 841453886, item_name: "Driver", column_values: $values) { id name } }',
+    { values: JSON.stringify(values) }
+  );
+}
+
+test('the boards are seeded from the fixtures', () => {
+  const { data } = monday.execute('query { boards(ids: [841453886]) { id name items_count } }');
+
+  expect(data.boards).toEqual([{ id: BOARD_B_ID, name: 'Driver Assignments', items_count: 2 }]);
+});
+
+test('items are found by column value', () => {
+  const items = monday.findItems(BOARD_B_ID, 'text86', '11001');
+
+  expect(items.map(item => item.name)).toEqual(['Jane Smith']);
+});
+
+test('created items come back with Monday.com-shaped column values', () => {
+  const { data } = createAssignment({
+    email: { email: 'alex@example.com', text: 'alex@example.com' },
+    date4: { date: '2026-06-15' },
+    color_mkwtaftc: { label: 'Insurance Review' }
+  });
+
+  const [item] = monday.execute(`query { items(ids: [${data.create_item.id}]) { column_values(ids: ["email", "date4", "color_mkwtaftc"]) { id text value } } }`).data.items;
+
+  expect(item.column_values).toEqual([
+    { id: 'email', text: 'alex@example.com', value: JSON.stringify({ email: 'alex@example.com', text: 'alex@example.com' }) },
+    { id: 'date4', text: '2026-06-15', value: JSON.stringify({ date: '2026-06-15' }) },
+    { id: 'color_mkwtaftc', text: 'Insurance Review', value: expect.stringContaining('"label":"Insurance Review"') }
+  ]);
+});
+
+test('values Monday.com would refuse come back as GraphQL errors', () => {
+  expect(createAssignment({ date4: { date: '15/06/2026' } }).errors[0].extensions).toEqual({ code: 'ColumnValueException', column_id: 'date4' });
+  expect(createAssignment({ no_such_column: 'x' }).errors[0].extensions).toMatchObject({ code: 'InvalidColumnIdException' });
+  expect(monday.listItems(BOARD_B_ID)).toHaveLength(2);
+});
+
+test('unknown fields and bad queries are errors, not crashes', () => {
+  expect(monday.execute('query { not_a_field { id } }').errors[0].message).toBe("Field 'not_a_field' doesn't exist on type 'Query'");
+  expect(monday.execute('query {').errors[0].message).toMatch(/^Parse error/);
+});
+
+test('each request is charged against the complexity budget', () => {
+  const small = createFakeMonday({ complexityBudget: 2000 });
+
+  expect(small.execute('query { me { id } }').data.me).toEqual({ id: '1' });
+  expect(small.execute('query { me { id } }').data.me).toEqual({ id: '1' });
+  expect(small.execute('query { me { id } }').errors[0].extensions).toMatchObject({ code: 'ComplexityException' });
+});
+
+test('simulated limits are handed out once each', () => {
+  monday.simulateLimit({ code: 'RATE_LIMIT_EXCEEDED', times: 2, retryInSeconds: 5 });
+
+  expect(monday.takeSimulatedLimit()).toEqual({ code: 'RATE_LIMIT_EXCEEDED', retryInSeconds: 5 });
+  expect(monday.takeSimulatedLimit()).toEqual({ code: 'RATE_LIMIT_EXCEEDED', retryInSeconds: 5 });
+  expect(monday.takeSimulatedLimit()).toBeNull();
+});
+
+test('reset puts the boards back to the fixtures', () => {
+  createAssignment({ email: { email: 'alex@example.com', text: 'alex@example.com' } });
+  monday.reset();
+
+  expect(monday.listItems(BOARD_B_ID)).toHaveLength(2);
+});
@@ -0,0 +1,55 @@
+// File: dev/monday/fixtures/index.js
+// Seed data for the local Monday.com stand-in (Board A, Board B and the Q&H board)
+//
+// Dates in the fixtures are relative so the data never goes stale:
+//   "@today+30"  -> YYYY-MM-DD thirty days from now
+//   "@today+3 09:00:00" -> YYYY-MM-DD 09:00:00 (anything after a space is kept)
+//   "@now-3600"  -> ISO timestamp an hour ago
+
+const boardA = require('./board-a.json');
+const boardB = require('./board-b.json');
+const quotesHires = require('./quotes-hires.json');
+
+/**
+ * Replace "@today±N" / "@now±N" tokens anywhere in a fixture (also used by dev/hirehop)
+ * @param {*} value - Fixture value
+ * @param {Date} now - Reference time
+ * @returns {*} - Same shape with tokens resolved
+ */
+function resolveTokens(value, now) {
+  if (Array.isArray(value)) return value.map(entry => resolveTokens(entry, now));
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [key, resolveTokens(entry, now)]));
+  }
+
+  if (typeof value === 'string') {
+    const dayMatch = value.match(/^@today([+-]\d+)?( .+)?$/);
+    if (dayMatch) {
+      const date = new Date(now);
+      date.setDate(date.getDate() + Number(dayMatch[1] || 0));
+      return date.toISOString().split('T')[0] + (dayMatch[2] || '');
+    }
+
+    const timeMatch = value.match(/^@now([+-]\d+)?$/);
+    if (timeMatch) {
+      return new Date(now.getTime() + Number(timeMatch[1] || 0) * 1000).toISOString();
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Load the fixture boards with relative dates resolved
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Array} - Board fixtures ({ id, name, columns, items })
+ */
+function loadFixtures(now = new Date()) {
+  return [boardA, boardB, quotesHires].map(board => resolveTokens(board, now));
+}
+
+module.exports = {
+  loadFixtures,
+  resolveTokens
+};
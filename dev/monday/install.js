@@ -0,0 +1,186 @@
+// File: dev/monday/install.js
+// OOOSH Driver Verification - Route fetch() to the local Monday.com stand-in
+// Lets the Netlify functions run in-process with no network:
+//   - Monday.com API calls (MONDAY_API_URL and /file) go to the fake boards
+//   - ${URL}/.netlify/functions/<name> calls run the handler from functions/<name>.js
+//   - anything else is refused when offline (the default)
+
+const path = require('path');
+const { createFakeMonday } = require('./fake-monday');
+
+const FUNCTIONS_DIR = path.join(__dirname, '..', '..', 'functions');
+
+/**
+ * Patch global fetch so the functions talk to the fake Monday.com boards
+ * @param {Object} options - { fake, siteUrl, offline, functionsDir }
+ * @returns {Object} - { fake, restore() }
+ */
+function installFakeMonday(options = {}) {
+  // Make sure the functions pick up a token and a site URL before they are required
+  process.env.MONDAY_API_TOKEN = process.env.MONDAY_API_TOKEN || 'local-fake-token';
+  process.env.INTERNAL_API_SECRET = process.env.INTERNAL_API_SECRET || 'local-internal-secret';
+  process.env.URL = options.siteUrl || process.env.URL || 'http://localhost:8888';
+
+  const { MONDAY_API_URL } = require('../../functions/lib/monday-api');
+  const fake = options.fake || createFakeMonday({ baseUrl: MONDAY_API_URL });
+  const functionsDir = options.functionsDir || FUNCTIONS_DIR;
+  const offline = options.offline !== false;
+  const originalFetch = global.fetch;
+
+  global.fetch = async (input, init = {}) => {
+    const url = typeof input === 'string' ? input : input.url;
+
+    if (url === MONDAY_API_URL || url.startsWith(`${MONDAY_API_URL}/`)) {
+      return handleMondayRequest(fake, MONDAY_API_URL, url, init);
+    }
+
+    const functionsPrefix = `${process.env.URL}/.netlify/functions/`;
+    if (url.startsWith(functionsPrefix)) {
+      return invokeFunction(functionsDir, url.slice(functionsPrefix.length), init);
+    }
+
+    if (offline) {
+      throw new Error(`Offline mode: blocked request to ${url}`);
+    }
+
+    return originalFetch(input, init);
+  };
+
+  return {
+    fake,
+    restore: () => {
+      global.fetch = originalFetch;
+    }
+  };
+}
+
+// ========================================
+// MONDAY.COM REQUESTS
+// ========================================
+
+/**
+ * Answer a Monday.com API request from the fake boards
+ * @param {Object} fake - createFakeMonday() instance
+ * @param {string} apiUrl - Base API URL the request was sent to
+ * @param {string} url - Full request URL
+ * @param {Object} init - fetch options ({ headers, body })
+ * @returns {Promise<Response>} - Monday.com-shaped JSON response
+ */
+async function handleMondayRequest(fake, apiUrl, url, init) {
+  const headers = new Headers(init.headers || {});
+  const method = (init.method || 'GET').toUpperCase();
+
+  // Uploaded files are served back from their asset URL
+  const fileMatch = url.slice(apiUrl.length).match(/^\/files\/(\d+)\//);
+  if (fileMatch && method === 'GET') {
+    const stored = fake.files.get(fileMatch[1]);
+    if (!stored) return new Response('Not found', { status: 404 });
+    return new Response(stored.buffer, { status: 200, headers: { 'Content-Type': stored.contentType } });
+  }
+
+  if (method !== 'POST') {
+    return jsonResponse(405, { error_message: 'Method not allowed' });
+  }
+
+  if (!headers.get('authorization')) {
+    return jsonResponse(401, { errors: [{ message: 'Not Authenticated' }] });
+  }
+
+  const limit = fake.takeSimulatedLimit();
+  if (limit) {
+    return limitResponse(limit);
+  }
+
+  if (url === `${apiUrl}/file`) {
+    const body = await readFormData(init.body, headers);
+    const variables = JSON.parse(body.get('variables') || '{}');
+    const map = JSON.parse(body.get('map') || '{}');
+
+    // Multipart spec: map tells us which variable each file part fills
+    for (const [part, targets] of Object.entries(map)) {
+      const file = body.get(part);
+      if (!file) continue;
+      const upload = {
+        name: file.name,
+        contentType: file.type,
+        buffer: Buffer.from(await file.arrayBuffer())
+      };
+      targets.forEach(target => {
+        variables[target.replace(/^variables\./, '')] = upload;
+      });
+    }
+
+    return jsonResponse(200, fake.execute(body.get('query'), variables));
+  }
+
+  const body = JSON.parse(typeof init.body === 'string' ? init.body : Buffer.from(init.body).toString());
+  return jsonResponse(200, fake.execute(body.query, body.variables || {}));
+}
+
+// FormData objects pass straight through in-process; raw multipart bodies are parsed
+async function readFormData(body, headers) {
+  if (body && typeof body.get === 'function') return body;
+  return new Request('http://localhost/', { method: 'POST', headers, body }).formData();
+}
+
+// Rejections shaped like Monday.com's: HTTP 429 with Retry-After, or a 200 carrying a limit error code
+function limitResponse({ code = 'RATE_LIMIT_EXCEEDED', status = 200, retryInSeconds = 1 }) {
+  if (status === 429) {
+    return new Response(JSON.stringify({ error_message: 'Rate limit exceeded', status_code: 429 }), {
+      status,
+      headers: { 'Content-Type': 'application/json', 'Retry-After': String(retryInSeconds) }
+    });
+  }
+
+  return jsonResponse(status, {
+    errors: [{
+      message: `${code}: please retry in ${retryInSeconds} seconds`,
+      extensions: { code, retry_in_seconds: retryInSeconds }
+    }]
+  });
+}
+
+function jsonResponse(status, payload) {
+  return new Response(JSON.stringify(payload), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// ========================================
+// NETLIFY FUNCTIONS
+// ========================================
+
+/**
+ * Run a Netlify function handler in-process
+ * @param {string} functionsDir - Directory containing the function files
+ * @param {string} pathAndQuery - "<name>?query" part of the function URL
+ * @param {Object} init - fetch options
+ * @returns {Promise<Response>} - The handler result as a fetch Response
+ */
+async function invokeFunction(functionsDir, pathAndQuery, init) {
+  const [name, queryString = ''] = pathAndQuery.split('?');
+  const handler = require(path.join(functionsDir, `${name}.js`)).handler;
+
+  const event = {
+    httpMethod: (init.method || 'GET').toUpperCase(),
+    path: `/.netlify/functions/${name}`,
+    headers: Object.fromEntries(new Headers(init.headers || {}).entries()),
+    queryStringParameters: Object.fromEntries(new URLSearchParams(queryString)),
+    body: typeof init.body === 'string' ? init.body : null,
+    isBase64Encoded: false
+  };
+
+  // Binary responses (ZIP downloads) come back base64 encoded, as Netlify expects
+  const result = await handler(event, {});
+  const body = result.isBase64Encoded ? Buffer.from(result.body, 'base64') : result.body;
+  return new Response(body || null, {
+    status: result.statusCode || 200,
+    headers: result.headers || {}
+  });
+}
+
+module.exports = {
+  installFakeMonday,
+  handleMondayRequest
+};
@@ -0,0 +1,127 @@
+// File: dev/monday/plain-fetch.js
+// OOOSH Driver Verification - fetch() for the local Monday.com stand-in, for jest
+// Same routing as install.js, but answers with plain response objects: jest's node environment
+// has no fetch, Headers or Response. JSON bodies only - no multipart file uploads.
+//   - Monday.com API calls go to the fake boards, and uploaded file URLs serve the stored file
+//   - ${URL}/.netlify/functions/<name> calls run the handler from functions/<name>.js
+//   - anything else goes to options.otherRequest, or is refused
+
+const path = require('path');
+const { createFakeMonday } = require('./fake-monday');
+
+const FUNCTIONS_DIR = path.join(__dirname, '..', '..', 'functions');
+
+/**
+ * Point global fetch at the fake Monday.com boards
+ * @param {Object} options - { fake, siteUrl, otherRequest(url, init) -> { status, contentType, body } }
+ * @returns {Object} - { fake, requests, restore() } - requests lists every URL fetched
+ */
+function installPlainFetch(options = {}) {
+  process.env.MONDAY_API_TOKEN = process.env.MONDAY_API_TOKEN || 'local-fake-token';
+  process.env.INTERNAL_API_SECRET = process.env.INTERNAL_API_SECRET || 'local-internal-secret';
+  process.env.URL = options.siteUrl || process.env.URL || 'http://localhost:8888';
+
+  const { MONDAY_API_URL } = require('../../functions/lib/monday-api');
+  const fake = options.fake || createFakeMonday({ baseUrl: MONDAY_API_URL });
+  const previousFetch = global.fetch;
+  const requests = [];
+
+  global.fetch = async (url, init = {}) => {
+    requests.push(url);
+
+    const fileMatch = url.startsWith(`${MONDAY_API_URL}/files/`) && url.slice(MONDAY_API_URL.length).match(/^\/files\/(\d+)\//);
+    if (fileMatch) {
+      const stored = fake.files.get(fileMatch[1]);
+      return stored ? plainResponse(200, stored.buffer, { 'Content-Type': stored.contentType }) : plainResponse(404, 'Not found');
+    }
+
+    if (url === MONDAY_API_URL) {
+      const limit = fake.takeSimulatedLimit();
+      if (limit) {
+        return plainResponse(limit.status || 200, limitBody(limit), { 'retry-after': String(limit.retryInSeconds || 1) });
+      }
+      const { query, variables } = JSON.parse(init.body);
+      return plainResponse(200, fake.execute(query, variables || {}));
+    }
+
+    const functionsPrefix = `${process.env.URL}/.netlify/functions/`;
+    if (url.startsWith(functionsPrefix)) {
+      return invokeFunction(url.slice(functionsPrefix.length), init);
+    }
+
+    if (options.otherRequest) {
+      const { status, contentType, body } = await options.otherRequest(url, init);
+      return plainResponse(status, body, contentType ? { 'Content-Type': contentType } : {});
+    }
+
+    throw new Error(`Offline mode: blocked request to ${url}`);
+  };
+
+  return {
+    fake,
+    requests,
+    restore: () => {
+      global.fetch = previousFetch;
+    }
+  };
+}
+
+/**
+ * A response with just what the functions read: ok, status, headers.get(), text(), json(), arrayBuffer()
+ * @param {number} status - HTTP status
+ * @param {*} body - Object (sent as JSON), string or Buffer
+ * @param {Object} headers - Response headers
+ * @returns {Object}
+ */
+function plainResponse(status, body, headers = {}) {
+  const buffer = Buffer.isBuffer(body)
+    ? body
+    : Buffer.from(typeof body === 'string' ? body : JSON.stringify(body ?? null));
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: { get: (name) => lowerCased[name.toLowerCase()] ?? null },
+    text: async () => buffer.toString(),
+    json: async () => JSON.parse(buffer.toString()),
+    arrayBuffer: async () => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.length)
+  };
+}
+
+// INTERNAL: Run a Netlify function handler in-process (see install.js)
+async function invokeFunction(pathAndQuery, init) {
+  const [name, queryString = ''] = pathAndQuery.split('?');
+  const handler = require(path.join(FUNCTIONS_DIR, `${name}.js`)).handler;
+  const headers = Object.fromEntries(Object.entries(init.headers || {}).map(([header, value]) => [header.toLowerCase(), value]));
+
+  const result = await handler({
+    httpMethod: (init.method || 'GET').toUpperCase(),
+    path: `/.netlify/functions/${name}`,
+    headers,
+    queryStringParameters: Object.fromEntries(new URLSearchParams(queryString)),
+    body: typeof init.body === 'string' ? init.body : null,
+    isBase64Encoded: false
+  }, {});
+
+  const body = result.isBase64Encoded ? Buffer.from(result.body, 'base64') : (result.body || '');
+  return plainResponse(result.statusCode || 200, body, result.headers || {});
+}
+
+// INTERNAL: Monday.com's limit rejections (see limitResponse in install.js)
+function limitBody({ code = 'RATE_LIMIT_EXCEEDED', status = 200, retryInSeconds = 1 }) {
+  if (status === 429) {
+    return { error_message: 'Rate limit exceeded', status_code: 429 };
+  }
+  return {
+    errors: [{
+      message: `${code}: please retry in ${retryInSeconds} seconds`,
+      extensions: { code, retry_in_seconds: retryInSeconds }
+    }]
+  };
+}
+
+module.exports = {
+  installPlainFetch,
+  plainResponse
+};
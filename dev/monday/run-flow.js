@@ -0,0 +1,87 @@
+// File: dev/monday/run-flow.js
+// OOOSH Driver Verification - Offline webhook → Board A → Board B run-through
+// Sends a signed Idenfy result to idenfy-webhook, then signs the driver onto a job
+// (copy-a-to-b, with the session verify-code would have issued) and prints what landed
+// on the fake boards.
+//
+// Usage: node dev/monday/run-flow.js [email] [jobId]
+
+const crypto = require('crypto');
+
+process.env.IDENFY_CALLBACK_SIGNING_KEY = process.env.IDENFY_CALLBACK_SIGNING_KEY || 'local-signing-key';
+process.env.TOKEN_SIGNING_SECRET = process.env.TOKEN_SIGNING_SECRET || 'local-token-secret';
+
+const { installFakeMonday } = require('./install');
+const { createDriverSession } = require('../../functions/lib/session');
+
+const BOARD_A_ID = '9798399405';
+const BOARD_B_ID = '841453886';
+
+async function main() {
+  const email = process.argv[2] || 'new.driver@example.com';
+  const jobId = process.argv[3] || '11001';
+  const { fake, restore } = installFakeMonday();
+
+  try {
+    // 1. Idenfy posts the final verification result
+    const payload = JSON.stringify({
+      clientId: `ooosh_${jobId}_${email.replace('@', '_at_').replace(/\./g, '_dot_')}_${Date.now()}`,
+      scanRef: `local-${Date.now()}`,
+      final: true,
+      platform: 'MOBILE',
+      status: { overall: 'APPROVED', autoDocument: 'DOC_VALIDATED', autoFace: 'FACE_MATCH' },
+      data: {
+        docFirstName: 'Alex',
+        docLastName: 'Example',
+        docNumber: 'EXAMP801015AB1CD',
+        docExpiry: '2031-05-01',
+        docDob: '1980-10-15',
+        docType: 'DRIVER_LICENSE',
+        docIssuingCountry: 'GB',
+        docNationality: 'GB',
+        authority: 'DVLA',
+        address: '2 Sample Road, Brighton, BN1 1AA'
+      },
+      fileUrls: {}
+    });
+
+    const signature = crypto.createHmac('sha256', process.env.IDENFY_CALLBACK_SIGNING_KEY)
+      .update(payload)
+      .digest('hex');
+
+    const webhookResponse = await fetch(`${process.env.URL}/.netlify/functions/idenfy-webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Idenfy-Signature': signature },
+      body: payload
+    });
+    console.log('\n📨 idenfy-webhook:', webhookResponse.status, await webhookResponse.json());
+
+    // 2. Driver signs the declaration - copied onto the job in Board B
+    const session = createDriverSession(email, jobId);
+    const copyResponse = await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Session-Token': session.token },
+      body: JSON.stringify({ action: 'copy-a-to-b', email, jobId })
+    });
+    console.log('📋 copy-a-to-b:', copyResponse.status, await copyResponse.json());
+
+    // 3. Show the result
+    const printItems = (label, items) => {
+      console.log(`\n${label}`);
+      items.forEach(item => {
+        console.log(`  #${item.id} ${item.name}`);
+        item.column_values.filter(col => col.text).forEach(col => console.log(`    ${col.id}: ${col.text}`));
+      });
+    };
+
+    printItems('🅰️  Board A', fake.findItems(BOARD_A_ID, 'email_mktrgzj', email));
+    printItems('🅱️  Board B', fake.findItems(BOARD_B_ID, 'email', email));
+  } finally {
+    restore();
+  }
+}
+
+main().catch(error => {
+  console.error('💥 Local flow failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,53 @@
+// File: dev/monday/server.js
+// OOOSH Driver Verification - Local Monday.com stand-in over HTTP
+// For `netlify dev`: run this, then set MONDAY_API_URL=http://localhost:4010/v2
+//
+// Usage: node dev/monday/server.js [port]
+
+const http = require('http');
+const { createFakeMonday } = require('./fake-monday');
+const { handleMondayRequest } = require('./install');
+
+const port = Number(process.argv[2] || process.env.MONDAY_FAKE_PORT || 4010);
+const apiUrl = `http://localhost:${port}/v2`;
+const fake = createFakeMonday({ baseUrl: apiUrl });
+
+const server = http.createServer(async (req, res) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+
+  try {
+    // Convenience endpoints for poking at the boards from a browser
+    if (req.method === 'GET' && req.url.startsWith('/boards/')) {
+      const boardId = req.url.split('/')[2];
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(fake.listItems(boardId), null, 2));
+      return;
+    }
+
+    if (req.method === 'POST' && req.url === '/reset') {
+      fake.reset();
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const response = await handleMondayRequest(fake, apiUrl, `http://localhost:${port}${req.url}`, {
+      method: req.method,
+      headers: req.headers,
+      body: chunks.length > 0 ? Buffer.concat(chunks) : undefined
+    });
+
+    res.writeHead(response.status, Object.fromEntries(response.headers.entries()));
+    res.end(Buffer.from(await response.arrayBuffer()));
+  } catch (error) {
+    console.error('❌ Fake Monday.com error:', error);
+    res.writeHead(500, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error_message: error.message }));
+  }
+});
+
+server.listen(port, () => {
+  console.log(`🧪 Fake Monday.com listening on ${apiUrl}`);
+  console.log(`   Boards: ${apiUrl.replace('/v2', '')}/boards/<boardId>   Reset: POST /reset`);
+});
@@ -1,6 +1,10 @@
 // File: functions/create-idenfy-session.js
 // Ooosh Tours Driver Verification - Create Idenfy Session
 // Production-ready version with security hardening
+// Needs the driver's session token (X-Session-Token) - see lib/session.js
+
+const { requireDriverSession } = require('./lib/session');
+const { internalHeaders } = require('./lib/auth');
 
 /**
  * Validate email format
@@ -46,7 +50,7 @@ exports.handler = async (event) => {
       event.headers.origin === 'https://oooshtours.co.uk'
         ? event.headers.origin
         : 'https://ooosh-driver-verification.netlify.app',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Session-Token',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
     'Access-Control-Allow-Credentials': 'true',
     'Content-Type': 'application/json'
@@ -111,6 +115,16 @@ exports.handler = async (event) => {
       };
     }
 
+    // 🔒 SECURITY: Only the driver who verified this email can start their ID check
+    const auth = requireDriverSession(event, { email, jobId });
+    if (!auth.ok) {
+      return {
+        statusCode: auth.statusCode,
+        headers,
+        body: JSON.stringify({ error: auth.error })
+      };
+    }
+
     console.log('✅ Creating Idenfy session:', { verificationType, isUKDriver });
 
     // 🔒 SECURITY: Ensure Idenfy credentials are configured
@@ -202,7 +216,9 @@ async function createIdenfySession(email, jobId, verificationType, isUKDriver) {
   try {
     const apiKey = process.env.IDENFY_API_KEY;
     const apiSecret = process.env.IDENFY_API_SECRET;
-    const IDENFY_BASE_URL = 'https://ivs.idenfy.com';
+    // IDENFY_BASE_URL / IDENFY_UI_URL point at the local stand-in (npm run idenfy:fake) for offline work
+    const IDENFY_BASE_URL = process.env.IDENFY_BASE_URL || 'https://ivs.idenfy.com';
+    const IDENFY_UI_URL = process.env.IDENFY_UI_URL || 'https://ui.idenfy.com';
     
     // Create unique client ID with email for webhook processing
     const encodedEmail = sanitizeEmailForClientId(email);
@@ -221,7 +237,8 @@ async function createIdenfySession(email, jobId, verificationType, isUKDriver) {
       try {
         console.log('🔍 Fetching driver data for COMPARE validation');
         const driverResponse = await fetch(
-          `${process.env.URL}/.netlify/functions/driver-status?email=${encodeURIComponent(email)}`
+          `${process.env.URL}/.netlify/functions/driver-status?email=${encodeURIComponent(email)}`,
+          { headers: internalHeaders() }
         );
         
         if (driverResponse.ok) {
@@ -320,7 +337,8 @@ async function createIdenfySession(email, jobId, verificationType, isUKDriver) {
         if (email && verificationType === 'passport_only') {
           try {
             const statusResponse = await fetch(
-              `${process.env.URL}/.netlify/functions/driver-status?email=${encodeURIComponent(email)}`
+              `${process.env.URL}/.netlify/functions/driver-status?email=${encodeURIComponent(email)}`,
+              { headers: internalHeaders() }
             );
             
             if (statusResponse.ok) {
@@ -387,7 +405,7 @@ async function createIdenfySession(email, jobId, verificationType, isUKDriver) {
       sessionToken: result.authToken,
       scanRef: result.scanRef,
       clientId: clientId,
-      redirectUrl: `https://ui.idenfy.com/session?authToken=${result.authToken}`,
+      redirectUrl: `${IDENFY_UI_URL}/session?authToken=${result.authToken}`,
       documentsRequired: requestBody.documents
     };
 
@@ -1,6 +1,14 @@
 // File: functions/document-processor.js 
 // PRODUCTION VERSION with DEBUG_MODE logging controls
 // Unified document processing - OCR + image conversion for Monday.com
+// Needs the driver's session token (X-Session-Token), or the internal secret from idenfy-webhook
+// Results carry a signed resultToken with the fields the document sets on the driver
+
+const { getDriverRepository } = require('./lib/driver-repository');
+const { checkVehicleEligibility, getJobVehicle } = require('./lib/vehicle-rules');
+const { requireDriverSession } = require('./lib/session');
+const { internalHeaders } = require('./lib/auth');
+const { signDocumentResult, POA_DOCUMENT_TYPES } = require('./lib/document-results');
 
 // 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
 const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
@@ -10,7 +18,7 @@ exports.handler = async (event, context) => {
   
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Session-Token',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
     'Content-Type': 'application/json'
   };
@@ -28,7 +36,7 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    const { testType, action, imageData, documentType, licenseAddress, fileType, imageData2, returnImage } = JSON.parse(event.body);
+    const { testType, action, imageData, documentType, licenseAddress, fileType, imageData2, returnImage, email: driverEmail, jobId } = JSON.parse(event.body);
     
     // Support both old (testType) and new (action) parameter names
     const processType = action || testType;
@@ -44,6 +52,16 @@ exports.handler = async (event, context) => {
       };
     }
 
+    // 🔒 SECURITY: OCR is only for drivers part-way through verification (and our own webhook)
+    const auth = requireDriverSession(event, { email: driverEmail, jobId });
+    if (!auth.ok) {
+      return {
+        statusCode: auth.statusCode,
+        headers,
+        body: JSON.stringify({ error: auth.error })
+      };
+    }
+
     console.log(`Processing ${processType} with AWS Textract`);
     
     // Check if imageData is a URL and fetch it
@@ -95,10 +113,13 @@ exports.handler = async (event, context) => {
     switch (processType) {
       case 'poa':
         // ✅ CHECK IF ALREADY PROCESSED - Skip if validity date exists
+        // Only a driver's own poa1/poa2 - an Additional Steps re-upload always replaces one
         const email = JSON.parse(event.body).email;
-        if (email) {
+        if (email && POA_DOCUMENT_TYPES.includes(documentType)) {
           try {
-            const statusCheck = await fetch(`${process.env.URL}/.netlify/functions/driver-status?email=${encodeURIComponent(email)}`);
+            const statusCheck = await fetch(`${process.env.URL}/.netlify/functions/driver-status?email=${encodeURIComponent(email)}`, {
+              headers: internalHeaders()
+            });
             if (statusCheck.ok) {
               const driverData = await statusCheck.json();
               
@@ -134,8 +155,19 @@ exports.handler = async (event, context) => {
         break;
       case 'dvla':
         result = await testDvlaExtractionWithTextract(processedImageData);
+        if (result.isValid && jobId) {
+          await applyVehicleRules(result, driverEmail, jobId);
+        }
         break;
     }
+
+    // Sign what the document sets on the driver - the browser passes this to
+    // monday-integration's record-document-results (see lib/document-results.js)
+    const resultEmail = auth.session ? auth.session.email : driverEmail;
+    const resultToken = result && signDocumentResult(resultEmail, processType === 'dvla' ? 'dvla' : documentType, result);
+    if (resultToken) {
+      result.resultToken = resultToken;
+    }
     
     return {
       statusCode: 200,
@@ -348,6 +380,9 @@ function extractLicenseEnding(text) {
   return null;
 }
 
+// Licence categories a DVLA check can list
+const DVLA_CATEGORIES = ['AM', 'A1', 'A2', 'A', 'B1', 'B', 'BE', 'C1', 'C1E', 'C', 'CE', 'D1', 'D1E', 'D', 'DE', 'F', 'G', 'H', 'K', 'L', 'M', 'N', 'P', 'Q'];
+
 // Parse DVLA-specific information from extracted text
 function parseDvlaFromText(text) {
   if (DEBUG_MODE) console.log('🔍 Parsing DVLA data from extracted text...');
@@ -428,10 +463,10 @@ function parseDvlaFromText(text) {
   // Extract endorsement codes
   dvlaData.endorsements = extractEndorsementsNoDuplicates(text);
 
-  // Extract license categories
+  // Extract license categories (only real DVLA category codes - the match can run on into the next words)
   const categoryMatch = text.match(/categories?[:\s]*([A-Z0-9\s,+]+)/i);
   if (categoryMatch) {
-    dvlaData.categories = categoryMatch[1].split(/[,\s+]/).filter(c => c.length > 0);
+    dvlaData.categories = [...new Set(categoryMatch[1].split(/[,\s+]/).filter(c => DVLA_CATEGORIES.includes(c)))];
   }
 
   // Check for driving status
@@ -597,6 +632,81 @@ function validateDvlaData(dvlaData) {
   return dvlaData;
 }
 
+// Check the driver against the vehicle on their hire - folds the outcome into insuranceDecision
+// rejected: can't drive this vehicle at all; referral: goes to manual review like a points referral
+async function applyVehicleRules(dvlaData, email, jobId) {
+  const { vehicleType, startDate } = await getJobVehicle(jobId);
+
+  let driver = null;
+  if (email) {
+    try {
+      driver = await getDriverRepository().findByEmail(email);
+    } catch (error) {
+      console.error('⚠️ Driver lookup for vehicle rules failed:', error.message);
+    }
+  }
+
+  const eligibility = checkVehicleEligibility({
+    vehicleType,
+    categories: dvlaData.categories,
+    dateOfBirth: driver?.dateOfBirth,
+    datePassedTest: driver?.datePassedTest,
+    onDate: startDate
+  });
+
+  dvlaData.vehicleEligibility = eligibility;
+  console.log(`🚐 Vehicle rules for job ${jobId} (${vehicleType || 'vehicle not recorded'}): ${eligibility.decision}`);
+
+  if (eligibility.decision === 'rejected') {
+    dvlaData.insuranceDecision = {
+      ...dvlaData.insuranceDecision,
+      approved: false,
+      manualReview: false,
+      rejected: true,
+      reasons: eligibility.reasons,
+      riskLevel: 'ineligible'
+    };
+
+    if (email) {
+      await recordJobIneligibility(email, jobId, dvlaData, eligibility.reasons);
+    }
+  } else if (eligibility.decision === 'referral') {
+    dvlaData.insuranceDecision = {
+      ...dvlaData.insuranceDecision,
+      approved: false,
+      manualReview: true,
+      reasons: [...dvlaData.insuranceDecision.reasons, ...eligibility.reasons]
+    };
+  }
+}
+
+// Ineligibility belongs to this job only - recorded against the job (driver_verifications in the
+// SQL store, the job's Board B row) and never as the driver's Board A status, so they can still
+// drive a car on another hire. Best-effort: the driver is told either way.
+async function recordJobIneligibility(email, jobId, dvlaData, reasons) {
+  try {
+    const verification = await getDriverRepository().recordVerification(email, jobId, {
+      status: 'rejected',
+      insuranceApproved: false,
+      pointsCount: dvlaData.totalPoints || 0
+    });
+    if (!verification.success) {
+      console.error('⚠️ Could not record ineligibility for job:', verification.error);
+    }
+
+    const response = await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
+      method: 'POST',
+      headers: internalHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify({ action: 'record-job-ineligibility', email, jobId, reasons })
+    });
+    if (!response.ok) {
+      console.error('⚠️ Could not mark Board B row Not Approved:', response.status);
+    }
+  } catch (error) {
+    console.error('⚠️ Recording vehicle ineligibility failed:', error.message);
+  }
+}
+
 // Insurance decision calculation
 function calculateInsuranceDecision(dvlaData) {
   const decision = {
@@ -0,0 +1,127 @@
+// File: functions/driver-erasure.js
+// OOOSH Driver Verification - GDPR erasure (staff only)
+// POST { action: 'erase', email, reason, requestedBy, dryRun }      → deletion receipt
+// POST { action: 'legal-hold', email, hold: true|false, reason, requestedBy }
+// POST { action: 'status', email }                                  → tombstone, if any
+// Authorization: Bearer <STAFF_API_KEY>
+
+const { requireStaff } = require('./lib/auth');
+const { eraseDriver, setLegalHold, getTombstone } = require('./lib/driver-erasure');
+const { isDatabaseConfigured } = require('./lib/db');
+
+exports.handler = async (event, context) => {
+  console.log('Driver erasure function called with method:', event.httpMethod);
+
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const auth = requireStaff(event);
+  if (!auth.ok) {
+    return {
+      statusCode: auth.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error })
+    };
+  }
+
+  try {
+    const { action = 'erase', email, reason, requestedBy, dryRun, hold } = JSON.parse(event.body || '{}');
+
+    if (!email) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Email is required' })
+      };
+    }
+
+    switch (action) {
+      case 'erase': {
+        if (!requestedBy) {
+          return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ error: 'requestedBy is required so the receipt shows who asked for the erasure' })
+          };
+        }
+
+        console.log(`🗑️ Erasure requested by ${requestedBy}${dryRun ? ' (dry run)' : ''}`);
+        const result = await eraseDriver(email, { requestedBy, reason, dryRun: dryRun === true });
+
+        if (result.blocked) {
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({ success: false, error: result.error, holdReason: result.holdReason })
+          };
+        }
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true, receipt: result.receipt })
+        };
+      }
+
+      case 'legal-hold': {
+        if (!isDatabaseConfigured()) {
+          return {
+            statusCode: 503,
+            headers,
+            body: JSON.stringify({ error: 'Legal holds require DATABASE_URL' })
+          };
+        }
+
+        const tombstone = await setLegalHold(email, { hold: hold !== false, reason, requestedBy });
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true, tombstone })
+        };
+      }
+
+      case 'status': {
+        const tombstone = await getTombstone(email);
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({ success: true, tombstone })
+        };
+      }
+
+      default:
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `Unknown action: ${action}` })
+        };
+    }
+
+  } catch (error) {
+    console.error('❌ Driver erasure error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        details: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,176 @@
+// File: functions/driver-export.js
+// OOOSH Driver Verification - Subject access request export
+// POST { email, requestedBy }   (staff only: Authorization: Bearer <STAFF_API_KEY>)
+//   → { downloadUrl, expiresAt } - a time-limited link that can be passed to the driver
+// GET ?token=...                → ZIP bundle (see lib/subject-access-export.js)
+// GET ?token=...&file=<assetId> → one document, for files too big to go in the ZIP
+
+const { requireStaff } = require('./lib/auth');
+const { createSignedToken, verifySignedToken } = require('./lib/signed-token');
+const { buildExportZip, countDatabaseRecords } = require('./lib/subject-access-export');
+const { findDriverFootprint } = require('./lib/driver-footprint');
+
+// How long an export link works (EXPORT_LINK_TTL_MINUTES, default one hour)
+const EXPORT_LINK_TTL_MINUTES = parseInt(process.env.EXPORT_LINK_TTL_MINUTES) || 60;
+const TOKEN_PURPOSE = 'driver-export';
+
+exports.handler = async (event, context) => {
+  console.log('Driver export function called with method:', event.httpMethod);
+
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    if (event.httpMethod === 'POST') {
+      return await createExportLink(event, headers);
+    }
+
+    if (event.httpMethod === 'GET') {
+      return await downloadExport(event, headers);
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    console.error('❌ Driver export error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        details: error.message
+      })
+    };
+  }
+};
+
+// Staff ask for an export - returns a signed link rather than the data itself
+async function createExportLink(event, headers) {
+  const auth = requireStaff(event);
+  if (!auth.ok) {
+    return {
+      statusCode: auth.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error })
+    };
+  }
+
+  const { email, requestedBy } = JSON.parse(event.body || '{}');
+
+  if (!email || !requestedBy) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Email and requestedBy are required' })
+    };
+  }
+
+  // A driver kept only in the SQL store (DRIVER_STORE=sql) still has data to export
+  const footprint = await findDriverFootprint(email);
+  const databaseRecords = await countDatabaseRecords(email);
+  if (footprint.boardA.length === 0 && footprint.boardB.length === 0 && databaseRecords === 0) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'No records found for this email' })
+    };
+  }
+
+  const { token, expiresAt } = createSignedToken(
+    { email, requestedBy },
+    { purpose: TOKEN_PURPOSE, expiresInSeconds: EXPORT_LINK_TTL_MINUTES * 60 }
+  );
+
+  console.log(`📦 SAR export link created by ${requestedBy}, expires ${expiresAt}`);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      downloadUrl: `${process.env.URL}/.netlify/functions/driver-export?token=${encodeURIComponent(token)}`,
+      expiresAt
+    })
+  };
+}
+
+// Anyone holding a valid link gets the bundle (or one document from it)
+async function downloadExport(event, headers) {
+  const { token, file } = event.queryStringParameters || {};
+  const check = verifySignedToken(token, TOKEN_PURPOSE);
+
+  if (!check.valid) {
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({ error: check.error })
+    };
+  }
+
+  const { email, requestedBy } = check.payload;
+
+  if (file) {
+    return await downloadDocument(email, file, headers);
+  }
+
+  const fileLink = (assetId) =>
+    `${process.env.URL}/.netlify/functions/driver-export?token=${encodeURIComponent(token)}&file=${encodeURIComponent(assetId)}`;
+
+  const bundle = await buildExportZip(email, { requestedBy, fileLink });
+  console.log(`📦 SAR export downloaded (${bundle.embedded}/${bundle.documents} documents embedded)`);
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      'Content-Type': 'application/zip',
+      'Content-Disposition': `attachment; filename="${bundle.filename}"`,
+      'Cache-Control': 'no-store'
+    },
+    body: bundle.buffer.toString('base64'),
+    isBase64Encoded: true
+  };
+}
+
+// One Board A document - only assets that belong to the driver in the token
+async function downloadDocument(email, assetId, headers) {
+  const footprint = await findDriverFootprint(email);
+  const document = footprint.boardA.flatMap(item => item.files).find(entry => String(entry.id) === String(assetId));
+
+  if (!document) {
+    return {
+      statusCode: 404,
+      headers,
+      body: JSON.stringify({ error: 'Document not found' })
+    };
+  }
+
+  const response = await fetch(document.url);
+  if (!response.ok) {
+    throw new Error(`Could not fetch document: HTTP ${response.status}`);
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      'Content-Type': response.headers.get('content-type') || 'application/octet-stream',
+      'Content-Disposition': `attachment; filename="${document.fileType}-${document.name}"`,
+      'Cache-Control': 'no-store'
+    },
+    body: Buffer.from(await response.arrayBuffer()).toString('base64'),
+    isBase64Encoded: true
+  };
+}
@@ -0,0 +1,134 @@
+/** @jest-environment node */
+// File: functions/driver-export.test.js
+
+const JSZip = require('jszip');
+const { installPlainFetch } = require('../dev/monday/plain-fetch');
+const { createSqlDriverRepository } = require('./lib/driver-repository');
+const { getFileColumnId } = require('./lib/monday-columns');
+const { handler } = require('./driver-export');
+
+const STAFF_KEY = 'test-staff-key';
+const LICENCE_IMAGE = Buffer.from('jane licence front');
+
+let monday;
+let janeLicence;
+let tomPassport;
+
+beforeAll(() => {
+  process.env.DATABASE_URL = 'sqlite::memory:';
+  process.env.STAFF_API_KEY = STAFF_KEY;
+  process.env.TOKEN_SIGNING_SECRET = 'test-token-secret';
+});
+
+afterAll(() => {
+  ['DATABASE_URL', 'STAFF_API_KEY', 'TOKEN_SIGNING_SECRET'].forEach(name => delete process.env[name]);
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  monday = installPlainFetch();
+
+  // Jane (7000000001) and Tom (7000000002) from dev/monday/fixtures each get a document
+  janeLicence = uploadFile('7000000001', 'license_front', 'front.jpg', LICENCE_IMAGE);
+  tomPassport = uploadFile('7000000002', 'passport', 'passport.jpg', Buffer.from('tom passport'));
+});
+
+afterEach(() => {
+  monday.restore();
+  jest.restoreAllMocks();
+});
+
+function uploadFile(itemId, fileType, name, buffer) {
+  const { data } = monday.fake.execute(
+    `mutation ($file: File!) { add_file_to_column (item_id: ${itemId}, column_id: "${getFileColumnId(fileType)}", file: $file) { id } }`,
+    { file: { name, contentType: 'image/jpeg', buffer } }
+  );
+  return data.add_file_to_column.id;
+}
+
+function requestExport(email, token = STAFF_KEY) {
+  return handler({
+    httpMethod: 'POST',
+    headers: { authorization: `Bearer ${token}` },
+    body: JSON.stringify({ email, requestedBy: 'office@example.com' })
+  });
+}
+
+// The token from the download link staff pass on to the driver
+async function exportToken(email) {
+  const response = await requestExport(email);
+  expect(response.statusCode).toBe(200);
+  return new URL(JSON.parse(response.body).downloadUrl).searchParams.get('token');
+}
+
+function download(queryStringParameters) {
+  return handler({ httpMethod: 'GET', headers: {}, queryStringParameters });
+}
+
+describe('export link', () => {
+  test('only staff can ask for one', async () => {
+    expect((await requestExport('jane.smith@example.com', 'wrong-key')).statusCode).toBe(403);
+  });
+
+  test('an email we hold nothing for is refused', async () => {
+    const response = await requestExport('nobody@example.com');
+
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).error).toBe('No records found for this email');
+  });
+
+  test('a driver held only in the SQL store can be exported', async () => {
+    await createSqlDriverRepository().create('sql-only@example.com', { driverName: 'Robin Sql' }, { source: 'test.seed' });
+
+    const token = await exportToken('sql-only@example.com');
+    const zip = await JSZip.loadAsync(Buffer.from((await download({ token })).body, 'base64'));
+    const data = JSON.parse(await zip.file('data.json').async('string'));
+
+    expect(data.driverRecords).toEqual([]);
+    expect(data.database.drivers).toEqual([expect.objectContaining({ email: 'sql-only@example.com' })]);
+  });
+});
+
+describe('download', () => {
+  test('the ZIP holds the summary, the data and the driver\'s documents', async () => {
+    const response = await download({ token: await exportToken('jane.smith@example.com') });
+
+    expect(response).toMatchObject({ statusCode: 200, isBase64Encoded: true });
+    expect(response.headers['Content-Type']).toBe('application/zip');
+
+    const zip = await JSZip.loadAsync(Buffer.from(response.body, 'base64'));
+    const documentPath = `documents/license_front-${janeLicence}-front.jpg`;
+
+    expect(Object.keys(zip.files).sort()).toEqual(['data.json', 'documents/', documentPath, 'summary.html']);
+    expect(await zip.file(documentPath).async('nodebuffer')).toEqual(LICENCE_IMAGE);
+
+    const data = JSON.parse(await zip.file('data.json').async('string'));
+    expect(data).toMatchObject({ email: 'jane.smith@example.com', requestedBy: 'office@example.com' });
+    expect(data.assignments.map(assignment => assignment.jobNumber)).toEqual(['11001']);
+    expect(data.documents).toEqual([expect.objectContaining({ id: janeLicence, included: true, path: documentPath })]);
+    expect(await zip.file('summary.html').async('string')).toContain('Jane Smith');
+  });
+
+  test('a single document can be downloaded with the same link', async () => {
+    const response = await download({ token: await exportToken('jane.smith@example.com'), file: janeLicence });
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['Content-Disposition']).toBe('attachment; filename="license_front-front.jpg"');
+    expect(Buffer.from(response.body, 'base64')).toEqual(LICENCE_IMAGE);
+  });
+
+  test('a document belonging to another driver is refused', async () => {
+    const response = await download({ token: await exportToken('jane.smith@example.com'), file: tomPassport });
+
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).error).toBe('Document not found');
+  });
+
+  test('a tampered link is refused', async () => {
+    const token = await exportToken('jane.smith@example.com');
+
+    expect((await download({ token: `${token}x` })).statusCode).toBe(403);
+    expect((await download({})).statusCode).toBe(403);
+  });
+});
@@ -0,0 +1,89 @@
+// File: functions/driver-history.js
+// OOOSH Driver Verification - Driver Change History (staff only)
+// GET ?email=driver@example.com[&field=overallStatus][&limit=100]
+// Returns every audited field change for the driver, newest first
+
+const { requireStaff } = require('./lib/auth');
+const { getHistory } = require('./lib/audit-log');
+const { isDatabaseConfigured } = require('./lib/db');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+exports.handler = async (event, context) => {
+  console.log('Driver history function called with method:', event.httpMethod);
+
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const auth = requireStaff(event);
+  if (!auth.ok) {
+    return {
+      statusCode: auth.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error })
+    };
+  }
+
+  try {
+    const { email, field, limit } = event.queryStringParameters || {};
+
+    if (!email) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Email parameter is required' })
+      };
+    }
+
+    if (!isDatabaseConfigured()) {
+      return {
+        statusCode: 503,
+        headers,
+        body: JSON.stringify({ error: 'Audit history requires DATABASE_URL - changes are only in the function logs' })
+      };
+    }
+
+    if (DEBUG_MODE) console.log('📜 History request for:', email, field ? `(field: ${field})` : '');
+
+    const history = await getHistory(email, { field, limit });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        email,
+        count: history.length,
+        history
+      })
+    };
+
+  } catch (error) {
+    console.error('❌ Driver history error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        details: error.message
+      })
+    };
+  }
+};
@@ -1,16 +1,25 @@
 // File: functions/driver-status.js
 // OOOSH Driver Verification - Get Driver Status Function
 // UPDATED: Production-ready with DEBUG_MODE logging and new status fields
+// GET ?email=...&jobId=... - with a jobId, documents must stay valid until the hire ends
+//   (status 'lapses_during_hire', listed in lapsingDocuments)
+// Needs the driver's session token (X-Session-Token) - see lib/session.js
+
+const { getDriverRepository } = require('./lib/driver-repository');
+const { getHireEndDate, getRequiredValidityDate } = require('./lib/job-dates');
+const { requireDriverSession } = require('./lib/session');
 
 // 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
 const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
 
+const drivers = getDriverRepository();
+
 exports.handler = async (event, context) => {
   console.log('Driver status function called with method:', event.httpMethod);
   
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Session-Token',
     'Access-Control-Allow-Methods': 'GET, OPTIONS',
     'Content-Type': 'application/json'
   };
@@ -43,7 +52,18 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const driverStatus = await getDriverStatusFromBoardA(email);
+    // 🔒 SECURITY: Only the verified driver (or staff) can read their status
+    const auth = requireDriverSession(event, { email, jobId: event.queryStringParameters?.jobId });
+    if (!auth.ok) {
+      return {
+        statusCode: auth.statusCode,
+        headers,
+        body: JSON.stringify({ error: auth.error })
+      };
+    }
+
+    const hireEndDate = await getHireEndDate(event.queryStringParameters?.jobId);
+    const driverStatus = await getDriverStatus(email, hireEndDate);
     
     console.log('✅ Driver status retrieved');
 
@@ -66,39 +86,21 @@ exports.handler = async (event, context) => {
   }
 };
 
-async function getDriverStatusFromBoardA(email) {
-  if (DEBUG_MODE) console.log('🔍 Looking up driver in Board A:', email);
+async function getDriverStatus(email, hireEndDate) {
+  if (DEBUG_MODE) console.log(`🔍 Looking up driver in ${drivers.store} store:`, email);
   
   try {
-    const response = await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        action: 'find-driver-board-a',
-        email: email
-      })
-    });
-
-    if (!response.ok) {
-      if (DEBUG_MODE) console.log('Driver not found in Board A, treating as new driver');
-      return createNewDriverStatus(email);
-    }
+    const driver = await drivers.findByEmail(email);
 
-    const result = await response.json();
-    
-    if (!result.success || !result.driver) {
-      if (DEBUG_MODE) console.log('No driver data returned, treating as new driver');
+    if (!driver) {
+      if (DEBUG_MODE) console.log('Driver not found, treating as new driver');
       return createNewDriverStatus(email);
     }
 
-    console.log('✅ Found existing driver in Board A');
-    
-    const driver = result.driver;
+    console.log('✅ Found existing driver');
     
     // Analyze document status with passport support
-    const documentStatus = analyzeDocumentStatus(driver);
+    const documentStatus = analyzeDocumentStatus(driver, hireEndDate);
     
     // Build insurance data from driver fields
     const insuranceData = {
@@ -128,6 +130,8 @@ async function getDriverStatusFromBoardA(email) {
       licenseIssuedBy: driver.licenseIssuedBy || null,
       nationality: driver.nationality || null,
       documents: documentStatus.documents,
+      hireEndDate: hireEndDate || null,
+      lapsingDocuments: documentStatus.lapsingDocuments,
       insuranceData: insuranceData,
       boardAId: driver.id,
       lastUpdated: driver.lastUpdated || null,
@@ -148,12 +152,13 @@ async function getDriverStatusFromBoardA(email) {
     };
 
   } catch (error) {
-    console.error('❌ Error getting driver status from Board A:', error);
+    console.error('❌ Error getting driver status:', error);
     return createNewDriverStatus(email);
   }
 }
 
-function analyzeDocumentStatus(driver) {
+// Documents must still be valid when the hire ends (hireEndDate, if known) - not just today
+function analyzeDocumentStatus(driver, hireEndDate = null) {
   if (DEBUG_MODE) console.log('📊 Analyzing document status for driver');
   
   const documents = {
@@ -166,16 +171,29 @@ function analyzeDocumentStatus(driver) {
   };
 
   const today = new Date();
+  const lapsingDocuments = [];
+
+  // valid / expired today / lapses_during_hire (valid now, but not by the end of the hire)
+  const expiryStatus = (name, ...dates) => {
+    if (dates.some(date => date <= today)) return 'expired';
+    const validUntil = hireEndDate ? getRequiredValidityDate(hireEndDate, today, name) : today;
+    if (dates.some(date => date <= validUntil)) {
+      lapsingDocuments.push(name);
+      return 'lapses_during_hire';
+    }
+    return 'valid';
+  };
 
   // Check License last checked Status
   if (driver.licenseNextCheckDue && driver.licenseValidTo) {
     const licenseExpiry = new Date(driver.licenseValidTo);
     const licenseCheckDue = new Date(driver.licenseNextCheckDue);
+    const status = expiryStatus('license', licenseExpiry, licenseCheckDue);  // Both must be valid
     documents.license = {
-      valid: licenseExpiry > today && licenseCheckDue > today,  // Both must be valid
+      valid: status === 'valid',
       expiryDate: driver.licenseValidTo,
       type: 'Driving License',
-      status: licenseExpiry > today && licenseCheckDue > today ? 'valid' : 'expired'
+      status
     };
   } else {
     documents.license = { valid: false, status: 'required' };
@@ -184,11 +202,12 @@ function analyzeDocumentStatus(driver) {
   // Check POA1 Status
   if (driver.poa1ValidUntil) {
     const poa1Expiry = new Date(driver.poa1ValidUntil);
+    const poa1Status = expiryStatus('poa1', poa1Expiry);
     documents.poa1 = {
-      valid: poa1Expiry > today,
+      valid: poa1Status === 'valid',
       expiryDate: driver.poa1ValidUntil,
       type: 'Proof of Address #1',
-      status: poa1Expiry > today ? 'valid' : 'expired'
+      status: poa1Status
     };
   } else {
     documents.poa1 = {
@@ -200,11 +219,12 @@ function analyzeDocumentStatus(driver) {
   // Check POA2 Status
   if (driver.poa2ValidUntil) {
     const poa2Expiry = new Date(driver.poa2ValidUntil);
+    const poa2Status = expiryStatus('poa2', poa2Expiry);
     documents.poa2 = {
-      valid: poa2Expiry > today,
+      valid: poa2Status === 'valid',
       expiryDate: driver.poa2ValidUntil,
       type: 'Proof of Address #2',
-      status: poa2Expiry > today ? 'valid' : 'expired'
+      status: poa2Status
     };
   } else {
     documents.poa2 = {
@@ -216,10 +236,11 @@ function analyzeDocumentStatus(driver) {
   // Check DVLA Check Status (for UK drivers)
   if (driver.dvlaValidUntil) {
     const dvlaExpiry = new Date(driver.dvlaValidUntil);
+    const dvlaStatus = expiryStatus('dvla', dvlaExpiry);
     documents.dvlaCheck = {
-      valid: dvlaExpiry > today,
+      valid: dvlaStatus === 'valid',
       expiryDate: driver.dvlaValidUntil,
-      status: dvlaExpiry > today ? 'valid' : 'expired',
+      status: dvlaStatus,
       type: 'DVLA Check'
     };
   } else {
@@ -232,10 +253,11 @@ function analyzeDocumentStatus(driver) {
   // Check Passport Status (for non-UK drivers)
   if (driver.passportValidUntil) {
     const passportExpiry = new Date(driver.passportValidUntil);
+    const passportStatus = expiryStatus('passport', passportExpiry);
     documents.passportCheck = {
-      valid: passportExpiry > today,
+      valid: passportStatus === 'valid',
       expiryDate: driver.passportValidUntil,
-      status: passportExpiry > today ? 'valid' : 'expired',
+      status: passportStatus,
       type: 'Passport Verification'
     };
   } else {
@@ -255,11 +277,12 @@ function analyzeDocumentStatus(driver) {
       poa1: documents.poa1.valid,
       poa2: documents.poa2.valid,
       dvlaCheck: documents.dvlaCheck.valid,
-      passportCheck: documents.passportCheck.valid
+      passportCheck: documents.passportCheck.valid,
+      lapsingDocuments
     });
   }
 
-  return { overallStatus, documents };
+  return { overallStatus, documents, lapsingDocuments };
 }
 
 function determineOverallStatus(documents, driver) {
@@ -342,6 +365,7 @@ function createNewDriverStatus(email) {
       passportCheck: { valid: false, status: 'not_required' },
       licenseCheck: { valid: true, status: 'not_required' }
     },
+    lapsingDocuments: [],
     insuranceData: null,
     boardAId: null,
     lastUpdated: null,
@@ -1,13 +1,21 @@
 // File: functions/get-next-step.js
 // OOOSH Driver Verification - Centralized Routing Engine
 // This is the single source of truth for all routing decisions based on document expiry dates
+// With a jobId, documents must stay valid until the hire ends - anything lapsing mid-hire is re-verified now
+// Needs the driver's session token (X-Session-Token) - see lib/session.js
+
+const { getDriverRepository } = require('./lib/driver-repository');
+const { getHireEndDate, getRequiredValidityDate } = require('./lib/job-dates');
+const { requireDriverSession } = require('./lib/session');
+
+const drivers = getDriverRepository();
 
 exports.handler = async (event, context) => {
   console.log('🎯 Centralized router called with method:', event.httpMethod);
   
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Session-Token',
     'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
     'Content-Type': 'application/json'
   };
@@ -17,7 +25,7 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    const { email, currentStep } = event.httpMethod === 'GET' 
+    const { email, currentStep, jobId } = event.httpMethod === 'GET' 
       ? event.queryStringParameters 
       : JSON.parse(event.body);
 
@@ -25,17 +33,34 @@ exports.handler = async (event, context) => {
       throw new Error('Email is required for routing decision');
     }
 
+    // 🔒 SECURITY: Routing reads the driver's documents - the verified driver (or staff) only
+    const auth = requireDriverSession(event, { email, jobId });
+    if (!auth.ok) {
+      return {
+        statusCode: auth.statusCode,
+        headers,
+        body: JSON.stringify({ success: false, error: auth.error })
+      };
+    }
+
     console.log(`🔍 Determining next step for: ${email}`);
     console.log(`📍 Current step: ${currentStep || 'unknown'}`);
 
     // Get driver's current status from Board A
     const driverStatus = await getDriverStatus(email);
     
+    // Documents are judged against the end of the hire, not just today
+    const hireEndDate = await getHireEndDate(jobId);
+    const documentStatus = analyzeDocuments(driverStatus, hireEndDate);
+    
     // Calculate the next required step based on document dates
-    const nextStep = calculateNextStep(driverStatus, currentStep);
+    const nextStep = calculateNextStep(driverStatus, currentStep, documentStatus);
     
     console.log(`✅ Next step determined: ${nextStep.step}`);
     console.log(`📋 Reason: ${nextStep.reason}`);
+    if (documentStatus.lapsingDocuments.length > 0) {
+      console.log(`📅 Lapse before hire ends (${hireEndDate}): ${documentStatus.lapsingDocuments.join(', ')}`);
+    }
 
     return {
       statusCode: 200,
@@ -47,7 +72,9 @@ exports.handler = async (event, context) => {
         nextStep: nextStep.step,
         reason: nextStep.reason,
         driverData: driverStatus,
-        documentStatus: analyzeDocuments(driverStatus)
+        documentStatus: documentStatus,
+        hireEndDate: hireEndDate,
+        lapsingDocuments: documentStatus.lapsingDocuments
       })
     };
 
@@ -64,23 +91,20 @@ exports.handler = async (event, context) => {
   }
 };
 
-// Get driver status from Board A via driver-status function
+// Get driver record from the driver repository
 async function getDriverStatus(email) {
-  console.log('📊 Fetching driver status for routing decision');
+  console.log('📊 Fetching driver record for routing decision');
   
   try {
-    const response = await fetch(
-      `${process.env.URL}/.netlify/functions/driver-status?email=${encodeURIComponent(email)}`
-    );
+    const driver = await drivers.findByEmail(email);
 
-    if (!response.ok) {
+    if (!driver) {
       console.log('Driver not found, treating as new driver');
       return { status: 'new', email: email };
     }
 
-    const data = await response.json();
     console.log('✅ Driver data retrieved');
-    return data;
+    return driver;
 
   } catch (error) {
     console.error('Error fetching driver status:', error);
@@ -89,12 +113,9 @@ async function getDriverStatus(email) {
 }
 
 // Core routing logic - calculates next step based on document expiry dates
-function calculateNextStep(driverData, currentStep) {
+function calculateNextStep(driverData, currentStep, analysis = analyzeDocuments(driverData)) {
   console.log('🧮 Calculating next step from document dates');
   
-  const today = new Date();
-  const analysis = analyzeDocuments(driverData);
-  
   // Log what we're analyzing
   console.log('📅 Document validity:', {
     license: analysis.license.valid,
@@ -105,7 +126,9 @@ function calculateNextStep(driverData, currentStep) {
     poa2Expiry: analysis.poa2.expiryDate,
     dvlaOrPassport: analysis.dvlaOrPassport.valid,
     dvlaOrPassportExpiry: analysis.dvlaOrPassport.expiryDate,
-    isUkDriver: analysis.isUkDriver
+    isUkDriver: analysis.isUkDriver,
+    hireEndDate: analysis.hireEndDate,
+    lapsingDocuments: analysis.lapsingDocuments
   });
 
   // ROUTING DECISION TREE
@@ -265,7 +288,8 @@ function calculateNextStep(driverData, currentStep) {
   };
 }
 // Analyze document validity from dates
-function analyzeDocuments(driverData) {
+// A document is only valid if it lasts the whole hire (until hireEndDate, when known)
+function analyzeDocuments(driverData, hireEndDate = null) {
   const today = new Date();
   today.setHours(0, 0, 0, 0); // Normalize to start of day for date comparison
   
@@ -275,7 +299,17 @@ function analyzeDocuments(driverData) {
     poa2: { valid: false, expiryDate: null },
     dvlaOrPassport: { valid: false, expiryDate: null, type: null },
     isUkDriver: false,
-    allValid: false
+    allValid: false,
+    hireEndDate: hireEndDate,
+    lapsingDocuments: []
+  };
+
+  // Valid today but not by the end of the hire - flagged so the driver knows why we're asking again
+  const checkExpiry = (name, date) => {
+    const validUntil = getRequiredValidityDate(hireEndDate, today, name);
+    const lapsesDuringHire = date > today && date <= validUntil;
+    if (lapsesDuringHire) analysis.lapsingDocuments.push(name);
+    return { valid: date > validUntil, lapsesDuringHire };
   };
 
   // Check who issued the license
@@ -290,11 +324,11 @@ function analyzeDocuments(driverData) {
   // licenseNextCheckDue tells us when we need to reverify the license with Idenfy
   if (driverData.licenseNextCheckDue) {
     const licenseCheckDate = new Date(driverData.licenseNextCheckDue);
-    analysis.license.valid = licenseCheckDate > today;
+    Object.assign(analysis.license, checkExpiry('license', licenseCheckDate));
     analysis.license.expiryDate = licenseCheckDate.toISOString().split('T')[0];
   } else if (driverData.documents?.licenseCheck?.nextCheckDue) {
     const licenseCheckDate = new Date(driverData.documents.licenseCheck.nextCheckDue);
-    analysis.license.valid = licenseCheckDate > today;
+    Object.assign(analysis.license, checkExpiry('license', licenseCheckDate));
     analysis.license.expiryDate = licenseCheckDate.toISOString().split('T')[0];
   } else {
     // If no check date exists, license needs verification
@@ -307,7 +341,7 @@ function analyzeDocuments(driverData) {
     const poa1Date = new Date(
       driverData.poa1ValidUntil || driverData.documents.poa1.expiryDate
     );
-    analysis.poa1.valid = poa1Date > today;
+    Object.assign(analysis.poa1, checkExpiry('poa1', poa1Date));
     analysis.poa1.expiryDate = poa1Date.toISOString().split('T')[0];
   }
 
@@ -316,7 +350,7 @@ function analyzeDocuments(driverData) {
     const poa2Date = new Date(
       driverData.poa2ValidUntil || driverData.documents.poa2.expiryDate
     );
-    analysis.poa2.valid = poa2Date > today;
+    Object.assign(analysis.poa2, checkExpiry('poa2', poa2Date));
     analysis.poa2.expiryDate = poa2Date.toISOString().split('T')[0];
   }
 
@@ -327,7 +361,7 @@ function analyzeDocuments(driverData) {
       const dvlaDate = new Date(
         driverData.dvlaValidUntil || driverData.documents.dvlaCheck.expiryDate
       );
-      analysis.dvlaOrPassport.valid = dvlaDate > today;
+      Object.assign(analysis.dvlaOrPassport, checkExpiry('dvla', dvlaDate));
       analysis.dvlaOrPassport.expiryDate = dvlaDate.toISOString().split('T')[0];
       analysis.dvlaOrPassport.type = 'dvla';
     }
@@ -335,7 +369,7 @@ function analyzeDocuments(driverData) {
     // Non-UK drivers need passport check
     if (driverData.passportValidUntil) {
       const passportDate = new Date(driverData.passportValidUntil);
-      analysis.dvlaOrPassport.valid = passportDate > today;
+      Object.assign(analysis.dvlaOrPassport, checkExpiry('passport', passportDate));
       analysis.dvlaOrPassport.expiryDate = passportDate.toISOString().split('T')[0];
       analysis.dvlaOrPassport.type = 'passport';
     }
@@ -347,11 +381,16 @@ function analyzeDocuments(driverData) {
                      analysis.poa2.valid && 
                      analysis.dvlaOrPassport.valid;
 
+  const describe = (document, missing) => document.valid
+    ? `Valid until ${document.expiryDate}`
+    : document.lapsesDuringHire ? `Lapses during hire (${document.expiryDate})` : missing;
+
   console.log('📊 Document Analysis:', {
-    licenseCheck: analysis.license.valid ? `Valid until ${analysis.license.expiryDate}` : 'Needs verification',
-    poa1: analysis.poa1.valid ? `Valid until ${analysis.poa1.expiryDate}` : 'Needs upload',
-    poa2: analysis.poa2.valid ? `Valid until ${analysis.poa2.expiryDate}` : 'Needs upload',
-    dvlaOrPassport: analysis.dvlaOrPassport.valid ? `Valid until ${analysis.dvlaOrPassport.expiryDate}` : 'Needs check'
+    licenseCheck: describe(analysis.license, 'Needs verification'),
+    poa1: describe(analysis.poa1, 'Needs upload'),
+    poa2: describe(analysis.poa2, 'Needs upload'),
+    dvlaOrPassport: describe(analysis.dvlaOrPassport, 'Needs check'),
+    hireEndDate: hireEndDate || 'not known - checked against today'
   });
 
   return analysis;
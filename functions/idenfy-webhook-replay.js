@@ -0,0 +1,173 @@
+// File: functions/idenfy-webhook-replay.js
+// OOOSH Driver Verification - Replay a stored Idenfy webhook (staff only)
+// GET  ?scanRef=...                                       → stored webhooks for the scan, newest first
+// POST { scanRef, eventId, dryRun, force, requestedBy }   → re-runs the verification result processing
+//   eventId is optional - the newest final result for the scan is used by default
+//   dryRun: true returns the Board A changes it would make without writing anything
+//   Stages already finished (lib/processing-ledger.js) are skipped - force: true runs them all again
+// Authorization: Bearer <STAFF_API_KEY>
+
+const { requireStaff } = require('./lib/auth');
+const { isMondayLimitError } = require('./lib/monday-api');
+const { isWebhookStoreAvailable, findWebhookEvents, recordWebhookReplay } = require('./lib/webhook-events');
+const { replayWebhook } = require('./idenfy-webhook');
+
+exports.handler = async (event, context) => {
+  console.log('Idenfy webhook replay function called with method:', event.httpMethod);
+
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const auth = requireStaff(event);
+  if (!auth.ok) {
+    return {
+      statusCode: auth.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error })
+    };
+  }
+
+  try {
+    if (!isWebhookStoreAvailable()) {
+      return {
+        statusCode: 503,
+        headers,
+        body: JSON.stringify({ error: 'Webhook replay requires DATABASE_URL - webhook bodies are not being stored' })
+      };
+    }
+
+    if (event.httpMethod === 'GET') {
+      const { scanRef } = event.queryStringParameters || {};
+
+      if (!scanRef) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'scanRef parameter is required' })
+        };
+      }
+
+      const events = await findWebhookEvents(scanRef);
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, scanRef, count: events.length, events })
+      };
+    }
+
+    const { scanRef, eventId, dryRun, force, requestedBy } = JSON.parse(event.body || '{}');
+
+    if (!scanRef) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'scanRef is required' })
+      };
+    }
+
+    if (!requestedBy) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'requestedBy is required so the audit trail shows who replayed the webhook' })
+      };
+    }
+
+    const storedEvent = pickStoredEvent(await findWebhookEvents(scanRef, { includeBody: true }), eventId);
+
+    if (!storedEvent) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({
+          error: eventId
+            ? `No stored webhook ${eventId} for this scanRef`
+            : 'No stored final webhook for this scanRef'
+        })
+      };
+    }
+
+    const replay = await replayWebhook(storedEvent.body, { dryRun: dryRun === true, force: force === true, requestedBy });
+
+    if (replay.statusCode) {
+      return {
+        statusCode: replay.statusCode,
+        headers,
+        body: JSON.stringify({ success: false, eventId: storedEvent.id, error: replay.error })
+      };
+    }
+
+    // A dry run - or a replay with nothing left to do - leaves the stored event as it was
+    if (!replay.dryRun && !replay.alreadyComplete) {
+      await recordWebhookReplay(storedEvent.id, {
+        status: replay.success ? 'processed' : 'failed',
+        outcome: replay.result,
+        error: replay.success ? null : replay.result.error,
+        requestedBy
+      });
+    }
+
+    console.log(`🔁 Replay of event ${storedEvent.id}${replay.dryRun ? ' (dry run)' : ''}: ${replay.alreadyComplete ? 'already complete' : replay.success ? 'succeeded' : 'failed'}`);
+
+    return {
+      statusCode: replay.success ? 200 : 500,
+      headers,
+      body: JSON.stringify({ ...replay, eventId: storedEvent.id })
+    };
+
+  } catch (error) {
+    if (isMondayLimitError(error)) {
+      const retryAfterSeconds = error.retryAfterSeconds || 60;
+      return {
+        statusCode: 503,
+        headers: { ...headers, 'Retry-After': String(retryAfterSeconds) },
+        body: JSON.stringify({
+          error: 'Monday.com temporarily unavailable - try the replay again shortly',
+          details: error.message
+        })
+      };
+    }
+
+    console.error('❌ Idenfy webhook replay error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        details: error.message
+      })
+    };
+  }
+};
+
+// The requested event, or the newest one that carries a final result (events are newest first)
+function pickStoredEvent(events, eventId) {
+  if (eventId) {
+    return events.find(storedEvent => String(storedEvent.id) === String(eventId)) || null;
+  }
+
+  return events.find(storedEvent => {
+    try {
+      return JSON.parse(storedEvent.body).final === true;
+    } catch (parseError) {
+      return false;
+    }
+  }) || null;
+}
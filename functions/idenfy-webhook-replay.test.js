@@ -0,0 +1,161 @@
+/** @jest-environment node */
+// File: functions/idenfy-webhook-replay.test.js
+
+const { createFakeIdenfy } = require('../dev/idenfy/fake-idenfy');
+const { createFakeTextract } = require('../dev/idenfy/fake-textract');
+const { installPlainFetch } = require('../dev/monday/plain-fetch');
+const { findWebhookEvents } = require('./lib/webhook-events');
+
+const IDENFY_URL = 'http://idenfy.local';
+const STAFF_KEY = 'test-staff-key';
+const BOARD_A_ID = '9798399405';
+
+let monday;
+let idenfy;
+let textract;
+let mutations;
+let outsideRequests;
+let driverCount = 0;
+
+beforeAll(() => {
+  Object.assign(process.env, {
+    DATABASE_URL: 'sqlite::memory:',
+    TOKEN_SIGNING_SECRET: 'test-token-secret',
+    STAFF_API_KEY: STAFF_KEY,
+    IDENFY_BASE_URL: IDENFY_URL,
+    IDENFY_API_KEY: 'local-idenfy-key',
+    IDENFY_API_SECRET: 'local-idenfy-secret',
+    IDENFY_CALLBACK_SIGNING_KEY: 'local-signing-key',
+    OOOSH_AWS_ACCESS_KEY_ID: 'local-aws-key',
+    OOOSH_AWS_SECRET_ACCESS_KEY: 'local-aws-secret'
+  });
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  idenfy = createFakeIdenfy({ baseUrl: IDENFY_URL });
+  textract = createFakeTextract();
+  outsideRequests = [];
+  monday = installPlainFetch({
+    otherRequest: async (url, init) => {
+      outsideRequests.push(url);
+      if (url.startsWith(`${IDENFY_URL}/`)) return idenfy.handle(url, init);
+      if (textract.handles(url)) return textract.handle(url, init);
+      throw new Error(`Offline mode: blocked request to ${url}`);
+    }
+  });
+
+  mutations = [];
+  const { execute } = monday.fake;
+  monday.fake.execute = (query, variables) => {
+    if (/^\s*mutation/.test(query)) mutations.push(query);
+    return execute(query, variables);
+  };
+});
+
+afterEach(() => {
+  monday.restore();
+  jest.restoreAllMocks();
+});
+
+// Each test works on its own driver and scan - the in-memory database lasts for the whole file
+function nextDriver() {
+  driverCount += 1;
+  return { scanRef: `replay-scan-${driverCount}`, email: `replay${driverCount}@example.com` };
+}
+
+// Deliver a signed webhook while Monday.com is out of budget, so it is stored as failed
+async function storeFailedWebhook({ scanRef, email }) {
+  const { handler } = require('./idenfy-webhook');
+  const { body, signature } = idenfy.signWebhook(idenfy.buildWebhook('approved-uk', { scanRef, email, jobId: '11001' }));
+
+  monday.fake.simulateLimit({ code: 'COMPLEXITY_BUDGET_EXHAUSTED', retryInSeconds: 60, times: 100 });
+  const response = await handler({ httpMethod: 'POST', headers: { 'idenfy-signature': signature }, body });
+  while (monday.fake.takeSimulatedLimit());
+
+  mutations.length = 0;
+  outsideRequests.length = 0;
+  return response;
+}
+
+async function callReplay(httpMethod, { body, query, staffKey = STAFF_KEY } = {}) {
+  const { handler } = require('./idenfy-webhook-replay');
+  const response = await handler({
+    httpMethod,
+    headers: { authorization: `Bearer ${staffKey}` },
+    queryStringParameters: query,
+    body: body && JSON.stringify(body)
+  });
+  return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+}
+
+test('a webhook that could not be processed is stored as failed', async () => {
+  const driver = nextDriver();
+
+  expect((await storeFailedWebhook(driver)).statusCode).toBe(503);
+
+  const [stored] = await findWebhookEvents(driver.scanRef, { includeBody: true });
+  expect(stored).toMatchObject({ scanRef: driver.scanRef, status: 'failed', replayCount: 0 });
+  expect(JSON.parse(stored.body)).toMatchObject({ scanRef: driver.scanRef, final: true });
+});
+
+test('staff can list the stored webhooks for a scan', async () => {
+  const driver = nextDriver();
+  await storeFailedWebhook(driver);
+
+  const listed = await callReplay('GET', { query: { scanRef: driver.scanRef } });
+
+  expect(listed).toMatchObject({ statusCode: 200, scanRef: driver.scanRef, count: 1 });
+  expect(listed.events[0].body).toBeUndefined();
+  expect((await callReplay('GET', { query: { scanRef: driver.scanRef }, staffKey: 'wrong' })).statusCode).toBe(403);
+  expect(await callReplay('GET')).toEqual({ statusCode: 400, error: 'scanRef parameter is required' });
+});
+
+test('a replay must say who asked for it', async () => {
+  const driver = nextDriver();
+  await storeFailedWebhook(driver);
+
+  expect(await callReplay('POST', { body: { scanRef: driver.scanRef } })).toEqual({
+    statusCode: 400,
+    error: 'requestedBy is required so the audit trail shows who replayed the webhook'
+  });
+});
+
+test('a dry run plans the changes without writing to Monday.com or calling out', async () => {
+  const driver = nextDriver();
+  await storeFailedWebhook(driver);
+
+  const dryRun = await callReplay('POST', { body: { scanRef: driver.scanRef, dryRun: true, requestedBy: 'office@example.com' } });
+
+  expect(dryRun).toMatchObject({ statusCode: 200, success: true, dryRun: true, email: driver.email });
+  expect(dryRun.plannedChanges).toEqual(expect.arrayContaining([
+    expect.objectContaining({ action: 'create', email: driver.email }),
+    expect.objectContaining({ action: 'upload-file', fileType: 'license_front' })
+  ]));
+  expect(dryRun.skippedCalls).toEqual(expect.arrayContaining([expect.objectContaining({ service: 'idenfy-file-download' })]));
+
+  expect(mutations).toEqual([]);
+  expect(outsideRequests).toEqual([]);
+  expect(monday.fake.findItems(BOARD_A_ID, 'email_mktrgzj', driver.email)).toHaveLength(0);
+  expect((await findWebhookEvents(driver.scanRef))[0]).toMatchObject({ status: 'failed', replayCount: 0 });
+});
+
+test('a replay processes the webhook and updates the stored event', async () => {
+  const driver = nextDriver();
+  await storeFailedWebhook(driver);
+
+  const replay = await callReplay('POST', { body: { scanRef: driver.scanRef, requestedBy: 'office@example.com' } });
+
+  expect(replay).toMatchObject({ statusCode: 200, success: true, dryRun: false, email: driver.email });
+  expect(mutations).not.toEqual([]);
+  expect(monday.fake.findItems(BOARD_A_ID, 'email_mktrgzj', driver.email)).toHaveLength(1);
+  expect((await findWebhookEvents(driver.scanRef))[0]).toMatchObject({
+    status: 'processed',
+    error: null,
+    replayCount: 1,
+    lastReplayedBy: 'office@example.com'
+  });
+});
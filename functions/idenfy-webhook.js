@@ -1,10 +1,31 @@
 const crypto = require('crypto');
+const { getDriverRepository, createDryRunDriverRepository } = require('./lib/driver-repository');
+const { callMondayAPI, isMondayLimitError, limitErrorFromResult } = require('./lib/monday-api');
+const { BOARD_A, getColumnId } = require('./lib/monday-columns');
+const { internalHeaders } = require('./lib/auth');
+const { recordWebhookEvent, finishWebhookEvent } = require('./lib/webhook-events');
+const { isProcessingLedgerAvailable, openProcessingLedger, isStageInProgressError } = require('./lib/processing-ledger');
 // File: functions/idenfy-webhook.js
 // PRODUCTION VERSION with DEBUG_MODE logging controls
 
 // 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
 const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
 
+// All driver reads and writes go through the repository (Board A or SQL store)
+// Swapped for a dry-run wrapper while a staff replay plans its changes (see replayWebhook)
+let drivers = getDriverRepository();
+
+// Audit context for the webhook being processed (one request per function instance)
+let webhookAudit = { actor: 'idenfy' };
+
+// Set during a dry-run replay: calls to other services that were skipped rather than made
+let dryRunSkippedCalls = null;
+
+// Audit context for a driver write made by one of this file's functions
+function auditFrom(source) {
+  return { ...webhookAudit, source: `idenfy-webhook.${source}` };
+}
+
 /**
  * Verify Idenfy webhook signature
  */
@@ -52,6 +73,9 @@ exports.handler = async (event, context) => {
     };
   }
 
+  // Stored copy of this webhook (null when the store isn't available) - see lib/webhook-events.js
+  let storedEventId = null;
+
   try {
     if (!event.body) {
       console.error('❌ No webhook body received');
@@ -88,14 +112,20 @@ exports.handler = async (event, context) => {
     
     console.log('✅ Signature verified');
 
+    // Keep the signed body verbatim before anything can fail - staff can replay it later
+    storedEventId = await storeWebhookBody(event.body);
+
     // Parse webhook data AFTER signature verification
     const webhookData = JSON.parse(event.body);
 
     const { clientId, scanRef, status, data, platform, final } = webhookData;
+    webhookAudit = { actor: 'idenfy', scanRef: scanRef || null };
 
     // CRITICAL: Prevent duplicate webhook processing
     // BUT allow file completion on retries
-    const lastProcessed = await checkRecentProcessing(scanRef);
+    // With the processing ledger (DATABASE_URL) retries are handled stage by stage further down;
+    // without it, fall back to treating a scanRef seen in the last 5 minutes as a duplicate
+    const lastProcessed = isProcessingLedgerAvailable() ? null : await checkRecentProcessing(scanRef);
     
     if (lastProcessed && lastProcessed.isDuplicate) {
       if (DEBUG_MODE) {
@@ -116,7 +146,7 @@ exports.handler = async (event, context) => {
           console.log(`📁 Files still needed - completing upload for ${clientInfo.email}`);
         } else {
           if (DEBUG_MODE) console.log(`✅ All files already uploaded - safe to skip`);
-          return {
+          return finishStoredWebhook(storedEventId, 'duplicate', {
             statusCode: 200,
             headers,
             body: JSON.stringify({ 
@@ -125,7 +155,7 @@ exports.handler = async (event, context) => {
               previousProcessing: lastProcessed.timestamp,
               minutesAgo: lastProcessed.minutesAgo
             })
-          };
+          });
         }
       }
     }
@@ -135,21 +165,21 @@ exports.handler = async (event, context) => {
 
     if (!clientId || !scanRef || !status) {
       console.error('❌ Missing required webhook data');
-      return {
+      return finishStoredWebhook(storedEventId, 'failed', {
         statusCode: 400,
         headers,
         body: JSON.stringify({ error: 'Missing required webhook data' })
-      };
+      });
     }
 
     // Only process final results
     if (!final) {
       if (DEBUG_MODE) console.log('⏳ Ignoring non-final webhook result');
-      return {
+      return finishStoredWebhook(storedEventId, 'ignored', {
         statusCode: 200,
         headers,
         body: JSON.stringify({ message: 'Non-final result ignored' })
-      };
+      });
     }
 
     console.log('✅ Processing final Idenfy result:', {
@@ -162,14 +192,32 @@ exports.handler = async (event, context) => {
     const clientInfo = parseClientId(clientId);
     if (!clientInfo) {
       console.error('❌ Could not parse client ID:', clientId);
-      return {
+      return finishStoredWebhook(storedEventId, 'failed', {
         statusCode: 400,
         headers,
         body: JSON.stringify({ error: 'Invalid client ID format' })
-      };
+      });
     }
 
     if (DEBUG_MODE) console.log('👤 Client info parsed:', clientInfo);
+    webhookAudit.jobId = clientInfo.jobId;
+
+    // Every stage of this result already finished - an Idenfy retry, nothing left to do
+    const ledger = await openProcessingLedger(scanRef, String(status.overall));
+    if (ledger.isComplete()) {
+      const finished = ledger.completedStage('complete');
+      console.log(`⚠️ DUPLICATE WEBHOOK - ${scanRef} (${status.overall}) fully processed at ${finished.completedAt}`);
+      return finishStoredWebhook(storedEventId, 'duplicate', {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          message: 'Webhook already processed',
+          scanRef: scanRef,
+          previousProcessing: finished.completedAt,
+          nextStep: finished.result?.nextStep
+        })
+      });
+    }
 
     // Process the enhanced verification result with Additional Steps support
     const processResult = await processEnhancedVerificationResult(
@@ -178,12 +226,13 @@ exports.handler = async (event, context) => {
       scanRef,
       status,
       data,
-      webhookData
+      webhookData,
+      ledger
     );
 
     if (processResult.success) {
       console.log('🎉 Verification result processed successfully');
-      return {
+      return finishStoredWebhook(storedEventId, 'processed', {
         statusCode: 200,
         headers,
         body: JSON.stringify({ 
@@ -191,34 +240,179 @@ exports.handler = async (event, context) => {
           scanRef: scanRef,
           boardAUpdated: processResult.boardAUpdated,
           nextStep: processResult.nextStep,
-          additionalStepsProcessed: processResult.additionalStepsProcessed || false
+          additionalStepsProcessed: processResult.additionalStepsProcessed || false,
+          resumedStages: processResult.resumedStages,
+          incompleteStages: processResult.incompleteStages
         })
-      };
+      });
     } else {
       console.error('❌ Failed to process verification result:', processResult.error);
-      return {
+      return finishStoredWebhook(storedEventId, 'failed', {
         statusCode: 500,
         headers,
         body: JSON.stringify({ 
           error: 'Failed to process verification result',
           details: processResult.error
         })
-      };
+      });
     }
 
   } catch (error) {
+    // Another delivery of this result is part way through - Idenfy should come back once it's done
+    if (isStageInProgressError(error)) {
+      console.log(`⏳ ${error.message} - asking Idenfy to retry in ${error.retryAfterSeconds}s`);
+      return finishStoredWebhook(storedEventId, 'duplicate', {
+        statusCode: 409,
+        headers: { ...headers, 'Retry-After': String(error.retryAfterSeconds) },
+        body: JSON.stringify({
+          error: 'Webhook is already being processed',
+          details: error.message
+        })
+      });
+    }
+
+    // Monday.com is over its limits - ask Idenfy to redeliver rather than leave a half-updated driver
+    if (isMondayLimitError(error)) {
+      const retryAfterSeconds = error.retryAfterSeconds || 60;
+      console.error(`⏳ Monday.com limit reached (${error.code}) - asking Idenfy to retry in ${retryAfterSeconds}s`);
+      return finishStoredWebhook(storedEventId, 'failed', {
+        statusCode: 503,
+        headers: { ...headers, 'Retry-After': String(retryAfterSeconds) },
+        body: JSON.stringify({
+          error: 'Monday.com temporarily unavailable',
+          details: error.message
+        })
+      });
+    }
+
     console.error('💥 Webhook processing error:', error);
-    return {
+    return finishStoredWebhook(storedEventId, 'failed', {
       statusCode: 500,
       headers,
       body: JSON.stringify({ 
         error: 'Internal server error',
         details: error.message 
       })
-    };
+    });
   }
 };
 
+// Store the signed body with what we can read from it - a body that won't parse is still kept
+async function storeWebhookBody(body) {
+  let scanRef = null;
+  let clientId = null;
+  let email = null;
+
+  try {
+    ({ scanRef = null, clientId = null } = JSON.parse(body));
+    email = clientId ? parseClientId(clientId)?.email || null : null;
+  } catch (parseError) {
+    console.error('⚠️ Webhook body is not valid JSON - storing it anyway');
+  }
+
+  return recordWebhookEvent({ body, scanRef, clientId, email });
+}
+
+// Record how a stored webhook was handled, then hand back the response unchanged
+async function finishStoredWebhook(storedEventId, status, response) {
+  const outcome = { statusCode: response.statusCode, ...JSON.parse(response.body) };
+
+  await finishWebhookEvent(storedEventId, {
+    status,
+    outcome,
+    error: status === 'failed' ? String(outcome.details || outcome.error) : null
+  });
+
+  return response;
+}
+
+/**
+ * Re-run a stored webhook through processEnhancedVerificationResult (idenfy-webhook-replay.js)
+ * The signature was checked when the webhook first arrived. With dryRun nothing is written:
+ * driver writes come back as plannedChanges and calls to other services as skippedCalls.
+ * Stages the processing ledger has as finished are skipped unless force is set.
+ * @param {string} body - Stored webhook body
+ * @param {Object} options - { dryRun, force, requestedBy }
+ * @returns {Promise<Object>} - { success, email, jobId, scanRef, result, alreadyComplete?, plannedChanges?, skippedCalls? } or { success: false, statusCode, error }
+ */
+async function replayWebhook(body, { dryRun = false, force = false, requestedBy } = {}) {
+  const webhookData = JSON.parse(body);
+  const { clientId, scanRef, status, data, final } = webhookData;
+
+  if (!clientId || !scanRef || !status) {
+    return { success: false, statusCode: 400, error: 'Stored webhook is missing required data' };
+  }
+
+  if (!final) {
+    return { success: false, statusCode: 409, error: 'Stored webhook is not a final result - there is nothing to replay' };
+  }
+
+  const clientInfo = parseClientId(clientId);
+  if (!clientInfo) {
+    return { success: false, statusCode: 400, error: 'Invalid client ID format' };
+  }
+
+  const ledger = await openProcessingLedger(scanRef, String(status.overall), { readOnly: dryRun, force });
+  if (ledger.isComplete()) {
+    return {
+      success: true,
+      email: clientInfo.email,
+      jobId: clientInfo.jobId,
+      scanRef,
+      dryRun,
+      alreadyComplete: true,
+      result: ledger.completedStage('complete').result
+    };
+  }
+
+  const liveDrivers = drivers;
+  const plannedDrivers = dryRun ? createDryRunDriverRepository(liveDrivers) : null;
+
+  webhookAudit = { actor: `staff:${requestedBy}`, scanRef, jobId: clientInfo.jobId };
+  if (plannedDrivers) {
+    drivers = plannedDrivers;
+    dryRunSkippedCalls = [];
+  }
+
+  try {
+    console.log(`🔁 Replaying webhook for scanRef ${scanRef}${dryRun ? ' (dry run)' : ''} - requested by ${requestedBy}`);
+    const result = await processEnhancedVerificationResult(
+      clientInfo.email,
+      clientInfo.jobId,
+      scanRef,
+      status,
+      data,
+      webhookData,
+      ledger
+    );
+
+    return {
+      success: result.success,
+      email: clientInfo.email,
+      jobId: clientInfo.jobId,
+      scanRef,
+      dryRun,
+      result,
+      ...(plannedDrivers && {
+        plannedChanges: plannedDrivers.changes,
+        skippedCalls: dryRunSkippedCalls
+      })
+    };
+
+  } catch (error) {
+    if (isStageInProgressError(error)) {
+      return { success: false, statusCode: 409, error: `${error.message} - try again in ${error.retryAfterSeconds}s` };
+    }
+    throw error;
+
+  } finally {
+    drivers = liveDrivers;
+    dryRunSkippedCalls = null;
+  }
+}
+
+exports.replayWebhook = replayWebhook;
+
 // Parse the client ID to extract email and job ID
 function parseClientId(clientId) {
   try {
@@ -265,7 +459,8 @@ function parseClientId(clientId) {
 }
 
 // Process verification with Additional Steps support
-async function processEnhancedVerificationResult(email, jobId, scanRef, status, data, fullWebhookData) {
+// ledger (lib/processing-ledger.js) records each finished stage so a retry only does what's left
+async function processEnhancedVerificationResult(email, jobId, scanRef, status, data, fullWebhookData, ledger) {
   try {
     if (DEBUG_MODE) console.log('🔄 Processing enhanced verification for:', { email, jobId, scanRef });
 
@@ -278,29 +473,33 @@ async function processEnhancedVerificationResult(email, jobId, scanRef, status,
                                     fullWebhookData.additionalStepPdfUrls?.POA2);
 
     if (hasOnlyAdditionalSteps) {
-      const additionalStepsResult = await handleAdditionalStepsReupload(fullWebhookData, { email, jobId });
+      const additionalStepsResult = await ledger.runStage(
+        'poa-reupload',
+        () => handleAdditionalStepsReupload(fullWebhookData, { email, jobId }),
+        result => result.isAdditionalSteps && !result.error
+      );
       
       if (additionalStepsResult.isAdditionalSteps) {
         console.log('🔄 Handling as Additional Steps re-upload');
         
         if (additionalStepsResult.success && additionalStepsResult.poaValidated) {
           console.log('✅ POA re-validation successful, continuing to DVLA processing');
-          return {
+          return finishProcessing(ledger, ['poa-reupload'], {
             success: true,
             boardAUpdated: true,
             nextStep: 'dvla_processing',
             additionalStepsProcessed: true,
             reason: 'POA re-validation successful'
-          };
+          });
         } else {
           console.log('❌ POA re-validation failed, flagging for manual review');
-          return {
+          return finishProcessing(ledger, ['poa-reupload'], {
             success: true,
             boardAUpdated: true,
             nextStep: 'manual_review',
             additionalStepsProcessed: true,
             reason: additionalStepsResult.reason || 'POA re-validation required'
-          };
+          });
         }
       }
     }  
@@ -339,74 +538,105 @@ async function processEnhancedVerificationResult(email, jobId, scanRef, status,
     const idenfyResult = analyzeIdenfyVerificationResult(status, data);
     if (DEBUG_MODE) console.log('📋 Idenfy verification analysis:', idenfyResult);
 
-    // Step 2: Check if driver exists, CREATE if not, then UPDATE
-    if (DEBUG_MODE) console.log('👤 Checking if driver exists in Board A...');
-    const driverExists = await checkDriverExists(email);
-    
-    if (!driverExists) {
-      console.log('📝 Creating new driver in Board A for:', email);
-      const createResult = await createDriverInBoardA(email, jobId, idenfyResult);
+    // Steps 2-5 run through the processing ledger: a retry skips whatever an earlier run finished
+
+    // Step 2: Check if driver exists, CREATE if not, then UPDATE Board A and record the per-job verification
+    await ledger.runStage('board-update', async () => {
+      if (DEBUG_MODE) console.log('👤 Checking if driver exists in Board A...');
+      const driverExists = await checkDriverExists(email);
       
-      if (!createResult.success) {
-        throw new Error(`Failed to create driver: ${createResult.error}`);
+      if (!driverExists) {
+        console.log('📝 Creating new driver in Board A for:', email);
+        const createResult = await createDriverInBoardA(email, jobId, idenfyResult);
+        
+        if (createResult.retryAfterSeconds) {
+          throw limitErrorFromResult(createResult);
+        }
+        if (!createResult.success) {
+          throw new Error(`Failed to create driver: ${createResult.error}`);
+        }
+        console.log('✅ New driver created in Board A');
       }
-      console.log('✅ New driver created in Board A');
-    }
 
-    // Step 3: Update Board A with Idenfy results (includes all extra fields)
-    if (DEBUG_MODE) console.log('💾 Updating Board A with Idenfy results...');
-    const boardAUpdateResult = await updateBoardAWithIdenfyResults(email, jobId, idenfyResult, fullWebhookData);
+      // Step 3: Update Board A with Idenfy results (includes all extra fields)
+      if (DEBUG_MODE) console.log('💾 Updating Board A with Idenfy results...');
+      const boardAUpdateResult = await updateBoardAWithIdenfyResults(email, jobId, idenfyResult, fullWebhookData);
 
-    if (!boardAUpdateResult.success) {
-      throw new Error(`Board A update failed: ${boardAUpdateResult.error}`);
-    }
+      if (!boardAUpdateResult.success) {
+        throw new Error(`Board A update failed: ${boardAUpdateResult.error}`);
+      }
 
-    console.log('✅ Board A updated successfully');
+      console.log('✅ Board A updated successfully');
+
+      // Step 3.5: Record the per-job verification (SQL store only - no-op for Board A)
+      await drivers.recordVerification(email, jobId, {
+        status: idenfyResult.denied ? 'rejected' : 'pending',
+        licenseValid: idenfyResult.licenseValid,
+        licenseExpiry: idenfyResult.licenseExpiry,
+        idenfySessionId: scanRef,
+        idenfyStatus: status.overall,
+        idenfyWebhookData: fullWebhookData
+      });
 
-    // Step 4: Save documents to Monday.com with actual file upload
-    await saveIdenfyDocumentsToMonday(email, fullWebhookData);
+      return { success: true, driverCreated: !driverExists };
+    });
+
+    // Step 4: Save documents to Monday.com with actual file upload - finished once every file is there
+    await ledger.runStage(
+      'file-uploads',
+      async () => {
+        const saveResult = await saveIdenfyDocumentsToMonday(email, fullWebhookData);
+        return {
+          success: saveResult.success,
+          failedUploads: (saveResult.uploadResults || []).filter(upload => !upload.success).map(upload => upload.field)
+        };
+      },
+      result => result.success && result.failedUploads.length === 0
+    );
 
     // Step 4.5: Process POA documents immediately if present
-    const poaProcessingResult = await processPoaDocumentsImmediately(email, fullWebhookData);
+    const poaProcessingResult = await ledger.runStage('poa-ocr', () => processPoaDocumentsImmediately(email, fullWebhookData));
 
     // Step 4.6: Update status based on POA validation
-    if (poaValidationFailed) {
+    await ledger.runStage('manual-review', async () => {
+      if (!poaValidationFailed) {
+        return { success: true, required: false };
+      }
+
       console.log('⚠️ Updating Monday.com with POA validation failure');
       
-      await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          action: 'update-driver-board-a',
-          email: email,
-          updates: {
-            overallStatus: 'Manual Review Required',
-            lastUpdated: new Date().toISOString().split('T')[0]
-          }
-        })
-      });
-      
-      // Send email notification
-      console.log('📧 Sending manual review notification to info@oooshtours.co.uk');
+      await drivers.update(email, {
+        overallStatus: 'Manual Review Required',
+        lastUpdated: new Date().toISOString().split('T')[0]
+      }, auditFrom('processEnhancedVerificationResult'));
       
-      try {
-        // Simple email notification using webhook-to-email service
-        await fetch(`${process.env.URL}/.netlify/functions/send-notification`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            to: 'info@oooshtours.co.uk',
-            subject: `Driver Verification Needs Manual Review`,
-            message: `Driver requires manual review:\n\nEmail: ${email}\nJob ID: ${jobId}\nReason: ${poaValidationReason}\n\nAll documents have been uploaded to Monday.com for your review.`
-          })
-        });
+      // Send email notification (skipped while a dry-run replay plans its changes)
+      if (dryRunSkippedCalls) {
+        dryRunSkippedCalls.push({ service: 'send-notification', reason: poaValidationReason });
+      } else {
+        console.log('📧 Sending manual review notification to info@oooshtours.co.uk');
+
+        try {
+          // Simple email notification using webhook-to-email service
+          await fetch(`${process.env.URL}/.netlify/functions/send-notification`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              to: 'info@oooshtours.co.uk',
+              subject: `Driver Verification Needs Manual Review`,
+              message: `Driver requires manual review:\n\nEmail: ${email}\nJob ID: ${jobId}\nReason: ${poaValidationReason}\n\nAll documents have been uploaded to Monday.com for your review.`
+            })
+          });
         
-        console.log('✅ Email notification sent');
-      } catch (emailError) {
-        console.error('⚠️ Could not send email notification:', emailError.message);
-        // Don't fail the whole process if email fails
+          console.log('✅ Email notification sent');
+        } catch (emailError) {
+          console.error('⚠️ Could not send email notification:', emailError.message);
+          // Don't fail the whole process if email fails
+        }
       }
-    }
+
+      return { success: true, required: true };
+    });
     
     if (DEBUG_MODE) {
       console.log('📊 POA processing result:', {
@@ -417,8 +647,11 @@ async function processEnhancedVerificationResult(email, jobId, scanRef, status,
     }
 
     // Step 5: NOW update validity dates as final confirmation
-    if (DEBUG_MODE) console.log('📅 Setting validity dates as final step...');
-    await setValidityDatesAfterVerification(email, data);
+    await ledger.runStage('validity-dates', async () => {
+      if (DEBUG_MODE) console.log('📅 Setting validity dates as final step...');
+      await setValidityDatesAfterVerification(email, data);
+      return { success: true };
+    });
     console.log('✅ Validity dates updated - verification complete');
 
     // Step 6: Determine next step (modify existing logic)
@@ -450,20 +683,39 @@ async function processEnhancedVerificationResult(email, jobId, scanRef, status,
       nextStep = 'verification_failed';
     }
 
-    return { 
+    return finishProcessing(ledger, VERIFICATION_STAGES, { 
       success: true, 
       boardAUpdated: true,
       nextStep: nextStep,
       ukDriver: data.authority === 'DVLA' || data.docIssuingCountry === 'GB',
       additionalStepsProcessed: false
-    };
+    });
 
   } catch (error) {
+    if (isMondayLimitError(error) || isStageInProgressError(error)) throw error;
     console.error('💥 Error processing enhanced verification result:', error);
     return { success: false, error: error.message };
   }
 }
 
+// Ledger stages of a normal (not Additional Steps) verification, in the order they run
+const VERIFICATION_STAGES = ['board-update', 'file-uploads', 'poa-ocr', 'manual-review', 'validity-dates'];
+
+// Close the ledger once every stage is done - until then a retry picks up the incomplete ones
+async function finishProcessing(ledger, stages, result) {
+  const incompleteStages = stages.filter(stage => !ledger.completedStage(stage));
+
+  if (incompleteStages.length === 0) {
+    await ledger.markComplete('complete', result);
+  }
+
+  return {
+    ...result,
+    resumedStages: ledger.resumed,
+    incompleteStages
+  };
+}
+
 // Detect and handle Additional Steps (selective POA re-upload)
 async function handleAdditionalStepsReupload(webhookData, clientInfo) {
   try {
@@ -532,7 +784,7 @@ async function processAdditionalStepsReupload(email, additionalPdfs, additionalS
     if (DEBUG_MODE) console.log(`📋 Found ${newPoaDocs.length} new POA documents`);
 
     // Download and process new POA with AWS OCR
-    const ocrResult = await processNewPoaWithOcr(newPoaDocs[0]);
+    const ocrResult = await processNewPoaWithOcr(newPoaDocs[0], email);
     
     if (!ocrResult.success) {
       console.error('❌ OCR processing failed for new POA');
@@ -592,20 +844,26 @@ async function processAdditionalStepsReupload(email, additionalPdfs, additionalS
 }
 
 // Process new POA with AWS OCR
-async function processNewPoaWithOcr(poaDoc) {
+async function processNewPoaWithOcr(poaDoc, email) {
   try {
     if (DEBUG_MODE) console.log('🔍 Running OCR on new POA document...');
 
-    // Call your existing AWS Textract function
+    if (dryRunSkippedCalls) {
+      dryRunSkippedCalls.push({ service: 'document-processor', action: 'poa', documentType: poaDoc.type });
+      return { success: false, error: 'OCR not run in a dry run' };
+    }
+
+    // Call your existing AWS Textract function - it fetches the PDF from the Idenfy URL itself
     const response = await fetch(`${process.env.URL}/.netlify/functions/document-processor`, {
       method: 'POST',
-      headers: {
+      headers: internalHeaders({
         'Content-Type': 'application/json',
-      },
+      }),
       body: JSON.stringify({
-        action: 'process-poa',
-        documentUrl: poaDoc.url,
-        documentType: poaDoc.type
+        action: 'poa',
+        imageData: poaDoc.url,
+        documentType: poaDoc.type,
+        email: email
       })
     });
 
@@ -613,16 +871,21 @@ async function processNewPoaWithOcr(poaDoc) {
       throw new Error(`OCR failed: ${response.status}`);
     }
 
-    const ocrResult = await response.json();
+    const { result: poaResult } = await response.json();
+
+    if (!poaResult || !poaResult.extractionSuccess) {
+      throw new Error(`OCR failed: ${poaResult?.error || 'no POA data extracted'}`);
+    }
     
     return {
       success: true,
       extractedData: {
-        documentType: ocrResult.documentType || 'unknown',
-        address: ocrResult.address,
-        date: ocrResult.date,
-        name: ocrResult.name,
-        sourceType: ocrResult.sourceType // e.g., 'utility', 'bank', etc.
+        documentType: poaResult.documentType || 'unknown',
+        address: poaResult.address,
+        date: poaResult.documentDate,
+        name: poaResult.providerName,
+        // OCR doesn't classify the document - Idenfy's Additional Steps type does (e.g. UTILITY_BILL)
+        sourceType: poaDoc.type
       }
     };
 
@@ -637,32 +900,17 @@ async function validatePoaSourceDiversity(email, newPoaData) {
   try {
     if (DEBUG_MODE) console.log('🔍 Validating source diversity for new POA...');
 
-    // Get existing driver data from Monday.com
-    const response = await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        action: 'find-driver-board-a',
-        email: email
-      })
-    });
-
-    if (!response.ok) {
-      throw new Error(`Failed to get driver data: ${response.status}`);
-    }
-
-    const driverData = await response.json();
+    // Get existing driver data
+    const driver = await drivers.findByEmail(email);
     
-    if (!driverData.success || !driverData.driver) {
-      throw new Error('Driver not found in Monday.com');
+    if (!driver) {
+      throw new Error('Driver not found');
     }
 
     // Extract existing POA source types (this would be stored from previous OCR)
     const existingPoaSources = [
-      driverData.driver.poa1SourceType || 'unknown',
-      driverData.driver.poa2SourceType || 'unknown'
+      driver.poa1SourceType || 'unknown',
+      driver.poa2SourceType || 'unknown'
     ];
 
     if (DEBUG_MODE) {
@@ -717,23 +965,12 @@ async function updateMondayWithRevalidation(email, revalidationData) {
       lastUpdated: new Date().toISOString().split('T')[0]
     };
 
-    const response = await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        action: 'update-driver-board-a',
-        email: email,
-        updates: updateData
-      })
-    });
+    const result = await drivers.update(email, updateData, auditFrom('updateMondayWithRevalidation'));
 
-    if (!response.ok) {
-      throw new Error(`Monday.com update failed: ${response.status}`);
+    if (!result.success) {
+      throw new Error(`Monday.com update failed: ${result.error}`);
     }
 
-    const result = await response.json();
     console.log('✅ Monday.com updated with re-validation results');
     
     return result;
@@ -747,20 +984,11 @@ async function updateMondayWithRevalidation(email, revalidationData) {
 // Check if driver exists in Board A
 async function checkDriverExists(email) {
   try {
-    const response = await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        action: 'find-driver-board-a',
-        email: email
-      })
-    });
-
-    const result = await response.json();
-    return result.success && result.driver;
+    const driver = await drivers.findByEmail(email);
+    return !!driver;
   } catch (error) {
+    // "Not found" here would create a duplicate driver
+    if (isMondayLimitError(error)) throw error;
     console.error('❌ Error checking if driver exists:', error);
     return false;
   }
@@ -769,30 +997,17 @@ async function checkDriverExists(email) {
 // Create new driver in Board A
 async function createDriverInBoardA(email, jobId, idenfyResult) {
   try {
-    const response = await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        action: 'create-driver-board-a',
-        email: email,
-        driverData: {
-          driverName: idenfyResult.fullName,
-          email: email,
-          dateOfBirth: idenfyResult.dateOfBirth,
-          licenseNumber: idenfyResult.licenseNumber,
-          licenseValidTo: idenfyResult.licenseExpiry,
-          licenseEnding: idenfyResult.licenseEnding,
-          licenseAddress: idenfyResult.licenseAddress,
-          overallStatus: 'Working on it',
-          lastUpdated: new Date().toISOString().split('T')[0]
-        }
-      })
-    });
-
-    const result = await response.json();
-    return result;
+    return await drivers.create(email, {
+      driverName: idenfyResult.fullName,
+      email: email,
+      dateOfBirth: idenfyResult.dateOfBirth,
+      licenseNumber: idenfyResult.licenseNumber,
+      licenseValidTo: idenfyResult.licenseExpiry,
+      licenseEnding: idenfyResult.licenseEnding,
+      licenseAddress: idenfyResult.licenseAddress,
+      overallStatus: 'Working on it',
+      lastUpdated: new Date().toISOString().split('T')[0]
+    }, auditFrom('createDriverInBoardA'));
 
   } catch (error) {
     console.error('❌ Error creating driver in Board A:', error);
@@ -895,17 +1110,8 @@ async function updateBoardAWithIdenfyResults(email, jobId, idenfyResult, fullWeb
     const idenfyData = fullWebhookData.data || {};
 
     // Get existing driver data to preserve datePassedTest
-    const existingDriverResponse = await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        action: 'find-driver-board-a',
-        email: email
-      })
-    });
-
-    const existingDriverData = await existingDriverResponse.json();
-    const preservedDatePassedTest = existingDriverData.driver?.datePassedTest || '';
+    const existingDriver = await drivers.findByEmail(email);
+    const preservedDatePassedTest = existingDriver?.datePassedTest || '';
     if (DEBUG_MODE) console.log('📅 Preserved datePassedTest:', preservedDatePassedTest);
 
     // Extract POA address data if present (for cross-validation)
@@ -937,15 +1143,7 @@ async function updateBoardAWithIdenfyResults(email, jobId, idenfyResult, fullWeb
           lastUpdated: new Date().toISOString().split('T')[0]
         };
         
-        await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            action: 'update-driver-board-a',
-            email: email,
-            updates: rejectionUpdate
-          })
-        });
+        await drivers.update(email, rejectionUpdate, auditFrom('updateBoardAWithIdenfyResults'));
         
         return { 
           success: false, 
@@ -1038,28 +1236,22 @@ async function updateBoardAWithIdenfyResults(email, jobId, idenfyResult, fullWeb
       console.log('📋 Fields being updated:', Object.keys(updateData).join(', '));
     }
 
-    // Update Monday.com
-    const response = await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        action: 'update-driver-board-a',
-        email: email,
-        updates: updateData
-      })
-    });
+    // Update driver record
+    const result = await drivers.update(email, updateData, auditFrom('updateBoardAWithIdenfyResults'));
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Monday update failed:', errorText);
-      throw new Error(`Board A update failed: ${response.status}`);
+    if (result.retryAfterSeconds) {
+      throw limitErrorFromResult(result);
+    }
+    if (!result.success) {
+      console.error('❌ Monday update failed:', result.error);
+      throw new Error(`Board A update failed: ${result.error}`);
     }
 
-    const result = await response.json();
     console.log('✅ Board A updated successfully');
     return result;
 
   } catch (error) {
+    if (isMondayLimitError(error)) throw error;
     console.error('❌ Error updating Board A with Idenfy results:', error);
     return { success: false, error: error.message };
   }
@@ -1096,20 +1288,11 @@ async function setValidityDatesAfterVerification(email, idenfyData) {
       });
     }
     
-    const response = await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        action: 'update-driver-board-a',
-        email: email,
-        updates: updates
-      })
-    });
+    const result = await drivers.update(email, updates, auditFrom('setValidityDatesAfterVerification'));
     
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Failed to update validity dates:', errorText);
-      throw new Error(`Validity date update failed: ${response.status}`);
+    if (!result.success) {
+      console.error('❌ Failed to update validity dates:', result.error);
+      throw new Error(`Validity date update failed: ${result.error}`);
     }
     
     if (DEBUG_MODE) console.log('✅ Validity dates confirmed updated');
@@ -1125,30 +1308,8 @@ async function checkWhichFilesNeeded(email) {
   try {
     if (DEBUG_MODE) console.log('🔍 Checking which files need uploading for:', email);
     
-    // Get driver data from Monday.com
-    const response = await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        action: 'find-driver-board-a',
-        email: email
-      })
-    });
-    
-    if (!response.ok) {
-      if (DEBUG_MODE) console.log('📋 Driver not found - will upload all files');
-      return {
-        needFront: true,
-        needBack: true,
-        needPOA1: true,
-        needPOA2: true,
-        needDVLA: true,
-        needPassport: true
-      };
-    }
-    
-    const result = await response.json();
-    const driver = result.driver;
+    // Get driver data
+    const driver = await drivers.findByEmail(email);
     
     if (!driver) {
       if (DEBUG_MODE) console.log('📋 No driver data - will upload all files');
@@ -1287,18 +1448,10 @@ async function saveIdenfyDocumentsToMonday(email, fullWebhookData) {
       if (DEBUG_MODE) console.log('📝 Storing POA URLs in text fields FIRST...');
       
       try {
-        await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            action: 'update-driver-board-a',
-            email: email,
-            updates: {
-              poa1URL: poa1Url,
-              poa2URL: poa2Url
-            }
-          })
-        });
+        await drivers.update(email, {
+          poa1URL: poa1Url,
+          poa2URL: poa2Url
+        }, auditFrom('saveIdenfyDocumentsToMonday'));
         
         console.log('✅ POA URLs stored successfully');
       } catch (urlError) {
@@ -1374,6 +1527,14 @@ async function saveIdenfyDocumentsToMonday(email, fullWebhookData) {
       }
       
       console.log(`📤 Processing ${mapping.idenfyField} - file upload needed`);
+
+      // Dry-run replay: plan the upload without downloading the file from Idenfy
+      if (dryRunSkippedCalls) {
+        dryRunSkippedCalls.push({ service: 'idenfy-file-download', field: mapping.idenfyField });
+        await drivers.uploadFile(email, mapping.fileType, { filename: `${mapping.fileType} (${mapping.idenfyField})` });
+        uploadResults.push({ field: mapping.idenfyField, success: true, dryRun: true });
+        continue;
+      }
       
       try {
         // Download the file from Idenfy
@@ -1441,24 +1602,15 @@ async function saveIdenfyDocumentsToMonday(email, fullWebhookData) {
           mimeType = 'image/jpeg';
         }
                    
-        // Upload to Monday.com via monday-integration
+        // Upload to Monday.com via the driver repository
         if (DEBUG_MODE) console.log(`⬆️ Uploading ${mapping.idenfyField} to Monday.com as ${mapping.fileType}.${extension}...`);
-        const uploadResponse = await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            action: 'upload-file-board-a',
-            email: email,
-            fileType: mapping.fileType,
-            fileData: base64Data,
-            filename: `${mapping.fileType}_${Date.now()}.${extension}`,
-            contentType: mimeType  // Pass the correct content type
-          })
+        const uploadResult = await drivers.uploadFile(email, mapping.fileType, {
+          fileData: base64Data,
+          filename: `${mapping.fileType}_${Date.now()}.${extension}`,
+          contentType: mimeType  // Pass the correct content type
         });
         
-        const uploadResult = await uploadResponse.json();
-        
-        if (uploadResponse.ok && uploadResult.success) {
+        if (uploadResult.success) {
           console.log(`✅ ${mapping.idenfyField} uploaded successfully as ${extension.toUpperCase()}`);
           uploadResults.push({ 
             field: mapping.idenfyField, 
@@ -1509,18 +1661,10 @@ async function saveIdenfyDocumentsToMonday(email, fullWebhookData) {
         const validUntil = new Date(today);
         validUntil.setDate(validUntil.getDate() + 90);
         
-        await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            action: 'update-driver-board-a',
-            email: email,
-            updates: {
-              licenseNextCheckDue: validUntil.toISOString().split('T')[0],
-              lastUpdated: today.toISOString().split('T')[0]
-            }
-          })
-        });
+        await drivers.update(email, {
+          licenseNextCheckDue: validUntil.toISOString().split('T')[0],
+          lastUpdated: today.toISOString().split('T')[0]
+        }, auditFrom('saveIdenfyDocumentsToMonday'));
         
         if (DEBUG_MODE) console.log('✅ licenseNextCheckDue set immediately after upload');
       }
@@ -1624,11 +1768,22 @@ async function processPoaDocumentsImmediately(email, fullWebhookData) {
     
     // Only continue with OCR if we have non-PDF images
     if (DEBUG_MODE) console.log('📋 Processing image POA documents for validation...');
+
+    // Dry-run replay: OCR costs money and its result can't be planned - stop here
+    if (dryRunSkippedCalls) {
+      dryRunSkippedCalls.push({ service: 'document-processor', action: 'dual-poa' });
+      return {
+        success: true,
+        poasProcessed: false,
+        dryRun: true,
+        reason: 'POA validation not run in a dry run'
+      };
+    }
     
     // Call document-processor for dual POA validation
     const validationResponse = await fetch(`${process.env.URL}/.netlify/functions/document-processor`, {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: internalHeaders({ 'Content-Type': 'application/json' }),
       body: JSON.stringify({
         action: 'dual-poa',
         imageData: poa1Url,
@@ -1699,24 +1854,16 @@ async function processPoaDocumentsImmediately(email, fullWebhookData) {
 // Helper function to update POA validation results
 async function updatePoaValidationResults(email, updates) {
   try {
-    const response = await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        action: 'update-driver-board-a',
-        email: email,
-        updates: {
-          ...updates,
-          lastUpdated: new Date().toISOString().split('T')[0]
-        }
-      })
-    });
+    const result = await drivers.update(email, {
+      ...updates,
+      lastUpdated: new Date().toISOString().split('T')[0]
+    }, auditFrom('updatePoaValidationResults'));
     
-    if (!response.ok) {
+    if (!result.success) {
       console.error('❌ Failed to update POA validation results');
     }
     
-    return response.json();
+    return result;
   } catch (error) {
     console.error('❌ Error updating Monday with POA results:', error);
   }
@@ -1779,10 +1926,10 @@ async function checkRecentProcessing(scanRef) {
     const query = `
       query {
         items_page_by_column_values (
-          board_id: 9798399405,
+          board_id: ${BOARD_A.id},
           columns: [
             {
-              column_id: "text_mkwbn8bx",
+              column_id: "${getColumnId(BOARD_A, 'idenfyScanRef')}",
               column_values: ["${scanRef}"]
             }
           ],
@@ -1801,22 +1948,13 @@ async function checkRecentProcessing(scanRef) {
       }
     `;
 
-    const response = await fetch('https://api.monday.com/v2', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.MONDAY_API_TOKEN}`
-      },
-      body: JSON.stringify({ query })
-    });
-
-    const result = await response.json();
+    const result = await callMondayAPI(query);
     
     if (result.data?.items_page_by_column_values?.items?.length > 0) {
       const item = result.data.items_page_by_column_values.items[0];
       
       // Find the idenfyCheckDate column to check timing
-      const idenfyCheckDateCol = item.column_values.find(col => col.id === 'text_mkvv2z8p');
+      const idenfyCheckDateCol = item.column_values.find(col => col.id === getColumnId(BOARD_A, 'idenfyCheckDate'));
       
       if (idenfyCheckDateCol?.text) {
         const lastProcessedTime = new Date(idenfyCheckDateCol.text);
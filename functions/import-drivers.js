@@ -0,0 +1,306 @@
+// File: functions/import-drivers.js
+// OOOSH Driver Verification - Bulk import of known drivers from a client's CSV (staff only)
+// POST { csv, requestedBy, sendInvites, dryRun, startRow }
+// Authorization: Bearer <STAFF_API_KEY>
+//
+// Each valid row is upserted into the driver store (Board A, or SQL mirrored to Board A):
+//   new drivers are created; existing drivers only have their blank fields filled in, so a
+//   spreadsheet never overwrites details a driver has already verified.
+// With sendInvites, every driver created by the import is emailed a signed invitation
+// to the verification flow for their job (see lib/job-invite.js). Row problems are reported, never fatal.
+// Stops after IMPORT_TIME_BUDGET_MS and returns nextRow - post again with startRow to carry on.
+
+const { requireStaff } = require('./lib/auth');
+const { parseDriverCsv, validateImportRow } = require('./lib/driver-import');
+const { getDriverRepository } = require('./lib/driver-repository');
+const { getJobEndDates, isJobOpen } = require('./lib/job-dates');
+const { isMondayLimitError } = require('./lib/monday-api');
+const { sendEmail } = require('./lib/mailer');
+const { escapeHtml } = require('./lib/html');
+const { createJobInvite } = require('./lib/job-invite');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+// A tour crew is a handful of rows - anything this big is probably the wrong file
+const MAX_IMPORT_ROWS = 500;
+const IMPORT_TIME_BUDGET_MS = parseInt(process.env.IMPORT_TIME_BUDGET_MS) || 8000;
+
+const drivers = getDriverRepository();
+
+exports.handler = async (event, context) => {
+  console.log('Driver import function called with method:', event.httpMethod);
+
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const auth = requireStaff(event);
+  if (!auth.ok) {
+    return {
+      statusCode: auth.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error })
+    };
+  }
+
+  try {
+    const { csv, requestedBy, sendInvites, dryRun, startRow } = JSON.parse(event.body || '{}');
+
+    if (!csv || !requestedBy) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'csv and requestedBy are required' })
+      };
+    }
+
+    const parsed = parseDriverCsv(csv);
+
+    if (parsed.missingColumns.length > 0) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: `CSV is missing required column(s): ${parsed.missingColumns.join(', ')}`,
+          ignoredColumns: parsed.ignoredColumns
+        })
+      };
+    }
+
+    if (parsed.rows.length > MAX_IMPORT_ROWS) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Too many rows (${parsed.rows.length}) - split the file into batches of ${MAX_IMPORT_ROWS}` })
+      };
+    }
+
+    const result = await importDrivers(parsed.rows, {
+      requestedBy,
+      sendInvites: sendInvites === true,
+      dryRun: dryRun === true,
+      startRow: parseInt(startRow) || 0
+    });
+
+    console.log(`📥 Driver import by ${requestedBy}${dryRun === true ? ' (dry run)' : ''}: ${result.created} created, ` +
+      `${result.updated} updated, ${result.unchanged} unchanged, ${result.invited} invited, ${result.errors.length} row error(s)` +
+      (result.complete ? '' : ` - stopped before row ${result.nextRow}`));
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        dryRun: dryRun === true,
+        ignoredColumns: parsed.ignoredColumns,
+        ...result
+      })
+    };
+
+  } catch (error) {
+    console.error('❌ Driver import error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        details: error.message
+      })
+    };
+  }
+};
+
+// Validate every row, then upsert the good ones in order
+async function importDrivers(rows, { requestedBy, sendInvites, dryRun, startRow }) {
+  const startedAt = Date.now();
+  const report = {
+    complete: true,
+    nextRow: null,
+    totalRows: rows.length,
+    created: 0,
+    updated: 0,
+    unchanged: 0,
+    invited: 0,
+    rows: [],
+    errors: []
+  };
+
+  const checked = rows
+    .filter(({ row }) => row >= startRow)
+    .map(({ row, values }) => ({ row, ...validateImportRow(values) }));
+
+  markDuplicateRows(checked);
+  await checkJobs(checked);
+
+  // One upsert per driver - later rows for the same email only add an invite for their job
+  const upserted = {};
+
+  for (const entry of checked) {
+    if (entry.errors.length > 0) {
+      report.errors.push({ row: entry.row, email: entry.email || null, errors: entry.errors });
+      continue;
+    }
+
+    if (Date.now() - startedAt > IMPORT_TIME_BUDGET_MS) {
+      report.complete = false;
+      report.nextRow = entry.row;
+      break;
+    }
+
+    const audit = { source: 'import-drivers', actor: requestedBy, jobId: entry.jobNumber };
+
+    try {
+      if (!upserted[entry.email]) {
+        upserted[entry.email] = await upsertDriver(entry, { audit, dryRun });
+      }
+
+      const outcome = { row: entry.row, email: entry.email, jobNumber: entry.jobNumber, ...upserted[entry.email] };
+
+      if (sendInvites && outcome.action === 'created' && !dryRun) {
+        try {
+          await sendInvite(entry.email, entry.driverData.driverName, entry.jobNumber, entry.hireEndDate);
+          outcome.invited = true;
+          report.invited++;
+        } catch (inviteError) {
+          console.error(`⚠️ Invite for row ${entry.row} not sent:`, inviteError.message);
+          outcome.invited = false;
+          outcome.inviteError = inviteError.message;
+        }
+      }
+
+      report.rows.push(outcome);
+
+    } catch (error) {
+      // Monday.com is over its limits - stop here so the import can be resumed from this row
+      if (isMondayLimitError(error)) {
+        console.error(`⏳ Driver import paused at row ${entry.row}: ${error.message}`);
+        report.complete = false;
+        report.nextRow = entry.row;
+        report.retryAfterSeconds = error.retryAfterSeconds;
+        break;
+      }
+
+      console.error(`❌ Import row ${entry.row} failed:`, error.message);
+      report.errors.push({ row: entry.row, email: entry.email, errors: [error.message] });
+    }
+  }
+
+  Object.values(upserted).forEach(({ action }) => report[action]++);
+
+  return report;
+}
+
+// INTERNAL: Create the driver, or fill in the fields their record doesn't have yet
+async function upsertDriver(entry, { audit, dryRun }) {
+  const existing = await drivers.findByEmail(entry.email);
+
+  if (!existing) {
+    const driverData = { ...entry.driverData, lastUpdated: new Date().toISOString().split('T')[0] };
+    if (DEBUG_MODE) console.log(`📥 Row ${entry.row}: new driver`, Object.keys(driverData));
+
+    if (!dryRun) {
+      const result = await drivers.create(entry.email, driverData, audit);
+      if (!result.success) throw new Error(result.error || 'Failed to create driver');
+    }
+    return { action: 'created', fields: Object.keys(driverData) };
+  }
+
+  const updates = {};
+  Object.entries(entry.driverData).forEach(([field, value]) => {
+    if (!existing[field]) updates[field] = value;
+  });
+
+  if (Object.keys(updates).length === 0) {
+    return { action: 'unchanged', fields: [] };
+  }
+
+  if (DEBUG_MODE) console.log(`📥 Row ${entry.row}: filling blank fields`, Object.keys(updates));
+
+  if (!dryRun) {
+    const result = await drivers.update(entry.email, updates, audit);
+    if (!result.success) throw new Error(result.error || 'Failed to update driver');
+  }
+  return { action: 'updated', fields: Object.keys(updates) };
+}
+
+// INTERNAL: The same driver on the same job twice is almost always a copy-paste slip
+function markDuplicateRows(entries) {
+  const firstRow = {};
+
+  entries.forEach(entry => {
+    if (!entry.email || !entry.jobNumber) return;
+
+    const key = `${entry.email}|${entry.jobNumber}`;
+    if (firstRow[key]) {
+      entry.errors.push(`Duplicate of row ${firstRow[key]}`);
+    } else {
+      firstRow[key] = entry.row;
+    }
+  });
+}
+
+// INTERNAL: Job numbers must be on the Q&H board and not already finished
+async function checkJobs(entries) {
+  const jobNumbers = entries.filter(entry => entry.jobNumber && entry.errors.length === 0).map(entry => entry.jobNumber);
+  if (jobNumbers.length === 0) return;
+
+  const endDates = await getJobEndDates(jobNumbers);
+
+  entries.forEach(entry => {
+    if (!entry.jobNumber || entry.errors.length > 0) return;
+
+    if (!(entry.jobNumber in endDates)) {
+      entry.errors.push(`Job ${entry.jobNumber} not found`);
+    } else if (!isJobOpen(endDates[entry.jobNumber])) {
+      entry.errors.push(`Job ${entry.jobNumber} finished on ${endDates[entry.jobNumber]}`);
+    } else {
+      entry.hireEndDate = endDates[entry.jobNumber] || null;
+    }
+  });
+}
+
+// INTERNAL: Email a newly imported driver an invitation to start verification for their job
+async function sendInvite(email, driverName, jobNumber, hireEndDate) {
+  const { inviteUrl: link } = createJobInvite({ jobId: jobNumber, email, hireEndDate });
+
+  await sendEmail({
+    to: email,
+    subject: `Driver verification for your Ooosh Tours hire - Job ${jobNumber}`,
+    htmlBody: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <p>Dear ${escapeHtml(driverName)},</p>
+
+        <p>You have been named as a driver on Ooosh Tours hire ${escapeHtml(jobNumber)}.</p>
+
+        <p>Before you can drive, we need to verify your licence and a few details. It takes around ten minutes - please use the same email address this message was sent to.</p>
+
+        <p style="margin: 25px 0;">
+          <a href="${link}" style="background-color: #667eea; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Start driver verification</a>
+        </p>
+
+        <p>If the button doesn't work, copy this link into your browser:<br>${link}</p>
+
+        <p>If you have any questions, please don't hesitate to contact us.</p>
+
+        <p>Thanks,<br>
+        <strong>Ooosh Tours</strong></p>
+      </div>
+    `
+  });
+}
@@ -0,0 +1,200 @@
+// File: functions/job-invite.js
+// OOOSH Driver Verification - Signed invitation links for a hire (see lib/job-invite.js)
+// POST { jobId, email, leadHirerEmail, leadHirerName, requestedBy }   (staff only)
+//   → { inviteUrl, expiresAt, emailed } - email makes the link for one named driver;
+//     leadHirerEmail sends the link to the lead hirer to pass on to their drivers
+// GET ?token=...  → { valid, jobId, email } - used by the app before it trusts the job number
+// Authorization: Bearer <STAFF_API_KEY>
+
+const { requireStaff } = require('./lib/auth');
+const { createJobInvite, verifyJobInvite } = require('./lib/job-invite');
+const { getJobSource, isJobSourceConfigured } = require('./lib/job-source');
+const { isJobOpen } = require('./lib/job-dates');
+const { isMondayLimitError } = require('./lib/monday-api');
+const { sendEmail } = require('./lib/mailer');
+const { escapeHtml } = require('./lib/html');
+const { isValidEmail, sanitizeEmail } = require('./lib/validation');
+
+exports.handler = async (event, context) => {
+  console.log('Job invite function called with method:', event.httpMethod);
+
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    if (event.httpMethod === 'GET') {
+      return checkInvite(event, headers);
+    }
+
+    if (event.httpMethod === 'POST') {
+      return await createInvite(event, headers);
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    if (isMondayLimitError(error)) {
+      const retryAfterSeconds = error.retryAfterSeconds || 60;
+      console.error(`⏳ Job invite: Monday.com limit reached (${error.code})`);
+      return {
+        statusCode: 503,
+        headers: { ...headers, 'Retry-After': String(retryAfterSeconds) },
+        body: JSON.stringify({
+          error: 'Monday.com temporarily unavailable',
+          code: error.code,
+          retryAfterSeconds
+        })
+      };
+    }
+
+    console.error('❌ Job invite error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        details: error.message
+      })
+    };
+  }
+};
+
+// Anyone holding the link can open it - tampered and expired tokens are refused
+function checkInvite(event, headers) {
+  const { token } = event.queryStringParameters || {};
+  const invite = verifyJobInvite(token);
+
+  if (!invite.valid) {
+    console.log(`🔒 Invitation refused: ${invite.error}`);
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({ valid: false, error: invite.error })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify(invite)
+  };
+}
+
+// Staff create the link for a booked hire and, optionally, email it to the lead hirer
+async function createInvite(event, headers) {
+  const auth = requireStaff(event);
+  if (!auth.ok) {
+    return {
+      statusCode: auth.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error })
+    };
+  }
+
+  const { jobId, email, leadHirerEmail, leadHirerName, requestedBy } = JSON.parse(event.body || '{}');
+
+  if (!jobId || !requestedBy) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'jobId and requestedBy are required' })
+    };
+  }
+
+  const invalidEmail = [email, leadHirerEmail].find(value => value && !isValidEmail(sanitizeEmail(String(value))));
+  if (invalidEmail) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: `Invalid email format: ${invalidEmail}` })
+    };
+  }
+
+  let job = null;
+  if (isJobSourceConfigured()) {
+    job = await getJobSource().findJob(jobId);
+
+    if (!job) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: `Job ${jobId} not found` })
+      };
+    }
+
+    if (job.status === 'cancelled' || !isJobOpen(job.endDate)) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ error: `Job ${jobId} is ${job.status === 'cancelled' ? 'cancelled' : 'finished'} - no invitation needed` })
+      };
+    }
+  }
+
+  const invite = createJobInvite({ jobId, email, hireEndDate: job?.endDate });
+  let emailed = false;
+
+  if (leadHirerEmail) {
+    await sendLeadHirerEmail(sanitizeEmail(leadHirerEmail), leadHirerName, job || { jobNumber: String(jobId) }, invite);
+    emailed = true;
+  }
+
+  console.log(`✉️ Invitation for job ${jobId}${email ? ' (named driver)' : ''} created by ${requestedBy}, ` +
+    `expires ${invite.expiresAt}${emailed ? ' - sent to lead hirer' : ''}`);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      jobId: String(jobId),
+      inviteUrl: invite.inviteUrl,
+      expiresAt: invite.expiresAt,
+      emailed
+    })
+  };
+}
+
+// INTERNAL: The lead hirer forwards the link to everyone driving on the hire
+async function sendLeadHirerEmail(to, name, job, invite) {
+  const expires = new Date(invite.expiresAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+
+  await sendEmail({
+    to,
+    subject: `Driver verification link for your Ooosh Tours hire - Job ${job.jobNumber}`,
+    htmlBody: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <p>Dear ${escapeHtml(name || 'hirer')},</p>
+
+        <p>Everyone driving on Ooosh Tours hire ${escapeHtml(job.jobNumber)}${job.jobName ? ` (${escapeHtml(job.jobName)})` : ''} needs to complete our driver verification before the hire starts.</p>
+
+        <p>Please forward this link to each of your drivers. It takes around ten minutes and is best done on a smartphone.</p>
+
+        <p style="margin: 25px 0;">
+          <a href="${invite.inviteUrl}" style="background-color: #667eea; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Start driver verification</a>
+        </p>
+
+        <p>If the button doesn't work, copy this link into your browser:<br>${invite.inviteUrl}</p>
+
+        <p>The link works until ${escapeHtml(expires)}.</p>
+
+        <p>If you have any questions, please don't hesitate to contact us.</p>
+
+        <p>Thanks,<br>
+        <strong>Ooosh Tours</strong></p>
+      </div>
+    `
+  });
+}
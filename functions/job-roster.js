@@ -0,0 +1,184 @@
+// File: functions/job-roster.js
+// OOOSH Driver Verification - Job roster: expected drivers per job and how many are done
+// GET ?jobId=...   → { driversRequired, assigned, verified, complete, counts }
+//                    with a staff token, also the drivers, the named drivers still missing and the roster
+// POST { jobId, driversRequired, expectedDrivers: [email], requestedBy }   (staff only)
+//                  → sets the roster and returns the same status as a staff GET
+// Authorization: Bearer <STAFF_API_KEY>
+
+const { requireStaff, getBearerToken } = require('./lib/auth');
+const { normaliseRoster, getRoster, setRoster, getRosterStatus } = require('./lib/job-roster');
+const { getJobSource, isJobSourceConfigured } = require('./lib/job-source');
+const { isDatabaseConfigured } = require('./lib/db');
+const { isMondayLimitError } = require('./lib/monday-api');
+
+// Job numbers are numeric - anything else never reaches a Monday.com query
+const JOB_ID_PATTERN = /^\d+$/;
+
+exports.handler = async (event, context) => {
+  console.log('Job roster function called with method:', event.httpMethod);
+
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    if (event.httpMethod === 'GET') {
+      return await getStatus(event, headers);
+    }
+
+    if (event.httpMethod === 'POST') {
+      return await updateRoster(event, headers);
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+
+  } catch (error) {
+    if (isMondayLimitError(error)) {
+      const retryAfterSeconds = error.retryAfterSeconds || 60;
+      console.error(`⏳ Job roster: Monday.com limit reached (${error.code})`);
+      return {
+        statusCode: 503,
+        headers: { ...headers, 'Retry-After': String(retryAfterSeconds) },
+        body: JSON.stringify({
+          error: 'Monday.com temporarily unavailable',
+          code: error.code,
+          retryAfterSeconds
+        })
+      };
+    }
+
+    console.error('❌ Job roster error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        details: error.message
+      })
+    };
+  }
+};
+
+// Anyone with the job number sees the counts; driver names and emails are for staff only
+async function getStatus(event, headers) {
+  const { jobId } = event.queryStringParameters || {};
+
+  if (!jobId || !JOB_ID_PATTERN.test(jobId)) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'jobId must be a job number' })
+    };
+  }
+
+  let isStaff = false;
+  if (getBearerToken(event)) {
+    const auth = requireStaff(event);
+    if (!auth.ok) {
+      return {
+        statusCode: auth.statusCode,
+        headers,
+        body: JSON.stringify({ error: auth.error })
+      };
+    }
+    isStaff = true;
+  }
+
+  const status = await getRosterStatus(jobId);
+
+  if (isStaff) {
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ success: true, ...status, roster: await getRoster(jobId) })
+    };
+  }
+
+  const { drivers, missing, ...summary } = status;
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ success: true, ...summary })
+  };
+}
+
+// Staff declare how many drivers a job needs, optionally naming them
+async function updateRoster(event, headers) {
+  const auth = requireStaff(event);
+  if (!auth.ok) {
+    return {
+      statusCode: auth.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error })
+    };
+  }
+
+  if (!isDatabaseConfigured()) {
+    return {
+      statusCode: 503,
+      headers,
+      body: JSON.stringify({ error: 'Job rosters require DATABASE_URL' })
+    };
+  }
+
+  const { jobId, driversRequired, expectedDrivers, requestedBy } = JSON.parse(event.body || '{}');
+
+  if (!jobId || !requestedBy) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'jobId and requestedBy are required' })
+    };
+  }
+
+  if (!JOB_ID_PATTERN.test(String(jobId))) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'jobId must be a job number' })
+    };
+  }
+
+  const roster = normaliseRoster({ driversRequired, expectedDrivers });
+
+  if (roster.errors.length > 0) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Invalid roster', errors: roster.errors })
+    };
+  }
+
+  // A roster for a job number nobody booked is almost certainly a typo
+  if (isJobSourceConfigured()) {
+    const job = await getJobSource().findJob(jobId);
+    if (!job) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: `Job ${jobId} not found` })
+      };
+    }
+  }
+
+  const saved = await setRoster(jobId, { ...roster, requestedBy });
+  const status = await getRosterStatus(jobId);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ success: true, ...status, roster: saved })
+  };
+}
@@ -0,0 +1,144 @@
+// File: functions/lib/audit-log.js
+// OOOSH Driver Verification - Field-level audit trail
+// Every driver record write is diffed against the previous values and each changed
+// field is appended to driver_audit_log. Rows are only ever inserted, never updated.
+//
+// Audit context passed by callers:
+//   source  - function that made the change, e.g. 'idenfy-webhook.setValidityDatesAfterVerification'
+//   actor   - who triggered it: 'driver', 'idenfy', 'staff:<name>', 'system'
+//   scanRef - Idenfy scan reference, if any
+//   jobId   - job number, if any
+
+const crypto = require('crypto');
+const { getDb, isDatabaseConfigured } = require('./db');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+// Fields that never belong in the audit log (Monday.com internals)
+const IGNORED_FIELDS = ['id', 'name', 'mondayItemId'];
+
+/**
+ * List the fields whose value differs between two versions of a driver record
+ * @param {Object} before - Previous values ({} for a new driver)
+ * @param {Object} after - Values being written
+ * @returns {Array} - [{ field, oldValue, newValue }]
+ */
+function diffFields(before = {}, after = {}) {
+  const changes = [];
+
+  Object.entries(after).forEach(([field, newValue]) => {
+    if (IGNORED_FIELDS.includes(field) || newValue === undefined) return;
+
+    const oldValue = before[field];
+    if (normalise(oldValue) === normalise(newValue)) return;
+
+    changes.push({ field, oldValue: oldValue === undefined ? null : oldValue, newValue });
+  });
+
+  return changes;
+}
+
+// Monday.com returns '' for empty columns and numbers as text - compare like with like
+function normalise(value) {
+  if (value === undefined || value === null) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Append one change set to the audit log
+ * @param {Object} entry - { email, before, after, source, actor, scanRef, jobId }
+ * @returns {Promise<Object>} - { success, recorded, changeId }
+ */
+async function recordChanges({ email, before, after, source, actor, scanRef, jobId }) {
+  const changes = diffFields(before, after);
+
+  if (changes.length === 0) {
+    return { success: true, recorded: 0 };
+  }
+
+  const changeId = crypto.randomUUID();
+  const context = {
+    source: source || 'unknown',
+    actor: actor || null,
+    scanRef: scanRef || null,
+    jobId: jobId ? String(jobId) : null
+  };
+
+  if (!isDatabaseConfigured()) {
+    // No audit table available - keep a structured line in the function logs instead
+    console.log('📜 AUDIT', JSON.stringify({ email, changeId, ...context, changes }));
+    return { success: true, recorded: 0, changeId, logged: true };
+  }
+
+  try {
+    const db = await getDb();
+
+    for (const change of changes) {
+      await db.run(
+        `INSERT INTO driver_audit_log
+          (change_id, driver_email, field_name, old_value, new_value, source, actor, scan_ref, job_id)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          changeId,
+          email,
+          change.field,
+          change.oldValue === null ? null : JSON.stringify(change.oldValue),
+          JSON.stringify(change.newValue),
+          context.source,
+          context.actor,
+          context.scanRef,
+          context.jobId
+        ]
+      );
+    }
+
+    if (DEBUG_MODE) console.log(`📜 Audit: ${changes.length} field(s) changed by ${context.source}`);
+    return { success: true, recorded: changes.length, changeId };
+
+  } catch (error) {
+    // Never block a driver update because the audit write failed - but make it loud
+    console.error('❌ Audit log write failed:', error.message, JSON.stringify({ email, changeId, ...context, changes }));
+    return { success: false, recorded: 0, error: error.message };
+  }
+}
+
+/**
+ * Read a driver's change history, newest first
+ * @param {string} email - Driver email
+ * @param {Object} options - { field, limit }
+ * @returns {Promise<Array>} - [{ changeId, field, oldValue, newValue, source, actor, scanRef, jobId, changedAt }]
+ */
+async function getHistory(email, { field, limit = 200 } = {}) {
+  const db = await getDb();
+  const params = [email];
+  let sql = `SELECT id, change_id, field_name, old_value, new_value, source, actor, scan_ref, job_id, created_at
+             FROM driver_audit_log WHERE driver_email = ?`;
+
+  if (field) {
+    sql += ' AND field_name = ?';
+    params.push(field);
+  }
+
+  sql += ` ORDER BY created_at DESC, id DESC LIMIT ${Math.min(Math.max(parseInt(limit) || 200, 1), 1000)}`;
+
+  const rows = await db.query(sql, params);
+
+  return rows.map(row => ({
+    changeId: row.change_id,
+    field: row.field_name,
+    oldValue: row.old_value === null ? null : JSON.parse(row.old_value),
+    newValue: row.new_value === null ? null : JSON.parse(row.new_value),
+    source: row.source,
+    actor: row.actor,
+    scanRef: row.scan_ref,
+    jobId: row.job_id,
+    changedAt: row.created_at
+  }));
+}
+
+module.exports = {
+  diffFields,
+  recordChanges,
+  getHistory
+};
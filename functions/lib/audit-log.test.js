@@ -0,0 +1,149 @@
+/** @jest-environment node */
+// File: functions/lib/audit-log.test.js
+
+const { diffFields, recordChanges, getHistory } = require('./audit-log');
+const { getDb } = require('./db');
+
+let driverCount = 0;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Each test works on its own driver - the in-memory database lasts for the whole file
+function nextDriver() {
+  driverCount += 1;
+  return `audit${driverCount}@example.com`;
+}
+
+describe('diffFields', () => {
+  test('only fields whose value changed are listed', () => {
+    const before = { licenseStatus: 'Valid', dvlaPoints: 3, poaStatus: 'Valid' };
+    const after = { licenseStatus: 'Valid', dvlaPoints: 6, poaStatus: 'Expired' };
+
+    expect(diffFields(before, after)).toEqual([
+      { field: 'dvlaPoints', oldValue: 3, newValue: 6 },
+      { field: 'poaStatus', oldValue: 'Valid', newValue: 'Expired' }
+    ]);
+  });
+
+  test('Monday.com text and empty values compare equal to what was written', () => {
+    const before = { dvlaPoints: '3', additionalDetails: '', licenseEndorsements: [{ code: 'SP30' }] };
+    const after = { dvlaPoints: 3, additionalDetails: null, licenseEndorsements: [{ code: 'SP30' }] };
+
+    expect(diffFields(before, after)).toEqual([]);
+  });
+
+  test('Monday.com internals and fields left out of the write are skipped', () => {
+    expect(diffFields({}, { id: '7000000001', name: 'Jane', mondayItemId: '7000000001', driverName: undefined })).toEqual([]);
+  });
+
+  test('a field seen for the first time has no old value', () => {
+    expect(diffFields(undefined, { nationality: 'GB' })).toEqual([{ field: 'nationality', oldValue: null, newValue: 'GB' }]);
+  });
+});
+
+describe('recordChanges', () => {
+  describe('without a database', () => {
+    test('the change set goes to the function logs', async () => {
+      const result = await recordChanges({ email: 'driver@example.com', before: {}, after: { dvlaPoints: 3 }, source: 'test' });
+
+      expect(result).toMatchObject({ success: true, recorded: 0, logged: true, changeId: expect.any(String) });
+      expect(console.log).toHaveBeenCalledWith('📜 AUDIT', expect.stringContaining('"field":"dvlaPoints"'));
+    });
+  });
+
+  describe('with a database', () => {
+    beforeAll(() => {
+      process.env.DATABASE_URL = 'sqlite::memory:';
+    });
+
+    afterAll(() => {
+      delete process.env.DATABASE_URL;
+    });
+
+    test('each changed field is stored with where the change came from', async () => {
+      const email = nextDriver();
+
+      const result = await recordChanges({
+        email,
+        before: { licenseStatus: 'Valid', dvlaPoints: 0 },
+        after: { licenseStatus: 'Valid', dvlaPoints: 3 },
+        source: 'idenfy-webhook.test',
+        actor: 'idenfy',
+        scanRef: 'scan-123',
+        jobId: 11001
+      });
+
+      expect(result).toMatchObject({ success: true, recorded: 1 });
+      expect(await getHistory(email)).toEqual([{
+        changeId: result.changeId,
+        field: 'dvlaPoints',
+        oldValue: 0,
+        newValue: 3,
+        source: 'idenfy-webhook.test',
+        actor: 'idenfy',
+        scanRef: 'scan-123',
+        jobId: '11001',
+        changedAt: expect.anything()
+      }]);
+    });
+
+    test('nothing is stored when nothing changed', async () => {
+      const email = nextDriver();
+
+      expect(await recordChanges({ email, before: { dvlaPoints: 3 }, after: { dvlaPoints: '3' }, source: 'test' }))
+        .toEqual({ success: true, recorded: 0 });
+      expect(await getHistory(email)).toEqual([]);
+    });
+
+    test('a change with no source is recorded as unknown', async () => {
+      const email = nextDriver();
+      await recordChanges({ email, before: {}, after: { nationality: 'GB' } });
+
+      expect((await getHistory(email))[0]).toMatchObject({ source: 'unknown', actor: null, scanRef: null, jobId: null });
+    });
+  });
+});
+
+describe('getHistory', () => {
+  beforeAll(() => {
+    process.env.DATABASE_URL = 'sqlite::memory:';
+  });
+
+  afterAll(() => {
+    delete process.env.DATABASE_URL;
+  });
+
+  test('newest first, by time and then by the order the changes were written', async () => {
+    const email = nextDriver();
+    await recordChanges({ email, before: {}, after: { dvlaPoints: 0 }, source: 'first' });
+    await recordChanges({ email, before: { dvlaPoints: 0 }, after: { dvlaPoints: 3 }, source: 'second' });
+
+    // Written last, but dated before the others
+    const db = await getDb();
+    await db.run(
+      `INSERT INTO driver_audit_log (change_id, driver_email, field_name, old_value, new_value, source, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      ['imported', email, 'dvlaPoints', null, '"0"', 'import', '2020-01-01 00:00:00']
+    );
+
+    expect((await getHistory(email)).map(change => change.source)).toEqual(['second', 'first', 'import']);
+  });
+
+  test('can be narrowed to one field and limited', async () => {
+    const email = nextDriver();
+    await recordChanges({ email, before: {}, after: { dvlaPoints: 0, nationality: 'GB' }, source: 'first' });
+    await recordChanges({ email, before: { dvlaPoints: 0 }, after: { dvlaPoints: 3 }, source: 'second' });
+    await recordChanges({ email, before: { dvlaPoints: 3 }, after: { dvlaPoints: 6 }, source: 'third' });
+
+    const history = await getHistory(email, { field: 'dvlaPoints', limit: 2 });
+
+    expect(history.map(change => [change.source, change.newValue])).toEqual([['third', 6], ['second', 3]]);
+  });
+});
@@ -0,0 +1,101 @@
+// File: functions/lib/auth.js
+// OOOSH Driver Verification - Request authentication helpers
+// Staff-only endpoints expect: Authorization: Bearer <STAFF_API_KEY>
+// Our functions calling each other send: X-Internal-Secret: <INTERNAL_API_SECRET>
+
+const crypto = require('crypto');
+
+/**
+ * Read the bearer token from a Netlify event
+ * @param {Object} event - Netlify function event
+ * @returns {string|null} - Token, or null if none was sent
+ */
+function getBearerToken(event) {
+  const header = event.headers?.authorization || event.headers?.Authorization || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// Constant-time string comparison
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Check that a request comes from OOOSH staff
+ * @param {Object} event - Netlify function event
+ * @returns {Object} - { ok: true } or { ok: false, statusCode, error }
+ */
+function requireStaff(event) {
+  const staffKey = process.env.STAFF_API_KEY;
+
+  if (!staffKey) {
+    console.error('❌ STAFF_API_KEY not configured');
+    return { ok: false, statusCode: 503, error: 'Staff access is not configured' };
+  }
+
+  const token = getBearerToken(event);
+
+  if (!token) {
+    return { ok: false, statusCode: 401, error: 'Unauthorized: staff token required' };
+  }
+
+  if (!safeEqual(token, staffKey)) {
+    return { ok: false, statusCode: 403, error: 'Forbidden: invalid staff token' };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Is this one of our own functions calling another? (X-Internal-Secret: <INTERNAL_API_SECRET>)
+ * @param {Object} event - Netlify function event
+ * @returns {boolean}
+ */
+function isInternalRequest(event) {
+  const secret = process.env.INTERNAL_API_SECRET;
+  const header = event.headers?.['x-internal-secret'] || event.headers?.['X-Internal-Secret'];
+  return !!secret && !!header && safeEqual(header, secret);
+}
+
+/**
+ * Check that a request comes from one of our own functions
+ * @param {Object} event - Netlify function event
+ * @returns {Object} - { ok: true } or { ok: false, statusCode, error }
+ */
+function requireInternal(event) {
+  if (!process.env.INTERNAL_API_SECRET) {
+    console.error('❌ INTERNAL_API_SECRET not configured');
+    return { ok: false, statusCode: 503, error: 'Internal access is not configured' };
+  }
+
+  if (!isInternalRequest(event)) {
+    return { ok: false, statusCode: 403, error: 'Forbidden: internal use only' };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Headers for calling another of our functions from the server
+ * @param {Object} headers - Other headers to send
+ * @returns {Object} - headers plus X-Internal-Secret
+ */
+function internalHeaders(headers = {}) {
+  if (!process.env.INTERNAL_API_SECRET) {
+    console.error('❌ INTERNAL_API_SECRET not configured - internal call will be refused');
+    return headers;
+  }
+  return { ...headers, 'X-Internal-Secret': process.env.INTERNAL_API_SECRET };
+}
+
+module.exports = {
+  getBearerToken,
+  safeEqual,
+  requireStaff,
+  isInternalRequest,
+  requireInternal,
+  internalHeaders
+};
@@ -0,0 +1,148 @@
+// File: functions/lib/document-results.js
+// OOOSH Driver Verification - Signed outcomes of document-processor's OCR
+// DVLA points, excess and the DVLA / POA validity dates only ever come from our own OCR:
+// document-processor signs the fields a document sets into a result token, the browser hands
+// the token to monday-integration (record-document-results), and only signed fields are written.
+
+const { createSignedToken, verifySignedToken } = require('./signed-token');
+const { sanitizeEmail } = require('./validation');
+
+const TOKEN_PURPOSE = 'document-result';
+// Long enough to finish the page the document was read on
+const RESULT_TTL_SECONDS = 60 * 60;
+
+const POA_DOCUMENT_TYPES = ['poa1', 'poa2'];
+
+// A DVLA check is good for 30 days; a POA for 90 days from its date (30 from today if undated)
+const DVLA_VALIDITY_DAYS = 30;
+const POA_DOCUMENT_VALIDITY_DAYS = 90;
+const POA_DEFAULT_VALIDITY_DAYS = 30;
+
+// Excess before endorsement loadings, and VAT on the total
+const BASE_EXCESS = 1000;
+const VAT_MULTIPLIER = 1.2;
+
+/**
+ * Board A fields a DVLA check sets
+ * @param {Object} dvlaResult - document-processor's DVLA result (with insuranceDecision)
+ * @param {Date} today
+ * @returns {Object} - { fields, outcome } - outcome is 'passed', 'review' or 'rejected'
+ */
+function buildDvlaResult(dvlaResult, today = new Date()) {
+  const decision = dvlaResult.insuranceDecision || {};
+  const fields = { dvlaPoints: dvlaResult.totalPoints || 0 };
+
+  // Not eligible for this hire's vehicle - recorded against the job, keep the points on file
+  if (decision.rejected) {
+    return { fields, outcome: 'rejected' };
+  }
+
+  fields.dvlaEndorsements = formatEndorsements(dvlaResult.endorsements);
+
+  // No dvlaValidUntil - the check only counts once insurance have reviewed it
+  if (decision.manualReview) {
+    return { fields: { ...fields, dvlaCalculatedExcess: 'Pending Review' }, outcome: 'review' };
+  }
+
+  const excess = (BASE_EXCESS + (decision.excess || 0)) * VAT_MULTIPLIER;
+
+  return {
+    fields: {
+      ...fields,
+      dvlaCalculatedExcess: `£${excess.toLocaleString('en-GB')}`,
+      dvlaValidUntil: addDays(today, DVLA_VALIDITY_DAYS)
+    },
+    outcome: 'passed'
+  };
+}
+
+/**
+ * Board A fields a proof of address sets
+ * @param {Object} poaResult - document-processor's POA result
+ * @param {string} documentType - 'poa1' or 'poa2'
+ * @param {Date} today
+ * @returns {Object} - { fields, outcome, providerName }
+ */
+function buildPoaResult(poaResult, documentType, today = new Date()) {
+  const documentDate = poaResult.documentDate ? new Date(poaResult.documentDate) : null;
+  const validUntil = documentDate && !isNaN(documentDate.getTime())
+    ? addDays(documentDate, POA_DOCUMENT_VALIDITY_DAYS)
+    : addDays(today, POA_DEFAULT_VALIDITY_DAYS);
+
+  return {
+    fields: { [`${documentType}ValidUntil`]: validUntil },
+    outcome: 'passed',
+    // Kept for the duplicate check - two POAs from one provider are the same document twice
+    providerName: poaResult.providerName || null
+  };
+}
+
+/**
+ * Sign what a processed document sets on the driver
+ * @param {string} email - Driver the document belongs to
+ * @param {string} documentType - 'dvla', 'poa1' or 'poa2'
+ * @param {Object} result - document-processor's result for the document
+ * @returns {string|null} - Result token, or null when the document sets nothing
+ */
+function signDocumentResult(email, documentType, result) {
+  let signed = null;
+
+  if (documentType === 'dvla' && result.isValid) {
+    signed = buildDvlaResult(result);
+  } else if (POA_DOCUMENT_TYPES.includes(documentType) && result.extractionSuccess) {
+    signed = buildPoaResult(result, documentType);
+  }
+
+  if (!email || !signed) {
+    return null;
+  }
+
+  return createSignedToken(
+    { email: sanitizeEmail(email), documentType, ...signed },
+    { purpose: TOKEN_PURPOSE, expiresInSeconds: RESULT_TTL_SECONDS }
+  ).token;
+}
+
+/**
+ * Check a result token belongs to this driver
+ * @param {string} token - Token from signDocumentResult
+ * @param {string} email - Driver recording the result
+ * @returns {Object} - { valid: true, result: { documentType, fields, outcome, providerName } } or { valid: false, error }
+ */
+function verifyDocumentResult(token, email) {
+  const check = verifySignedToken(token, TOKEN_PURPOSE);
+
+  if (!check.valid) {
+    return { valid: false, error: check.error };
+  }
+
+  if (!email || check.payload.email !== sanitizeEmail(String(email))) {
+    return { valid: false, error: 'Document result belongs to another driver' };
+  }
+
+  const { documentType, fields, outcome, providerName } = check.payload;
+  return { valid: true, result: { documentType, fields, outcome, providerName: providerName || null } };
+}
+
+// INTERNAL: Endorsements as stored on Board A, e.g. "SP30 (3 pts), CU80 (6 pts)"
+function formatEndorsements(endorsements) {
+  if (!endorsements || endorsements.length === 0) {
+    return 'None';
+  }
+  return endorsements.map(endorsement => `${endorsement.code} (${endorsement.points} pts)`).join(', ');
+}
+
+// INTERNAL: YYYY-MM-DD a number of days after a date
+function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result.toISOString().split('T')[0];
+}
+
+module.exports = {
+  POA_DOCUMENT_TYPES,
+  buildDvlaResult,
+  buildPoaResult,
+  signDocumentResult,
+  verifyDocumentResult
+};
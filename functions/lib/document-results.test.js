@@ -0,0 +1,91 @@
+/** @jest-environment node */
+// File: functions/lib/document-results.test.js
+
+const { buildDvlaResult, buildPoaResult, signDocumentResult, verifyDocumentResult } = require('./document-results');
+
+const TODAY = new Date('2026-06-15T12:00:00Z');
+
+beforeEach(() => {
+  process.env.TOKEN_SIGNING_SECRET = 'test-token-secret';
+});
+
+describe('buildDvlaResult', () => {
+  const endorsements = [{ code: 'SP30', points: 3 }, { code: 'CU80', points: 6 }];
+
+  test('a clean check sets the excess and a 30 day validity date', () => {
+    expect(buildDvlaResult({ totalPoints: 0, endorsements: [], insuranceDecision: { excess: 0 } }, TODAY)).toEqual({
+      fields: { dvlaPoints: 0, dvlaEndorsements: 'None', dvlaCalculatedExcess: '£1,200', dvlaValidUntil: '2026-07-15' },
+      outcome: 'passed'
+    });
+  });
+
+  test('endorsement loadings are added to the excess before VAT', () => {
+    const { fields } = buildDvlaResult({ totalPoints: 9, endorsements, insuranceDecision: { excess: 500 } }, TODAY);
+
+    expect(fields).toMatchObject({ dvlaEndorsements: 'SP30 (3 pts), CU80 (6 pts)', dvlaCalculatedExcess: '£1,800' });
+  });
+
+  test('a check for insurance review is not valid yet', () => {
+    expect(buildDvlaResult({ totalPoints: 9, endorsements, insuranceDecision: { manualReview: true } }, TODAY)).toEqual({
+      fields: { dvlaPoints: 9, dvlaEndorsements: 'SP30 (3 pts), CU80 (6 pts)', dvlaCalculatedExcess: 'Pending Review' },
+      outcome: 'review'
+    });
+  });
+
+  test('a rejected check only keeps the points on file', () => {
+    expect(buildDvlaResult({ totalPoints: 12, endorsements, insuranceDecision: { rejected: true } }, TODAY)).toEqual({
+      fields: { dvlaPoints: 12 },
+      outcome: 'rejected'
+    });
+  });
+});
+
+describe('buildPoaResult', () => {
+  test('a dated document is valid for 90 days from its date', () => {
+    expect(buildPoaResult({ documentDate: '2026-05-01', providerName: 'British Gas' }, 'poa1', TODAY)).toEqual({
+      fields: { poa1ValidUntil: '2026-07-30' },
+      outcome: 'passed',
+      providerName: 'British Gas'
+    });
+  });
+
+  test('an undated document is valid for 30 days from today', () => {
+    expect(buildPoaResult({ documentDate: 'unreadable' }, 'poa2', TODAY).fields).toEqual({ poa2ValidUntil: '2026-07-15' });
+  });
+});
+
+describe('signed results', () => {
+  const dvlaResult = { isValid: true, totalPoints: 0, endorsements: [], insuranceDecision: { excess: 0 } };
+
+  test('a signed result verifies for the driver it was read for', () => {
+    const token = signDocumentResult('Driver@Example.com', 'dvla', dvlaResult);
+
+    expect(verifyDocumentResult(token, 'driver@example.com')).toEqual({
+      valid: true,
+      result: { documentType: 'dvla', fields: expect.objectContaining({ dvlaPoints: 0 }), outcome: 'passed', providerName: null }
+    });
+  });
+
+  test('another driver cannot record the result', () => {
+    const token = signDocumentResult('driver@example.com', 'dvla', dvlaResult);
+
+    expect(verifyDocumentResult(token, 'someone@example.com')).toEqual({ valid: false, error: 'Document result belongs to another driver' });
+  });
+
+  test('a result with changed fields is refused', () => {
+    const token = signDocumentResult('driver@example.com', 'poa1', { extractionSuccess: true, documentDate: '2026-05-01' });
+    const [payload, signature] = token.split('.');
+    const changed = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    changed.fields.poa1ValidUntil = '2099-01-01';
+    const forged = `${Buffer.from(JSON.stringify(changed)).toString('base64url')}.${signature}`;
+
+    expect(verifyDocumentResult(forged, 'driver@example.com').valid).toBe(false);
+  });
+
+  test('documents that could not be read set nothing', () => {
+    expect(signDocumentResult('driver@example.com', 'dvla', { ...dvlaResult, isValid: false })).toBeNull();
+    expect(signDocumentResult('driver@example.com', 'poa1', { extractionSuccess: false })).toBeNull();
+    expect(signDocumentResult('driver@example.com', 'licence', dvlaResult)).toBeNull();
+    expect(signDocumentResult(null, 'dvla', dvlaResult)).toBeNull();
+  });
+});
@@ -0,0 +1,318 @@
+// File: functions/lib/driver-erasure.js
+// OOOSH Driver Verification - GDPR erasure of a driver's full footprint
+// Removes the driver from every store we write to:
+//   Monday.com  - Board A item(s) with their licence/POA/DVLA/signature files, all Board B rows
+//   Apps Script - verification codes, insurance answers and anything else held in Google Sheets
+//   SQL         - drivers, driver_verifications, email_verifications, stored Idenfy webhooks;
+//                 audit entries are anonymised
+// What remains is a tombstone keyed by a hash of the email: when and why it was erased, the
+// deletion receipt, and any legal hold. A driver on legal hold cannot be erased.
+
+const crypto = require('crypto');
+const { callMondayAPI } = require('./monday-api');
+const { findDriverFootprint } = require('./driver-footprint');
+const { getDb, isDatabaseConfigured } = require('./db');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+/**
+ * Hash an email for the tombstone table - the same email always gives the same hash
+ * @param {string} email - Driver email
+ * @returns {string} - 64 character hex digest
+ */
+function hashEmail(email) {
+  // A published fallback key would let anyone confirm an email from its tombstone
+  const key = process.env.TOMBSTONE_HASH_KEY;
+  if (!key) {
+    throw new Error('TOMBSTONE_HASH_KEY environment variable not set');
+  }
+  return crypto.createHmac('sha256', key).update(String(email).trim().toLowerCase()).digest('hex');
+}
+
+/**
+ * Read the tombstone for an email, if there is one
+ * @param {string} email - Driver email
+ * @returns {Promise<Object|null>} - { emailHash, legalHold, holdReason, holdSetBy, erasedAt, erasedBy, erasureReason, receipt }
+ */
+async function getTombstone(email) {
+  if (!isDatabaseConfigured()) return null;
+
+  const db = await getDb();
+  const rows = await db.query('SELECT * FROM driver_tombstones WHERE email_hash = ?', [hashEmail(email)]);
+
+  if (rows.length === 0) return null;
+
+  const row = rows[0];
+  return {
+    emailHash: row.email_hash,
+    legalHold: !!row.legal_hold,
+    holdReason: row.hold_reason,
+    holdSetBy: row.hold_set_by,
+    erasedAt: row.erased_at,
+    erasedBy: row.erased_by,
+    erasureReason: row.erasure_reason,
+    receipt: typeof row.receipt === 'string' ? JSON.parse(row.receipt) : row.receipt
+  };
+}
+
+/**
+ * Place or release a legal hold - a held driver is skipped by erasure and the retention purge
+ * @param {string} email - Driver email
+ * @param {Object} options - { hold, reason, requestedBy }
+ * @returns {Promise<Object>} - The updated tombstone
+ */
+async function setLegalHold(email, { hold, reason, requestedBy }) {
+  if (!isDatabaseConfigured()) {
+    throw new Error('Legal holds require DATABASE_URL');
+  }
+
+  await saveTombstone(email, {
+    legal_hold: hold ? 1 : 0,
+    hold_reason: hold ? (reason || null) : null,
+    hold_set_by: requestedBy || null
+  });
+
+  console.log(`⚖️ Legal hold ${hold ? 'placed on' : 'released for'} ${hashEmail(email).slice(0, 12)}… by ${requestedBy || 'unknown'}`);
+  return getTombstone(email);
+}
+
+/**
+ * Erase everything held about a driver and return a deletion receipt
+ * Each store is attempted even if an earlier one fails - the receipt lists what went wrong
+ * @param {string} email - Driver email
+ * @param {Object} options - { requestedBy, reason, dryRun }
+ * @returns {Promise<Object>} - { success, blocked, receipt }
+ */
+async function eraseDriver(email, { requestedBy, reason, dryRun = false } = {}) {
+  if (!email) {
+    throw new Error('Email is required');
+  }
+
+  const tombstone = await getTombstone(email);
+  if (tombstone?.legalHold) {
+    console.log(`⚖️ Erasure refused - legal hold: ${tombstone.holdReason || 'no reason recorded'}`);
+    return {
+      success: false,
+      blocked: true,
+      error: 'Driver is under legal hold',
+      holdReason: tombstone.holdReason
+    };
+  }
+
+  const receipt = {
+    receiptId: crypto.randomUUID(),
+    emailHash: hashEmail(email),
+    requestedBy: requestedBy || 'unknown',
+    reason: reason || 'erasure request',
+    dryRun,
+    startedAt: new Date().toISOString(),
+    monday: { boardAItems: [], boardBItems: [], files: 0 },
+    googleAppsScript: null,
+    database: null,
+    errors: []
+  };
+
+  // 1. Monday.com - files and update history are deleted with their items
+  try {
+    const footprint = await findDriverFootprint(email);
+    receipt.monday.files = footprint.boardA.reduce((total, item) => total + item.files.length, 0);
+
+    // Monday.com keeps deleted items (and their files) in the board trash for 30 days
+    const trashPurgedBy = new Date();
+    trashPurgedBy.setDate(trashPurgedBy.getDate() + 30);
+    receipt.monday.trashPurgedBy = trashPurgedBy.toISOString().split('T')[0];
+
+    for (const item of footprint.boardB) {
+      if (await deleteItem(item.id, dryRun, receipt)) receipt.monday.boardBItems.push(item.id);
+    }
+
+    for (const item of footprint.boardA) {
+      if (await deleteItem(item.id, dryRun, receipt)) receipt.monday.boardAItems.push(item.id);
+    }
+  } catch (error) {
+    console.error('❌ Erasure: Monday.com lookup failed:', error.message);
+    receipt.errors.push({ store: 'monday', error: error.message });
+  }
+
+  // 2. Google Apps Script (verification codes, insurance answers)
+  receipt.googleAppsScript = await eraseFromAppsScript(email, dryRun, receipt);
+
+  // 3. SQL store
+  receipt.database = await eraseFromDatabase(email, receipt.emailHash, dryRun, receipt);
+
+  receipt.completedAt = new Date().toISOString();
+  receipt.complete = receipt.errors.length === 0;
+
+  // 4. Tombstone - the only thing left behind
+  if (!dryRun) {
+    receipt.tombstoneStored = await storeErasureTombstone(email, receipt);
+  }
+
+  // No email in the log line - the receipt is keyed by hash like the tombstone
+  console.log(`🧾 ERASURE${dryRun ? ' (dry run)' : ''}`, JSON.stringify(receipt));
+
+  return { success: true, blocked: false, receipt };
+}
+
+// INTERNAL: Delete one Monday.com item, recording any failure on the receipt (returns true if deleted)
+async function deleteItem(itemId, dryRun, receipt) {
+  if (dryRun) return true;
+
+  try {
+    const mutation = `
+      mutation {
+        delete_item (item_id: ${itemId}) {
+          id
+        }
+      }
+    `;
+    await callMondayAPI(mutation);
+    if (DEBUG_MODE) console.log('🗑️ Deleted Monday.com item:', itemId);
+    return true;
+  } catch (error) {
+    console.error(`❌ Erasure: could not delete item ${itemId}:`, error.message);
+    receipt.errors.push({ store: 'monday', itemId, error: error.message });
+    return false;
+  }
+}
+
+// INTERNAL: Ask the Apps Script to remove every sheet row for the email
+async function eraseFromAppsScript(email, dryRun, receipt) {
+  if (!process.env.GOOGLE_APPS_SCRIPT_URL) {
+    return { status: 'not-configured' };
+  }
+
+  if (dryRun) {
+    return { status: 'skipped (dry run)' };
+  }
+
+  try {
+    const response = await fetch(process.env.GOOGLE_APPS_SCRIPT_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'erase-driver-data', email })
+    });
+
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `Apps Script returned ${response.status}`);
+    }
+
+    return { status: 'erased', rowsDeleted: result.rowsDeleted ?? null };
+
+  } catch (error) {
+    console.error('❌ Erasure: Apps Script failed:', error.message);
+    receipt.errors.push({ store: 'googleAppsScript', error: error.message });
+    return { status: 'failed' };
+  }
+}
+
+// INTERNAL: Delete SQL rows for the email; audit entries keep their shape but lose the personal data
+async function eraseFromDatabase(email, emailHash, dryRun, receipt) {
+  if (!isDatabaseConfigured()) {
+    return { status: 'not-configured' };
+  }
+
+  try {
+    const db = await getDb();
+    const drivers = await db.query('SELECT id FROM drivers WHERE email = ?', [email]);
+    const driverIds = drivers.map(driver => driver.id);
+
+    if (dryRun) {
+      const [codes] = await db.query('SELECT COUNT(*) AS total FROM email_verifications WHERE email = ?', [email]);
+      const [auditEntries] = await db.query('SELECT COUNT(*) AS total FROM driver_audit_log WHERE driver_email = ?', [email]);
+      const [rosterPlaces] = await db.query('SELECT COUNT(*) AS total FROM job_roster_drivers WHERE email = ?', [email]);
+      const [webhookEvents] = await db.query('SELECT COUNT(*) AS total FROM idenfy_webhook_events WHERE driver_email = ?', [email]);
+      return {
+        status: 'skipped (dry run)',
+        drivers: driverIds.length,
+        emailVerifications: Number(codes.total),
+        auditEntries: Number(auditEntries.total),
+        rosterPlaces: Number(rosterPlaces.total),
+        webhookEvents: Number(webhookEvents.total)
+      };
+    }
+
+    // driver_verifications cascades in MySQL, but SQLite only cascades with foreign_keys on
+    let verifications = 0;
+    for (const driverId of driverIds) {
+      verifications += (await db.run('DELETE FROM driver_verifications WHERE driver_id = ?', [driverId])).changes;
+    }
+
+    const deletedDrivers = await db.run('DELETE FROM drivers WHERE email = ?', [email]);
+    const deletedCodes = await db.run('DELETE FROM email_verifications WHERE email = ?', [email]);
+    const deletedRosterPlaces = await db.run('DELETE FROM job_roster_drivers WHERE email = ?', [email]);
+    const deletedWebhookEvents = await db.run('DELETE FROM idenfy_webhook_events WHERE driver_email = ?', [email]);
+    const anonymised = await db.run(
+      'UPDATE driver_audit_log SET driver_email = ?, old_value = NULL, new_value = NULL WHERE driver_email = ?',
+      [`erased:${emailHash}`, email]
+    );
+
+    return {
+      status: 'erased',
+      drivers: deletedDrivers.changes,
+      driverVerifications: verifications,
+      emailVerifications: deletedCodes.changes,
+      rosterPlaces: deletedRosterPlaces.changes,
+      webhookEvents: deletedWebhookEvents.changes,
+      auditEntriesAnonymised: anonymised.changes
+    };
+
+  } catch (error) {
+    console.error('❌ Erasure: database failed:', error.message);
+    receipt.errors.push({ store: 'database', error: error.message });
+    return { status: 'failed' };
+  }
+}
+
+// INTERNAL: Record the erasure on the tombstone (returns false when there is nowhere to keep it)
+async function storeErasureTombstone(email, receipt) {
+  if (!isDatabaseConfigured()) {
+    console.log('⚠️ No DATABASE_URL - erasure receipt is only in the function logs');
+    return false;
+  }
+
+  try {
+    await saveTombstone(email, {
+      erased_at: receipt.completedAt.replace('T', ' ').slice(0, 19),
+      erased_by: receipt.requestedBy,
+      erasure_reason: receipt.reason,
+      receipt: JSON.stringify(receipt)
+    });
+    return true;
+  } catch (error) {
+    console.error('❌ Erasure: tombstone write failed:', error.message);
+    receipt.errors.push({ store: 'tombstone', error: error.message });
+    return false;
+  }
+}
+
+// INTERNAL: Insert or update a tombstone row (same SQL for MySQL and SQLite)
+async function saveTombstone(email, values) {
+  const db = await getDb();
+  const emailHash = hashEmail(email);
+  const existing = await db.query('SELECT email_hash FROM driver_tombstones WHERE email_hash = ?', [emailHash]);
+  const columns = Object.keys(values);
+
+  if (existing.length > 0) {
+    await db.run(
+      `UPDATE driver_tombstones SET ${columns.map(column => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+       WHERE email_hash = ?`,
+      [...Object.values(values), emailHash]
+    );
+  } else {
+    await db.run(
+      `INSERT INTO driver_tombstones (email_hash, ${columns.join(', ')}) VALUES (?, ${columns.map(() => '?').join(', ')})`,
+      [emailHash, ...Object.values(values)]
+    );
+  }
+}
+
+module.exports = {
+  hashEmail,
+  getTombstone,
+  setLegalHold,
+  eraseDriver
+};
@@ -0,0 +1,112 @@
+/** @jest-environment node */
+// File: functions/lib/driver-erasure.test.js
+
+const { installPlainFetch } = require('../../dev/monday/plain-fetch');
+const { eraseDriver, getTombstone, setLegalHold, hashEmail } = require('./driver-erasure');
+const { createSqlDriverRepository } = require('./driver-repository');
+const { getHistory } = require('./audit-log');
+const { BOARD_A, BOARD_B } = require('./monday-columns');
+
+// Board A item 7000000003 and Board B row 8000000002 in dev/monday/fixtures
+const EMAIL = 'sam.archer@example.com';
+
+let monday;
+
+beforeAll(() => {
+  process.env.DATABASE_URL = 'sqlite::memory:';
+  process.env.TOMBSTONE_HASH_KEY = 'test-tombstone-key';
+});
+
+afterAll(() => {
+  delete process.env.DATABASE_URL;
+  delete process.env.TOMBSTONE_HASH_KEY;
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  monday = installPlainFetch();
+});
+
+afterEach(async () => {
+  monday.restore();
+  // The in-memory database lasts for the whole file - release any hold a test left behind
+  await setLegalHold(EMAIL, { hold: false, requestedBy: 'test' });
+  jest.restoreAllMocks();
+});
+
+const boardItems = (board) => monday.fake.findItems(board.id, board === BOARD_A ? 'email_mktrgzj' : 'email', EMAIL);
+
+describe('hashEmail', () => {
+  test('the same email always gives the same hash, whatever its case', () => {
+    expect(hashEmail(' Sam.Archer@Example.com ')).toBe(hashEmail(EMAIL));
+    expect(hashEmail(EMAIL)).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
+
+describe('eraseDriver', () => {
+  test('a driver on legal hold is not erased', async () => {
+    await setLegalHold(EMAIL, { hold: true, reason: 'Insurance claim 4411', requestedBy: 'office@example.com' });
+
+    const result = await eraseDriver(EMAIL, { requestedBy: 'retention-policy' });
+
+    expect(result).toEqual({ success: false, blocked: true, error: 'Driver is under legal hold', holdReason: 'Insurance claim 4411' });
+    expect(boardItems(BOARD_A)).toHaveLength(1);
+    expect(boardItems(BOARD_B)).toHaveLength(1);
+  });
+
+  test('a dry run lists what would go and deletes nothing', async () => {
+    const { receipt } = await eraseDriver(EMAIL, { requestedBy: 'test', dryRun: true });
+
+    expect(receipt.monday).toMatchObject({ boardAItems: ['7000000003'], boardBItems: ['8000000002'] });
+    expect(receipt.database.status).toBe('skipped (dry run)');
+    expect(receipt.tombstoneStored).toBeUndefined();
+    expect(boardItems(BOARD_A)).toHaveLength(1);
+    expect((await getTombstone(EMAIL))?.erasedAt ?? null).toBeNull();
+  });
+
+  test('an erasure removes every store and leaves a receipt on the tombstone', async () => {
+    await createSqlDriverRepository().create(EMAIL, { driverName: 'Sam Archer' }, { source: 'test.seed' });
+
+    const result = await eraseDriver(EMAIL, { requestedBy: 'office@example.com', reason: 'Subject request' });
+    const { receipt } = result;
+
+    expect(result).toMatchObject({ success: true, blocked: false });
+    expect(receipt).toMatchObject({
+      emailHash: hashEmail(EMAIL),
+      requestedBy: 'office@example.com',
+      reason: 'Subject request',
+      monday: { boardAItems: ['7000000003'], boardBItems: ['8000000002'], trashPurgedBy: expect.any(String) },
+      googleAppsScript: { status: 'not-configured' },
+      database: { status: 'erased', drivers: 1 },
+      errors: [],
+      complete: true,
+      tombstoneStored: true
+    });
+    expect(JSON.stringify(receipt)).not.toContain(EMAIL);
+
+    expect(boardItems(BOARD_A)).toEqual([]);
+    expect(boardItems(BOARD_B)).toEqual([]);
+    expect(await createSqlDriverRepository().findByEmail(EMAIL)).toBeNull();
+    expect((await getHistory(EMAIL)).length).toBe(0);
+
+    expect(await getTombstone(EMAIL)).toMatchObject({
+      erasedBy: 'office@example.com',
+      erasureReason: 'Subject request',
+      receipt: { receiptId: receipt.receiptId }
+    });
+  });
+
+  test('a failed Monday.com delete is on the receipt and the erasure is incomplete', async () => {
+    const { execute } = monday.fake;
+    monday.fake.execute = (query, variables) => (query.includes('delete_item')
+      ? { errors: [{ message: 'Item is locked' }] }
+      : execute(query, variables));
+
+    const { receipt } = await eraseDriver('jane.smith@example.com', { requestedBy: 'test' });
+
+    expect(receipt.complete).toBe(false);
+    expect(receipt.monday.boardAItems).toEqual([]);
+    expect(receipt.errors).toEqual(expect.arrayContaining([expect.objectContaining({ store: 'monday', itemId: '7000000001' })]));
+  });
+});
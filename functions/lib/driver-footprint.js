@@ -0,0 +1,120 @@
+// File: functions/lib/driver-footprint.js
+// OOOSH Driver Verification - Everything Monday.com holds about one driver
+// Board A item(s) with their uploaded files, and every Board B assignment row.
+// Shared by GDPR erasure and subject access exports so both see the same records.
+
+const { callMondayAPI } = require('./monday-api');
+const { BOARD_A, BOARD_B, getColumnId, parseColumnValues } = require('./monday-columns');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+// Board B rows per driver we expect to find - one per job they have signed for
+const MAX_ASSIGNMENTS = 500;
+
+/**
+ * Find every Monday.com item that belongs to a driver
+ * Board A should hold one item per email, but duplicates are returned too so nothing is missed
+ * @param {string} email - Driver email
+ * @returns {Promise<Object>} - { boardA: [{ id, name, createdAt, data, files }], boardB: [{ id, name, createdAt, data }] }
+ *   files are [{ id, name, fileType, extension, url }] - fileType as in lib/monday-columns.js
+ */
+async function findDriverFootprint(email) {
+  if (!email) {
+    throw new Error('Email is required');
+  }
+
+  const [boardA, boardB] = await Promise.all([
+    findItemsByEmail(BOARD_A, email, 25),
+    findItemsByEmail(BOARD_B, email, MAX_ASSIGNMENTS)
+  ]);
+
+  if (DEBUG_MODE) {
+    console.log(`🔍 Footprint for ${email}: ${boardA.length} Board A item(s), ${boardB.length} Board B row(s)`);
+  }
+
+  return {
+    boardA: boardA.map(item => ({
+      id: item.id,
+      name: item.name,
+      createdAt: item.created_at,
+      data: parseColumnValues(BOARD_A, item),
+      files: describeFiles(item)
+    })),
+    boardB: boardB.map(item => ({
+      id: item.id,
+      name: item.name,
+      createdAt: item.created_at,
+      data: parseColumnValues(BOARD_B, item)
+    }))
+  };
+}
+
+// Board A assets with the document type of the file column they sit in
+function describeFiles(item) {
+  const fileTypes = {};
+
+  BOARD_A.columns.filter(column => column.fileType).forEach(column => {
+    const value = (item.column_values || []).find(col => col.id === column.columnId)?.value;
+    if (!value) return;
+
+    try {
+      (JSON.parse(value).files || []).forEach(file => {
+        fileTypes[String(file.assetId)] = column.fileType;
+      });
+    } catch (error) {
+      console.error(`⚠️ Unreadable file column ${column.columnId}:`, error.message);
+    }
+  });
+
+  return (item.assets || []).map(asset => ({
+    id: asset.id,
+    name: asset.name,
+    fileType: fileTypes[String(asset.id)] || 'other',
+    extension: asset.file_extension,
+    url: asset.public_url || asset.url
+  }));
+}
+
+// Items on one board whose email column matches exactly
+async function findItemsByEmail(board, email, limit) {
+  const query = `
+    query {
+      items_page_by_column_values (
+        board_id: ${board.id},
+        columns: [
+          {
+            column_id: "${getColumnId(board, 'email')}",
+            column_values: ["${email}"]
+          }
+        ],
+        limit: ${limit}
+      ) {
+        items {
+          id
+          name
+          created_at
+          column_values {
+            id
+            text
+            value
+          }
+          assets {
+            id
+            name
+            url
+            public_url
+            file_extension
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await callMondayAPI(query);
+  return response.data?.items_page_by_column_values?.items || [];
+}
+
+module.exports = {
+  findDriverFootprint
+};
@@ -0,0 +1,211 @@
+// File: functions/lib/driver-import.js
+// OOOSH Driver Verification - CSV bulk import of known drivers
+// Repeat clients send a spreadsheet of band/crew drivers before a tour. Each row becomes a
+// Board A driver (or fills the gaps in an existing one) ready for the verification flow.
+//
+// Expected columns (header names are matched loosely - "Licence No", "D.O.B." etc. all work):
+//   name, email, phone, licence number, date of birth, job number
+// name, email and job number are required; the rest are optional.
+
+const { isValidEmail, sanitizeEmail } = require('./validation');
+
+// Header spellings we accept for each import field (compared lowercase, letters and digits only)
+const HEADER_ALIASES = {
+  name: ['name', 'drivername', 'fullname'],
+  email: ['email', 'emailaddress', 'driveremail'],
+  phone: ['phone', 'phonenumber', 'mobile', 'mobilenumber', 'telephone', 'tel'],
+  licenseNumber: ['licencenumber', 'licensenumber', 'licence', 'license', 'licenceno', 'licenseno', 'drivinglicencenumber', 'drivinglicensenumber'],
+  dateOfBirth: ['dob', 'dateofbirth', 'birthdate'],
+  jobNumber: ['jobnumber', 'job', 'jobno', 'jobid', 'jobreference']
+};
+
+const REQUIRED_FIELDS = ['name', 'email', 'jobNumber'];
+
+// Drivers must be old enough to hold a licence and young enough to be a real date of birth
+const MIN_DRIVER_AGE = 17;
+const MAX_DRIVER_AGE = 100;
+
+/**
+ * Parse an import CSV into rows keyed by import field
+ * @param {string} csv - File contents (comma separated, quoted fields allowed, first line is the header)
+ * @returns {Object} - { rows: [{ row, values }], missingColumns, ignoredColumns } - row is the spreadsheet line number
+ */
+function parseDriverCsv(csv) {
+  const records = parseCsv(String(csv || '').replace(/^\uFEFF/, ''));
+  const header = records.shift() || [];
+
+  const fieldByIndex = header.map(title => {
+    const key = String(title).toLowerCase().replace(/[^a-z0-9]/g, '');
+    return Object.keys(HEADER_ALIASES).find(field => HEADER_ALIASES[field].includes(key)) || null;
+  });
+
+  const rows = records
+    .map((record, index) => {
+      const values = {};
+      fieldByIndex.forEach((field, column) => {
+        if (field && values[field] === undefined) values[field] = (record[column] || '').trim();
+      });
+      return { row: index + 2, values, blank: record.every(cell => !cell.trim()) };
+    })
+    .filter(entry => !entry.blank)
+    .map(({ row, values }) => ({ row, values }));
+
+  return {
+    rows,
+    missingColumns: REQUIRED_FIELDS.filter(field => !fieldByIndex.includes(field)),
+    ignoredColumns: header.filter((title, index) => !fieldByIndex[index] && String(title).trim())
+  };
+}
+
+/**
+ * Check one import row and turn it into Board A driver fields
+ * Values must be in the form formatColumnValues() writes (ISO dates, plain text)
+ * @param {Object} values - Parsed row ({ name, email, phone, licenseNumber, dateOfBirth, jobNumber })
+ * @param {Date} today - Reference date for the age check
+ * @returns {Object} - { email, jobNumber, driverData, errors }
+ */
+function validateImportRow(values, today = new Date()) {
+  const errors = [];
+  const driverData = {};
+
+  const name = (values.name || '').replace(/\s+/g, ' ');
+  if (!name) {
+    errors.push('Name is required');
+  } else {
+    driverData.driverName = name;
+  }
+
+  const email = values.email ? sanitizeEmail(values.email) : '';
+  if (!email) {
+    errors.push('Email is required');
+  } else if (!isValidEmail(email)) {
+    errors.push(`Invalid email format: ${values.email}`);
+  } else {
+    driverData.email = email;
+  }
+
+  if (values.phone) {
+    const phone = parsePhone(values.phone);
+    if (!phone) {
+      errors.push(`Invalid phone number: ${values.phone}`);
+    } else {
+      Object.assign(driverData, phone);
+    }
+  }
+
+  if (values.licenseNumber) {
+    const licenseNumber = values.licenseNumber.toUpperCase().replace(/\s+/g, '');
+    if (!/^[A-Z0-9]{5,20}$/.test(licenseNumber)) {
+      errors.push(`Invalid licence number: ${values.licenseNumber}`);
+    } else {
+      driverData.licenseNumber = licenseNumber;
+    }
+  }
+
+  if (values.dateOfBirth) {
+    const dateOfBirth = parseDate(values.dateOfBirth);
+    const age = dateOfBirth ? ageOn(dateOfBirth, today) : null;
+
+    if (!dateOfBirth) {
+      errors.push(`Invalid date of birth: ${values.dateOfBirth} (use YYYY-MM-DD or DD/MM/YYYY)`);
+    } else if (age < MIN_DRIVER_AGE || age > MAX_DRIVER_AGE) {
+      errors.push(`Date of birth out of range: ${values.dateOfBirth}`);
+    } else {
+      driverData.dateOfBirth = dateOfBirth;
+    }
+  }
+
+  const jobNumber = (values.jobNumber || '').replace(/^#/, '');
+  if (!jobNumber) {
+    errors.push('Job number is required');
+  } else if (!/^\d+$/.test(jobNumber)) {
+    errors.push(`Invalid job number: ${values.jobNumber}`);
+  }
+
+  return { email, jobNumber, driverData, errors };
+}
+
+// INTERNAL: RFC 4180 CSV - quoted fields may contain commas, newlines and "" escapes
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+// INTERNAL: Split a phone number the way the verification form stores it ('+44' + '7700900123')
+// UK numbers written with a leading 0 are assumed; other international numbers keep their prefix
+function parsePhone(phone) {
+  const digits = phone.replace(/[\s\-().]/g, '');
+  if (!/^\+?\d{7,15}$/.test(digits)) return null;
+
+  if (digits.startsWith('+44')) return { phoneCountry: '+44', phoneNumber: digits.slice(3).replace(/^0/, '') };
+  if (digits.startsWith('0044')) return { phoneCountry: '+44', phoneNumber: digits.slice(4).replace(/^0/, '') };
+  if (digits.startsWith('0')) return { phoneCountry: '+44', phoneNumber: digits.slice(1) };
+
+  return { phoneNumber: digits };
+}
+
+// INTERNAL: YYYY-MM-DD, or UK day-first DD/MM/YYYY (also - and . separators) → YYYY-MM-DD
+function parseDate(value) {
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  let [year, month, day] = match ? [match[1], match[2], match[3]] : [];
+
+  if (!match) {
+    match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+    if (!match) return null;
+    [day, month, year] = [match[1], match[2], match[3]];
+  }
+
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) return null;
+
+  return date.toISOString().split('T')[0];
+}
+
+function ageOn(dateOfBirth, today) {
+  const [year, month, day] = dateOfBirth.split('-').map(Number);
+  let age = today.getFullYear() - year;
+  if (today.getMonth() + 1 < month || (today.getMonth() + 1 === month && today.getDate() < day)) age--;
+  return age;
+}
+
+module.exports = {
+  parseDriverCsv,
+  validateImportRow
+};
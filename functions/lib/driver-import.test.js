@@ -0,0 +1,136 @@
+/** @jest-environment node */
+// File: functions/lib/driver-import.test.js
+
+const { parseDriverCsv, validateImportRow } = require('./driver-import');
+
+const TODAY = new Date(2026, 5, 15);
+
+describe('parseDriverCsv', () => {
+  test('headers are matched loosely and rows keep their spreadsheet line numbers', () => {
+    const csv = [
+      'Driver Name,E-mail Address,Mobile,Licence No.,D.O.B.,Job #',
+      'Alex Smith,alex@example.com,07700 900123,SMITH801015AB9CD,15/10/1980,11001',
+      '',
+      'Sam Jones,sam@example.com,,,,11001'
+    ].join('\r\n');
+
+    const { rows, missingColumns, ignoredColumns } = parseDriverCsv(csv);
+
+    expect(missingColumns).toEqual([]);
+    expect(ignoredColumns).toEqual([]);
+    expect(rows).toEqual([
+      {
+        row: 2,
+        values: {
+          name: 'Alex Smith',
+          email: 'alex@example.com',
+          phone: '07700 900123',
+          licenseNumber: 'SMITH801015AB9CD',
+          dateOfBirth: '15/10/1980',
+          jobNumber: '11001'
+        }
+      },
+      {
+        row: 4,
+        values: { name: 'Sam Jones', email: 'sam@example.com', phone: '', licenseNumber: '', dateOfBirth: '', jobNumber: '11001' }
+      }
+    ]);
+  });
+
+  test('quoted fields may hold commas, newlines and escaped quotes', () => {
+    const csv = 'name,email,job\n"Smith, Alex ""Al""",alex@example.com,11001\n"Two\nLines",two@example.com,11001\n';
+
+    const { rows } = parseDriverCsv(csv);
+
+    expect(rows.map(entry => entry.values.name)).toEqual(['Smith, Alex "Al"', 'Two\nLines']);
+  });
+
+  test('a byte order mark does not hide the first header', () => {
+    expect(parseDriverCsv('﻿name,email,job number\nAlex,alex@example.com,11001').missingColumns).toEqual([]);
+  });
+
+  test('missing required columns and unknown columns are reported', () => {
+    const { missingColumns, ignoredColumns } = parseDriverCsv('Name,Band,Notes\nAlex,The Band,Drums');
+
+    expect(missingColumns).toEqual(['email', 'jobNumber']);
+    expect(ignoredColumns).toEqual(['Band', 'Notes']);
+  });
+
+  test('an empty file has no rows', () => {
+    expect(parseDriverCsv('')).toEqual({ rows: [], missingColumns: ['name', 'email', 'jobNumber'], ignoredColumns: [] });
+  });
+});
+
+describe('validateImportRow', () => {
+  const validRow = {
+    name: 'Alex   Smith',
+    email: 'Alex@Example.com',
+    phone: '07700 900123',
+    licenseNumber: 'smith 801015 ab9cd',
+    dateOfBirth: '15/10/1980',
+    jobNumber: '#11001'
+  };
+
+  test('a valid row becomes Board A driver fields', () => {
+    expect(validateImportRow(validRow, TODAY)).toEqual({
+      email: 'alex@example.com',
+      jobNumber: '11001',
+      driverData: {
+        driverName: 'Alex Smith',
+        email: 'alex@example.com',
+        phoneCountry: '+44',
+        phoneNumber: '7700900123',
+        licenseNumber: 'SMITH801015AB9CD',
+        dateOfBirth: '1980-10-15'
+      },
+      errors: []
+    });
+  });
+
+  test('only name, email and job number are required', () => {
+    const { driverData, errors } = validateImportRow({ name: 'Sam Jones', email: 'sam@example.com', jobNumber: '11001' }, TODAY);
+
+    expect(errors).toEqual([]);
+    expect(driverData).toEqual({ driverName: 'Sam Jones', email: 'sam@example.com' });
+  });
+
+  test('every problem with a row is reported together', () => {
+    const { errors } = validateImportRow({ email: 'not-an-email', jobNumber: 'ABC' }, TODAY);
+
+    expect(errors).toEqual([
+      'Name is required',
+      'Invalid email format: not-an-email',
+      'Invalid job number: ABC'
+    ]);
+  });
+
+  test.each([
+    ['+44 7700 900123', { phoneCountry: '+44', phoneNumber: '7700900123' }],
+    ['0044 (0)7700 900123', { phoneCountry: '+44', phoneNumber: '7700900123' }],
+    ['+33 6 12 34 56 78', { phoneNumber: '+33612345678' }]
+  ])('phone %s is stored as %j', (phone, expected) => {
+    expect(validateImportRow({ ...validRow, phone }, TODAY).driverData).toMatchObject(expected);
+  });
+
+  test('a phone number that is not a number is refused', () => {
+    expect(validateImportRow({ ...validRow, phone: 'call the office' }, TODAY).errors).toEqual(['Invalid phone number: call the office']);
+  });
+
+  test('ISO and day-first dates of birth are accepted, impossible ones refused', () => {
+    expect(validateImportRow({ ...validRow, dateOfBirth: '1980-10-15' }, TODAY).driverData.dateOfBirth).toBe('1980-10-15');
+    expect(validateImportRow({ ...validRow, dateOfBirth: '15.10.1980' }, TODAY).driverData.dateOfBirth).toBe('1980-10-15');
+    expect(validateImportRow({ ...validRow, dateOfBirth: '31/02/1980' }, TODAY).errors).toEqual([
+      'Invalid date of birth: 31/02/1980 (use YYYY-MM-DD or DD/MM/YYYY)'
+    ]);
+  });
+
+  test('drivers must be between 17 and 100', () => {
+    expect(validateImportRow({ ...validRow, dateOfBirth: '16/06/2009' }, TODAY).errors).toEqual(['Date of birth out of range: 16/06/2009']);
+    expect(validateImportRow({ ...validRow, dateOfBirth: '15/06/2009' }, TODAY).errors).toEqual([]);
+    expect(validateImportRow({ ...validRow, dateOfBirth: '01/01/1920' }, TODAY).errors).toEqual(['Date of birth out of range: 01/01/1920']);
+  });
+
+  test('licence numbers must look like a licence number', () => {
+    expect(validateImportRow({ ...validRow, licenseNumber: 'AB1' }, TODAY).errors).toEqual(['Invalid licence number: AB1']);
+  });
+});
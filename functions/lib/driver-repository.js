@@ -0,0 +1,435 @@
+// File: functions/lib/driver-repository.js
+// OOOSH Driver Verification - Driver Repository
+// One API for reading and writing driver records, whichever store is the source of truth
+//
+// DRIVER_STORE selects the backend:
+//   monday (default) - Board A is the database (via monday-integration)
+//   sql              - drivers / driver_verifications tables in DATABASE_URL,
+//                      mirrored to Board A so staff still see everything in Monday.com
+//
+// Every backend exposes the same methods:
+//   findByEmail(email)                        -> driver object or null (throws when Monday.com is over its limits)
+//   create(email, driverData, audit, options) -> { success, boardAId?, error? }  (updates if the driver exists)
+//   update(email, updates, audit, options)    -> { success, boardAId?, error? }
+//   uploadFile(email, fileType, file)         -> { success, fileId?, error? }
+//   recordVerification(email, jobId, details) -> { success, error? }
+// Writes refused by Monday.com's limits also carry { code, retryAfterSeconds }
+//
+// audit is { source, actor, scanRef, jobId } - see lib/audit-log.js
+// options is { clearReview } - the write records a check the driver has just passed (lib/status-fields.js)
+// Both stores derive the status columns and overall status from the write, as Board A always has
+//
+// createDryRunDriverRepository(repository) wraps any backend so reads pass through and writes
+// are collected as planned changes instead of being made (staff webhook replays).
+
+const { getDb } = require('./db');
+const { recordChanges, diffFields } = require('./audit-log');
+const { calculateUpdateStatuses } = require('./status-fields');
+const { limitErrorFromResult } = require('./monday-api');
+const { internalHeaders } = require('./auth');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+/**
+ * Get the driver repository configured for this environment
+ * @returns {Object} - Driver repository
+ */
+function getDriverRepository() {
+  const store = (process.env.DRIVER_STORE || 'monday').toLowerCase();
+
+  switch (store) {
+    case 'monday':
+      return createMondayDriverRepository();
+    case 'sql':
+      return createSqlDriverRepository({
+        mirror: process.env.MONDAY_MIRROR === 'false' ? null : createMondayDriverRepository()
+      });
+    default:
+      throw new Error(`Unknown DRIVER_STORE: ${store}`);
+  }
+}
+
+// ========================================
+// MONDAY.COM ADAPTER (Board A)
+// ========================================
+
+function createMondayDriverRepository() {
+  // POST an action to the monday-integration function and normalise the result
+  const callMondayIntegration = async (payload) => {
+    const response = await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
+      method: 'POST',
+      headers: internalHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(payload)
+    });
+
+    let result;
+    try {
+      result = await response.json();
+    } catch (parseError) {
+      result = { error: `Invalid response from monday-integration (${response.status})` };
+    }
+
+    return {
+      ...result,
+      success: response.ok && result.success !== false,
+      error: result.error || result.details || result.message || (response.ok ? undefined : `HTTP ${response.status}`)
+    };
+  };
+
+  return {
+    store: 'monday',
+
+    async findByEmail(email) {
+      let result;
+      try {
+        result = await callMondayIntegration({ action: 'find-driver-board-a', email });
+      } catch (error) {
+        console.error('❌ Monday repository find error:', error.message);
+        return null;
+      }
+
+      // Over Monday.com's limits is not the same as "no such driver"
+      if (result.retryAfterSeconds) {
+        throw limitErrorFromResult(result);
+      }
+      return result.success && result.driver ? result.driver : null;
+    },
+
+    async create(email, driverData, audit, { clearReview = false } = {}) {
+      try {
+        return await callMondayIntegration({ action: 'create-driver-board-a', email, driverData, audit, clearReview });
+      } catch (error) {
+        console.error('❌ Monday repository create error:', error.message);
+        return { success: false, error: error.message };
+      }
+    },
+
+    async update(email, updates, audit, { clearReview = false } = {}) {
+      try {
+        return await callMondayIntegration({ action: 'update-driver-board-a', email, updates, audit, clearReview });
+      } catch (error) {
+        console.error('❌ Monday repository update error:', error.message);
+        return { success: false, error: error.message };
+      }
+    },
+
+    async uploadFile(email, fileType, { fileData, filename, contentType }) {
+      try {
+        return await callMondayIntegration({
+          action: 'upload-file-board-a',
+          email,
+          fileType,
+          fileData,
+          filename,
+          contentType
+        });
+      } catch (error) {
+        console.error('❌ Monday repository upload error:', error.message);
+        return { success: false, error: error.message };
+      }
+    },
+
+    // Board A has no per-job table - assignments are written to Board B at signature
+    async recordVerification() {
+      return { success: true, skipped: true };
+    }
+  };
+}
+
+// ========================================
+// SQL ADAPTER (database.sql)
+// ========================================
+
+// driver_verifications columns keyed by the field names callers use
+const VERIFICATION_COLUMNS = {
+  status: 'status',
+  licenseValid: 'license_valid',
+  licenseExpiry: 'license_expiry',
+  poa1Valid: 'poa1_valid',
+  poa1Type: 'poa1_type',
+  poa1Expiry: 'poa1_expiry',
+  poa2Valid: 'poa2_valid',
+  poa2Type: 'poa2_type',
+  poa2Expiry: 'poa2_expiry',
+  dvlaCheckValid: 'dvla_check_valid',
+  dvlaCheckDate: 'dvla_check_date',
+  idenfySessionId: 'idenfy_session_id',
+  idenfyStatus: 'idenfy_status',
+  idenfyWebhookData: 'idenfy_webhook_data',
+  pointsCount: 'points_count',
+  insuranceApproved: 'insurance_approved',
+  manualOverride: 'manual_override',
+  overrideReason: 'override_reason'
+};
+
+function createSqlDriverRepository({ mirror = null } = {}) {
+  const parseProfile = (profile) => {
+    if (!profile) return {};
+    return typeof profile === 'string' ? JSON.parse(profile) : profile;
+  };
+
+  const findRow = async (email) => {
+    const db = await getDb();
+    const rows = await db.query(
+      'SELECT id, email, name, phone, profile, monday_item_id FROM drivers WHERE email = ?',
+      [email]
+    );
+    return rows[0] || null;
+  };
+
+  // Keep Board A in step with the SQL record - failures are logged, never fatal
+  // The change is audited here, so the mirror write is tagged to be skipped by monday-integration
+  const mirrorToMonday = async (email, changes, fullProfile, audit = {}) => {
+    if (!mirror) return;
+
+    const mirrorAudit = { ...audit, source: `mirror:${audit.source || 'sql'}` };
+
+    try {
+      let result = await mirror.update(email, changes, mirrorAudit);
+
+      if (!result.success) {
+        if (DEBUG_MODE) console.log('🪞 Driver not mirrored yet - creating in Board A');
+        result = await mirror.create(email, fullProfile, mirrorAudit);
+      }
+
+      if (result.success && result.boardAId) {
+        const db = await getDb();
+        await db.run(
+          'UPDATE drivers SET monday_item_id = ? WHERE email = ?',
+          [String(result.boardAId), email]
+        );
+      } else if (!result.success) {
+        console.error('⚠️ Board A mirror failed:', result.error);
+      }
+    } catch (error) {
+      console.error('⚠️ Board A mirror error:', error.message);
+    }
+  };
+
+  const toDriver = (row) => ({
+    ...parseProfile(row.profile),
+    id: row.id,
+    email: row.email,
+    mondayItemId: row.monday_item_id || null
+  });
+
+  const repository = {
+    store: 'sql',
+
+    async findByEmail(email) {
+      try {
+        if (!email) return null;
+        const row = await findRow(email);
+        return row ? toDriver(row) : null;
+      } catch (error) {
+        console.error('❌ SQL repository find error:', error.message);
+        return null;
+      }
+    },
+
+    async create(email, driverData = {}, audit = {}, options = {}) {
+      try {
+        if (!email) throw new Error('Email is required');
+
+        const existing = await findRow(email);
+        if (existing) {
+          if (DEBUG_MODE) console.log('✅ Driver exists in SQL store, updating record');
+          return await repository.update(email, driverData, audit, options);
+        }
+
+        // Status columns (and the overall status, if already complete) as Board A would set them
+        const profile = { ...driverData, email };
+        Object.assign(profile, calculateUpdateStatuses({}, profile, { clearReview: options.clearReview === true }));
+
+        const db = await getDb();
+        const result = await db.run(
+          'INSERT INTO drivers (email, name, phone, profile) VALUES (?, ?, ?, ?)',
+          [email, profile.driverName || null, profile.phoneNumber || null, JSON.stringify(profile)]
+        );
+
+        console.log('✅ Driver created in SQL store:', result.insertId);
+        await recordChanges({ email, before: {}, after: profile, ...audit, source: audit.source || 'driver-repository' });
+        await mirrorToMonday(email, profile, profile, audit);
+
+        return { success: true, driverId: result.insertId };
+      } catch (error) {
+        console.error('❌ SQL repository create error:', error.message);
+        return { success: false, error: error.message };
+      }
+    },
+
+    async update(email, updates = {}, audit = {}, { clearReview = false } = {}) {
+      try {
+        if (!email) throw new Error('Email is required');
+
+        const existing = await findRow(email);
+        if (!existing) {
+          throw new Error('Driver not found in SQL store');
+        }
+
+        // Status columns follow the write, and the completion step moves the overall status
+        const previous = parseProfile(existing.profile);
+        const written = { ...updates, ...calculateUpdateStatuses(previous, updates, { clearReview }) };
+        const profile = { ...previous, ...written, email };
+        const db = await getDb();
+        await db.run(
+          'UPDATE drivers SET name = ?, phone = ?, profile = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [profile.driverName || null, profile.phoneNumber || null, JSON.stringify(profile), existing.id]
+        );
+
+        if (DEBUG_MODE) console.log('✅ Driver updated in SQL store:', existing.id);
+        await recordChanges({ email, before: previous, after: written, ...audit, source: audit.source || 'driver-repository' });
+        await mirrorToMonday(email, { ...written, email }, profile, audit);
+
+        return { success: true, driverId: existing.id };
+      } catch (error) {
+        console.error('❌ SQL repository update error:', error.message);
+        return { success: false, error: error.message };
+      }
+    },
+
+    // Documents are stored as Board A files - the SQL store only holds the record
+    async uploadFile(email, fileType, file) {
+      if (!mirror) {
+        return { success: false, error: 'File storage requires the Board A mirror' };
+      }
+      return mirror.uploadFile(email, fileType, file);
+    },
+
+    async recordVerification(email, jobId, details = {}) {
+      try {
+        if (!email || !jobId) throw new Error('Email and jobId are required');
+
+        const driver = await findRow(email);
+        if (!driver) {
+          throw new Error('Driver not found in SQL store');
+        }
+
+        const db = await getDb();
+
+        // Jobs are synced from the job source later - keep a placeholder so the FK holds
+        const jobs = await db.query('SELECT id FROM jobs WHERE id = ?', [jobId]);
+        if (jobs.length === 0) {
+          await db.run('INSERT INTO jobs (id, job_name) VALUES (?, ?)', [jobId, jobId]);
+        }
+
+        const columns = [];
+        const values = [];
+        Object.entries(details).forEach(([field, value]) => {
+          const column = VERIFICATION_COLUMNS[field];
+          if (!column || value === undefined) return;
+          columns.push(column);
+          if (field === 'idenfyWebhookData' && value !== null) {
+            values.push(JSON.stringify(value));
+          } else if (typeof value === 'boolean') {
+            values.push(value ? 1 : 0);
+          } else {
+            values.push(value);
+          }
+        });
+
+        const existing = await db.query(
+          'SELECT id FROM driver_verifications WHERE driver_id = ? AND job_id = ?',
+          [driver.id, jobId]
+        );
+
+        if (existing.length > 0) {
+          if (columns.length > 0) {
+            await db.run(
+              `UPDATE driver_verifications SET ${columns.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+              [...values, existing[0].id]
+            );
+          }
+        } else {
+          await db.run(
+            `INSERT INTO driver_verifications (${['driver_id', 'job_id', ...columns].join(', ')}) VALUES (${['?', '?', ...columns.map(() => '?')].join(', ')})`,
+            [driver.id, jobId, ...values]
+          );
+        }
+
+        if (DEBUG_MODE) console.log('✅ Verification recorded for job:', jobId);
+        return { success: true };
+      } catch (error) {
+        console.error('❌ SQL repository verification error:', error.message);
+        return { success: false, error: error.message };
+      }
+    }
+  };
+
+  return repository;
+}
+
+// ========================================
+// DRY RUN WRAPPER
+// ========================================
+
+/**
+ * Wrap a repository so nothing is written - each write is diffed and kept in .changes instead
+ * Later reads see the planned values, so a multi-step flow plans against its own earlier writes
+ * @param {Object} repository - Repository to read from
+ * @returns {Object} - Repository with the same methods plus changes: [{ action, email, source, ... }]
+ */
+function createDryRunDriverRepository(repository) {
+  const changes = [];
+  const planned = new Map();
+
+  // Driver as it would be after the planned writes so far
+  const current = async (email) => {
+    if (!planned.has(email)) {
+      planned.set(email, await repository.findByEmail(email));
+    }
+    return planned.get(email);
+  };
+
+  return {
+    store: `${repository.store} (dry run)`,
+    changes,
+
+    async findByEmail(email) {
+      const driver = await current(email);
+      return driver ? { ...driver } : null;
+    },
+
+    async create(email, driverData, audit) {
+      const existing = await current(email);
+      changes.push({
+        action: existing ? 'update' : 'create',
+        email,
+        source: audit?.source || null,
+        fields: diffFields(existing || {}, driverData)
+      });
+      planned.set(email, { ...(existing || {}), ...driverData, email });
+      return { success: true, dryRun: true };
+    },
+
+    async update(email, updates, audit) {
+      const existing = await current(email);
+      changes.push({
+        action: 'update',
+        email,
+        source: audit?.source || null,
+        fields: diffFields(existing || {}, updates)
+      });
+      planned.set(email, { ...(existing || {}), ...updates });
+      return { success: true, dryRun: true };
+    },
+
+    async uploadFile(email, fileType, { filename, contentType }) {
+      changes.push({ action: 'upload-file', email, fileType, filename, contentType: contentType || null });
+      return { success: true, dryRun: true, fileId: null };
+    },
+
+    async recordVerification(email, jobId, { idenfyWebhookData, ...details }) {
+      changes.push({ action: 'record-verification', email, jobId, fields: diffFields({}, details) });
+      return { success: true, dryRun: true };
+    }
+  };
+}
+
+module.exports = {
+  getDriverRepository,
+  createMondayDriverRepository,
+  createSqlDriverRepository,
+  createDryRunDriverRepository
+};
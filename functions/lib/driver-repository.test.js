@@ -0,0 +1,126 @@
+/** @jest-environment node */
+// File: functions/lib/driver-repository.test.js
+
+const { createSqlDriverRepository, createDryRunDriverRepository } = require('./driver-repository');
+const { getHistory } = require('./audit-log');
+
+let drivers;
+let driverCount = 0;
+
+beforeAll(() => {
+  process.env.DATABASE_URL = 'sqlite::memory:';
+});
+
+afterAll(() => {
+  delete process.env.DATABASE_URL;
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  drivers = createSqlDriverRepository();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Each test works on its own driver - the in-memory database lasts for the whole file
+function nextDriver() {
+  driverCount += 1;
+  return `driver${driverCount}@example.com`;
+}
+
+function addDays(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// A UK driver with every check green except the DVLA one
+const UK_DRIVER = {
+  driverName: 'Alex Example',
+  licenseIssuedBy: 'DVLA',
+  licenseValidTo: addDays(1000),
+  poa1ValidUntil: addDays(60),
+  poa2ValidUntil: addDays(60),
+  overallStatus: 'Working on it'
+};
+
+describe('SQL driver repository', () => {
+  test('a new driver is stored with their status columns', async () => {
+    const email = nextDriver();
+    await drivers.create(email, UK_DRIVER);
+
+    expect(await drivers.findByEmail(email)).toMatchObject({
+      email,
+      licenseStatus: 'Valid',
+      poaStatus: 'Valid',
+      dvlaStatus: 'Expired',
+      passportStatus: 'Not Required',
+      insuranceStatus: 'Approved',
+      overallStatus: 'Working on it'
+    });
+  });
+
+  test('an update recalculates the status columns and completes the driver', async () => {
+    const email = nextDriver();
+    await drivers.create(email, UK_DRIVER);
+
+    expect(await drivers.update(email, { dvlaValidUntil: addDays(30) })).toMatchObject({ success: true });
+
+    expect(await drivers.findByEmail(email)).toMatchObject({
+      dvlaStatus: 'Valid',
+      overallStatus: 'Done'
+    });
+  });
+
+  test('an update that lapses a document moves its status back', async () => {
+    const email = nextDriver();
+    await drivers.create(email, { ...UK_DRIVER, dvlaValidUntil: addDays(30) });
+
+    await drivers.update(email, { poa2ValidUntil: addDays(-1) });
+
+    expect(await drivers.findByEmail(email)).toMatchObject({ poaStatus: 'Expired', dvlaStatus: 'Valid' });
+  });
+
+  test('a review status is only released by a check the driver has passed', async () => {
+    const email = nextDriver();
+    await drivers.create(email, { ...UK_DRIVER, overallStatus: 'Insurance Review' });
+
+    await drivers.update(email, { dvlaValidUntil: addDays(30) });
+    expect(await drivers.findByEmail(email)).toMatchObject({ dvlaStatus: 'Valid', overallStatus: 'Insurance Review' });
+
+    await drivers.update(email, { dvlaPoints: 0 }, {}, { clearReview: true });
+    expect(await drivers.findByEmail(email)).toMatchObject({ overallStatus: 'Done' });
+  });
+
+  test('the derived statuses are part of the audited change', async () => {
+    const email = nextDriver();
+    await drivers.create(email, UK_DRIVER);
+    await drivers.update(email, { dvlaValidUntil: addDays(30) }, { source: 'test.update' });
+
+    const history = await getHistory(email);
+    const updated = history.filter(change => change.source === 'test.update').map(change => change.field);
+
+    expect(updated.sort()).toEqual(['dvlaStatus', 'dvlaValidUntil', 'overallStatus']);
+  });
+
+  test('an update for an unknown driver fails', async () => {
+    expect(await drivers.update(nextDriver(), { dvlaPoints: 3 })).toMatchObject({ success: false, error: 'Driver not found in SQL store' });
+  });
+});
+
+describe('dry-run repository', () => {
+  test('writes are planned, not made', async () => {
+    const email = nextDriver();
+    await drivers.create(email, UK_DRIVER);
+    const dryRun = createDryRunDriverRepository(drivers);
+
+    await dryRun.update(email, { dvlaPoints: 3 }, { source: 'test.dry-run' });
+
+    expect(dryRun.changes).toEqual([expect.objectContaining({ action: 'update', email, source: 'test.dry-run' })]);
+    expect(await dryRun.findByEmail(email)).toMatchObject({ dvlaPoints: 3 });
+    expect((await drivers.findByEmail(email)).dvlaPoints).toBeUndefined();
+  });
+});
@@ -0,0 +1,100 @@
+// File: functions/lib/driver-retention.js
+// OOOSH Driver Verification - Retention policy
+// A driver is due for purging when they have had no hire in RETENTION_YEARS years:
+// their most recent hire (Board B row → Q&H end date, or the signature date when the job
+// can't be found), their Board A lastUpdated date and the date the item was created are
+// all older than the cutoff. Anything we can't date is treated as recent and kept.
+
+const { getItemsPage } = require('./monday-api');
+const { BOARD_A, BOARD_B, parseColumnValues } = require('./monday-columns');
+const { getJobEndDates } = require('./job-dates');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+const PAGE_SIZE = 200;
+
+/**
+ * Read the retention period from RETENTION_YEARS
+ * @returns {number|null} - Whole years, or null when the policy is switched off
+ */
+function getRetentionYears() {
+  const years = parseInt(process.env.RETENTION_YEARS);
+  return years > 0 ? years : null;
+}
+
+/**
+ * List Board A drivers with no hire since the cutoff
+ * @param {Object} options - { years, now }
+ * @returns {Promise<Object>} - { cutoff, scanned, candidates: [{ email, lastActivity, lastHire }] }
+ */
+async function findInactiveDrivers({ years, now = new Date() }) {
+  const cutoff = new Date(now);
+  cutoff.setFullYear(cutoff.getFullYear() - years);
+  const cutoffDate = cutoff.toISOString().split('T')[0];
+
+  const lastHires = await getLastHireDates(now);
+  const candidates = [];
+  let scanned = 0;
+  let cursor = null;
+
+  do {
+    const page = await getItemsPage(BOARD_A.id, cursor, PAGE_SIZE);
+
+    for (const item of page.items) {
+      scanned++;
+      const driver = parseColumnValues(BOARD_A, item);
+      if (!driver.email) continue;
+
+      const lastHire = lastHires[driver.email] || null;
+      const lastActivity = [lastHire, driver.lastUpdated, (item.created_at || '').split('T')[0]]
+        .filter(Boolean)
+        .sort()
+        .pop();
+
+      if (lastActivity && lastActivity < cutoffDate) {
+        candidates.push({ email: driver.email, lastActivity, lastHire });
+      }
+    }
+
+    cursor = page.cursor;
+  } while (cursor);
+
+  if (DEBUG_MODE) console.log(`🗓️ Retention: ${candidates.length} of ${scanned} drivers inactive since ${cutoffDate}`);
+
+  return { cutoff: cutoffDate, scanned, candidates };
+}
+
+// INTERNAL: Latest hire date per driver email from every Board B row
+async function getLastHireDates(now) {
+  const assignments = [];
+  let cursor = null;
+
+  do {
+    const page = await getItemsPage(BOARD_B.id, cursor, PAGE_SIZE);
+    page.items.forEach(item => assignments.push(parseColumnValues(BOARD_B, item)));
+    cursor = page.cursor;
+  } while (cursor);
+
+  const endDates = await getJobEndDates(assignments.map(assignment => assignment.jobNumber).filter(Boolean));
+  const today = now.toISOString().split('T')[0];
+  const lastHires = {};
+
+  assignments.forEach(assignment => {
+    if (!assignment.email) return;
+
+    // An assignment we can't date counts as a hire today - never purge on missing data
+    const hireDate = endDates[assignment.jobNumber] || assignment.signatureDate || today;
+
+    if (!lastHires[assignment.email] || hireDate > lastHires[assignment.email]) {
+      lastHires[assignment.email] = hireDate;
+    }
+  });
+
+  return lastHires;
+}
+
+module.exports = {
+  getRetentionYears,
+  findInactiveDrivers
+};
@@ -0,0 +1,155 @@
+/** @jest-environment node */
+// File: functions/lib/driver-retention.test.js
+
+const { createFakeMonday } = require('../../dev/monday/fake-monday');
+const { loadFixtures } = require('../../dev/monday/fixtures');
+const { installPlainFetch } = require('../../dev/monday/plain-fetch');
+const { findInactiveDrivers, getRetentionYears } = require('./driver-retention');
+const { BOARD_A, BOARD_B } = require('./monday-columns');
+
+let monday;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  monday?.restore();
+  monday = null;
+  jest.restoreAllMocks();
+});
+
+function daysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().split('T')[0];
+}
+
+// The fixture boards plus extra Board A drivers and Board B assignments
+function useBoards({ drivers = [], assignments = [] } = {}) {
+  const boards = loadFixtures().map(board => {
+    if (board.id === BOARD_A.id) return { ...board, items: [...board.items, ...drivers] };
+    if (board.id === BOARD_B.id) return { ...board, items: [...board.items, ...assignments] };
+    return board;
+  });
+  monday = installPlainFetch({ fake: createFakeMonday({ boards }) });
+}
+
+function driver(id, email, { createdDaysAgo = 10, lastUpdated } = {}) {
+  return {
+    id,
+    name: email,
+    createdAt: `${daysAgo(createdDaysAgo)}T09:00:00.000Z`,
+    values: {
+      email_mktrgzj: { email, text: email },
+      ...(lastUpdated ? { date_mktrk8kv: { date: lastUpdated } } : {})
+    }
+  };
+}
+
+function assignment(id, email, { jobNumber, signatureDate } = {}) {
+  return {
+    id,
+    name: email,
+    values: {
+      email: { email, text: email },
+      ...(jobNumber ? { text86: jobNumber } : {}),
+      ...(signatureDate ? { date4: { date: signatureDate } } : {})
+    }
+  };
+}
+
+const inactiveEmails = (result) => result.candidates.map(candidate => candidate.email).sort();
+
+describe('getRetentionYears', () => {
+  afterEach(() => {
+    delete process.env.RETENTION_YEARS;
+  });
+
+  test('the policy is off unless RETENTION_YEARS is a positive number', () => {
+    expect(getRetentionYears()).toBeNull();
+
+    process.env.RETENTION_YEARS = '0';
+    expect(getRetentionYears()).toBeNull();
+
+    process.env.RETENTION_YEARS = '6';
+    expect(getRetentionYears()).toBe(6);
+  });
+});
+
+describe('findInactiveDrivers', () => {
+  test('a driver whose last hire and last update are before the cutoff is due', async () => {
+    useBoards();
+
+    const result = await findInactiveDrivers({ years: 3 });
+
+    expect(result.scanned).toBe(3);
+    expect(result.candidates).toEqual([
+      { email: 'sam.archer@example.com', lastActivity: expect.stringMatching(/^2018-/), lastHire: expect.stringMatching(/^2018-/) }
+    ]);
+  });
+
+  test('a recent hire on the Q&H board keeps a driver with an old profile', async () => {
+    useBoards({
+      drivers: [driver('7100000001', 'returning@example.com', { createdDaysAgo: 2000, lastUpdated: daysAgo(2000) })],
+      // Job 10950 ended a month ago; the signature date is years older
+      assignments: [assignment('8100000001', 'returning@example.com', { jobNumber: '10950', signatureDate: daysAgo(2000) })]
+    });
+
+    const result = await findInactiveDrivers({ years: 3 });
+
+    expect(inactiveEmails(result)).not.toContain('returning@example.com');
+  });
+
+  test('a job the Q&H board does not know falls back to the signature date', async () => {
+    useBoards({
+      drivers: [driver('7100000002', 'old-job@example.com', { createdDaysAgo: 2000 })],
+      assignments: [assignment('8100000002', 'old-job@example.com', { jobNumber: '4001', signatureDate: daysAgo(1900) })]
+    });
+
+    const result = await findInactiveDrivers({ years: 3 });
+
+    expect(result.candidates).toContainEqual({ email: 'old-job@example.com', lastActivity: daysAgo(1900), lastHire: daysAgo(1900) });
+  });
+
+  test('an assignment that cannot be dated counts as a hire today', async () => {
+    useBoards({
+      drivers: [driver('7100000003', 'undated@example.com', { createdDaysAgo: 2000, lastUpdated: daysAgo(2000) })],
+      assignments: [
+        assignment('8100000003', 'undated@example.com', { jobNumber: '4002' }),
+        assignment('8100000004', 'undated@example.com')
+      ]
+    });
+
+    const result = await findInactiveDrivers({ years: 3 });
+
+    expect(inactiveEmails(result)).not.toContain('undated@example.com');
+  });
+
+  test('with no assignments the creation date is used when there is no last update', async () => {
+    useBoards({
+      drivers: [
+        driver('7100000004', 'never-hired@example.com', { createdDaysAgo: 2000 }),
+        driver('7100000005', 'new-signup@example.com', { createdDaysAgo: 30 }),
+        driver('7100000006', 'updated@example.com', { createdDaysAgo: 2000, lastUpdated: daysAgo(30) })
+      ]
+    });
+
+    const result = await findInactiveDrivers({ years: 3 });
+
+    expect(result.candidates).toContainEqual({ email: 'never-hired@example.com', lastActivity: daysAgo(2000), lastHire: null });
+    expect(inactiveEmails(result)).not.toContain('new-signup@example.com');
+    expect(inactiveEmails(result)).not.toContain('updated@example.com');
+  });
+
+  test('every Board A page is scanned', async () => {
+    const drivers = Array.from({ length: 450 }, (_, index) =>
+      driver(String(7200000000 + index), `driver${index}@example.com`, { createdDaysAgo: index % 2 ? 2000 : 10 }));
+    useBoards({ drivers });
+
+    const result = await findInactiveDrivers({ years: 3 });
+
+    expect(result.scanned).toBe(453);
+    expect(result.candidates).toHaveLength(226);
+  });
+});
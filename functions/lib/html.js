@@ -0,0 +1,20 @@
+// File: functions/lib/html.js
+// OOOSH Driver Verification - HTML helpers for the emails and pages the functions build
+// Anything a driver or a spreadsheet supplied goes through escapeHtml before it's put in markup.
+
+/**
+ * Escape text for use in HTML content or a double-quoted attribute
+ * @param {*} value - Text to escape (null and undefined give '')
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = {
+  escapeHtml
+};
@@ -0,0 +1,14 @@
+/** @jest-environment node */
+// File: functions/lib/html.test.js
+
+const { escapeHtml } = require('./html');
+
+test('markup characters are escaped for content and double-quoted attributes', () => {
+  expect(escapeHtml('<img src="x" onerror="alert(1)"> & co')).toBe('&lt;img src=&quot;x&quot; onerror=&quot;alert(1)&quot;&gt; &amp; co');
+});
+
+test('missing values become empty text and numbers are kept', () => {
+  expect(escapeHtml(null)).toBe('');
+  expect(escapeHtml(undefined)).toBe('');
+  expect(escapeHtml(11001)).toBe('11001');
+});
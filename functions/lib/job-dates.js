@@ -0,0 +1,90 @@
+// File: functions/lib/job-dates.js
+// OOOSH Driver Verification - Hire dates from the job source (Q&H board or HireHop, see lib/job-source.js)
+// Used to tell open jobs from finished ones (Board B refresh, retention purge) and to check
+// documents stay valid for the whole hire (driver-status, get-next-step)
+
+const { getJobSource, isJobSourceConfigured } = require('./job-source');
+
+/**
+ * Hire end dates from the configured job source (Q&H board or HireHop), keyed by job number
+ * @param {Array} jobNumbers - Job numbers (duplicates are fine)
+ * @returns {Promise<Object>} - { [jobNumber]: 'YYYY-MM-DD' } - unknown jobs are left out
+ */
+async function getJobEndDates(jobNumbers) {
+  return getJobSource().getEndDates(jobNumbers);
+}
+
+/**
+ * A job is open until the day after its hire ends (same grace period as validate-job)
+ * Jobs without a known end date are treated as open
+ * @param {string} endDate - Hire end date (YYYY-MM-DD) or empty
+ * @returns {boolean} - True while the job is still running
+ */
+function isJobOpen(endDate) {
+  if (!endDate) return true;
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const gracePeriodEnd = new Date(endDate);
+  gracePeriodEnd.setDate(gracePeriodEnd.getDate() + 1);
+
+  return today <= gracePeriodEnd;
+}
+
+/**
+ * Hire end date for one job, for checking documents against the hire rather than today
+ * Best-effort: an unknown job or an unavailable job source gives null (documents are checked against today)
+ * @param {string} jobId - Job number
+ * @returns {Promise<string|null>} - Hire end date (YYYY-MM-DD) or null
+ */
+async function getHireEndDate(jobId) {
+  if (!jobId || !isJobSourceConfigured()) return null;
+
+  try {
+    const endDates = await getJobEndDates([String(jobId)]);
+    return endDates[String(jobId)] || null;
+  } catch (error) {
+    console.error('⚠️ Hire end date unavailable - checking documents against today:', error.message);
+    return null;
+  }
+}
+
+// How long a freshly verified document lasts. A hire running beyond this can't be covered by
+// re-verifying now, so we only ask again when a new document would last longer than the old one.
+// POAs are valid for 90 days from the document date, and a new bill or statement is usually a month old.
+const FRESH_DOCUMENT_DAYS = {
+  license: 90,  // licenseNextCheckDue (Idenfy)
+  passport: 90,
+  dvla: 30,
+  poa1: 60,
+  poa2: 60
+};
+
+/**
+ * The date a document must still be valid after: the hire end date (as far as a fresh document
+ * could reach), or today if that's later
+ * @param {string} hireEndDate - Hire end date (YYYY-MM-DD) or null
+ * @param {Date} today - Start of today
+ * @param {string} documentType - license, passport, dvla, poa1 or poa2
+ * @returns {Date}
+ */
+function getRequiredValidityDate(hireEndDate, today, documentType) {
+  if (!hireEndDate) return today;
+
+  const hireEnd = new Date(hireEndDate);
+  hireEnd.setHours(0, 0, 0, 0);
+  if (isNaN(hireEnd.getTime()) || hireEnd < today) return today;
+
+  // A day short of a fresh document's validity, so one verified today always passes
+  const freshUntil = new Date(today);
+  freshUntil.setDate(freshUntil.getDate() + Math.max((FRESH_DOCUMENT_DAYS[documentType] || 0) - 1, 0));
+  return hireEnd < freshUntil ? hireEnd : freshUntil;
+}
+
+module.exports = {
+  getJobEndDates,
+  getHireEndDate,
+  getRequiredValidityDate,
+  isJobOpen
+};
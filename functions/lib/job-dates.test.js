@@ -0,0 +1,72 @@
+/** @jest-environment node */
+// File: functions/lib/job-dates.test.js
+
+const { getRequiredValidityDate, isJobOpen, getHireEndDate } = require('./job-dates');
+
+const TODAY = new Date(2026, 5, 15);
+
+function dateOnly(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+}
+
+describe('getRequiredValidityDate', () => {
+  test('with no hire end date documents only need to be valid today', () => {
+    expect(getRequiredValidityDate(null, TODAY, 'dvla')).toBe(TODAY);
+  });
+
+  test('a hire that has already ended, or an unreadable date, checks against today', () => {
+    expect(getRequiredValidityDate('2026-06-01', TODAY, 'dvla')).toBe(TODAY);
+    expect(getRequiredValidityDate('not a date', TODAY, 'dvla')).toBe(TODAY);
+  });
+
+  test('documents must last to the end of a hire a fresh one would cover', () => {
+    expect(dateOnly(getRequiredValidityDate('2026-06-20', TODAY, 'dvla'))).toBe('2026-06-20');
+    expect(dateOnly(getRequiredValidityDate('2026-08-01', TODAY, 'license'))).toBe('2026-08-01');
+  });
+
+  test('a hire beyond a fresh document is capped a day short of what one verified today would reach', () => {
+    expect(dateOnly(getRequiredValidityDate('2026-12-31', TODAY, 'dvla'))).toBe('2026-07-14');
+    expect(dateOnly(getRequiredValidityDate('2026-12-31', TODAY, 'poa1'))).toBe('2026-08-13');
+    expect(dateOnly(getRequiredValidityDate('2026-12-31', TODAY, 'license'))).toBe('2026-09-12');
+  });
+
+  test('a document verified today always passes', () => {
+    const verifiedToday = new Date(TODAY);
+    verifiedToday.setDate(verifiedToday.getDate() + 30);
+
+    expect(getRequiredValidityDate('2027-01-01', TODAY, 'dvla') <= verifiedToday).toBe(true);
+  });
+
+  test('an unknown document type only needs to be valid today', () => {
+    expect(dateOnly(getRequiredValidityDate('2026-12-31', TODAY, 'other'))).toBe('2026-06-15');
+  });
+});
+
+describe('isJobOpen', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('a job stays open until the day after its hire ends', () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date(2026, 5, 15, 12));
+
+    expect(isJobOpen('2026-06-14')).toBe(true);
+    expect(isJobOpen('2026-06-13')).toBe(false);
+  });
+
+  test('a job with no end date is open', () => {
+    expect(isJobOpen('')).toBe(true);
+    expect(isJobOpen(null)).toBe(true);
+  });
+});
+
+describe('getHireEndDate', () => {
+  test('with no job source configured documents are checked against today', async () => {
+    delete process.env.MONDAY_API_TOKEN;
+    delete process.env.JOB_SOURCE;
+
+    expect(await getHireEndDate('11001')).toBeNull();
+    expect(await getHireEndDate(null)).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+// File: functions/lib/job-invite.js
+// OOOSH Driver Verification - Signed invitation links to a hire's verification flow
+// A raw ?job= link can be guessed from any job number; ?invite=<token> carries the job
+// (and optionally the one driver it was made for) signed with TOKEN_SIGNING_SECRET.
+// Invites expire after INVITE_LINK_TTL_DAYS, or once the hire's one-day grace period is over
+// (see isJobOpen in job-dates.js) if that comes first.
+// Verification codes are only sent for a job the driver holds an invite for (checkJobEntry) -
+// plain job numbers are accepted only with ALLOW_RAW_JOB_LINKS=true.
+
+const { createSignedToken, verifySignedToken } = require('./signed-token');
+const { sanitizeEmail } = require('./validation');
+
+// How long an invitation works (INVITE_LINK_TTL_DAYS, default two weeks)
+const INVITE_LINK_TTL_DAYS = parseInt(process.env.INVITE_LINK_TTL_DAYS) || 14;
+const TOKEN_PURPOSE = 'job-invite';
+
+// Plain ?job= links still work when set (while links sent before invitations are in circulation)
+const ALLOW_RAW_JOB_LINKS = process.env.ALLOW_RAW_JOB_LINKS === 'true';
+
+/**
+ * Create an invitation link for a job
+ * @param {Object} invite - { jobId, email, hireEndDate } - email limits the link to one driver;
+ *   hireEndDate (YYYY-MM-DD) stops the link working once the hire and its grace day are over
+ * @returns {Object} - { token, inviteUrl, expiresAt }
+ */
+function createJobInvite({ jobId, email, hireEndDate }) {
+  if (!jobId) {
+    throw new Error('jobId is required for an invitation');
+  }
+
+  let expiresInSeconds = INVITE_LINK_TTL_DAYS * 24 * 60 * 60;
+
+  if (hireEndDate) {
+    const endOfGraceDay = new Date(`${hireEndDate}T23:59:59Z`).getTime() + 24 * 60 * 60 * 1000;
+    const untilEndOfHire = Math.floor((endOfGraceDay - Date.now()) / 1000);
+    if (untilEndOfHire > 0 && untilEndOfHire < expiresInSeconds) {
+      expiresInSeconds = untilEndOfHire;
+    }
+  }
+
+  const payload = { jobId: String(jobId) };
+  if (email) payload.email = sanitizeEmail(email);
+
+  const { token, expiresAt } = createSignedToken(payload, { purpose: TOKEN_PURPOSE, expiresInSeconds });
+
+  return {
+    token,
+    inviteUrl: `${process.env.URL}/?invite=${encodeURIComponent(token)}`,
+    expiresAt
+  };
+}
+
+/**
+ * Check an invitation token
+ * @param {string} token - Token from createJobInvite
+ * @returns {Object} - { valid: true, jobId, email } (email null for whole-job invites) or { valid: false, error }
+ */
+function verifyJobInvite(token) {
+  const check = verifySignedToken(token, TOKEN_PURPOSE);
+
+  if (!check.valid) {
+    return { valid: false, error: check.error };
+  }
+
+  return {
+    valid: true,
+    jobId: check.payload.jobId,
+    email: check.payload.email || null
+  };
+}
+
+/**
+ * Check a driver may start verification for a job
+ * @param {Object} entry - { inviteToken, jobId, email } - inviteToken from the ?invite= link
+ * @returns {Object} - { ok: true } or { ok: false, statusCode, error }
+ */
+function checkJobEntry({ inviteToken, jobId, email }) {
+  if (!inviteToken) {
+    return ALLOW_RAW_JOB_LINKS
+      ? { ok: true }
+      : { ok: false, statusCode: 403, error: 'Please use the invitation link you were sent for this hire' };
+  }
+
+  const invite = verifyJobInvite(inviteToken);
+
+  if (!invite.valid) {
+    return {
+      ok: false,
+      statusCode: 403,
+      error: invite.error === 'Token has expired' ? 'This invitation link has expired' : 'This invitation link is not valid'
+    };
+  }
+
+  if (invite.jobId !== String(jobId)) {
+    return { ok: false, statusCode: 403, error: 'This invitation is for a different hire' };
+  }
+
+  if (invite.email && email && invite.email !== sanitizeEmail(email)) {
+    return { ok: false, statusCode: 403, error: 'This invitation is for a different driver' };
+  }
+
+  return { ok: true };
+}
+
+module.exports = {
+  createJobInvite,
+  verifyJobInvite,
+  checkJobEntry
+};
@@ -0,0 +1,120 @@
+/** @jest-environment node */
+// File: functions/lib/job-invite.test.js
+
+const { createJobInvite, verifyJobInvite, checkJobEntry } = require('./job-invite');
+const { createSignedToken } = require('./signed-token');
+
+beforeEach(() => {
+  process.env.TOKEN_SIGNING_SECRET = 'test-token-secret';
+  process.env.URL = 'https://drivers.example.com';
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  delete process.env.ALLOW_RAW_JOB_LINKS;
+});
+
+describe('createJobInvite', () => {
+  test('the link carries the job and the driver it was made for', () => {
+    const { token, inviteUrl } = createJobInvite({ jobId: 11001, email: ' Jane.Smith@Example.com ' });
+
+    expect(inviteUrl).toBe(`https://drivers.example.com/?invite=${encodeURIComponent(token)}`);
+    expect(verifyJobInvite(token)).toEqual({ valid: true, jobId: '11001', email: 'jane.smith@example.com' });
+  });
+
+  test('a whole-job invite works for any driver', () => {
+    const { token } = createJobInvite({ jobId: '11001' });
+
+    expect(verifyJobInvite(token)).toEqual({ valid: true, jobId: '11001', email: null });
+  });
+
+  test('a job is required', () => {
+    expect(() => createJobInvite({ email: 'jane.smith@example.com' })).toThrow('jobId is required for an invitation');
+  });
+
+  test('an invite lasts two weeks', () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-06-01T10:00:00Z'));
+    const { token, expiresAt } = createJobInvite({ jobId: '11001' });
+
+    expect(expiresAt).toBe('2026-06-15T10:00:00.000Z');
+
+    jest.setSystemTime(new Date('2026-06-15T10:00:01Z'));
+    expect(verifyJobInvite(token)).toEqual({ valid: false, error: 'Token has expired' });
+  });
+
+  test('an invite for a hire that ends sooner stops at the end of its grace day', () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-06-01T10:00:00Z'));
+    const { token, expiresAt } = createJobInvite({ jobId: '11001', hireEndDate: '2026-06-05' });
+
+    expect(expiresAt).toBe('2026-06-06T23:59:59.000Z');
+
+    jest.setSystemTime(new Date('2026-06-06T23:59:58Z'));
+    expect(verifyJobInvite(token).valid).toBe(true);
+
+    jest.setSystemTime(new Date('2026-06-07T00:00:00Z'));
+    expect(verifyJobInvite(token).valid).toBe(false);
+  });
+});
+
+describe('verifyJobInvite', () => {
+  test('a token made for another purpose is refused', () => {
+    const { token } = createSignedToken({ jobId: '11001' }, { purpose: 'driver-session', expiresInSeconds: 60 });
+
+    expect(verifyJobInvite(token)).toEqual({ valid: false, error: 'Token not valid for this action' });
+  });
+
+  test('a changed job number no longer matches the signature', () => {
+    const { token } = createJobInvite({ jobId: '11001' });
+    const [payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url').toString()), jobId: '11002' }))
+      .toString('base64url');
+
+    expect(verifyJobInvite(`${forged}.${signature}`)).toEqual({ valid: false, error: 'Invalid token' });
+  });
+});
+
+describe('checkJobEntry', () => {
+  test('an invite lets its driver in for its job', () => {
+    const { token } = createJobInvite({ jobId: '11001', email: 'jane.smith@example.com' });
+
+    expect(checkJobEntry({ inviteToken: token, jobId: 11001, email: 'JANE.SMITH@example.com' })).toEqual({ ok: true });
+  });
+
+  test('an invite is refused for another job or another driver', () => {
+    const { token } = createJobInvite({ jobId: '11001', email: 'jane.smith@example.com' });
+
+    expect(checkJobEntry({ inviteToken: token, jobId: '11002', email: 'jane.smith@example.com' }))
+      .toEqual({ ok: false, statusCode: 403, error: 'This invitation is for a different hire' });
+    expect(checkJobEntry({ inviteToken: token, jobId: '11001', email: 'tom.jones@example.com' }))
+      .toEqual({ ok: false, statusCode: 403, error: 'This invitation is for a different driver' });
+  });
+
+  test('an expired or tampered invite is refused with a message the driver understands', () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-06-01T10:00:00Z'));
+    const { token } = createJobInvite({ jobId: '11001' });
+
+    expect(checkJobEntry({ inviteToken: `${token}x`, jobId: '11001' }))
+      .toEqual({ ok: false, statusCode: 403, error: 'This invitation link is not valid' });
+
+    jest.setSystemTime(new Date('2026-07-01T10:00:00Z'));
+    expect(checkJobEntry({ inviteToken: token, jobId: '11001' }))
+      .toEqual({ ok: false, statusCode: 403, error: 'This invitation link has expired' });
+  });
+
+  test('a plain job number needs ALLOW_RAW_JOB_LINKS', () => {
+    expect(checkJobEntry({ jobId: '11001', email: 'jane.smith@example.com' }))
+      .toEqual({ ok: false, statusCode: 403, error: 'Please use the invitation link you were sent for this hire' });
+
+    // Read when the module loads
+    process.env.ALLOW_RAW_JOB_LINKS = 'true';
+    jest.isolateModules(() => {
+      const { checkJobEntry: checkWithRawLinks } = require('./job-invite');
+
+      expect(checkWithRawLinks({ jobId: '11001', email: 'jane.smith@example.com' })).toEqual({ ok: true });
+      expect(checkWithRawLinks({ inviteToken: 'forged', jobId: '11001' }).ok).toBe(false);
+    });
+  });
+});
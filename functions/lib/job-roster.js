@@ -0,0 +1,256 @@
+// File: functions/lib/job-roster.js
+// OOOSH Driver Verification - Job roster: how many drivers a hire needs and how far they've got
+// The expected driver count comes from staff (job_rosters, optionally with named emails in
+// job_roster_drivers) or, failing that, the booking record in the job source.
+// Every Board B assignment for the job counts against it:
+//   approved      - Board B overall status Approved
+//   manualReview  - waiting on OOOSH staff (insurance / manual review, action required)
+//   notApproved   - rejected, expired or not approved
+//   pending       - signed but still being worked on
+//   missing       - expected drivers with no Board B row yet
+
+const { callMondayAPI } = require('./monday-api');
+const { BOARD_B, getColumnId, parseColumnValues } = require('./monday-columns');
+const { getDb, isDatabaseConfigured } = require('./db');
+const { getJobSource, isJobSourceConfigured } = require('./job-source');
+const { isValidEmail, sanitizeEmail } = require('./validation');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+// A band and crew rarely need more than a handful - this only guards against typos
+const MAX_DRIVERS_PER_JOB = 50;
+
+// Board B rows fetched per job - comfortably above MAX_DRIVERS_PER_JOB to allow for re-signs
+const MAX_JOB_ASSIGNMENTS = 200;
+
+// Board B overall status labels → roster state (anything else, including blank, is pending)
+const ROSTER_STATES = {
+  'Approved': 'approved',
+  'Insurance Review': 'manualReview',
+  'Manual Review Required': 'manualReview',
+  'Action Required': 'manualReview',
+  'Rejected': 'notApproved',
+  'Not Approved': 'notApproved',
+  'Expired': 'notApproved'
+};
+
+/**
+ * Map a Board B overall status to its roster state
+ * @param {string} overallStatus - Board B status label
+ * @returns {string} - approved, manualReview, notApproved or pending
+ */
+function getRosterState(overallStatus) {
+  return ROSTER_STATES[overallStatus] || 'pending';
+}
+
+/**
+ * Check a staff roster before it's saved
+ * @param {Object} input - { driversRequired, expectedDrivers: [email] } - driversRequired defaults to the number of emails
+ * @returns {Object} - { driversRequired, expectedDrivers, errors }
+ */
+function normaliseRoster({ driversRequired, expectedDrivers } = {}) {
+  const errors = [];
+  const emails = [];
+
+  if (expectedDrivers !== undefined && !Array.isArray(expectedDrivers)) {
+    errors.push('expectedDrivers must be a list of email addresses');
+  } else {
+    (expectedDrivers || []).forEach(value => {
+      const email = sanitizeEmail(String(value || ''));
+      if (!isValidEmail(email)) {
+        errors.push(`Invalid email format: ${value}`);
+      } else if (!emails.includes(email)) {
+        emails.push(email);
+      }
+    });
+  }
+
+  const required = driversRequired === undefined || driversRequired === null || driversRequired === ''
+    ? emails.length
+    : Number(driversRequired);
+
+  if (!Number.isInteger(required) || required < 1 || required > MAX_DRIVERS_PER_JOB) {
+    errors.push(`driversRequired must be a whole number from 1 to ${MAX_DRIVERS_PER_JOB}`);
+  } else if (emails.length > required) {
+    errors.push(`${emails.length} drivers named but only ${required} required`);
+  }
+
+  return { driversRequired: required, expectedDrivers: emails, errors };
+}
+
+/**
+ * Read the staff roster for a job
+ * @param {string} jobId - Job number
+ * @returns {Promise<Object|null>} - { jobId, driversRequired, expectedDrivers, setBy, updatedAt } or null if none was set
+ */
+async function getRoster(jobId) {
+  if (!isDatabaseConfigured()) return null;
+
+  const db = await getDb();
+  const rows = await db.query('SELECT * FROM job_rosters WHERE job_id = ?', [String(jobId)]);
+
+  if (rows.length === 0) return null;
+
+  const named = await db.query('SELECT email FROM job_roster_drivers WHERE job_id = ? ORDER BY id', [String(jobId)]);
+
+  return {
+    jobId: rows[0].job_id,
+    driversRequired: Number(rows[0].drivers_required),
+    expectedDrivers: named.map(row => row.email),
+    setBy: rows[0].set_by,
+    updatedAt: rows[0].updated_at
+  };
+}
+
+/**
+ * Declare how many drivers a job needs (replaces any earlier roster for the job)
+ * @param {string} jobId - Job number
+ * @param {Object} roster - { driversRequired, expectedDrivers, requestedBy } - already checked by normaliseRoster
+ * @returns {Promise<Object>} - The saved roster
+ */
+async function setRoster(jobId, { driversRequired, expectedDrivers = [], requestedBy }) {
+  if (!isDatabaseConfigured()) {
+    throw new Error('Job rosters require DATABASE_URL');
+  }
+
+  const db = await getDb();
+  const existing = await db.query('SELECT job_id FROM job_rosters WHERE job_id = ?', [String(jobId)]);
+
+  if (existing.length > 0) {
+    await db.run(
+      'UPDATE job_rosters SET drivers_required = ?, set_by = ?, updated_at = CURRENT_TIMESTAMP WHERE job_id = ?',
+      [driversRequired, requestedBy || null, String(jobId)]
+    );
+  } else {
+    await db.run(
+      'INSERT INTO job_rosters (job_id, drivers_required, set_by) VALUES (?, ?, ?)',
+      [String(jobId), driversRequired, requestedBy || null]
+    );
+  }
+
+  await db.run('DELETE FROM job_roster_drivers WHERE job_id = ?', [String(jobId)]);
+  for (const email of expectedDrivers) {
+    await db.run('INSERT INTO job_roster_drivers (job_id, email) VALUES (?, ?)', [String(jobId), email]);
+  }
+
+  console.log(`👥 Roster for job ${jobId} set to ${driversRequired} driver(s) by ${requestedBy || 'unknown'}`);
+  return getRoster(jobId);
+}
+
+/**
+ * Work out where every expected driver on a job has got to
+ * @param {string} jobId - Job number
+ * @returns {Promise<Object>} - { jobId, driversRequired, rosterSource, assigned, verified, complete,
+ *   counts: { approved, pending, manualReview, notApproved, missing }, drivers, missing }
+ *   drivers are [{ email, driverName, state, overallStatus, signatureDate }]; missing lists the named
+ *   emails still to sign. driversRequired (and rosterSource) are null when nobody has said how many to expect.
+ */
+async function getRosterStatus(jobId) {
+  const [roster, assignments] = await Promise.all([
+    getRoster(jobId),
+    findJobAssignments(jobId)
+  ]);
+
+  let driversRequired = roster ? roster.driversRequired : null;
+  let rosterSource = roster ? 'staff' : null;
+
+  if (!roster) {
+    driversRequired = await getBookedDriverCount(jobId);
+    if (driversRequired !== null) rosterSource = 'booking';
+  }
+
+  const drivers = assignments.map(assignment => ({
+    email: assignment.email,
+    driverName: assignment.driverName || null,
+    state: getRosterState(assignment.overallStatus),
+    overallStatus: assignment.overallStatus || null,
+    signatureDate: assignment.signatureDate || null
+  }));
+
+  const counts = { approved: 0, pending: 0, manualReview: 0, notApproved: 0, missing: 0 };
+  drivers.forEach(driver => counts[driver.state]++);
+
+  const signed = drivers.map(driver => driver.email);
+  const missing = (roster ? roster.expectedDrivers : []).filter(email => !signed.includes(email));
+
+  // Unnamed places count as missing too, so 3 required with 1 signed is 2 missing
+  counts.missing = driversRequired === null
+    ? missing.length
+    : Math.max(driversRequired - drivers.length, missing.length);
+
+  if (DEBUG_MODE) console.log(`👥 Roster for job ${jobId}:`, JSON.stringify(counts));
+
+  return {
+    jobId: String(jobId),
+    driversRequired,
+    rosterSource,
+    assigned: drivers.length,
+    verified: counts.approved,
+    complete: driversRequired !== null && counts.approved >= driversRequired && missing.length === 0,
+    counts,
+    drivers,
+    missing
+  };
+}
+
+// INTERNAL: Board B rows for the job, one per driver (re-signs update the same row, but be safe)
+async function findJobAssignments(jobId) {
+  const query = `
+    query {
+      items_page_by_column_values (
+        board_id: ${BOARD_B.id},
+        columns: [
+          {
+            column_id: "${getColumnId(BOARD_B, 'jobNumber')}",
+            column_values: ${JSON.stringify([String(jobId)])}
+          }
+        ],
+        limit: ${MAX_JOB_ASSIGNMENTS}
+      ) {
+        items {
+          id
+          name
+          column_values {
+            id
+            text
+            value
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await callMondayAPI(query);
+  const items = response.data?.items_page_by_column_values?.items || [];
+  const byEmail = {};
+
+  items.forEach(item => {
+    const assignment = parseColumnValues(BOARD_B, item);
+    const email = sanitizeEmail(assignment.email || '');
+    if (email && !byEmail[email]) byEmail[email] = { ...assignment, email };
+  });
+
+  return Object.values(byEmail);
+}
+
+// INTERNAL: Driver count from the booking itself, when the job source records one
+async function getBookedDriverCount(jobId) {
+  if (!isJobSourceConfigured()) return null;
+
+  try {
+    const job = await getJobSource().findJob(jobId);
+    return job && Number.isInteger(job.driversRequired) ? job.driversRequired : null;
+  } catch (error) {
+    console.error('⚠️ Booked driver count unavailable:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  getRosterState,
+  normaliseRoster,
+  getRoster,
+  setRoster,
+  getRosterStatus
+};
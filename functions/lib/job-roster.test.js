@@ -0,0 +1,122 @@
+/** @jest-environment node */
+// File: functions/lib/job-roster.test.js
+
+// Board B reads go straight to the local Monday.com stand-in
+jest.mock('./monday-api', () => ({ ...jest.requireActual('./monday-api'), callMondayAPI: jest.fn() }));
+
+const { createFakeMonday } = require('../../dev/monday/fake-monday');
+const { callMondayAPI } = require('./monday-api');
+const { BOARD_B } = require('./monday-columns');
+const { getRosterState, normaliseRoster, setRoster, getRoster, getRosterStatus } = require('./job-roster');
+
+describe('normaliseRoster', () => {
+  test('emails are cleaned up and de-duplicated', () => {
+    expect(normaliseRoster({ driversRequired: '3', expectedDrivers: [' Jane.Smith@Example.com', 'jane.smith@example.com', 'bob@example.com'] })).toEqual({
+      driversRequired: 3,
+      expectedDrivers: ['jane.smith@example.com', 'bob@example.com'],
+      errors: []
+    });
+  });
+
+  test('the driver count defaults to the number of named drivers', () => {
+    expect(normaliseRoster({ expectedDrivers: ['jane.smith@example.com', 'bob@example.com'] }).driversRequired).toBe(2);
+  });
+
+  test('a count that is not a sensible whole number is refused', () => {
+    [0, 1.5, 51, 'lots'].forEach(driversRequired => {
+      expect(normaliseRoster({ driversRequired }).errors).toEqual(['driversRequired must be a whole number from 1 to 50']);
+    });
+    expect(normaliseRoster({}).errors).toEqual(['driversRequired must be a whole number from 1 to 50']);
+  });
+
+  test('more named drivers than places is refused', () => {
+    expect(normaliseRoster({ driversRequired: 1, expectedDrivers: ['a@example.com', 'b@example.com'] }).errors).toEqual([
+      '2 drivers named but only 1 required'
+    ]);
+  });
+
+  test('bad emails and a list that is not a list are refused', () => {
+    expect(normaliseRoster({ driversRequired: 2, expectedDrivers: ['not-an-email'] }).errors).toEqual(['Invalid email format: not-an-email']);
+    expect(normaliseRoster({ driversRequired: 2, expectedDrivers: 'a@example.com' }).errors).toEqual([
+      'expectedDrivers must be a list of email addresses'
+    ]);
+  });
+});
+
+test('Board B statuses map to roster states', () => {
+  expect(getRosterState('Approved')).toBe('approved');
+  expect(getRosterState('Insurance Review')).toBe('manualReview');
+  expect(getRosterState('Expired')).toBe('notApproved');
+  expect(getRosterState('')).toBe('pending');
+  expect(getRosterState(undefined)).toBe('pending');
+});
+
+describe('rosters and roster status', () => {
+  const monday = createFakeMonday();
+
+  beforeAll(() => {
+    process.env.DATABASE_URL = 'sqlite::memory:';
+  });
+
+  afterAll(() => {
+    delete process.env.DATABASE_URL;
+  });
+
+  beforeEach(() => {
+    monday.reset();
+    callMondayAPI.mockImplementation(async (query) => monday.execute(query));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  function addAssignment(email, jobId, overallStatus) {
+    monday.execute(
+      'mutation ($boardId: ID!, $values: JSON!) { create_item(board_id: $boardId, item_name: "Driver", column_values: $values) { id } }',
+      {
+        boardId: BOARD_B.id,
+        values: JSON.stringify({ email: { email, text: email }, text86: jobId, color_mkwtaftc: { label: overallStatus } })
+      }
+    );
+  }
+
+  test('a saved roster replaces the last one for the job', async () => {
+    await setRoster('12001', { driversRequired: 3, expectedDrivers: ['a@example.com', 'b@example.com'], requestedBy: 'staff@example.com' });
+    await setRoster('12001', { driversRequired: 2, expectedDrivers: ['c@example.com'], requestedBy: 'staff@example.com' });
+
+    expect(await getRoster('12001')).toMatchObject({ jobId: '12001', driversRequired: 2, expectedDrivers: ['c@example.com'], setBy: 'staff@example.com' });
+    expect(await getRoster('12002')).toBeNull();
+  });
+
+  test('every Board B driver on the job counts against the roster', async () => {
+    await setRoster('11001', { driversRequired: 4, expectedDrivers: ['jane.smith@example.com', 'bob@example.com'], requestedBy: 'staff@example.com' });
+    addAssignment('alex@example.com', '11001', 'Insurance Review');
+
+    const status = await getRosterStatus('11001');
+
+    expect(status).toMatchObject({
+      jobId: '11001',
+      driversRequired: 4,
+      rosterSource: 'staff',
+      assigned: 2,
+      verified: 1,
+      complete: false,
+      counts: { approved: 1, pending: 0, manualReview: 1, notApproved: 0, missing: 2 },
+      missing: ['bob@example.com']
+    });
+    expect(status.drivers.map(driver => [driver.email, driver.state])).toEqual([
+      ['jane.smith@example.com', 'approved'],
+      ['alex@example.com', 'manualReview']
+    ]);
+  });
+
+  test('a roster is complete once every place is filled by an approved driver', async () => {
+    await setRoster('11001', { driversRequired: 1, expectedDrivers: ['jane.smith@example.com'], requestedBy: 'staff@example.com' });
+
+    expect(await getRosterStatus('11001')).toMatchObject({ complete: true, counts: { missing: 0 }, missing: [] });
+  });
+
+  test('drivers on other jobs are not counted', async () => {
+    await setRoster('9002', { driversRequired: 1, requestedBy: 'staff@example.com' });
+
+    expect(await getRosterStatus('9002')).toMatchObject({ assigned: 0, counts: { missing: 1 } });
+  });
+});
@@ -0,0 +1,256 @@
+// File: functions/lib/job-source.js
+// OOOSH Driver Verification - Job Source
+// One API for looking up hires, whichever system holds the bookings
+//
+// JOB_SOURCE selects the backend:
+//   monday (default) - Quotes & Hires board 2431480012 (job number in text7)
+//   hirehop          - HireHop job_data API (REACT_APP_HIREHOP_BASE_URL / REACT_APP_HIREHOP_API_KEY)
+//
+// Every backend exposes the same methods:
+//   findJob(jobNumber)       -> job details or null when the job doesn't exist
+//   getEndDates(jobNumbers)  -> { [jobNumber]: 'YYYY-MM-DD' } - unknown jobs are left out
+//
+// Job details (the jobDetails shape the frontend uses):
+//   { jobId, jobNumber, jobName, startDate, endDate, vehicle, client, driversRequired, status, source }
+//   dates are YYYY-MM-DD or null; status is 'active' or 'cancelled'
+//   vehicle, client and driversRequired are null when the booking doesn't say
+
+const { callMondayAPI } = require('./monday-api');
+const { QH_BOARD, getColumnId, parseColumnValues } = require('./monday-columns');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+// Job numbers per Q&H lookup - keeps each items_page_by_column_values query small
+const JOB_LOOKUP_BATCH_SIZE = 100;
+
+/**
+ * Get the job source configured for this environment
+ * @returns {Object} - Job source
+ */
+function getJobSource() {
+  const source = (process.env.JOB_SOURCE || 'monday').toLowerCase();
+
+  switch (source) {
+    case 'monday':
+      return createMondayJobSource();
+    case 'hirehop':
+      return createHireHopJobSource();
+    default:
+      throw new Error(`Unknown JOB_SOURCE: ${source}`);
+  }
+}
+
+/**
+ * Is the configured job source usable? (credentials present)
+ * @returns {boolean}
+ */
+function isJobSourceConfigured() {
+  const source = (process.env.JOB_SOURCE || 'monday').toLowerCase();
+  return source === 'hirehop' ? !!process.env.REACT_APP_HIREHOP_API_KEY : !!process.env.MONDAY_API_TOKEN;
+}
+
+// ========================================
+// MONDAY.COM ADAPTER (Q&H board)
+// ========================================
+
+function createMondayJobSource() {
+  // The Q&H board has no vehicle, client or driver count columns mapped - those stay null
+  const toJobDetails = (item, jobNumber) => {
+    const job = parseColumnValues(QH_BOARD, item);
+    return {
+      jobId: jobNumber,
+      jobNumber: jobNumber,
+      jobName: item.name || 'Unknown Job',
+      startDate: formatDate(job.startDate),
+      endDate: formatDate(job.endDate),
+      vehicle: null,
+      client: null,
+      driversRequired: null,
+      status: 'active',
+      source: 'monday'
+    };
+  };
+
+  const findItems = async (jobNumbers, limit) => {
+    const query = `
+      query {
+        items_page_by_column_values (
+          board_id: ${QH_BOARD.id},
+          columns: [
+            {
+              column_id: "${getColumnId(QH_BOARD, 'jobNumber')}",
+              column_values: ${JSON.stringify(jobNumbers)}
+            }
+          ],
+          limit: ${limit}
+        ) {
+          items {
+            id
+            name
+            column_values {
+              id
+              text
+              value
+            }
+          }
+        }
+      }
+    `;
+
+    const response = await callMondayAPI(query);
+    return response.data?.items_page_by_column_values?.items || [];
+  };
+
+  return {
+    source: 'monday',
+
+    async findJob(jobNumber) {
+      const items = await findItems([String(jobNumber)], 5);
+
+      if (items.length === 0) {
+        if (DEBUG_MODE) console.log('Job not found in Monday.com Q&H Board:', jobNumber);
+        return null;
+      }
+
+      return toJobDetails(items[0], String(jobNumber));
+    },
+
+    async getEndDates(jobNumbers) {
+      const uniqueJobs = [...new Set(jobNumbers.map(String))];
+      const endDates = {};
+
+      for (let start = 0; start < uniqueJobs.length; start += JOB_LOOKUP_BATCH_SIZE) {
+        const batch = uniqueJobs.slice(start, start + JOB_LOOKUP_BATCH_SIZE);
+        const items = await findItems(batch, batch.length * 2);
+
+        items.forEach(item => {
+          const job = parseColumnValues(QH_BOARD, item);
+          endDates[job.jobNumber] = job.endDate;
+        });
+      }
+
+      return endDates;
+    }
+  };
+}
+
+// ========================================
+// HIREHOP ADAPTER
+// ========================================
+
+// HireHop answers 200 with { error: <code> } - this one just means there's no such job
+const HIREHOP_ERROR_JOB_NOT_FOUND = 1;
+
+// HireHop job statuses that mean the hire isn't going ahead
+const HIREHOP_CANCELLED_STATUSES = [9, 10]; // Cancelled, Not interested
+
+// Supply-list category whose items are the hired vehicles
+const HIREHOP_VEHICLE_CATEGORY = process.env.HIREHOP_VEHICLE_CATEGORY || 'Vehicles';
+
+// Job custom field where the booking records how many drivers the hire needs
+const HIREHOP_DRIVERS_FIELD = process.env.HIREHOP_DRIVERS_FIELD || 'drivers_required';
+
+function createHireHopJobSource() {
+  const baseUrl = (process.env.REACT_APP_HIREHOP_BASE_URL || 'https://myhirehop.com').replace(/\/$/, '');
+  const token = process.env.REACT_APP_HIREHOP_API_KEY;
+
+  const callHireHop = async (path, params) => {
+    if (!token) {
+      throw new Error('REACT_APP_HIREHOP_API_KEY environment variable not set');
+    }
+
+    const query = new URLSearchParams({ ...params, token });
+    const response = await fetch(`${baseUrl}${path}?${query}`);
+
+    if (!response.ok) {
+      throw new Error(`HireHop API error: ${response.status}`);
+    }
+
+    const result = await response.json();
+
+    if (result?.error && result.error !== HIREHOP_ERROR_JOB_NOT_FOUND) {
+      throw new Error(`HireHop API error code: ${result.error}`);
+    }
+
+    return result;
+  };
+
+  // Vehicles are the job's supply-list items in the vehicle category - best-effort
+  const getVehicle = async (jobNumber) => {
+    try {
+      const items = await callHireHop('/frames/items_to_supply_list.php', { job: jobNumber });
+      const vehicles = (Array.isArray(items) ? items : [])
+        .filter(item => item.CATEGORY === HIREHOP_VEHICLE_CATEGORY)
+        .map(item => item.TITLE);
+      return vehicles.length > 0 ? vehicles.join(', ') : null;
+    } catch (error) {
+      console.error('⚠️ HireHop supply list unavailable:', error.message);
+      return null;
+    }
+  };
+
+  const findJob = async (jobNumber) => {
+    const job = await callHireHop('/api/job_data.php', { job: jobNumber });
+
+    if (job.error || !job.ID) {
+      if (DEBUG_MODE) console.log('Job not found in HireHop:', jobNumber, job.error || '');
+      return null;
+    }
+
+    return {
+      jobId: String(jobNumber),
+      jobNumber: String(job.ID),
+      jobName: job.JOB_NAME || 'Unknown Job',
+      startDate: formatDate(job.JOB_DATE),
+      endDate: formatDate(job.JOB_END),
+      vehicle: await getVehicle(jobNumber),
+      client: job.COMPANY || job.NAME || null,
+      driversRequired: parseDriverCount(job.CUSTOM_FIELDS?.[HIREHOP_DRIVERS_FIELD]),
+      status: HIREHOP_CANCELLED_STATUSES.includes(Number(job.STATUS)) ? 'cancelled' : 'active',
+      source: 'hirehop'
+    };
+  };
+
+  return {
+    source: 'hirehop',
+
+    findJob,
+
+    // HireHop has no batch lookup - one request per job
+    async getEndDates(jobNumbers) {
+      const endDates = {};
+
+      for (const jobNumber of new Set(jobNumbers.map(String))) {
+        const job = await callHireHop('/api/job_data.php', { job: jobNumber });
+        if (!job.error && job.ID) {
+          endDates[jobNumber] = formatDate(job.JOB_END) || '';
+        }
+      }
+
+      return endDates;
+    }
+  };
+}
+
+// Format date to YYYY-MM-DD ("2024-06-01 09:00:00" and ISO timestamps both work)
+function formatDate(dateString) {
+  if (!dateString) return null;
+
+  const match = String(dateString).match(/^(\d{4}-\d{2}-\d{2})/);
+  if (match) return match[1];
+
+  const date = new Date(dateString);
+  return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+}
+
+// Positive whole number of drivers, or null when the field is blank or nonsense
+function parseDriverCount(value) {
+  const count = parseInt(value, 10);
+  return Number.isInteger(count) && count > 0 ? count : null;
+}
+
+module.exports = {
+  getJobSource,
+  isJobSourceConfigured
+};
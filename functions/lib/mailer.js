@@ -0,0 +1,108 @@
+// File: functions/lib/mailer.js
+// OOOSH Driver Verification - Outgoing email
+// Every email goes out from info@oooshtours.co.uk, whichever transport sends it.
+//
+// MAIL_TRANSPORT selects the transport:
+//   apps-script - the Google Apps Script's send-confirmation action (default without SMTP_HOST)
+//   smtp        - nodemailer via SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS (default with SMTP_HOST)
+//   console     - print the email to the function log instead of sending it (local development)
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+const FROM_EMAIL = 'info@oooshtours.co.uk';
+const FROM_NAME = 'Ooosh Tours';
+
+// One SMTP connection pool per function instance - reused across warm invocations
+let smtpTransport = null;
+
+/**
+ * Send an HTML email through the configured transport
+ * @param {Object} message - { to, subject, htmlBody }
+ * @returns {Promise<string>} - Transport response (Apps Script response text or SMTP message id)
+ * @throws {Error} - When the transport isn't configured or the send fails
+ */
+async function sendEmail({ to, subject, htmlBody }) {
+  const transport = getMailTransport();
+
+  switch (transport) {
+    case 'apps-script':
+      return sendViaAppsScript({ to, subject, htmlBody });
+    case 'smtp':
+      return sendViaSmtp({ to, subject, htmlBody });
+    case 'console':
+      console.log(`📧 [console mail] To: ${to}\nSubject: ${subject}\n${htmlBody}`);
+      return 'logged';
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT: ${transport}`);
+  }
+}
+
+// INTERNAL: 'apps-script', 'smtp' or 'console'
+function getMailTransport() {
+  return (process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'apps-script')).toLowerCase();
+}
+
+// INTERNAL: Apps Script send-confirmation sends any HTML body
+async function sendViaAppsScript({ to, subject, htmlBody }) {
+  const scriptUrl = process.env.GOOGLE_APPS_SCRIPT_URL;
+
+  if (!scriptUrl) {
+    throw new Error('Google Apps Script URL not configured');
+  }
+
+  const response = await fetch(scriptUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      action: 'send-confirmation',  // Using hyphenated format
+      email: to,
+      subject,
+      htmlBody,
+      fromEmail: FROM_EMAIL,
+      fromName: FROM_NAME
+    })
+  });
+
+  const result = await response.text();
+  if (DEBUG_MODE) console.log('📧 Google Apps Script response:', result);
+
+  if (!response.ok) {
+    throw new Error(`Failed to send email via Google Apps Script: ${result}`);
+  }
+
+  return result;
+}
+
+// INTERNAL: SMTP through nodemailer
+async function sendViaSmtp({ to, subject, htmlBody }) {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST not configured');
+  }
+
+  if (!smtpTransport) {
+    const nodemailer = require('nodemailer');
+    smtpTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  const info = await smtpTransport.sendMail({
+    from: `"${FROM_NAME}" <${FROM_EMAIL}>`,
+    to,
+    subject,
+    html: htmlBody
+  });
+
+  if (DEBUG_MODE) console.log('📧 SMTP message sent:', info.messageId);
+  return info.messageId;
+}
+
+module.exports = {
+  sendEmail
+};
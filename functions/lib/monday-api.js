@@ -0,0 +1,366 @@
+// File: functions/lib/monday-api.js
+// OOOSH Driver Verification - Shared Monday.com API client
+// Every function talks to Monday.com through here, so MONDAY_API_URL can point
+// at the local stand-in (dev/monday) for offline development and tests.
+// Handles Monday's rate limits and complexity budget: retries with jittered backoff,
+// queues writes, and throws MondayRateLimitError / MondayBudgetExhaustedError when it can't wait.
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+// Monday.com API endpoint (override with MONDAY_API_URL for the local stand-in)
+const MONDAY_API_URL = process.env.MONDAY_API_URL || 'https://api.monday.com/v2';
+
+// Retry settings - the total wait has to fit inside the calling function's timeout
+const MAX_RETRIES = parseInt(process.env.MONDAY_MAX_RETRIES) || 4;
+const MAX_RETRY_WAIT_MS = parseInt(process.env.MONDAY_MAX_RETRY_WAIT_MS) || 8000;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_CAP_MS = 4000;
+
+// Error codes Monday.com returns when it refuses a request because of load.
+// The request was never run, so it is safe to send again - even a mutation.
+const RATE_LIMIT_CODES = ['RATE_LIMIT_EXCEEDED', 'IP_RATE_LIMIT_EXCEEDED', 'maxConcurrencyExceeded', 'RateLimitExceeded'];
+const BUDGET_CODES = ['ComplexityException', 'COMPLEXITY_BUDGET_EXHAUSTED', 'DAILY_LIMIT_EXCEEDED'];
+
+// Complexity budget as last reported by Monday.com (shared by every call in this function instance)
+const budget = {
+  remaining: null,
+  resetAt: 0,
+  highestCost: 0
+};
+
+// Mutations run one at a time so a burst of writes can't trip the concurrency limit
+let writeQueue = Promise.resolve();
+
+// ========================================
+// ERRORS
+// ========================================
+
+// Base class - anything Monday.com rejected (code is Monday's error code when it gave one)
+class MondayApiError extends Error {
+  constructor(message, { code = null, status = null, errors = null } = {}) {
+    super(message);
+    this.name = 'MondayApiError';
+    this.code = code;
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+// Too many requests - still limited after every retry
+class MondayRateLimitError extends MondayApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'MondayRateLimitError';
+    this.retryAfterSeconds = details.retryAfterSeconds ?? null;
+  }
+}
+
+// Complexity (or daily) budget used up - nothing more can run until it resets
+class MondayBudgetExhaustedError extends MondayApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'MondayBudgetExhaustedError';
+    this.retryAfterSeconds = details.retryAfterSeconds ?? null;
+  }
+}
+
+/**
+ * Is this a limit we gave up waiting for? (The request can be tried again later.)
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isMondayLimitError(error) {
+  return error instanceof MondayRateLimitError || error instanceof MondayBudgetExhaustedError;
+}
+
+/**
+ * Rebuild the typed error from a limit response another function passed back
+ * (monday-integration answers 503 with { error, code, retryAfterSeconds })
+ * @param {Object} result - Parsed response body
+ * @returns {MondayRateLimitError|MondayBudgetExhaustedError}
+ */
+function limitErrorFromResult(result) {
+  const ErrorClass = BUDGET_CODES.includes(result.code) ? MondayBudgetExhaustedError : MondayRateLimitError;
+  return new ErrorClass(result.error || 'Monday.com limit reached', {
+    code: result.code,
+    status: 503,
+    retryAfterSeconds: result.retryAfterSeconds
+  });
+}
+
+// ========================================
+// CLIENT
+// ========================================
+
+/**
+ * Call the Monday.com GraphQL API with authentication
+ * Rate-limit and complexity rejections are retried with jittered backoff; queries are also
+ * retried on network and 5xx errors. Mutations are queued and sent one at a time.
+ * @param {string} query - GraphQL query or mutation
+ * @param {Object} options - { apiVersion } to pin the API-Version header
+ * @returns {Promise<Object>} - Parsed GraphQL response ({ data })
+ * @throws {MondayRateLimitError|MondayBudgetExhaustedError|MondayApiError}
+ */
+async function callMondayAPI(query, options = {}) {
+  const token = process.env.MONDAY_API_TOKEN;
+
+  if (!token) {
+    throw new Error('MONDAY_API_TOKEN environment variable not set');
+  }
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'Authorization': `Bearer ${token}`
+  };
+  if (options.apiVersion) {
+    headers['API-Version'] = options.apiVersion;
+  }
+
+  const isMutation = /^\s*mutation\b/.test(query);
+  const body = JSON.stringify({ query: withComplexity(query) });
+
+  const send = () => sendWithRetry({
+    url: MONDAY_API_URL,
+    init: { method: 'POST', headers, body },
+    isMutation
+  });
+
+  const result = await (isMutation ? enqueueWrite(send) : send());
+
+  if (result.errors) {
+    console.error('❌ Monday.com GraphQL errors:', result.errors);
+    throw new MondayApiError(`GraphQL errors: ${JSON.stringify(result.errors)}`, {
+      code: result.errors[0]?.extensions?.code || null,
+      errors: result.errors
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Send a multipart file mutation to the Monday.com file endpoint
+ * Queued and retried like any other mutation
+ * @param {FormData} formData - formdata-node FormData with query, variables, map and file parts
+ * @returns {Promise<Object>} - Parsed GraphQL response (errors are left for the caller)
+ */
+async function postMondayFile(formData) {
+  return enqueueWrite(() => sendWithRetry({
+    url: `${MONDAY_API_URL}/file`,
+    init: {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${process.env.MONDAY_API_TOKEN}` },
+      body: formData
+    },
+    isMutation: true
+  }));
+}
+
+// INTERNAL: Send one request, retrying while Monday.com says it is only a matter of time
+// Returns the parsed body, which may still contain (non-limit) GraphQL errors
+async function sendWithRetry({ url, init, isMutation }) {
+  const startedAt = Date.now();
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForBudget();
+
+    if (DEBUG_MODE) console.log(`🔄 Calling Monday.com API...${attempt > 0 ? ` (retry ${attempt})` : ''}`);
+
+    let response;
+    let result;
+
+    try {
+      response = await fetch(url, init);
+      const responseText = await response.text();
+      try {
+        result = JSON.parse(responseText);
+      } catch (parseError) {
+        console.error('❌ Failed to parse response:', responseText.substring(0, 200));
+        result = null;
+      }
+    } catch (networkError) {
+      // A mutation may have been applied before the connection dropped - don't send it twice
+      if (isMutation || attempt >= MAX_RETRIES) {
+        throw new MondayApiError(`Monday.com request failed: ${networkError.message}`);
+      }
+      await backoff(attempt, null, startedAt, { kind: 'network', message: networkError.message });
+      continue;
+    }
+
+    recordComplexity(result?.data?.complexity);
+
+    const failure = classifyFailure(response, result);
+    if (!failure) return result;
+
+    if (failure.kind === 'fatal') {
+      // Plain GraphQL errors (bad column, bad query) are the caller's to handle
+      if (response.ok && result) return result;
+      console.error('❌ Monday.com API error:', response.status, result);
+      throw new MondayApiError(`Monday.com API error: ${response.status}`, { status: response.status, code: failure.code });
+    }
+
+    if (failure.kind === 'server' && isMutation) {
+      throw new MondayApiError(`Monday.com API error: ${response.status}`, { status: response.status });
+    }
+
+    if (attempt >= MAX_RETRIES) {
+      throw limitError(failure, response.status);
+    }
+
+    await backoff(attempt, failure.retryAfterSeconds, startedAt, failure, response.status);
+  }
+}
+
+// INTERNAL: What went wrong, if anything
+// Returns null on success, or { kind: 'rate' | 'budget' | 'server' | 'fatal', code, retryAfterSeconds, message }
+function classifyFailure(response, result) {
+  const errors = result?.errors || [];
+  const limitEntry = errors.find(error => [...RATE_LIMIT_CODES, ...BUDGET_CODES].includes(error.extensions?.code));
+  const code = limitEntry?.extensions?.code || result?.error_code || null;
+  const message = limitEntry?.message || result?.error_message || errors[0]?.message || `HTTP ${response.status}`;
+
+  // Monday.com gives the wait as a header, an extension field or (older API versions) in the message
+  const retryAfterSeconds = Number(response.headers.get('retry-after')) ||
+    limitEntry?.extensions?.retry_in_seconds ||
+    Number((message.match(/reset in (\d+) seconds?/i) || [])[1]) ||
+    null;
+
+  if (BUDGET_CODES.includes(code)) return { kind: 'budget', code, retryAfterSeconds, message };
+  if (RATE_LIMIT_CODES.includes(code) || response.status === 429) return { kind: 'rate', code, retryAfterSeconds, message };
+  if (response.status >= 500 || (response.ok && !result)) return { kind: 'server', code, retryAfterSeconds: null, message };
+  if (!response.ok) return { kind: 'fatal', code, retryAfterSeconds: null, message };
+  if (errors.length > 0) return { kind: 'fatal', code, retryAfterSeconds: null, message };
+
+  return null;
+}
+
+// INTERNAL: Typed error for a limit we couldn't wait out
+function limitError(failure, status) {
+  const details = { code: failure.code, status, retryAfterSeconds: failure.retryAfterSeconds };
+
+  if (failure.kind === 'budget') {
+    return new MondayBudgetExhaustedError(`Monday.com complexity budget exhausted: ${failure.message}`, details);
+  }
+  if (failure.kind === 'rate') {
+    return new MondayRateLimitError(`Monday.com rate limit exceeded: ${failure.message}`, details);
+  }
+  return new MondayApiError(`Monday.com API error: ${failure.message}`, details);
+}
+
+// INTERNAL: Sleep before the next attempt - Monday's own wait when it gives one, otherwise
+// exponential backoff with full jitter. Gives up early rather than outlive the function.
+async function backoff(attempt, retryAfterSeconds, startedAt, failure, status) {
+  const jitter = Math.random() * BACKOFF_BASE_MS;
+  const delay = retryAfterSeconds
+    ? retryAfterSeconds * 1000 + jitter
+    : Math.random() * Math.min(BACKOFF_CAP_MS, BACKOFF_BASE_MS * 2 ** attempt);
+
+  if (Date.now() - startedAt + delay > MAX_RETRY_WAIT_MS) {
+    throw limitError(failure, status);
+  }
+
+  console.warn(`⏳ Monday.com ${failure.kind} limit (${failure.code || failure.message}) - retrying in ${Math.round(delay)}ms`);
+  await sleep(delay);
+}
+
+// INTERNAL: Hold back when the last response said the budget is nearly gone
+async function waitForBudget() {
+  if (budget.remaining === null || budget.remaining >= budget.highestCost) return;
+
+  const wait = budget.resetAt - Date.now();
+  if (wait <= 0) return;
+
+  if (wait > MAX_RETRY_WAIT_MS) {
+    throw new MondayBudgetExhaustedError(
+      `Monday.com complexity budget exhausted (${budget.remaining} left, resets in ${Math.ceil(wait / 1000)}s)`,
+      { code: 'COMPLEXITY_BUDGET_EXHAUSTED', retryAfterSeconds: Math.ceil(wait / 1000) }
+    );
+  }
+
+  console.warn(`⏳ Monday.com complexity budget low (${budget.remaining} left) - waiting ${wait}ms for reset`);
+  await sleep(wait);
+  budget.remaining = null;
+}
+
+// INTERNAL: Ask for the complexity block alongside every query so the budget is always known
+function withComplexity(query) {
+  if (/\bcomplexity\s*\{/.test(query)) return query;
+  return query.replace('{', '{ complexity { query after reset_in_x_seconds } ');
+}
+
+function recordComplexity(complexity) {
+  if (!complexity) return;
+
+  budget.remaining = complexity.after;
+  budget.resetAt = Date.now() + (complexity.reset_in_x_seconds || 0) * 1000;
+  budget.highestCost = Math.max(budget.highestCost, complexity.query || 0);
+
+  if (DEBUG_MODE) console.log(`📊 Monday.com complexity: cost ${complexity.query}, ${complexity.after} left`);
+}
+
+// INTERNAL: Run writes in order, one at a time - a failed write doesn't block the next
+function enqueueWrite(task) {
+  const run = writeQueue.then(task);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read one page of a board's items - the first page, or the page after a cursor
+ * Monday.com cursors stay valid for 60 minutes
+ * @param {string} boardId - Board to page through (ignored when a cursor is given)
+ * @param {string|null} cursor - Cursor from the previous page, or null to start
+ * @param {number} limit - Items per page (Monday.com allows up to 500)
+ * @returns {Promise<Object>} - { cursor, items } - cursor is null on the last page
+ */
+async function getItemsPage(boardId, cursor, limit = 100) {
+  const itemFields = `
+    cursor
+    items {
+      id
+      name
+      created_at
+      column_values {
+        id
+        text
+        value
+      }
+    }
+  `;
+
+  const query = cursor
+    ? `query { next_items_page (cursor: "${escapeJson(cursor)}", limit: ${limit}) { ${itemFields} } }`
+    : `query { boards (ids: [${boardId}]) { items_page (limit: ${limit}) { ${itemFields} } } }`;
+
+  const response = await callMondayAPI(query);
+  const page = cursor ? response.data?.next_items_page : response.data?.boards?.[0]?.items_page;
+
+  if (!page) {
+    throw new Error(`Items could not be read from board ${boardId}`);
+  }
+
+  return { cursor: page.cursor || null, items: page.items || [] };
+}
+
+// Escape JSON for GraphQL mutations
+function escapeJson(str) {
+  return str.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+}
+
+module.exports = {
+  MONDAY_API_URL,
+  MondayApiError,
+  MondayRateLimitError,
+  MondayBudgetExhaustedError,
+  isMondayLimitError,
+  limitErrorFromResult,
+  callMondayAPI,
+  postMondayFile,
+  getItemsPage,
+  escapeJson
+};
@@ -0,0 +1,155 @@
+/** @jest-environment node */
+// File: functions/lib/monday-api.test.js
+
+const { plainResponse } = require('../../dev/monday/plain-fetch');
+
+const OK = { data: { me: { id: '1' } } };
+
+let mondayApi;
+let waits;
+
+beforeEach(() => {
+  process.env.MONDAY_API_TOKEN = 'test-token';
+  // Budget and write queue are per function instance - start each test with a fresh one
+  jest.isolateModules(() => {
+    mondayApi = require('./monday-api');
+  });
+
+  global.fetch = jest.fn();
+  waits = [];
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  jest.spyOn(global, 'setTimeout').mockImplementation((callback, ms) => {
+    waits.push(ms);
+    callback();
+  });
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete global.fetch;
+  delete process.env.MONDAY_API_TOKEN;
+  jest.restoreAllMocks();
+});
+
+// Answer each fetch with the next response in the list
+function respondWith(...responses) {
+  responses.forEach(response => global.fetch.mockImplementationOnce(async () => response));
+}
+
+const rateLimited = (retryAfter) => plainResponse(429, { error_message: 'Rate limit exceeded', status_code: 429 },
+  retryAfter ? { 'Retry-After': String(retryAfter) } : {});
+
+const budgetExhausted = (seconds) => plainResponse(200, {
+  errors: [{ message: `Complexity budget exhausted, budget will reset in ${seconds} seconds`, extensions: { code: 'ComplexityException' } }]
+});
+
+describe('callMondayAPI', () => {
+  test('a 429 is retried after the Retry-After wait', async () => {
+    respondWith(rateLimited(2), plainResponse(200, OK));
+
+    expect(await mondayApi.callMondayAPI('query { me { id } }')).toEqual(OK);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(waits).toEqual([2000]);
+  });
+
+  test('a complexity error is retried once the budget resets', async () => {
+    respondWith(budgetExhausted(3), plainResponse(200, OK));
+
+    expect(await mondayApi.callMondayAPI('query { me { id } }')).toEqual(OK);
+    expect(waits).toEqual([3000]);
+  });
+
+  test('a reset further off than the function can wait fails straight away', async () => {
+    respondWith(budgetExhausted(30));
+
+    const error = await mondayApi.callMondayAPI('query { me { id } }').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(mondayApi.MondayBudgetExhaustedError);
+    expect(error).toMatchObject({ code: 'ComplexityException', retryAfterSeconds: 30 });
+    expect(mondayApi.isMondayLimitError(error)).toBe(true);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(waits).toEqual([]);
+  });
+
+  test('gives up with a rate limit error after the last retry', async () => {
+    global.fetch.mockImplementation(async () => rateLimited());
+
+    const error = await mondayApi.callMondayAPI('query { me { id } }').catch(caught => caught);
+
+    expect(error).toBeInstanceOf(mondayApi.MondayRateLimitError);
+    expect(error.status).toBe(429);
+    // The first attempt and four retries (MONDAY_MAX_RETRIES)
+    expect(global.fetch).toHaveBeenCalledTimes(5);
+  });
+
+  test('a query is retried after a server error, a mutation is not', async () => {
+    respondWith(plainResponse(502, 'Bad gateway'), plainResponse(200, OK));
+    expect(await mondayApi.callMondayAPI('query { me { id } }')).toEqual(OK);
+
+    global.fetch.mockReset();
+    respondWith(plainResponse(502, 'Bad gateway'), plainResponse(200, OK));
+    await expect(mondayApi.callMondayAPI('mutation { delete_item (item_id: 1) { id } }'))
+      .rejects.toMatchObject({ name: 'MondayApiError', status: 502 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('GraphQL errors are thrown with their Monday.com code', async () => {
+    respondWith(plainResponse(200, { errors: [{ message: 'Column not found', extensions: { code: 'InvalidColumnIdException' } }] }));
+
+    await expect(mondayApi.callMondayAPI('query { me { id } }'))
+      .rejects.toMatchObject({ name: 'MondayApiError', code: 'InvalidColumnIdException' });
+  });
+
+  test('every query asks for the complexity budget', async () => {
+    respondWith(plainResponse(200, OK));
+
+    await mondayApi.callMondayAPI('query { me { id } }');
+
+    expect(JSON.parse(global.fetch.mock.calls[0][1].body).query).toContain('complexity { query after reset_in_x_seconds }');
+  });
+
+  test('mutations are sent one at a time, in order', async () => {
+    const sent = [];
+    const answer = {};
+    global.fetch.mockImplementation((url, init) => {
+      const label = JSON.parse(init.body).query.match(/(first|second|me)\b/)[1];
+      sent.push(label);
+      return new Promise(resolve => {
+        answer[label] = resolve;
+      });
+    });
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+
+    const first = mondayApi.callMondayAPI('mutation { first: delete_item (item_id: 1) { id } }');
+    const second = mondayApi.callMondayAPI('mutation { second: delete_item (item_id: 2) { id } }');
+    const query = mondayApi.callMondayAPI('query { me { id } }');
+    await flush();
+
+    // The query doesn't wait for the writes; the second write waits for the first
+    expect(sent.sort()).toEqual(['first', 'me']);
+
+    answer.first(plainResponse(200, { errors: [{ message: 'Item not found' }] }));
+    await expect(first).rejects.toThrow('Item not found');
+    await flush();
+
+    // A failed write doesn't hold up the queue
+    expect(sent).toContain('second');
+
+    answer.me(plainResponse(200, OK));
+    answer.second(plainResponse(200, { data: { delete_item: { id: '2' } } }));
+    await expect(query).resolves.toEqual(OK);
+    await expect(second).resolves.toEqual({ data: { delete_item: { id: '2' } } });
+  });
+});
+
+describe('limitErrorFromResult', () => {
+  test('rebuilds the typed error another function passed back', () => {
+    const budget = mondayApi.limitErrorFromResult({ error: 'Budget gone', code: 'COMPLEXITY_BUDGET_EXHAUSTED', retryAfterSeconds: 40 });
+    const rate = mondayApi.limitErrorFromResult({ code: 'RATE_LIMIT_EXCEEDED' });
+
+    expect(budget).toBeInstanceOf(mondayApi.MondayBudgetExhaustedError);
+    expect(budget).toMatchObject({ message: 'Budget gone', status: 503, retryAfterSeconds: 40 });
+    expect(rate).toBeInstanceOf(mondayApi.MondayRateLimitError);
+  });
+});
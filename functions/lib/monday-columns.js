@@ -0,0 +1,411 @@
+// File: functions/lib/monday-columns.js
+// OOOSH Driver Verification - Monday.com column mapping
+// Single source of truth for which driver field lives in which board column.
+// Parsing (Monday.com -> driver object) and formatting (driver object -> column_values)
+// are both driven from these tables, and checkBoardSchema() compares them with the live boards.
+//
+// Column entry:
+//   field      - property name used by the functions and frontend
+//   columnId   - Monday.com column ID
+//   type       - Monday.com column type (text, long_text, email, date, status, file)
+//   as         - optional conversion: 'boolean' (Yes/No status) or 'number' (text holding a number)
+//   writeEmpty - write falsy values too (default: only truthy values are written)
+//   yesIndex   - status index that also counts as "Yes" when the label is missing
+//   fileType   - upload key for file columns (upload-file-board-a fileType)
+
+const { callMondayAPI } = require('./monday-api');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+// ========================================
+// BOARD DEFINITIONS
+// ========================================
+
+const BOARD_A = {
+  id: '9798399405',
+  name: 'Driver Database',
+  columns: [
+    // Identity & Contact
+    { field: 'email', columnId: 'email_mktrgzj', type: 'email' },
+    { field: 'driverName', columnId: 'text_mktry2je', type: 'text' },
+    { field: 'firstName', columnId: 'text_mkwhc7a', type: 'text' },
+    { field: 'lastName', columnId: 'text_mkwhm2n5', type: 'text' },
+    { field: 'phoneCountry', columnId: 'text_mkty5hzk', type: 'text' },
+    { field: 'phoneNumber', columnId: 'text_mktrfqe2', type: 'text' },
+    { field: 'dateOfBirth', columnId: 'date_mktr2x01', type: 'date' },
+    { field: 'nationality', columnId: 'text_mktrdh72', type: 'text' },
+
+    // License Information
+    { field: 'licenseNumber', columnId: 'text_mktrrv38', type: 'text' },
+    { field: 'licenseIssuedBy', columnId: 'text_mktrz69', type: 'text' },
+    { field: 'datePassedTest', columnId: 'date_mktr93jq', type: 'date' },
+    { field: 'licenseValidFrom', columnId: 'date_mktrmdx5', type: 'date' },
+    { field: 'licenseValidTo', columnId: 'date_mktrwk94', type: 'date' },
+    { field: 'licenseEnding', columnId: 'text_mktr8kvs', type: 'text' },
+
+    // Addresses
+    { field: 'homeAddress', columnId: 'long_text_mktr2jhb', type: 'long_text' },
+    { field: 'licenseAddress', columnId: 'long_text_mktrs5a0', type: 'long_text' },
+
+    // Document Expiry Dates
+    { field: 'poa1ValidUntil', columnId: 'date_mktr1keg', type: 'date' },
+    { field: 'poa2ValidUntil', columnId: 'date_mktra1a6', type: 'date' },
+    { field: 'dvlaValidUntil', columnId: 'date_mktrmjfr', type: 'date' },
+    { field: 'passportValidUntil', columnId: 'date_mkvxy5t1', type: 'date' },
+    { field: 'licenseNextCheckDue', columnId: 'date_mktsbgpy', type: 'date' },
+    { field: 'signatureDate', columnId: 'date_mkw4apb7', type: 'date' },
+
+    // Insurance Questions (Yes/No status columns)
+    { field: 'hasDisability', columnId: 'status', type: 'status', as: 'boolean' },
+    { field: 'hasConvictions', columnId: 'color_mktr4w0', type: 'status', as: 'boolean' },
+    { field: 'hasProsecution', columnId: 'color_mktrbt3x', type: 'status', as: 'boolean', yesIndex: 1 },
+    { field: 'hasAccidents', columnId: 'color_mktraeas', type: 'status', as: 'boolean', yesIndex: 1 },
+    { field: 'hasInsuranceIssues', columnId: 'color_mktrpe6q', type: 'status', as: 'boolean', yesIndex: 1 },
+    { field: 'hasDrivingBan', columnId: 'color_mktr2t8a', type: 'status', as: 'boolean', yesIndex: 1 },
+
+    // DVLA Insurance Data
+    { field: 'dvlaPoints', columnId: 'text_mkwfhvve', type: 'text', as: 'number', writeEmpty: true },
+    { field: 'dvlaEndorsements', columnId: 'text_mkwf6e1n', type: 'text' },
+    { field: 'dvlaCalculatedExcess', columnId: 'text_mkwf6595', type: 'text', writeEmpty: true },
+
+    // Additional details and status
+    { field: 'additionalDetails', columnId: 'long_text_mktr1a66', type: 'long_text' },
+    { field: 'overallStatus', columnId: 'color_mktrwatg', type: 'status' },
+    { field: 'lastUpdated', columnId: 'date_mktrk8kv', type: 'date' },
+    { field: 'idenfyCheckDate', columnId: 'text_mkvv2z8p', type: 'text' },
+    { field: 'poa1URL', columnId: 'text_mkw34ksx', type: 'text' },
+    { field: 'poa2URL', columnId: 'text_mkw3d9ye', type: 'text' },
+    { field: 'idenfyScanRef', columnId: 'text_mkwbn8bx', type: 'text' },
+
+    // Calculated status fields (see calculateStatusFields)
+    { field: 'licenseStatus', columnId: 'color_mkxvmz0a', type: 'status' },
+    { field: 'poaStatus', columnId: 'color_mkxvkc9h', type: 'status' },
+    { field: 'dvlaStatus', columnId: 'color_mkxvhf62', type: 'status' },
+    { field: 'passportStatus', columnId: 'color_mkxv9218', type: 'status' },
+    { field: 'insuranceStatus', columnId: 'color_mkxvxskq', type: 'status' },
+
+    // Document files (written with add_file_to_column, never parsed into the driver object)
+    { field: 'licenseFrontFile', columnId: 'file_mktrypb7', type: 'file', fileType: 'license_front' },
+    { field: 'licenseBackFile', columnId: 'file_mktr76g6', type: 'file', fileType: 'license_back' },
+    { field: 'passportFile', columnId: 'file_mktr56t0', type: 'file', fileType: 'passport' },
+    { field: 'poa1File', columnId: 'file_mktrf9jv', type: 'file', fileType: 'poa1' },
+    { field: 'poa2File', columnId: 'file_mktr3fdw', type: 'file', fileType: 'poa2' },
+    { field: 'dvlaFile', columnId: 'file_mktrwhn8', type: 'file', fileType: 'dvla' },
+    { field: 'signatureFile', columnId: 'file_mktrfanc', type: 'file', fileType: 'signature' }
+  ]
+};
+
+const BOARD_B = {
+  id: '841453886',
+  name: 'Driver Assignments',
+  columns: [
+    { field: 'driverName', columnId: 'text8', type: 'text' },
+    { field: 'email', columnId: 'email', type: 'email' },
+    { field: 'phoneNumber', columnId: 'text9__1', type: 'text' },
+    { field: 'phoneCountry', columnId: 'text_mktywe58', type: 'text' },
+    { field: 'dateOfBirth', columnId: 'date45', type: 'date' },
+    { field: 'nationality', columnId: 'text_mktqjbpm', type: 'text' },
+    { field: 'licenseNumber', columnId: 'text6', type: 'text' },
+    { field: 'licenseIssuedBy', columnId: 'text_mktqwkqn', type: 'text' },
+    { field: 'licenseValidFrom', columnId: 'date_mktqphhq', type: 'date' },
+    { field: 'licenseValidTo', columnId: 'driver_licence_valid_to', type: 'date' },
+    { field: 'datePassedTest', columnId: 'date2', type: 'date' },
+    { field: 'homeAddress', columnId: 'long_text6', type: 'long_text' },
+    { field: 'licenseAddress', columnId: 'long_text8', type: 'long_text' },
+    { field: 'jobNumber', columnId: 'text86', type: 'text' },
+    { field: 'signatureDate', columnId: 'date4', type: 'date' },
+    { field: 'overallStatus', columnId: 'color_mkwtaftc', type: 'status' }
+  ]
+};
+
+// Quotes & Hires board - read only, used for job validation
+const QH_BOARD = {
+  id: '2431480012',
+  name: 'Quotes & Hires',
+  columns: [
+    { field: 'jobNumber', columnId: 'text7', type: 'text' },
+    { field: 'startDate', columnId: 'date', type: 'date' },
+    { field: 'endDate', columnId: 'dup__of_hire_starts', type: 'date' }
+  ]
+};
+
+const BOARDS = [BOARD_A, BOARD_B, QH_BOARD];
+
+// ========================================
+// LOOKUPS
+// ========================================
+
+/**
+ * Get the column ID for a field
+ * @param {Object} board - BOARD_A, BOARD_B or QH_BOARD
+ * @param {string} field - Field name, e.g. 'idenfyScanRef'
+ * @returns {string} - Monday.com column ID
+ */
+function getColumnId(board, field) {
+  const column = board.columns.find(col => col.field === field);
+  if (!column) {
+    throw new Error(`No ${board.name} column mapped for field: ${field}`);
+  }
+  return column.columnId;
+}
+
+/**
+ * Get the Board A file column for an upload type
+ * @param {string} fileType - license_front, license_back, passport, poa1, poa2, dvla, signature
+ * @returns {string|null} - Monday.com column ID, or null for unknown types
+ */
+function getFileColumnId(fileType) {
+  const column = BOARD_A.columns.find(col => col.type === 'file' && col.fileType === fileType);
+  return column ? column.columnId : null;
+}
+
+// ========================================
+// FORMATTING (driver object -> column_values)
+// ========================================
+
+/**
+ * Build a column_values object for create_item / change_multiple_column_values
+ * @param {Object} board - Board definition
+ * @param {Object} data - Driver fields to write
+ * @returns {Object} - { columnId: value } in Monday.com's write format
+ */
+function formatColumnValues(board, data) {
+  const columnValues = {};
+
+  board.columns.forEach(column => {
+    if (!shouldWrite(column, data[column.field])) return;
+    columnValues[column.columnId] = formatValue(column, data[column.field]);
+  });
+
+  return columnValues;
+}
+
+/**
+ * Pick the fields formatColumnValues() would actually write
+ * @param {Object} board - Board definition
+ * @param {Object} data - Driver fields
+ * @returns {Object} - { field: value } for mapped, non-empty fields
+ */
+function getWrittenFields(board, data) {
+  const written = {};
+
+  board.columns.forEach(column => {
+    if (shouldWrite(column, data[column.field])) {
+      written[column.field] = data[column.field];
+    }
+  });
+
+  return written;
+}
+
+// Only truthy values are written unless the column opts in to empty values
+function shouldWrite(column, value) {
+  if (column.type === 'file') return false;
+
+  return column.writeEmpty || column.as === 'boolean'
+    ? value !== undefined
+    : !!value;
+}
+
+function formatValue(column, value) {
+  switch (column.type) {
+    case 'email':
+      return { email: value, text: value };
+    case 'date':
+      return { date: value };
+    case 'status':
+      return { label: column.as === 'boolean' ? (value ? 'Yes' : 'No') : value };
+    default:
+      return column.as === 'number' ? String(value) : value;
+  }
+}
+
+// ========================================
+// PARSING (Monday.com item -> driver object)
+// ========================================
+
+/**
+ * Empty value for every parsed field on a board
+ * @param {Object} board - Board definition
+ * @returns {Object} - { field: '' | 0 | false }
+ */
+function getDefaultValues(board) {
+  const defaults = {};
+  board.columns.forEach(column => {
+    if (column.type === 'file') return;
+    defaults[column.field] = column.as === 'boolean' ? false : column.as === 'number' ? 0 : '';
+  });
+  return defaults;
+}
+
+/**
+ * Read the mapped fields from a Monday.com item's column_values
+ * @param {Object} board - Board definition
+ * @param {Object} item - Monday.com item with column_values { id text value }
+ * @returns {Object} - Driver fields (unmapped columns are ignored)
+ */
+function parseColumnValues(board, item) {
+  const byColumnId = new Map(board.columns.map(column => [column.columnId, column]));
+  const parsed = getDefaultValues(board);
+
+  (item.column_values || []).forEach(col => {
+    const column = byColumnId.get(col.id);
+    if (!column || column.type === 'file') return;
+
+    const value = col.value ? JSON.parse(col.value) : null;
+    parsed[column.field] = parseValue(column, col, value);
+  });
+
+  return parsed;
+}
+
+function parseValue(column, col, value) {
+  switch (column.type) {
+    case 'email':
+      return value?.email || col.text || '';
+    case 'date':
+      return value?.date || col.date || '';
+    case 'status':
+      if (column.as === 'boolean') {
+        return value?.label === 'Yes' ||
+               col.text === 'Yes' ||
+               (column.yesIndex !== undefined && value?.index === column.yesIndex);
+      }
+      return value?.label || col.text || '';
+    default:
+      if (column.as === 'number') {
+        return col.text ? parseInt(col.text) : 0;
+      }
+      return col.text || '';
+  }
+}
+
+// ========================================
+// SCHEMA CHECK
+// ========================================
+
+// Older API versions report some column types under different names
+const TYPE_ALIASES = {
+  color: 'status',
+  'long-text': 'long_text'
+};
+
+/**
+ * Compare a board definition with the live board's columns
+ * @param {Object} board - Board definition
+ * @returns {Promise<Object>} - { boardId, boardName, ok, missing: [...], retyped: [...] }
+ */
+async function checkBoardSchema(board) {
+  const query = `
+    query {
+      boards(ids: [${board.id}]) {
+        id
+        name
+        columns {
+          id
+          title
+          type
+        }
+      }
+    }
+  `;
+
+  const response = await callMondayAPI(query, { apiVersion: '2023-10' });
+  const liveBoard = response.data?.boards?.[0];
+
+  if (!liveBoard) {
+    return {
+      boardId: board.id,
+      boardName: board.name,
+      ok: false,
+      error: 'Board not found or not accessible',
+      missing: [],
+      retyped: []
+    };
+  }
+
+  const liveColumns = new Map(liveBoard.columns.map(col => [col.id, col]));
+  const missing = [];
+  const retyped = [];
+
+  board.columns.forEach(column => {
+    const live = liveColumns.get(column.columnId);
+
+    if (!live) {
+      missing.push({ field: column.field, columnId: column.columnId });
+      return;
+    }
+
+    const liveType = TYPE_ALIASES[live.type] || live.type;
+    if (liveType !== column.type) {
+      retyped.push({
+        field: column.field,
+        columnId: column.columnId,
+        title: live.title,
+        expected: column.type,
+        actual: live.type
+      });
+    }
+  });
+
+  return {
+    boardId: board.id,
+    boardName: liveBoard.name,
+    ok: missing.length === 0 && retyped.length === 0,
+    missing,
+    retyped
+  };
+}
+
+/**
+ * Check every mapped board and log any drift
+ * @returns {Promise<Object>} - { ok, boards: [report] }
+ */
+async function checkAllBoardSchemas() {
+  const reports = [];
+
+  for (const board of BOARDS) {
+    try {
+      const report = await checkBoardSchema(board);
+      reports.push(report);
+
+      if (report.ok) {
+        if (DEBUG_MODE) console.log(`✅ ${board.name} schema matches column mapping`);
+        continue;
+      }
+
+      if (report.error) {
+        console.error(`❌ ${board.name} schema check: ${report.error}`);
+      }
+      report.missing.forEach(col => {
+        console.error(`❌ ${board.name}: column ${col.columnId} (${col.field}) is missing - values will be dropped`);
+      });
+      report.retyped.forEach(col => {
+        console.error(`❌ ${board.name}: column ${col.columnId} (${col.field}) is now ${col.actual}, expected ${col.expected}`);
+      });
+    } catch (error) {
+      console.error(`❌ ${board.name} schema check failed:`, error.message);
+      reports.push({ boardId: board.id, boardName: board.name, ok: false, error: error.message, missing: [], retyped: [] });
+    }
+  }
+
+  return {
+    ok: reports.every(report => report.ok),
+    boards: reports
+  };
+}
+
+module.exports = {
+  BOARD_A,
+  BOARD_B,
+  QH_BOARD,
+  getColumnId,
+  getFileColumnId,
+  formatColumnValues,
+  getWrittenFields,
+  parseColumnValues,
+  getDefaultValues,
+  checkBoardSchema,
+  checkAllBoardSchemas
+};
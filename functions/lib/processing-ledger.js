@@ -0,0 +1,264 @@
+// File: functions/lib/processing-ledger.js
+// OOOSH Driver Verification - Idenfy processing ledger
+// Records which stages of an Idenfy result have finished, keyed by scanRef and final status
+// (status.overall), so a redelivered webhook - or a staff replay - picks up where the last run
+// stopped and never repeats a finished stage. A new final status for the same scan (e.g. Idenfy
+// reviewing SUSPECTED to APPROVED) starts a fresh ledger.
+//
+// Stages (see processEnhancedVerificationResult in idenfy-webhook.js):
+//   board-update    - Board A created/updated with the Idenfy result, per-job verification recorded
+//   file-uploads    - licence/passport/POA files copied from Idenfy to Board A
+//   poa-ocr         - POA documents validated
+//   manual-review   - driver flagged and staff notified when Idenfy's POA check failed
+//   validity-dates  - validity dates set
+//   poa-reupload    - Additional Steps POA re-upload (instead of the stages above)
+//   complete        - every stage finished; holds the final result returned to Idenfy
+//
+// Each stage row keeps a small result (no personal data) so later stages can use it on a resume.
+// A stage is claimed before it runs - a row with claim_id and a lease (claimed_until) but no
+// completed_at - so a second delivery arriving mid-run gets a StageInProgressError instead of
+// uploading the same files again. A claim left by a run that died lapses after the lease.
+// Needs DATABASE_URL - without it the ledger only lasts for the current run (tracked: false) and
+// the webhook falls back to its 5-minute duplicate window.
+
+const crypto = require('crypto');
+const { getDb, isDatabaseConfigured, isDuplicateKeyError } = require('./db');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+// How long a run holds a stage before another delivery may take it over - longer than a
+// Netlify function can run, so a live claim is never taken from under its owner
+const STAGE_LEASE_SECONDS = Number(process.env.PROCESSING_STAGE_LEASE_SECONDS) || 300;
+
+const PROCESSING_STAGES = [
+  'board-update',
+  'file-uploads',
+  'poa-ocr',
+  'manual-review',
+  'validity-dates',
+  'poa-reupload',
+  'complete'
+];
+
+// Another run holds the stage - the caller should ask for a retry once its lease is up
+class StageInProgressError extends Error {
+  constructor(stage, retryAfterSeconds) {
+    super(`Stage ${stage} is being processed by another run`);
+    this.name = 'StageInProgressError';
+    this.code = 'STAGE_IN_PROGRESS';
+    this.stage = stage;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+/**
+ * Did a stage fail because another run is working on it?
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isStageInProgressError(error) {
+  return error instanceof StageInProgressError;
+}
+
+/**
+ * Is the processing ledger available?
+ * @returns {boolean}
+ */
+function isProcessingLedgerAvailable() {
+  return isDatabaseConfigured();
+}
+
+/**
+ * Load the ledger for one final result of a scan
+ * @param {string} scanRef - Idenfy scan reference
+ * @param {string} finalStatus - status.overall from the webhook
+ * @param {Object} options - { readOnly, force } - readOnly never writes (dry runs); force re-runs finished stages
+ * @returns {Promise<Object>} - Ledger (tracked: false when DATABASE_URL isn't configured - nothing is kept)
+ */
+async function openProcessingLedger(scanRef, finalStatus, { readOnly = false, force = false } = {}) {
+  const tracked = isProcessingLedgerAvailable();
+  const db = tracked ? await getDb() : null;
+  const rows = tracked
+    ? await db.query(
+      'SELECT stage, result, completed_at FROM idenfy_processing_stages WHERE scan_ref = ? AND final_status = ? AND completed_at IS NOT NULL',
+      [scanRef, finalStatus]
+    )
+    : [];
+
+  // A forced re-run starts from an empty ledger and overwrites the markers as it goes
+  const completed = new Map(force ? [] : rows.map(row => [row.stage, toCompletedStage(row)]));
+  const resumed = [];
+
+  // Stages this run has claimed (claims are only taken when the ledger is kept)
+  const claimId = crypto.randomBytes(16).toString('hex');
+  const claimed = new Set();
+  const claiming = tracked && !readOnly;
+
+  // Claim a stage - returns the stored stage if another run finished it since the ledger was loaded
+  async function claimStage(stage) {
+    const claimedUntil = Date.now() + STAGE_LEASE_SECONDS * 1000;
+
+    try {
+      await db.run(
+        'INSERT INTO idenfy_processing_stages (scan_ref, final_status, stage, claim_id, claimed_until) VALUES (?, ?, ?, ?, ?)',
+        [scanRef, finalStatus, stage, claimId, claimedUntil]
+      );
+      claimed.add(stage);
+      return null;
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error;
+    }
+
+    // Take over a lapsed claim - or, on a forced re-run, a finished stage
+    const takeover = await db.run(
+      `UPDATE idenfy_processing_stages SET claim_id = ?, claimed_until = ?, completed_at = NULL
+       WHERE scan_ref = ? AND final_status = ? AND stage = ?
+         AND ((completed_at IS NULL AND (claimed_until IS NULL OR claimed_until <= ?)) OR (completed_at IS NOT NULL AND ?))`,
+      [claimId, claimedUntil, scanRef, finalStatus, stage, Date.now(), force ? 1 : 0]
+    );
+    if (takeover.changes > 0) {
+      console.log(`📒 Took over stage ${stage} for ${scanRef}`);
+      claimed.add(stage);
+      return null;
+    }
+
+    const [row] = await db.query(
+      'SELECT stage, result, completed_at, claimed_until FROM idenfy_processing_stages WHERE scan_ref = ? AND final_status = ? AND stage = ?',
+      [scanRef, finalStatus, stage]
+    );
+    if (row?.completed_at) {
+      return toCompletedStage(row);
+    }
+
+    const retryAfterSeconds = Math.max(1, Math.ceil((Number(row?.claimed_until || 0) - Date.now()) / 1000));
+    throw new StageInProgressError(stage, retryAfterSeconds);
+  }
+
+  // Give up a claim so a retry can run the stage straight away
+  async function releaseStage(stage) {
+    claimed.delete(stage);
+    await db.run(
+      'DELETE FROM idenfy_processing_stages WHERE scan_ref = ? AND final_status = ? AND stage = ? AND claim_id = ? AND completed_at IS NULL',
+      [scanRef, finalStatus, stage, claimId]
+    );
+  }
+
+  if (DEBUG_MODE) console.log(`📒 Ledger for ${scanRef}/${finalStatus}: ${[...completed.keys()].join(', ') || 'nothing done yet'}`);
+
+  return {
+    scanRef,
+    finalStatus,
+    tracked,
+
+    // Stages skipped this run because an earlier run finished them
+    resumed,
+
+    isComplete() {
+      return completed.has('complete');
+    },
+
+    // { result, completedAt } for a finished stage, otherwise null
+    completedStage(stage) {
+      return completed.get(stage) || null;
+    },
+
+    /**
+     * Run a stage unless it has already finished, and mark it finished if it succeeds
+     * Throws StageInProgressError when another run holds the stage
+     * @param {string} stage - One of PROCESSING_STAGES
+     * @param {Function} work - async () => result
+     * @param {Function} isDone - result => boolean (default: result.success !== false)
+     * @returns {Promise<*>} - The stage's result (the stored one when skipped)
+     */
+    async runStage(stage, work, isDone = result => result?.success !== false) {
+      checkStage(stage);
+
+      const finished = this.completedStage(stage) || (claiming ? await claimStage(stage) : null);
+      if (finished) {
+        console.log(`⏭️ Stage ${stage} already complete (${finished.completedAt}) - not repeating it`);
+        completed.set(stage, finished);
+        resumed.push(stage);
+        return finished.result;
+      }
+
+      let result;
+      try {
+        result = await work();
+      } catch (error) {
+        if (claimed.has(stage)) await releaseStage(stage);
+        throw error;
+      }
+
+      if (isDone(result)) {
+        await this.markComplete(stage, result);
+      } else {
+        console.log(`⚠️ Stage ${stage} incomplete - a retry will run it again`);
+        if (claimed.has(stage)) await releaseStage(stage);
+      }
+
+      return result;
+    },
+
+    async markComplete(stage, result = null) {
+      checkStage(stage);
+      completed.set(stage, { result, completedAt: new Date().toISOString() });
+
+      if (!tracked || readOnly) return;
+
+      const storedResult = result === null || result === undefined ? null : JSON.stringify(result);
+
+      if (claimed.has(stage)) {
+        claimed.delete(stage);
+        const update = await db.run(
+          `UPDATE idenfy_processing_stages SET result = ?, completed_at = CURRENT_TIMESTAMP, claim_id = NULL, claimed_until = NULL
+           WHERE scan_ref = ? AND final_status = ? AND stage = ? AND claim_id = ?`,
+          [storedResult, scanRef, finalStatus, stage, claimId]
+        );
+        if (update.changes === 0) {
+          console.warn(`⚠️ Stage ${stage} for ${scanRef} outlived its lease - another run took it over`);
+        }
+      } else {
+        // Unclaimed markers (complete) replace any earlier one - left by a forced re-run's previous pass
+        await db.run(
+          'DELETE FROM idenfy_processing_stages WHERE scan_ref = ? AND final_status = ? AND stage = ?',
+          [scanRef, finalStatus, stage]
+        );
+        try {
+          await db.run(
+            'INSERT INTO idenfy_processing_stages (scan_ref, final_status, stage, result, completed_at) VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)',
+            [scanRef, finalStatus, stage, storedResult]
+          );
+        } catch (error) {
+          // A concurrent run wrote the same marker first
+          if (!isDuplicateKeyError(error)) throw error;
+        }
+      }
+
+      if (DEBUG_MODE) console.log(`📒 Stage ${stage} complete for ${scanRef}`);
+    }
+  };
+}
+
+// INTERNAL: { result, completedAt } from a stored stage row
+function toCompletedStage(row) {
+  return {
+    result: typeof row.result === 'string' ? JSON.parse(row.result) : row.result,
+    completedAt: row.completed_at
+  };
+}
+
+// INTERNAL: Unknown stage names are a programming error - they'd never be found again
+function checkStage(stage) {
+  if (!PROCESSING_STAGES.includes(stage)) {
+    throw new Error(`Unknown processing stage: ${stage}`);
+  }
+}
+
+module.exports = {
+  PROCESSING_STAGES,
+  StageInProgressError,
+  isStageInProgressError,
+  isProcessingLedgerAvailable,
+  openProcessingLedger
+};
@@ -0,0 +1,167 @@
+/** @jest-environment node */
+// File: functions/lib/processing-ledger.test.js
+
+const { openProcessingLedger, isStageInProgressError } = require('./processing-ledger');
+const { getDb } = require('./db');
+
+let scanCount = 0;
+
+beforeAll(() => {
+  process.env.DATABASE_URL = 'sqlite::memory:';
+});
+
+afterAll(() => {
+  delete process.env.DATABASE_URL;
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+// Each test works on its own scan - the in-memory database lasts for the whole file
+function nextScanRef() {
+  scanCount += 1;
+  return `scan-${scanCount}`;
+}
+
+async function storedStages(scanRef) {
+  const db = await getDb();
+  return db.query(
+    'SELECT stage, result, claim_id, completed_at FROM idenfy_processing_stages WHERE scan_ref = ? ORDER BY id',
+    [scanRef]
+  );
+}
+
+test('a finished stage is skipped on the next run and its result reused', async () => {
+  const scanRef = nextScanRef();
+  const first = await openProcessingLedger(scanRef, 'APPROVED');
+  await first.runStage('board-update', async () => ({ success: true, itemId: '123' }));
+
+  const retry = await openProcessingLedger(scanRef, 'APPROVED');
+  const work = jest.fn();
+
+  expect(await retry.runStage('board-update', work)).toEqual({ success: true, itemId: '123' });
+  expect(work).not.toHaveBeenCalled();
+  expect(retry.resumed).toEqual(['board-update']);
+});
+
+test('a stage that did not finish runs again on the next delivery', async () => {
+  const scanRef = nextScanRef();
+  const first = await openProcessingLedger(scanRef, 'APPROVED');
+  await first.runStage('file-uploads', async () => ({ success: false }));
+  await expect(first.runStage('poa-ocr', async () => { throw new Error('OCR down'); })).rejects.toThrow('OCR down');
+
+  expect(await storedStages(scanRef)).toEqual([]);
+
+  const retry = await openProcessingLedger(scanRef, 'APPROVED');
+  expect(await retry.runStage('file-uploads', async () => ({ success: true }))).toEqual({ success: true });
+  expect(await retry.runStage('poa-ocr', async () => ({ success: true }))).toEqual({ success: true });
+});
+
+test('a custom check decides when a stage is done', async () => {
+  const scanRef = nextScanRef();
+  const ledger = await openProcessingLedger(scanRef, 'APPROVED');
+
+  await ledger.runStage('poa-reupload', async () => ({ isAdditionalSteps: true, error: 'OCR failed' }), result => !result.error);
+
+  expect(ledger.completedStage('poa-reupload')).toBeNull();
+});
+
+test('a new final status for the scan starts a fresh ledger', async () => {
+  const scanRef = nextScanRef();
+  const suspected = await openProcessingLedger(scanRef, 'SUSPECTED');
+  await suspected.runStage('board-update', async () => ({ success: true }));
+  await suspected.markComplete('complete', { nextStep: 'verification_failed' });
+
+  const approved = await openProcessingLedger(scanRef, 'APPROVED');
+
+  expect(approved.isComplete()).toBe(false);
+  expect(approved.completedStage('board-update')).toBeNull();
+});
+
+test('a second delivery cannot run a stage the first is still running', async () => {
+  const scanRef = nextScanRef();
+  const first = await openProcessingLedger(scanRef, 'APPROVED');
+  const second = await openProcessingLedger(scanRef, 'APPROVED');
+  let finishUpload;
+
+  const running = first.runStage('file-uploads', () => new Promise(resolve => { finishUpload = resolve; }));
+  await new Promise(resolve => setImmediate(resolve));
+
+  const duplicateUpload = jest.fn();
+  const error = await second.runStage('file-uploads', duplicateUpload).catch(caught => caught);
+
+  expect(isStageInProgressError(error)).toBe(true);
+  expect(error.stage).toBe('file-uploads');
+  expect(error.retryAfterSeconds).toBeGreaterThan(0);
+  expect(duplicateUpload).not.toHaveBeenCalled();
+
+  finishUpload({ success: true, uploaded: 4 });
+  await running;
+
+  // Once the first run has finished, the second picks up its result
+  expect(await second.runStage('file-uploads', duplicateUpload)).toEqual({ success: true, uploaded: 4 });
+  expect(duplicateUpload).not.toHaveBeenCalled();
+});
+
+test('a claim left by a run that died is taken over once its lease is up', async () => {
+  const scanRef = nextScanRef();
+  const db = await getDb();
+  await db.run(
+    'INSERT INTO idenfy_processing_stages (scan_ref, final_status, stage, claim_id, claimed_until) VALUES (?, ?, ?, ?, ?)',
+    [scanRef, 'APPROVED', 'board-update', 'crashed-run', Date.now() - 1000]
+  );
+
+  const retry = await openProcessingLedger(scanRef, 'APPROVED');
+
+  expect(await retry.runStage('board-update', async () => ({ success: true }))).toEqual({ success: true });
+  expect(await storedStages(scanRef)).toEqual([
+    { stage: 'board-update', result: '{"success":true}', claim_id: null, completed_at: expect.any(String) }
+  ]);
+});
+
+test('a forced re-run repeats finished stages and replaces their results', async () => {
+  const scanRef = nextScanRef();
+  const first = await openProcessingLedger(scanRef, 'APPROVED');
+  await first.runStage('validity-dates', async () => ({ success: true, pass: 1 }));
+  await first.markComplete('complete', { pass: 1 });
+
+  const forced = await openProcessingLedger(scanRef, 'APPROVED', { force: true });
+  expect(forced.isComplete()).toBe(false);
+  await forced.runStage('validity-dates', async () => ({ success: true, pass: 2 }));
+  await forced.markComplete('complete', { pass: 2 });
+
+  const stored = await storedStages(scanRef);
+  expect(stored.map(row => [row.stage, JSON.parse(row.result).pass])).toEqual([['validity-dates', 2], ['complete', 2]]);
+});
+
+test('a read-only ledger never writes', async () => {
+  const scanRef = nextScanRef();
+  const dryRun = await openProcessingLedger(scanRef, 'APPROVED', { readOnly: true });
+
+  await dryRun.runStage('board-update', async () => ({ success: true }));
+  await dryRun.markComplete('complete', {});
+
+  expect(dryRun.isComplete()).toBe(true);
+  expect(await storedStages(scanRef)).toEqual([]);
+});
+
+test('an unknown stage name is a programming error', async () => {
+  const ledger = await openProcessingLedger(nextScanRef(), 'APPROVED');
+
+  await expect(ledger.runStage('board-updates', async () => ({}))).rejects.toThrow('Unknown processing stage: board-updates');
+});
+
+test('without DATABASE_URL the ledger only lasts for the run', async () => {
+  delete process.env.DATABASE_URL;
+  try {
+    const ledger = await openProcessingLedger('untracked-scan', 'APPROVED');
+    await ledger.runStage('board-update', async () => ({ success: true }));
+
+    expect(ledger.tracked).toBe(false);
+    expect(ledger.completedStage('board-update')).toMatchObject({ result: { success: true } });
+  } finally {
+    process.env.DATABASE_URL = 'sqlite::memory:';
+  }
+});
@@ -0,0 +1,249 @@
+// File: functions/lib/rate-limit.js
+// OOOSH Driver Verification - Sliding-window rate limits shared by every function instance
+// A module-level Map only limits the one warm instance that happens to serve the request;
+// the SQL store (rate_limit_events in database.sql / database.sqlite.sql) is shared by all.
+//
+// RATE_LIMIT_STORE selects the backend:
+//   sql    - DATABASE_URL (default when DATABASE_URL is set)
+//   memory - this instance only (default otherwise, and what offline tests use)
+//
+// Every store exposes the same methods:
+//   getAttempts(bucket, since)        -> [epoch ms, ...] oldest first
+//   addAttempt(bucket, at, expiresAt) -> records one attempt, returns its id
+//   removeAttempt(bucket, id)         -> takes back an attempt that was refused
+//   purgeExpired(now)                 -> drops attempts no window still needs
+//
+// Buckets are a hash of the limit name and key, so no email or IP address is stored.
+
+const crypto = require('crypto');
+const { getDb, isDatabaseConfigured } = require('./db');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+/**
+ * Get the rate-limit store configured for this environment
+ * @returns {Object} - Rate-limit store
+ */
+function getRateLimitStore() {
+  const store = (process.env.RATE_LIMIT_STORE || (isDatabaseConfigured() ? 'sql' : 'memory')).toLowerCase();
+
+  switch (store) {
+    case 'sql':
+      return createSqlStore();
+    case 'memory':
+      return memoryStore;
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE: ${store}`);
+  }
+}
+
+/**
+ * Check a request against several limits and record it if every one allows it
+ * Refused requests are not recorded, so retrying early doesn't push the window back.
+ * @param {Array} limits - [{ name, key, max, windowSeconds }] - limits without a key are skipped
+ *   e.g. { name: 'send-code:email', key: email, max: 10, windowSeconds: 3600 }
+ * @param {Object} options - { store, now } - for tests
+ * @returns {Promise<Object>} - { allowed: true } or { allowed: false, limit, retryAfterSeconds }
+ */
+async function consumeRateLimits(limits, { store = getRateLimitStore(), now = Date.now() } = {}) {
+  const active = limits.filter(limit => limit.key);
+
+  try {
+    return await consumeWithStore(store, active, now);
+  } catch (error) {
+    // A database outage shouldn't stop drivers verifying - fall back to this instance's memory
+    console.error('❌ Rate limit store failed, using in-memory limits:', error.message);
+    return consumeWithStore(memoryStore, active, now);
+  }
+}
+
+/**
+ * Read the caller's IP address from a Netlify event
+ * @param {Object} event - Netlify function event
+ * @returns {string|null} - IP address, or null if unknown
+ */
+function getClientIp(event) {
+  const headers = event.headers || {};
+  const forwarded = headers['x-forwarded-for'] || headers['X-Forwarded-For'];
+
+  return headers['x-nf-client-connection-ip'] ||
+    headers['X-Nf-Client-Connection-Ip'] ||
+    (forwarded ? forwarded.split(',')[0].trim() : null) ||
+    null;
+}
+
+/**
+ * Build the 429 response for a refused request
+ * @param {Object} result - Refused result from consumeRateLimits
+ * @param {Object} headers - Response headers (CORS etc.)
+ * @param {string} error - Message shown to the driver
+ * @returns {Object} - Netlify response with Retry-After
+ */
+function rateLimitResponse(result, headers, error) {
+  return {
+    statusCode: 429,
+    headers: { ...headers, 'Retry-After': String(result.retryAfterSeconds) },
+    body: JSON.stringify({
+      error,
+      retryAfter: result.retryAfterSeconds
+    })
+  };
+}
+
+/**
+ * Describe a Retry-After for the driver
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} - e.g. 'a minute', '12 minutes', 'an hour'
+ */
+function formatRetryAfter(seconds) {
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes >= 60) return 'an hour';
+  return minutes <= 1 ? 'a minute' : `${minutes} minutes`;
+}
+
+// INTERNAL: Record the attempt in every limit, then count - recording first means two requests
+// arriving together each see the other, so neither can slip past a limit the other just filled.
+// A refused attempt is taken back out again.
+async function consumeWithStore(store, limits, now) {
+  const recorded = [];
+  let refused = null;
+
+  for (const limit of limits) {
+    const bucket = bucketFor(limit);
+    const windowMs = limit.windowSeconds * 1000;
+    const id = await store.addAttempt(bucket, now, now + windowMs);
+    recorded.push({ limit, bucket, windowMs, id });
+  }
+
+  for (const { limit, bucket, windowMs } of recorded) {
+    const attempts = withoutOne(await store.getAttempts(bucket, now - windowMs), now);
+
+    if (attempts.length >= limit.max) {
+      // The window has room again once enough of the oldest attempts have aged out
+      const freedAt = attempts[attempts.length - limit.max] + windowMs;
+      const retryAfterSeconds = Math.max(1, Math.ceil((freedAt - now) / 1000));
+
+      if (!refused || retryAfterSeconds > refused.retryAfterSeconds) {
+        refused = { allowed: false, limit: limit.name, retryAfterSeconds };
+      }
+    }
+  }
+
+  if (refused) {
+    for (const { bucket, id } of recorded) {
+      await store.removeAttempt(bucket, id);
+    }
+    console.log(`⚠️ Rate limit reached: ${refused.limit} (retry in ${refused.retryAfterSeconds}s)`);
+    return refused;
+  }
+
+  await store.purgeExpired(now);
+
+  if (DEBUG_MODE) console.log(`🔍 Rate limits passed: ${limits.map(limit => limit.name).join(', ')}`);
+  return { allowed: true };
+}
+
+// INTERNAL: Attempt times other than this request's own (recorded at now)
+function withoutOne(attempts, now) {
+  const own = attempts.lastIndexOf(now);
+  return own === -1 ? attempts : [...attempts.slice(0, own), ...attempts.slice(own + 1)];
+}
+
+// INTERNAL: Limit name + key → stored bucket (keys are often emails)
+function bucketFor(limit) {
+  return crypto.createHash('sha256')
+    .update(`${limit.name}:${String(limit.key).trim().toLowerCase()}`)
+    .digest('hex');
+}
+
+// ========================================
+// MEMORY STORE (this instance only)
+// ========================================
+
+const memoryStore = createMemoryStore();
+
+function createMemoryStore() {
+  // bucket → [{ id, at, expiresAt }] oldest first
+  const attempts = new Map();
+  let nextId = 1;
+
+  return {
+    async getAttempts(bucket, since) {
+      return (attempts.get(bucket) || [])
+        .filter(attempt => attempt.at > since)
+        .map(attempt => attempt.at);
+    },
+
+    async addAttempt(bucket, at, expiresAt) {
+      const id = nextId++;
+      attempts.set(bucket, [...(attempts.get(bucket) || []), { id, at, expiresAt }]);
+      return id;
+    },
+
+    async removeAttempt(bucket, id) {
+      attempts.set(bucket, (attempts.get(bucket) || []).filter(attempt => attempt.id !== id));
+    },
+
+    async purgeExpired(now) {
+      for (const [bucket, list] of attempts.entries()) {
+        const live = list.filter(attempt => attempt.expiresAt > now);
+        if (live.length === 0) {
+          attempts.delete(bucket);
+        } else {
+          attempts.set(bucket, live);
+        }
+      }
+    },
+
+    // Tests start each case from an empty store
+    clear() {
+      attempts.clear();
+    }
+  };
+}
+
+// ========================================
+// SQL STORE (rate_limit_events)
+// ========================================
+
+function createSqlStore() {
+  return {
+    async getAttempts(bucket, since) {
+      const db = await getDb();
+      const rows = await db.query(
+        'SELECT created_at FROM rate_limit_events WHERE bucket = ? AND created_at > ? ORDER BY created_at',
+        [bucket, since]
+      );
+      return rows.map(row => Number(row.created_at));
+    },
+
+    async addAttempt(bucket, at, expiresAt) {
+      const db = await getDb();
+      const { insertId } = await db.run(
+        'INSERT INTO rate_limit_events (bucket, created_at, expires_at) VALUES (?, ?, ?)',
+        [bucket, at, expiresAt]
+      );
+      return insertId;
+    },
+
+    async removeAttempt(bucket, id) {
+      const db = await getDb();
+      await db.run('DELETE FROM rate_limit_events WHERE id = ? AND bucket = ?', [id, bucket]);
+    },
+
+    async purgeExpired(now) {
+      const db = await getDb();
+      await db.run('DELETE FROM rate_limit_events WHERE expires_at <= ?', [now]);
+    }
+  };
+}
+
+module.exports = {
+  getRateLimitStore,
+  consumeRateLimits,
+  getClientIp,
+  rateLimitResponse,
+  formatRetryAfter,
+  createMemoryStore
+};
@@ -0,0 +1,130 @@
+/** @jest-environment node */
+// File: functions/lib/rate-limit.test.js
+
+const { consumeRateLimits, createMemoryStore, getClientIp, formatRetryAfter } = require('./rate-limit');
+
+const HOUR = 3600;
+const NOW = Date.parse('2026-01-01T10:00:00Z');
+
+let store;
+
+beforeEach(() => {
+  store = createMemoryStore();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function consume(limits, now = NOW) {
+  return consumeRateLimits(limits, { store, now });
+}
+
+test('requests are allowed up to the limit and refused after it', async () => {
+  const limit = { name: 'send-code:email', key: 'driver@example.com', max: 3, windowSeconds: HOUR };
+
+  for (let i = 0; i < 3; i++) {
+    expect(await consume([limit], NOW + i * 1000)).toEqual({ allowed: true });
+  }
+
+  expect(await consume([limit], NOW + 3000)).toEqual({
+    allowed: false,
+    limit: 'send-code:email',
+    retryAfterSeconds: HOUR - 3
+  });
+});
+
+test('the window slides - room opens as the oldest attempt ages out', async () => {
+  const limit = { name: 'verify:email', key: 'driver@example.com', max: 2, windowSeconds: 60 };
+
+  await consume([limit], NOW);
+  await consume([limit], NOW + 30 * 1000);
+
+  expect(await consume([limit], NOW + 45 * 1000)).toMatchObject({ allowed: false, retryAfterSeconds: 15 });
+  expect(await consume([limit], NOW + 61 * 1000)).toEqual({ allowed: true });
+});
+
+test('a refused request is not recorded, so retrying early does not push the window back', async () => {
+  const limit = { name: 'verify:email', key: 'driver@example.com', max: 1, windowSeconds: 60 };
+
+  await consume([limit], NOW);
+  await consume([limit], NOW + 10 * 1000);
+  await consume([limit], NOW + 20 * 1000);
+
+  expect(await consume([limit], NOW + 61 * 1000)).toEqual({ allowed: true });
+});
+
+test('a request refused by one limit is not counted against the others', async () => {
+  const byEmail = { name: 'send-code:email', key: 'driver@example.com', max: 1, windowSeconds: HOUR };
+  const byIp = { name: 'send-code:ip', key: '203.0.113.5', max: 2, windowSeconds: HOUR };
+
+  await consume([byEmail, byIp]);
+  expect(await consume([byEmail, byIp])).toMatchObject({ allowed: false, limit: 'send-code:email' });
+
+  const otherDriver = { ...byEmail, key: 'other@example.com' };
+  expect(await consume([otherDriver, byIp])).toEqual({ allowed: true });
+});
+
+test('keys are matched case-insensitively and limits without a key are skipped', async () => {
+  const limit = { name: 'send-code:email', max: 1, windowSeconds: HOUR };
+
+  await consume([{ ...limit, key: 'Driver@Example.com ' }]);
+
+  expect(await consume([{ ...limit, key: 'driver@example.com' }])).toMatchObject({ allowed: false });
+  expect(await consume([{ ...limit, key: null }])).toEqual({ allowed: true });
+});
+
+test('requests arriving together cannot both take the last place', async () => {
+  const limit = { name: 'send-code:email', key: 'driver@example.com', max: 2, windowSeconds: HOUR };
+  await consume([limit]);
+
+  const results = await Promise.all([consume([limit], NOW + 1000), consume([limit], NOW + 1000)]);
+
+  expect(results.filter(result => result.allowed).length).toBeLessThanOrEqual(1);
+});
+
+describe('sql store', () => {
+  const { getRateLimitStore } = require('./rate-limit');
+
+  beforeAll(() => {
+    process.env.DATABASE_URL = 'sqlite::memory:';
+  });
+
+  afterAll(() => {
+    delete process.env.DATABASE_URL;
+  });
+
+  test('limits are kept in rate_limit_events', async () => {
+    const sqlStore = getRateLimitStore();
+    const limit = { name: 'verify:ip', key: '203.0.113.9', max: 1, windowSeconds: 60 };
+
+    expect(await consumeRateLimits([limit], { store: sqlStore, now: NOW })).toEqual({ allowed: true });
+    expect(await consumeRateLimits([limit], { store: sqlStore, now: NOW + 1000 })).toMatchObject({ allowed: false, retryAfterSeconds: 59 });
+    expect(await consumeRateLimits([limit], { store: sqlStore, now: NOW + 61 * 1000 })).toEqual({ allowed: true });
+  });
+
+  test('requests arriving together cannot both take the last place', async () => {
+    const sqlStore = getRateLimitStore();
+    const limit = { name: 'verify:ip', key: '203.0.113.10', max: 1, windowSeconds: 60 };
+
+    const results = await Promise.all([
+      consumeRateLimits([limit], { store: sqlStore, now: NOW }),
+      consumeRateLimits([limit], { store: sqlStore, now: NOW })
+    ]);
+
+    expect(results.filter(result => result.allowed).length).toBeLessThanOrEqual(1);
+  });
+});
+
+test('the client IP comes from Netlify, then the first forwarded address', () => {
+  expect(getClientIp({ headers: { 'x-nf-client-connection-ip': '203.0.113.1', 'x-forwarded-for': '198.51.100.1' } })).toBe('203.0.113.1');
+  expect(getClientIp({ headers: { 'x-forwarded-for': '198.51.100.1, 10.0.0.1' } })).toBe('198.51.100.1');
+  expect(getClientIp({})).toBeNull();
+});
+
+test('retry times are described in minutes, up to an hour', () => {
+  expect(formatRetryAfter(20)).toBe('a minute');
+  expect(formatRetryAfter(300)).toBe('5 minutes');
+  expect(formatRetryAfter(HOUR)).toBe('an hour');
+});
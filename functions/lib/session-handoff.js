@@ -0,0 +1,110 @@
+// File: functions/lib/session-handoff.js
+// OOOSH Driver Verification - Desktop-to-phone handoff of a verified session
+// The desktop shows a QR code of ${URL}/?handoff=<token>. The token is signed (lib/signed-token.js)
+// and names the driver, job and step; scanning it on a phone starts a new driver session there
+// without another email code. Each token works once (session_handoffs keeps only its id and
+// timestamps - no personal data) and lapses after HANDOFF_TTL_MINUTES.
+
+const crypto = require('crypto');
+const { getDb, isDatabaseConfigured } = require('./db');
+const { createSignedToken, verifySignedToken } = require('./signed-token');
+const { sanitizeEmail } = require('./validation');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+const HANDOFF_TTL_MINUTES = 5;
+const TOKEN_PURPOSE = 'session-handoff';
+
+// Steps a phone can pick up from - earlier ones are worked out from the driver's status
+const HANDOFF_STEPS = [
+  'contact-details',
+  'insurance-questionnaire',
+  'document-upload',
+  'processing-hub',
+  'poa-validation',
+  'dvla-processing',
+  'passport-upload',
+  'signature'
+];
+
+/**
+ * Is the handoff store available? Single use needs the shared database.
+ * @returns {boolean}
+ */
+function isHandoffAvailable() {
+  return isDatabaseConfigured();
+}
+
+/**
+ * Create a single-use handoff link for a verified driver
+ * @param {Object} handoff - { email, jobId, step } - step is left out when it isn't one of HANDOFF_STEPS
+ * @returns {Promise<Object>} - { handoffUrl, expiresAt }
+ */
+async function createHandoff({ email, jobId, step }) {
+  const db = await getDb();
+  const id = crypto.randomBytes(16).toString('hex');
+  const now = Date.now();
+
+  await db.run('DELETE FROM session_handoffs WHERE expires_at <= ?', [now]);
+  await db.run(
+    'INSERT INTO session_handoffs (id, expires_at) VALUES (?, ?)',
+    [id, now + HANDOFF_TTL_MINUTES * 60 * 1000]
+  );
+
+  const payload = { id, email: sanitizeEmail(email), jobId: String(jobId) };
+  if (HANDOFF_STEPS.includes(step)) payload.step = step;
+
+  const { token, expiresAt } = createSignedToken(payload, {
+    purpose: TOKEN_PURPOSE,
+    expiresInSeconds: HANDOFF_TTL_MINUTES * 60
+  });
+
+  if (DEBUG_MODE) console.log(`🔍 Handoff ${id.slice(0, 8)}… created for step ${payload.step || '(status)'}`);
+
+  return {
+    handoffUrl: `${process.env.URL}/?handoff=${encodeURIComponent(token)}`,
+    expiresAt
+  };
+}
+
+/**
+ * Use up a handoff token
+ * @param {string} token - Token from the QR code
+ * @returns {Promise<Object>} - { valid: true, email, jobId, step } (step null when not given) or { valid: false, error }
+ */
+async function redeemHandoff(token) {
+  const check = verifySignedToken(token, TOKEN_PURPOSE);
+
+  if (!check.valid) {
+    return {
+      valid: false,
+      error: check.error === 'Token has expired'
+        ? 'This QR code has expired - please show a new one on your computer'
+        : 'This QR code is not valid - please show a new one on your computer'
+    };
+  }
+
+  const db = await getDb();
+  const { changes } = await db.run(
+    'UPDATE session_handoffs SET used_at = ? WHERE id = ? AND used_at IS NULL AND expires_at > ?',
+    [Date.now(), check.payload.id, Date.now()]
+  );
+
+  if (changes !== 1) {
+    return { valid: false, error: 'This QR code has already been used - please show a new one on your computer' };
+  }
+
+  return {
+    valid: true,
+    email: check.payload.email,
+    jobId: check.payload.jobId,
+    step: check.payload.step || null
+  };
+}
+
+module.exports = {
+  isHandoffAvailable,
+  createHandoff,
+  redeemHandoff
+};
@@ -0,0 +1,86 @@
+/** @jest-environment node */
+// File: functions/lib/session-handoff.test.js
+
+const { createHandoff, redeemHandoff, isHandoffAvailable } = require('./session-handoff');
+
+beforeAll(() => {
+  process.env.DATABASE_URL = 'sqlite::memory:';
+  process.env.TOKEN_SIGNING_SECRET = 'test-token-secret';
+  process.env.URL = 'https://drivers.example.com';
+});
+
+afterAll(() => {
+  ['DATABASE_URL', 'TOKEN_SIGNING_SECRET', 'URL'].forEach(name => delete process.env[name]);
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// The token inside the QR code's link
+async function newHandoff(handoff = {}) {
+  const { handoffUrl, expiresAt } = await createHandoff({ email: ' Jane.Smith@Example.com ', jobId: 11001, step: 'signature', ...handoff });
+  return { token: new URL(handoffUrl).searchParams.get('handoff'), handoffUrl, expiresAt };
+}
+
+test('handoffs need the shared database', () => {
+  expect(isHandoffAvailable()).toBe(true);
+});
+
+test('a handoff starts the same driver on the same job and step', async () => {
+  const { token, handoffUrl } = await newHandoff();
+
+  expect(handoffUrl.startsWith('https://drivers.example.com/?handoff=')).toBe(true);
+  expect(await redeemHandoff(token)).toEqual({ valid: true, email: 'jane.smith@example.com', jobId: '11001', step: 'signature' });
+});
+
+test('a step the phone cannot pick up from is left out', async () => {
+  const { token } = await newHandoff({ step: 'email-entry' });
+
+  expect((await redeemHandoff(token)).step).toBeNull();
+});
+
+test('a handoff works only once', async () => {
+  const { token } = await newHandoff();
+
+  expect((await redeemHandoff(token)).valid).toBe(true);
+  expect(await redeemHandoff(token)).toEqual({
+    valid: false,
+    error: 'This QR code has already been used - please show a new one on your computer'
+  });
+});
+
+test('two phones scanning the same code at once get one session between them', async () => {
+  const { token } = await newHandoff();
+
+  const results = await Promise.all([redeemHandoff(token), redeemHandoff(token)]);
+
+  expect(results.filter(result => result.valid)).toHaveLength(1);
+});
+
+test('a handoff lapses after five minutes', async () => {
+  const createdAt = Date.now();
+  const { token, expiresAt } = await newHandoff();
+
+  expect(new Date(expiresAt).getTime() - createdAt).toBeLessThanOrEqual(5 * 60 * 1000);
+
+  jest.spyOn(Date, 'now').mockReturnValue(createdAt + 5 * 60 * 1000 + 1000);
+
+  expect(await redeemHandoff(token)).toEqual({
+    valid: false,
+    error: 'This QR code has expired - please show a new one on your computer'
+  });
+});
+
+test('a changed token is refused', async () => {
+  const { token } = await newHandoff();
+
+  expect(await redeemHandoff(`${token}x`)).toEqual({
+    valid: false,
+    error: 'This QR code is not valid - please show a new one on your computer'
+  });
+});
@@ -0,0 +1,81 @@
+// File: functions/lib/session.js
+// OOOSH Driver Verification - Driver sessions
+// verify-code issues a signed session token once the driver has proved they own the email
+// (see lib/signed-token.js). Functions that read or write a driver's records call
+// requireDriverSession with the email they act on; the app sends the token back as
+// X-Session-Token. Staff (Authorization: Bearer <STAFF_API_KEY>) and our own functions
+// calling each other (X-Internal-Secret: <INTERNAL_API_SECRET>) act for any driver.
+
+const { getBearerToken, requireStaff, isInternalRequest } = require('./auth');
+const { createSignedToken, verifySignedToken } = require('./signed-token');
+const { sanitizeEmail } = require('./validation');
+
+// Matches the 40-minute session timeout in App.js
+const SESSION_TTL_MINUTES = 40;
+const TOKEN_PURPOSE = 'driver-session';
+
+/**
+ * Start a session for a driver who has just verified their email
+ * @param {string} email - Verified email
+ * @param {string} jobId - Job they're verifying for
+ * @returns {Object} - { token, expiresAt }
+ */
+function createDriverSession(email, jobId) {
+  return createSignedToken(
+    { email: sanitizeEmail(email), jobId: String(jobId) },
+    { purpose: TOKEN_PURPOSE, expiresInSeconds: SESSION_TTL_MINUTES * 60 }
+  );
+}
+
+/**
+ * Check a request may act on a driver's records
+ * @param {Object} event - Netlify function event
+ * @param {Object} target - { email, jobId } the request acts on - either may be left out
+ * @returns {Object} - { ok: true, session } (session is { email, jobId }, or null for staff
+ *   and internal calls) or { ok: false, statusCode, error }
+ */
+function requireDriverSession(event, { email, jobId } = {}) {
+  if (isInternalRequest(event)) {
+    return { ok: true, session: null };
+  }
+
+  if (getBearerToken(event)) {
+    const auth = requireStaff(event);
+    return auth.ok ? { ok: true, session: null } : auth;
+  }
+
+  const token = event.headers?.['x-session-token'] || event.headers?.['X-Session-Token'];
+
+  if (!token) {
+    return { ok: false, statusCode: 401, error: 'Session required - please verify your email again' };
+  }
+
+  const check = verifySignedToken(token, TOKEN_PURPOSE);
+
+  if (!check.valid) {
+    return {
+      ok: false,
+      statusCode: 401,
+      error: check.error === 'Token has expired' ? 'Session has expired - please verify your email again' : 'Invalid session'
+    };
+  }
+
+  const session = { email: check.payload.email, jobId: check.payload.jobId };
+
+  if (email && sanitizeEmail(String(email)) !== session.email) {
+    console.log('🔒 Session refused: email does not match the session');
+    return { ok: false, statusCode: 403, error: 'Session does not match this email' };
+  }
+
+  if (jobId && session.jobId && String(jobId) !== session.jobId) {
+    console.log('🔒 Session refused: job does not match the session');
+    return { ok: false, statusCode: 403, error: 'Session does not match this job' };
+  }
+
+  return { ok: true, session };
+}
+
+module.exports = {
+  createDriverSession,
+  requireDriverSession
+};
@@ -0,0 +1,66 @@
+/** @jest-environment node */
+// File: functions/lib/session.test.js
+
+const { createDriverSession, requireDriverSession } = require('./session');
+
+beforeEach(() => {
+  process.env.TOKEN_SIGNING_SECRET = 'test-token-secret';
+  process.env.STAFF_API_KEY = 'test-staff-key';
+  process.env.INTERNAL_API_SECRET = 'test-internal-secret';
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+function withSession(token) {
+  return { headers: { 'x-session-token': token } };
+}
+
+test('a driver session acts on its own email and job', () => {
+  const { token } = createDriverSession(' Driver@Example.com ', 11001);
+
+  expect(requireDriverSession(withSession(token), { email: 'driver@example.com', jobId: '11001' })).toEqual({
+    ok: true,
+    session: { email: 'driver@example.com', jobId: '11001' }
+  });
+});
+
+test('a driver session is refused for another driver', () => {
+  const { token } = createDriverSession('driver@example.com', '11001');
+
+  expect(requireDriverSession(withSession(token), { email: 'someone@example.com' })).toMatchObject({ ok: false, statusCode: 403 });
+});
+
+test('a driver session is refused for another job', () => {
+  const { token } = createDriverSession('driver@example.com', '11001');
+
+  expect(requireDriverSession(withSession(token), { email: 'driver@example.com', jobId: '11002' })).toMatchObject({ ok: false, statusCode: 403 });
+});
+
+test('no session token asks the driver to verify again', () => {
+  expect(requireDriverSession({ headers: {} }, { email: 'driver@example.com' })).toMatchObject({ ok: false, statusCode: 401 });
+});
+
+test('a forged session token is refused', () => {
+  expect(requireDriverSession(withSession('abc.def'), { email: 'driver@example.com' })).toEqual({
+    ok: false,
+    statusCode: 401,
+    error: 'Invalid session'
+  });
+});
+
+test('staff and internal callers act for any driver', () => {
+  const staff = { headers: { authorization: 'Bearer test-staff-key' } };
+  const internal = { headers: { 'x-internal-secret': 'test-internal-secret' } };
+
+  expect(requireDriverSession(staff, { email: 'driver@example.com' })).toEqual({ ok: true, session: null });
+  expect(requireDriverSession(internal, { email: 'driver@example.com' })).toEqual({ ok: true, session: null });
+});
+
+test('a wrong staff key is refused', () => {
+  const result = requireDriverSession({ headers: { authorization: 'Bearer wrong-key' } }, { email: 'driver@example.com' });
+
+  expect(result).toMatchObject({ ok: false, statusCode: 403 });
+});
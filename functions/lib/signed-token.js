@@ -0,0 +1,75 @@
+// File: functions/lib/signed-token.js
+// OOOSH Driver Verification - Tamper-proof, expiring tokens for links we hand out
+// Format: base64url(JSON payload).base64url(HMAC-SHA256) signed with TOKEN_SIGNING_SECRET.
+// Every token carries a purpose so a token minted for one feature can't be used for another.
+
+const crypto = require('crypto');
+const { safeEqual } = require('./auth');
+
+function getSecret() {
+  const secret = process.env.TOKEN_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('TOKEN_SIGNING_SECRET environment variable not set');
+  }
+  return secret;
+}
+
+function sign(encodedPayload) {
+  return crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * Create a signed token
+ * @param {Object} payload - Data to carry (readable by whoever holds the token - not encrypted)
+ * @param {Object} options - { purpose, expiresInSeconds }
+ * @returns {Object} - { token, expiresAt }
+ */
+function createSignedToken(payload, { purpose, expiresInSeconds }) {
+  if (!purpose || !expiresInSeconds) {
+    throw new Error('Token purpose and expiry are required');
+  }
+
+  const exp = Math.floor(Date.now() / 1000) + expiresInSeconds;
+  const encodedPayload = Buffer.from(JSON.stringify({ ...payload, purpose, exp })).toString('base64url');
+
+  return {
+    token: `${encodedPayload}.${sign(encodedPayload)}`,
+    expiresAt: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Check a token's signature, purpose and expiry
+ * @param {string} token - Token from createSignedToken
+ * @param {string} purpose - Purpose the token must have been created for
+ * @returns {Object} - { valid: true, payload } or { valid: false, error }
+ */
+function verifySignedToken(token, purpose) {
+  const [encodedPayload, signature] = String(token || '').split('.');
+
+  if (!encodedPayload || !signature || !safeEqual(signature, sign(encodedPayload))) {
+    return { valid: false, error: 'Invalid token' };
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString('utf8'));
+  } catch (error) {
+    return { valid: false, error: 'Invalid token' };
+  }
+
+  if (payload.purpose !== purpose) {
+    return { valid: false, error: 'Token not valid for this action' };
+  }
+
+  if (!payload.exp || payload.exp * 1000 < Date.now()) {
+    return { valid: false, error: 'Token has expired' };
+  }
+
+  return { valid: true, payload };
+}
+
+module.exports = {
+  createSignedToken,
+  verifySignedToken
+};
@@ -0,0 +1,68 @@
+/** @jest-environment node */
+// File: functions/lib/signed-token.test.js
+
+const { createSignedToken, verifySignedToken } = require('./signed-token');
+
+beforeEach(() => {
+  process.env.TOKEN_SIGNING_SECRET = 'test-token-secret';
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('a token verifies for the purpose it was made for', () => {
+  const { token, expiresAt } = createSignedToken({ email: 'driver@example.com' }, { purpose: 'driver-session', expiresInSeconds: 60 });
+
+  const check = verifySignedToken(token, 'driver-session');
+
+  expect(check.valid).toBe(true);
+  expect(check.payload).toMatchObject({ email: 'driver@example.com', purpose: 'driver-session' });
+  expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now());
+});
+
+test('a token made for one purpose is refused for another', () => {
+  const { token } = createSignedToken({}, { purpose: 'job-invite', expiresInSeconds: 60 });
+
+  expect(verifySignedToken(token, 'driver-session')).toEqual({ valid: false, error: 'Token not valid for this action' });
+});
+
+test('a changed payload no longer matches its signature', () => {
+  const { token } = createSignedToken({ email: 'driver@example.com' }, { purpose: 'driver-session', expiresInSeconds: 60 });
+  const [, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ email: 'someone@example.com', purpose: 'driver-session', exp: 9999999999 })).toString('base64url');
+
+  expect(verifySignedToken(`${forged}.${signature}`, 'driver-session')).toEqual({ valid: false, error: 'Invalid token' });
+});
+
+test('a token signed with another secret is refused', () => {
+  const { token } = createSignedToken({}, { purpose: 'driver-session', expiresInSeconds: 60 });
+  process.env.TOKEN_SIGNING_SECRET = 'another-secret';
+
+  expect(verifySignedToken(token, 'driver-session').valid).toBe(false);
+});
+
+test('an expired token is refused', () => {
+  jest.useFakeTimers();
+  jest.setSystemTime(new Date('2026-01-01T10:00:00Z'));
+  const { token } = createSignedToken({}, { purpose: 'driver-session', expiresInSeconds: 60 });
+
+  jest.setSystemTime(new Date('2026-01-01T10:01:01Z'));
+
+  expect(verifySignedToken(token, 'driver-session')).toEqual({ valid: false, error: 'Token has expired' });
+});
+
+test('missing and malformed tokens are refused', () => {
+  expect(verifySignedToken(undefined, 'driver-session').valid).toBe(false);
+  expect(verifySignedToken('not-a-token', 'driver-session').valid).toBe(false);
+});
+
+test('purpose and expiry are required', () => {
+  expect(() => createSignedToken({}, { purpose: 'driver-session' })).toThrow('Token purpose and expiry are required');
+});
+
+test('no secret configured is an error, not an unsigned token', () => {
+  delete process.env.TOKEN_SIGNING_SECRET;
+
+  expect(() => createSignedToken({}, { purpose: 'driver-session', expiresInSeconds: 60 })).toThrow('TOKEN_SIGNING_SECRET');
+});
@@ -0,0 +1,129 @@
+// File: functions/lib/sms.js
+// OOOSH Driver Verification - Outgoing text messages
+// One API for sending an SMS, whichever provider delivers it.
+//
+// SMS_PROVIDER selects the provider:
+//   twilio - Twilio Messages API via TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN / TWILIO_FROM_NUMBER
+//            (default when TWILIO_ACCOUNT_SID is set)
+//   file   - append each message to SMS_OUTBOX_PATH (default: local-sms-outbox.log in the system temp
+//            directory, outside the repo) instead of sending it (local development)
+//   console - print each message to the function log instead of sending it
+// With no provider configured, text messages are switched off (isSmsConfigured() is false).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+/**
+ * Is a text message provider configured?
+ * @returns {boolean}
+ */
+function isSmsConfigured() {
+  return !!getSmsProvider();
+}
+
+/**
+ * Send a text message through the configured provider
+ * @param {Object} message - { to, body } - to is an E.164 number (+447700900123)
+ * @returns {Promise<string>} - Provider message id
+ * @throws {Error} - When no provider is configured or the send fails
+ */
+async function sendSms({ to, body }) {
+  const provider = getSmsProvider();
+
+  switch (provider) {
+    case 'twilio':
+      return sendViaTwilio({ to, body });
+    case 'file':
+      return writeToOutbox({ to, body });
+    case 'console':
+      console.log(`📱 [console sms] To: ${to}\n${body}`);
+      return 'logged';
+    case null:
+      throw new Error('SMS provider not configured');
+    default:
+      throw new Error(`Unknown SMS_PROVIDER: ${provider}`);
+  }
+}
+
+/**
+ * Build an E.164 number from what ContactDetails captured
+ * @param {string} phoneCountry - Dialling code, e.g. '+44'
+ * @param {string} phoneNumber - National number, e.g. '07700 900123'
+ * @returns {string|null} - e.g. '+447700900123', or null when there's no usable number
+ */
+function toE164(phoneCountry, phoneNumber) {
+  const country = String(phoneCountry || '').replace(/[^\d]/g, '');
+  const national = String(phoneNumber || '').replace(/[^\d]/g, '').replace(/^0+/, '');
+
+  if (!country || national.length < 6) {
+    return null;
+  }
+
+  return `+${country}${national}`;
+}
+
+/**
+ * Hide all but the last three digits of a number, for telling the driver where a code went
+ * @param {string} number - E.164 number
+ * @returns {string} - e.g. '•••• 123'
+ */
+function maskPhoneNumber(number) {
+  return `•••• ${String(number).slice(-3)}`;
+}
+
+// INTERNAL: 'twilio', 'file', 'console' or null when switched off
+function getSmsProvider() {
+  const provider = process.env.SMS_PROVIDER || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : '');
+  return provider ? provider.toLowerCase() : null;
+}
+
+// INTERNAL: Twilio Messages API - form-encoded POST with basic auth
+async function sendViaTwilio({ to, body }) {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const from = process.env.TWILIO_FROM_NUMBER;
+
+  if (!accountSid || !authToken || !from) {
+    throw new Error('Twilio not configured (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM_NUMBER)');
+  }
+
+  const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ To: to, From: from, Body: body }).toString()
+  });
+
+  const result = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(`Twilio error ${response.status}: ${result.message || 'unknown error'}`);
+  }
+
+  if (DEBUG_MODE) console.log('📱 Twilio message sent:', result.sid);
+  return result.sid;
+}
+
+// INTERNAL: Local stand-in - one JSON line per message
+function writeToOutbox({ to, body }) {
+  const outboxPath = process.env.SMS_OUTBOX_PATH || path.join(os.tmpdir(), 'local-sms-outbox.log');
+  const id = `local-${Date.now()}`;
+
+  fs.appendFileSync(outboxPath, JSON.stringify({ id, to, body, sentAt: new Date().toISOString() }) + '\n');
+  console.log(`📱 SMS written to ${outboxPath}`);
+
+  return id;
+}
+
+module.exports = {
+  isSmsConfigured,
+  sendSms,
+  toE164,
+  maskPhoneNumber
+};
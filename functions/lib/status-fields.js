@@ -0,0 +1,188 @@
+// File: functions/lib/status-fields.js
+// OOOSH Driver Verification - Board A status columns
+// The five status columns (licence, POA, DVLA, passport, insurance) are derived from the
+// stored dates and points, so they are recalculated on every update and by the daily refresh.
+// The overall status moves to Done on the server once they are all green - never from the browser.
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+// Board A fields written by calculateStatusFields
+const STATUS_FIELDS = ['licenseStatus', 'poaStatus', 'dvlaStatus', 'passportStatus', 'insuranceStatus'];
+
+// Statuses that mean staff need to chase the driver
+const FLAGGED_STATUSES = ['Expired', 'Check Due'];
+
+// Board A overall statuses that hold a driver for OOOSH staff
+const REVIEW_STATUSES = ['Stuck', 'Insurance Review', 'Manual Review Required'];
+
+// Calculate all 5 status fields based on driver data
+function calculateStatusFields(driverData, today = new Date()) {
+  const statuses = {};
+
+  // LICENSE STATUS
+  const licenseExpiry = driverData.licenseValidTo ? new Date(driverData.licenseValidTo) : null;
+  const licenseCheckDue = driverData.licenseNextCheckDue ? new Date(driverData.licenseNextCheckDue) : null;
+  
+  if (licenseExpiry && licenseExpiry <= today) {
+    statuses.licenseStatus = 'Expired';
+  } else if (licenseCheckDue && licenseCheckDue <= today) {
+    statuses.licenseStatus = 'Check Due';
+  } else if (licenseExpiry && licenseExpiry > today) {
+    statuses.licenseStatus = 'Valid';
+  } else {
+    statuses.licenseStatus = 'Missing';
+  }
+
+  // POA STATUS
+  const poa1Valid = driverData.poa1ValidUntil ? new Date(driverData.poa1ValidUntil) > today : false;
+  const poa2Valid = driverData.poa2ValidUntil ? new Date(driverData.poa2ValidUntil) > today : false;
+  const poa1Exists = !!driverData.poa1ValidUntil;
+  const poa2Exists = !!driverData.poa2ValidUntil;
+
+  if (poa1Valid && poa2Valid) {
+    statuses.poaStatus = 'Valid';
+  } else if (!poa1Exists || !poa2Exists) {
+    statuses.poaStatus = 'Missing';
+  } else {
+    statuses.poaStatus = 'Expired';
+  }
+
+  // DVLA STATUS (UK drivers only)
+  const isUkDriver = driverData.licenseIssuedBy === 'DVLA';
+  if (isUkDriver) {
+    const dvlaValid = driverData.dvlaValidUntil ? new Date(driverData.dvlaValidUntil) > today : false;
+    statuses.dvlaStatus = dvlaValid ? 'Valid' : 'Expired';
+  } else {
+    statuses.dvlaStatus = 'Not Required';
+  }
+
+  // PASSPORT STATUS (Non-UK drivers only)
+  if (!isUkDriver) {
+    const passportValid = driverData.passportValidUntil ? new Date(driverData.passportValidUntil) > today : false;
+    statuses.passportStatus = passportValid ? 'Valid' : 'Expired';
+  } else {
+    statuses.passportStatus = 'Not Required';
+  }
+
+  // INSURANCE STATUS
+  const points = driverData.dvlaPoints || 0;
+  const overallStatus = driverData.overallStatus || '';
+  
+  if (points >= 10) {
+    statuses.insuranceStatus = 'Failed';
+  } else if (points >= 7 || overallStatus === 'Insurance Review' || overallStatus === 'Manual Review Required') {
+    statuses.insuranceStatus = 'Referral';
+  } else {
+    statuses.insuranceStatus = 'Approved';
+  }
+
+  if (DEBUG_MODE) {
+    console.log('📊 Calculated statuses:', statuses);
+  }
+
+  return statuses;
+}
+
+// Calculate Board B overall status from Board A data
+function calculateBoardBStatus(driverData) {
+  const statuses = calculateStatusFields(driverData);
+  
+  // Check for hard fails
+  if (statuses.insuranceStatus === 'Failed' || 
+      statuses.poaStatus === 'Missing' ||
+      driverData.overallStatus === 'Stuck') {
+    return 'Not Approved';
+  }
+  
+  // Check for any yellow flags
+  if (statuses.licenseStatus === 'Expired' ||
+      statuses.licenseStatus === 'Check Due' ||
+      statuses.poaStatus === 'Expired' ||
+      statuses.dvlaStatus === 'Expired' ||
+      statuses.passportStatus === 'Expired' ||
+      statuses.insuranceStatus === 'Referral') {
+    return 'Action Required';
+  }
+  
+  // All green
+  return 'Approved';
+}
+
+/**
+ * Work out Board A's overall status after a write - the completion step
+ * 'Done' once every check is green. A review status stays until staff change it, or until the
+ * driver passes a check again (clearReview) and that leaves everything green.
+ * @param {Object} driverData - Board A data with the write applied
+ * @param {Object} options - { clearReview } - the write records a check the driver has just passed
+ * @returns {string} - Overall status (the current one when nothing changes)
+ */
+function calculateOverallStatus(driverData, { clearReview = false } = {}) {
+  const current = driverData.overallStatus || '';
+
+  if (REVIEW_STATUSES.includes(current) && !clearReview) {
+    return current;
+  }
+
+  // Judge the documents alone - a review status would make insurance a Referral by itself
+  const statuses = calculateStatusFields({ ...driverData, overallStatus: '' });
+  const verified = statuses.licenseStatus === 'Valid' &&
+    statuses.poaStatus === 'Valid' &&
+    ['Valid', 'Not Required'].includes(statuses.dvlaStatus) &&
+    ['Valid', 'Not Required'].includes(statuses.passportStatus) &&
+    statuses.insuranceStatus === 'Approved';
+
+  return verified ? 'Done' : current;
+}
+
+/**
+ * Status columns to write with an update, plus overallStatus when the completion step moves it
+ * An overallStatus in the update itself is left alone (the webhook sets its own).
+ * @param {Object} existing - Driver as stored ({} for a new driver)
+ * @param {Object} updates - Fields being written
+ * @param {Object} options - { clearReview } - see calculateOverallStatus
+ * @returns {Object} - Status fields, and overallStatus if it changes
+ */
+function calculateUpdateStatuses(existing, updates, { clearReview = false } = {}) {
+  const merged = { ...existing, ...updates };
+  const completion = {};
+
+  if (updates.overallStatus === undefined) {
+    const overallStatus = calculateOverallStatus(merged, { clearReview });
+    if (overallStatus !== (merged.overallStatus || '')) {
+      merged.overallStatus = overallStatus;
+      completion.overallStatus = overallStatus;
+    }
+  }
+
+  return { ...calculateStatusFields(merged), ...completion };
+}
+
+/**
+ * Compare stored status columns with freshly calculated ones
+ * @param {Object} stored - Driver data as read from Board A
+ * @param {Object} calculated - Result of calculateStatusFields
+ * @returns {Object} - Only the status fields whose value changed
+ */
+function getChangedStatuses(stored, calculated) {
+  const changed = {};
+
+  STATUS_FIELDS.forEach(field => {
+    if ((stored[field] || '') !== (calculated[field] || '')) {
+      changed[field] = calculated[field];
+    }
+  });
+
+  return changed;
+}
+
+module.exports = {
+  STATUS_FIELDS,
+  FLAGGED_STATUSES,
+  REVIEW_STATUSES,
+  calculateStatusFields,
+  calculateOverallStatus,
+  calculateUpdateStatuses,
+  calculateBoardBStatus,
+  getChangedStatuses
+};
@@ -0,0 +1,272 @@
+// File: functions/lib/subject-access-export.js
+// OOOSH Driver Verification - Subject access request (SAR) bundle
+// Gathers everything we hold about a driver into one ZIP:
+//   summary.html  - human-readable report
+//   data.json     - the same data, machine-readable
+//   documents/    - licence, passport, POA, DVLA and signature files from Board A
+// Sources: Board A record(s), Board B rows, the Apps Script sheets and the SQL store (if configured).
+
+const JSZip = require('jszip');
+const { findDriverFootprint } = require('./driver-footprint');
+const { getHistory } = require('./audit-log');
+const { getDb, isDatabaseConfigured } = require('./db');
+const { escapeHtml } = require('./html');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+// Netlify responses are capped at 6MB (base64 adds a third) - bigger bundles link to the files instead
+const MAX_EMBEDDED_FILE_BYTES = 4 * 1024 * 1024;
+
+// Board A fields shown in their own sections of the summary
+const INSURANCE_FIELDS = ['hasDisability', 'hasConvictions', 'hasProsecution', 'hasAccidents', 'hasInsuranceIssues', 'hasDrivingBan', 'additionalDetails'];
+const DVLA_FIELDS = ['dvlaPoints', 'dvlaEndorsements', 'dvlaCalculatedExcess', 'dvlaValidUntil', 'dvlaStatus'];
+
+/**
+ * Collect every record held for a driver
+ * @param {string} email - Driver email
+ * @returns {Promise<Object>} - Export data (written to data.json as-is)
+ */
+async function gatherDriverData(email) {
+  const footprint = await findDriverFootprint(email);
+
+  // Same shape as parseBoardAData in monday-integration
+  const driverRecords = footprint.boardA.map(item => ({ id: item.id, name: item.name, createdAt: item.createdAt, ...item.data }));
+
+  return {
+    email,
+    generatedAt: new Date().toISOString(),
+    driverRecords,
+    insuranceAnswers: driverRecords.map(record => pick(record, INSURANCE_FIELDS)),
+    dvlaResults: driverRecords.map(record => pick(record, DVLA_FIELDS)),
+    assignments: footprint.boardB.map(item => ({ id: item.id, name: item.name, createdAt: item.createdAt, ...item.data })),
+    documents: footprint.boardA.flatMap(item => item.files),
+    googleAppsScript: await getAppsScriptData(email),
+    database: await getDatabaseRecords(email)
+  };
+}
+
+/**
+ * Build the SAR ZIP
+ * @param {string} email - Driver email
+ * @param {Object} options - { requestedBy, fileLink(assetId) → URL for documents too big to embed }
+ * @returns {Promise<Object>} - { buffer, filename, documents, embedded }
+ */
+async function buildExportZip(email, { requestedBy, fileLink }) {
+  const data = await gatherDriverData(email);
+  const zip = new JSZip();
+  let embeddedBytes = 0;
+
+  for (const document of data.documents) {
+    const path = `documents/${document.fileType}-${document.id}-${document.name}`;
+
+    try {
+      const response = await fetch(document.url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const buffer = Buffer.from(await response.arrayBuffer());
+
+      if (embeddedBytes + buffer.length > MAX_EMBEDDED_FILE_BYTES) {
+        document.included = false;
+        document.downloadUrl = fileLink(document.id);
+      } else {
+        zip.file(path, buffer);
+        embeddedBytes += buffer.length;
+        document.included = true;
+        document.path = path;
+      }
+    } catch (error) {
+      console.error(`⚠️ SAR export: could not fetch document ${document.id}:`, error.message);
+      document.included = false;
+      document.error = error.message;
+    }
+
+    // Monday.com asset URLs are short-lived and would only confuse the reader
+    delete document.url;
+  }
+
+  data.requestedBy = requestedBy || null;
+  zip.file('data.json', JSON.stringify(data, null, 2));
+  zip.file('summary.html', renderSummaryHtml(data));
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  const embedded = data.documents.filter(document => document.included).length;
+
+  if (DEBUG_MODE) console.log(`📦 SAR export: ${buffer.length} bytes, ${embedded}/${data.documents.length} documents embedded`);
+
+  return {
+    buffer,
+    filename: `ooosh-driver-data-${data.generatedAt.split('T')[0]}.zip`,
+    documents: data.documents.length,
+    embedded
+  };
+}
+
+// INTERNAL: Rows the Apps Script keeps in Google Sheets (verification codes, insurance answers)
+async function getAppsScriptData(email) {
+  if (!process.env.GOOGLE_APPS_SCRIPT_URL) {
+    return { status: 'not-configured' };
+  }
+
+  try {
+    const response = await fetch(process.env.GOOGLE_APPS_SCRIPT_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ action: 'get-driver-data', email })
+    });
+
+    const result = await response.json();
+
+    if (!response.ok || !result.success) {
+      throw new Error(result.error || `Apps Script returned ${response.status}`);
+    }
+
+    return { status: 'included', data: result.data || null };
+
+  } catch (error) {
+    console.error('⚠️ SAR export: Apps Script data unavailable:', error.message);
+    return { status: 'unavailable', error: error.message };
+  }
+}
+
+// INTERNAL: SQL store records - driver profile, per-job verifications, roster places, stored Idenfy webhooks and change history
+async function getDatabaseRecords(email) {
+  if (!isDatabaseConfigured()) {
+    return { status: 'not-configured' };
+  }
+
+  try {
+    const db = await getDb();
+    const drivers = await db.query('SELECT * FROM drivers WHERE email = ?', [email]);
+    const verifications = await db.query(
+      `SELECT dv.* FROM driver_verifications dv
+       JOIN drivers d ON d.id = dv.driver_id
+       WHERE d.email = ?`,
+      [email]
+    );
+    const emailVerifications = await db.query(
+      'SELECT job_id, verified, expires_at, created_at FROM email_verifications WHERE email = ?',
+      [email]
+    );
+    const rosterPlaces = await db.query('SELECT job_id, created_at FROM job_roster_drivers WHERE email = ?', [email]);
+    const webhookEvents = await db.query(
+      'SELECT scan_ref, received_at, status, body FROM idenfy_webhook_events WHERE driver_email = ?',
+      [email]
+    );
+
+    return {
+      status: 'included',
+      drivers,
+      verifications,
+      emailVerifications,
+      rosterPlaces,
+      webhookEvents,
+      changeHistory: await getHistory(email, { limit: 1000 })
+    };
+
+  } catch (error) {
+    console.error('⚠️ SAR export: database records unavailable:', error.message);
+    return { status: 'unavailable', error: error.message };
+  }
+}
+
+/**
+ * Count the SQL store rows held for a driver - an export is worth making even when Monday.com has nothing
+ * @param {string} email - Driver email
+ * @returns {Promise<number>} - drivers, driver_verifications and idenfy_webhook_events rows (0 without DATABASE_URL)
+ */
+async function countDatabaseRecords(email) {
+  if (!isDatabaseConfigured()) return 0;
+
+  const db = await getDb();
+  const [drivers] = await db.query('SELECT COUNT(*) AS total FROM drivers WHERE email = ?', [email]);
+  const [verifications] = await db.query(
+    `SELECT COUNT(*) AS total FROM driver_verifications dv
+     JOIN drivers d ON d.id = dv.driver_id
+     WHERE d.email = ?`,
+    [email]
+  );
+  const [webhookEvents] = await db.query('SELECT COUNT(*) AS total FROM idenfy_webhook_events WHERE driver_email = ?', [email]);
+
+  return Number(drivers.total) + Number(verifications.total) + Number(webhookEvents.total);
+}
+
+function pick(record, fields) {
+  return Object.fromEntries(fields.map(field => [field, record[field] ?? null]));
+}
+
+// ========================================
+// SUMMARY REPORT
+// ========================================
+
+// camelCase field name → "Camel case"
+function labelFor(field) {
+  const words = field.replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+function formatValue(value) {
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+function renderFieldTable(record) {
+  const rows = Object.entries(record)
+    .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    .map(([field, value]) => `<tr><th>${escapeHtml(labelFor(field))}</th><td>${escapeHtml(formatValue(value))}</td></tr>`);
+
+  return rows.length > 0 ? `<table>${rows.join('')}</table>` : '<p>Nothing held.</p>';
+}
+
+function renderSummaryHtml(data) {
+  const section = (title, body) => `<h2>${escapeHtml(title)}</h2>${body}`;
+  const records = (list) => list.length > 0 ? list.map(renderFieldTable).join('') : '<p>Nothing held.</p>';
+
+  const documents = data.documents.length > 0
+    ? `<ul>${data.documents.map(document => {
+        const where = document.included
+          ? `<a href="${escapeHtml(document.path)}">${escapeHtml(document.path)}</a>`
+          : document.downloadUrl
+            ? `too large for this bundle - <a href="${escapeHtml(document.downloadUrl)}">download separately</a> (link expires with this bundle)`
+            : `could not be retrieved - please contact us`;
+        return `<li><strong>${escapeHtml(labelFor(document.fileType))}</strong>: ${escapeHtml(document.name)} - ${where}</li>`;
+      }).join('')}</ul>`
+    : '<p>No documents held.</p>';
+
+  const other = [
+    `<p>Google Sheets records: ${escapeHtml(data.googleAppsScript.status)} (full detail in data.json)</p>`,
+    `<p>Database records: ${escapeHtml(data.database.status)}` +
+      (data.database.changeHistory ? ` - ${data.database.changeHistory.length} recorded change(s), listed in data.json` : '') +
+      '</p>'
+  ].join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>OOOSH Tours - personal data held for ${escapeHtml(data.email)}</title>
+<style>
+  body { font-family: Arial, sans-serif; max-width: 900px; margin: 2em auto; color: #222; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 1.5em; }
+  th, td { border: 1px solid #ddd; padding: 6px 10px; text-align: left; vertical-align: top; }
+  th { background: #f5f5f5; width: 35%; }
+</style>
+</head>
+<body>
+<h1>Personal data held by OOOSH Tours</h1>
+<p>For <strong>${escapeHtml(data.email)}</strong>, generated ${escapeHtml(data.generatedAt)}.</p>
+${section('Driver record', records(data.driverRecords))}
+${section('Insurance questionnaire', records(data.insuranceAnswers))}
+${section('DVLA check results', records(data.dvlaResults))}
+${section('Hire assignments', records(data.assignments))}
+${section('Documents', documents)}
+${section('Other records', other)}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  gatherDriverData,
+  buildExportZip,
+  countDatabaseRecords
+};
@@ -0,0 +1,41 @@
+// File: functions/lib/validation.js
+// OOOSH Driver Verification - Input validation shared by the functions
+// One set of email rules for the verification-code flow and bulk imports
+
+/**
+ * Validate email format using RFC 5322 compliant regex
+ * @param {string} email - Email address to validate
+ * @returns {boolean} - True if valid format
+ */
+function isValidEmail(email) {
+  if (!email || typeof email !== 'string') {
+    return false;
+  }
+  
+  // Basic email regex - checks for user@domain.tld format
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  
+  // Additional checks
+  return (
+    emailRegex.test(email) &&
+    email.length <= 254 && // RFC 5321 max length
+    email.length >= 6 &&    // Minimum realistic email
+    !email.includes('..') && // No consecutive dots
+    !email.startsWith('.') && // No leading dot
+    !email.endsWith('.')      // No trailing dot
+  );
+}
+
+/**
+ * Sanitize email input to prevent injection attacks
+ * @param {string} email - Email to sanitize
+ * @returns {string} - Sanitized email
+ */
+function sanitizeEmail(email) {
+  return email.trim().toLowerCase();
+}
+
+module.exports = {
+  isValidEmail,
+  sanitizeEmail
+};
@@ -0,0 +1,182 @@
+// File: functions/lib/vehicle-rules.js
+// OOOSH Driver Verification - Vehicle-type driver eligibility
+// Cars and vans up to 3.5t only need a full category B licence (checked at ID verification).
+// Bigger vehicles have their own requirements, checked against the DVLA check:
+//   requiredCategories - licence categories the driver must hold (from parseDvlaFromText) → rejected if missing
+//   minAge             - legal minimum age for the category on the first day of the hire → rejected if younger
+//   minYearsLicensed   - insurer's minimum years since datePassedTest → referred if fewer
+// Anything we can't read (categories, date of birth, date passed test) is referred, never rejected.
+
+const { getJobSource, isJobSourceConfigured } = require('./job-source');
+const { getDb, isDatabaseConfigured } = require('./db');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+// Matched against the job's vehicle description (jobs.vehicle_type or the job source's vehicle)
+// A driver could be put in any vehicle on the hire, so every matching rule applies
+const VEHICLE_RULES = [
+  {
+    name: 'Coach',
+    pattern: /coach|\bbus\b/i,
+    requiredCategories: ['D'],
+    minAge: 24,
+    minYearsLicensed: 3
+  },
+  {
+    name: 'Minibus',
+    pattern: /minibus/i,
+    requiredCategories: ['D1'],
+    minAge: 21,
+    minYearsLicensed: 2
+  },
+  {
+    name: '7.5 tonne truck',
+    pattern: /7\.5\s*(t\b|ton)|\blorry\b|\btruck\b/i,
+    requiredCategories: ['C1'],
+    minAge: 18,
+    minYearsLicensed: 2
+  }
+];
+
+// Holding the full category covers the smaller one (DVLA checks usually list both anyway)
+const IMPLIED_CATEGORIES = {
+  C: ['C1'],
+  CE: ['C', 'C1', 'C1E'],
+  C1E: ['C1'],
+  D: ['D1'],
+  DE: ['D', 'D1', 'D1E'],
+  D1E: ['D1']
+};
+
+/**
+ * Requirements for a vehicle description
+ * @param {string} vehicleType - e.g. 'Luxury Coach', 'Mercedes Sprinter'
+ * @returns {Object} - { rules: [names], requiredCategories, minAge, minYearsLicensed } - empty/null when nothing extra applies
+ */
+function getVehicleRequirements(vehicleType) {
+  const matched = VEHICLE_RULES.filter(rule => vehicleType && rule.pattern.test(vehicleType));
+
+  return {
+    rules: matched.map(rule => rule.name),
+    requiredCategories: [...new Set(matched.flatMap(rule => rule.requiredCategories))],
+    minAge: matched.length > 0 ? Math.max(...matched.map(rule => rule.minAge)) : null,
+    minYearsLicensed: matched.length > 0 ? Math.max(...matched.map(rule => rule.minYearsLicensed)) : null
+  };
+}
+
+/**
+ * Check a driver against the requirements for the vehicle on their hire
+ * @param {Object} input - { vehicleType, categories, dateOfBirth, datePassedTest, onDate }
+ *   categories from the DVLA check; dates YYYY-MM-DD; onDate is the hire start (defaults to today)
+ * @returns {Object} - { decision: 'approved'|'referral'|'rejected', vehicleType, rules, reasons }
+ */
+function checkVehicleEligibility({ vehicleType, categories = [], dateOfBirth, datePassedTest, onDate }) {
+  const requirements = getVehicleRequirements(vehicleType);
+  const rejections = [];
+  const referrals = [];
+  const checkDate = onDate ? new Date(onDate) : new Date();
+
+  if (requirements.requiredCategories.length > 0) {
+    const held = expandCategories(categories);
+
+    if (held.length === 0) {
+      referrals.push(`Licence categories could not be read from the DVLA check - ${requirements.requiredCategories.join(', ')} needed for a ${vehicleType}`);
+    } else {
+      const missing = requirements.requiredCategories.filter(category => !held.includes(category));
+      if (missing.length > 0) {
+        rejections.push(`Category ${missing.join(', ')} licence required to drive a ${vehicleType}`);
+      }
+    }
+  }
+
+  if (requirements.minAge !== null) {
+    const age = dateOfBirth ? yearsBetween(dateOfBirth, checkDate) : null;
+
+    if (age === null) {
+      referrals.push(`Date of birth unknown - drivers of a ${vehicleType} must be ${requirements.minAge} or over`);
+    } else if (age < requirements.minAge) {
+      rejections.push(`Drivers of a ${vehicleType} must be ${requirements.minAge} or over`);
+    }
+  }
+
+  if (requirements.minYearsLicensed !== null) {
+    const yearsLicensed = datePassedTest ? yearsBetween(datePassedTest, checkDate) : null;
+
+    if (yearsLicensed === null) {
+      referrals.push(`Date passed test unknown - ${requirements.minYearsLicensed} years' driving experience needed for a ${vehicleType}`);
+    } else if (yearsLicensed < requirements.minYearsLicensed) {
+      referrals.push(`Less than ${requirements.minYearsLicensed} years since passing test - ${vehicleType} drivers need insurer referral`);
+    }
+  }
+
+  const decision = rejections.length > 0 ? 'rejected' : referrals.length > 0 ? 'referral' : 'approved';
+
+  if (DEBUG_MODE) console.log(`🚐 Vehicle eligibility (${vehicleType || 'no vehicle'}): ${decision}`, [...rejections, ...referrals]);
+
+  return {
+    decision,
+    vehicleType: vehicleType || null,
+    rules: requirements.rules,
+    reasons: [...rejections, ...referrals]
+  };
+}
+
+/**
+ * Vehicle and start date for a job - job source first, then the jobs table
+ * @param {string} jobId - Job number
+ * @returns {Promise<Object>} - { vehicleType, startDate } - either may be null
+ */
+async function getJobVehicle(jobId) {
+  if (!jobId) return { vehicleType: null, startDate: null };
+
+  let job = null;
+  if (isJobSourceConfigured()) {
+    try {
+      job = await getJobSource().findJob(jobId);
+    } catch (error) {
+      console.error('⚠️ Job source unavailable for vehicle lookup:', error.message);
+    }
+  }
+
+  if (job?.vehicle) {
+    return { vehicleType: job.vehicle, startDate: job.startDate };
+  }
+
+  if (isDatabaseConfigured()) {
+    try {
+      const db = await getDb();
+      const rows = await db.query('SELECT vehicle_type, start_date FROM jobs WHERE id = ?', [String(jobId)]);
+      if (rows.length > 0 && rows[0].vehicle_type) {
+        return { vehicleType: rows[0].vehicle_type, startDate: job?.startDate || rows[0].start_date || null };
+      }
+    } catch (error) {
+      console.error('⚠️ Jobs table unavailable for vehicle lookup:', error.message);
+    }
+  }
+
+  return { vehicleType: null, startDate: job?.startDate || null };
+}
+
+// INTERNAL: Categories held, including the ones a bigger category covers
+function expandCategories(categories) {
+  const held = (categories || []).map(category => String(category).toUpperCase().trim()).filter(Boolean);
+  return [...new Set(held.flatMap(category => [category, ...(IMPLIED_CATEGORIES[category] || [])]))];
+}
+
+// INTERNAL: Whole years from a YYYY-MM-DD date to another date
+function yearsBetween(fromDate, toDate) {
+  const [year, month, day] = String(fromDate).split('-').map(Number);
+  if (!year || !month || !day) return null;
+
+  let years = toDate.getFullYear() - year;
+  if (toDate.getMonth() + 1 < month || (toDate.getMonth() + 1 === month && toDate.getDate() < day)) years--;
+  return years;
+}
+
+module.exports = {
+  VEHICLE_RULES,
+  getVehicleRequirements,
+  checkVehicleEligibility,
+  getJobVehicle
+};
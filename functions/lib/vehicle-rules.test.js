@@ -0,0 +1,124 @@
+/** @jest-environment node */
+// File: functions/lib/vehicle-rules.test.js
+
+const { getVehicleRequirements, checkVehicleEligibility, getJobVehicle } = require('./vehicle-rules');
+const { getDb } = require('./db');
+
+const HIRE_START = '2026-06-15';
+
+describe('getVehicleRequirements', () => {
+  test('cars and vans need nothing beyond the ID check', () => {
+    expect(getVehicleRequirements('Mercedes Sprinter')).toEqual({ rules: [], requiredCategories: [], minAge: null, minYearsLicensed: null });
+    expect(getVehicleRequirements(null).rules).toEqual([]);
+  });
+
+  test.each([
+    ['Luxury Coach', ['Coach'], ['D'], 24, 3],
+    ['16 seat Minibus', ['Minibus'], ['D1'], 21, 2],
+    ['7.5t Box Truck', ['7.5 tonne truck'], ['C1'], 18, 2],
+    ['7.5 tonne lorry', ['7.5 tonne truck'], ['C1'], 18, 2]
+  ])('%s', (vehicleType, rules, requiredCategories, minAge, minYearsLicensed) => {
+    expect(getVehicleRequirements(vehicleType)).toEqual({ rules, requiredCategories, minAge, minYearsLicensed });
+  });
+
+  test('every matching rule applies, with the strictest age and experience', () => {
+    expect(getVehicleRequirements('Coach + 7.5t truck')).toEqual({
+      rules: ['Coach', '7.5 tonne truck'],
+      requiredCategories: ['D', 'C1'],
+      minAge: 24,
+      minYearsLicensed: 3
+    });
+  });
+});
+
+describe('checkVehicleEligibility', () => {
+  const coachDriver = {
+    vehicleType: 'Luxury Coach',
+    categories: ['B', 'D'],
+    dateOfBirth: '1990-01-01',
+    datePassedTest: '2010-01-01',
+    onDate: HIRE_START
+  };
+
+  test('a driver who meets every requirement is approved', () => {
+    expect(checkVehicleEligibility(coachDriver)).toEqual({
+      decision: 'approved',
+      vehicleType: 'Luxury Coach',
+      rules: ['Coach'],
+      reasons: []
+    });
+  });
+
+  test('a van hire is approved without a DVLA check', () => {
+    expect(checkVehicleEligibility({ vehicleType: 'LWB Van' }).decision).toBe('approved');
+  });
+
+  test('a missing category is rejected', () => {
+    expect(checkVehicleEligibility({ ...coachDriver, categories: ['B', 'D1'] })).toMatchObject({
+      decision: 'rejected',
+      reasons: ['Category D licence required to drive a Luxury Coach']
+    });
+  });
+
+  test('a bigger category covers the smaller one', () => {
+    expect(checkVehicleEligibility({ ...coachDriver, vehicleType: 'Minibus', categories: ['de'] }).decision).toBe('approved');
+    expect(checkVehicleEligibility({ ...coachDriver, vehicleType: '7.5t truck', categories: ['C'] }).decision).toBe('approved');
+  });
+
+  test('age is checked on the first day of the hire', () => {
+    const turnsTwentyFourOnStart = { ...coachDriver, dateOfBirth: '2002-06-15' };
+    const turnsTwentyFourTheDayAfter = { ...coachDriver, dateOfBirth: '2002-06-16' };
+
+    expect(checkVehicleEligibility(turnsTwentyFourOnStart).decision).toBe('approved');
+    expect(checkVehicleEligibility(turnsTwentyFourTheDayAfter)).toMatchObject({
+      decision: 'rejected',
+      reasons: ['Drivers of a Luxury Coach must be 24 or over']
+    });
+  });
+
+  test('too little experience is referred to the insurer, not rejected', () => {
+    expect(checkVehicleEligibility({ ...coachDriver, datePassedTest: '2024-01-01' })).toMatchObject({
+      decision: 'referral',
+      reasons: ["Less than 3 years since passing test - Luxury Coach drivers need insurer referral"]
+    });
+  });
+
+  test('anything that could not be read is referred', () => {
+    const result = checkVehicleEligibility({ vehicleType: 'Luxury Coach', categories: [], onDate: HIRE_START });
+
+    expect(result.decision).toBe('referral');
+    expect(result.reasons).toHaveLength(3);
+  });
+
+  test('a rejection wins over a referral', () => {
+    expect(checkVehicleEligibility({ ...coachDriver, categories: ['B'], datePassedTest: null }).decision).toBe('rejected');
+  });
+});
+
+describe('getJobVehicle', () => {
+  beforeAll(async () => {
+    process.env.DATABASE_URL = 'sqlite::memory:';
+    delete process.env.MONDAY_API_TOKEN;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const db = await getDb();
+    await db.run(
+      'INSERT INTO jobs (id, job_name, start_date, vehicle_type) VALUES (?, ?, ?, ?)',
+      ['11001', 'Summer tour', HIRE_START, 'Luxury Coach']
+    );
+  });
+
+  afterAll(() => {
+    delete process.env.DATABASE_URL;
+    jest.restoreAllMocks();
+  });
+
+  test('the vehicle comes from the jobs table when there is no job source', async () => {
+    expect(await getJobVehicle('11001')).toEqual({ vehicleType: 'Luxury Coach', startDate: HIRE_START });
+  });
+
+  test('an unknown job has no vehicle', async () => {
+    expect(await getJobVehicle('99999')).toEqual({ vehicleType: null, startDate: null });
+    expect(await getJobVehicle(null)).toEqual({ vehicleType: null, startDate: null });
+  });
+});
@@ -0,0 +1,393 @@
+// File: functions/lib/verification-codes.js
+// OOOSH Driver Verification - Email verification codes
+// One API for sending and checking the six-digit code a driver types in to prove they own an email.
+// Codes go out by email, or by text to the mobile number already on file for that email
+// (captured at ContactDetails) - never to a number typed in at sign-in.
+//
+// VERIFICATION_CODE_STORE selects the backend:
+//   sql         - our own email_verifications table (default when DATABASE_URL is set); the code
+//                 goes out through lib/mailer.js, so the Apps Script is only needed as a mail transport
+//   apps-script - the Google Apps Script generates, emails and checks codes (default otherwise)
+//
+// Every backend exposes the same methods:
+//   sendCode(email, jobId, { channel, phone }) -> { ok: true, linkSent } or { ok: false, statusCode, error }
+//   checkCode(email, jobId, code, { channel }) -> { ok: true } or { ok: false, statusCode, error }
+//   redeemLink(token)                          -> { ok: true, email, jobId } or { ok: false, statusCode, error }
+// channel is 'email' (default) or 'sms'; phone is the E.164 number an SMS goes to
+//
+// SQL codes: only an HMAC of the code is stored (keyed with TOKEN_SIGNING_SECRET); each code
+// works once, expires after its channel's TTL, is replaced by the next code sent on the same
+// channel, and stops working after VERIFICATION_CODE_MAX_ATTEMPTS wrong guesses.
+//
+// Magic links (MAGIC_LINK_SIGN_IN=true, SQL store only): the code email also carries a signed
+// ?signin=<token> link (lib/signed-token.js) naming the code's row. Opening it on any device claims
+// that row, so the link and the code are one credential - whichever is used first, the other stops
+// working - and the link lapses with the code.
+
+const crypto = require('crypto');
+const { safeEqual } = require('./auth');
+const { getDb, isDatabaseConfigured } = require('./db');
+const { sendEmail } = require('./mailer');
+const { createSignedToken, verifySignedToken } = require('./signed-token');
+const { sendSms } = require('./sms');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+// Each channel keeps its own codes and expiry - texts are read straight away, so they lapse sooner
+const CODE_CHANNELS = {
+  email: { ttlMinutes: parseInt(process.env.VERIFICATION_CODE_TTL_MINUTES) || 15 },
+  sms: { ttlMinutes: parseInt(process.env.VERIFICATION_SMS_CODE_TTL_MINUTES) || 10 }
+};
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.VERIFICATION_CODE_MAX_ATTEMPTS) || 5;
+const LINK_TOKEN_PURPOSE = 'magic-link';
+const TOO_MANY_ATTEMPTS = { ok: false, statusCode: 400, error: 'Too many incorrect attempts - please request a new code' };
+
+// INTERNAL: Sign-in links go out alongside codes when MAGIC_LINK_SIGN_IN=true
+function isMagicLinkEnabled() {
+  return process.env.MAGIC_LINK_SIGN_IN === 'true';
+}
+
+/**
+ * Get the verification code store configured for this environment
+ * @returns {Object} - Verification code store
+ */
+function getVerificationCodeStore() {
+  const store = (process.env.VERIFICATION_CODE_STORE || (isDatabaseConfigured() ? 'sql' : 'apps-script')).toLowerCase();
+
+  switch (store) {
+    case 'sql':
+      return createSqlCodeStore();
+    case 'apps-script':
+      return createAppsScriptCodeStore();
+    default:
+      throw new Error(`Unknown VERIFICATION_CODE_STORE: ${store}`);
+  }
+}
+
+// ========================================
+// SQL STORE (email_verifications)
+// ========================================
+
+function createSqlCodeStore() {
+  return {
+    async sendCode(email, jobId, { channel = 'email', phone = null } = {}) {
+      const db = await getDb();
+      const code = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+      const ttlMinutes = CODE_CHANNELS[channel].ttlMinutes;
+      const now = new Date();
+      const expiresAt = new Date(now.getTime() + ttlMinutes * 60 * 1000);
+
+      // Only the latest code on each channel works
+      await db.run(
+        `UPDATE email_verifications SET invalidated_at = ?
+         WHERE email = ? AND job_id = ? AND channel = ? AND used_at IS NULL AND invalidated_at IS NULL`,
+        [toSqlTimestamp(now), email, String(jobId), channel]
+      );
+
+      const { insertId } = await db.run(
+        'INSERT INTO email_verifications (email, code_hash, job_id, channel, expires_at) VALUES (?, ?, ?, ?, ?)',
+        [email, hashCode(email, jobId, code), String(jobId), channel, toSqlTimestamp(expiresAt)]
+      );
+
+      const linkUrl = channel === 'email' && isMagicLinkEnabled() ? createSignInLink(email, jobId, insertId, expiresAt) : null;
+
+      try {
+        if (channel === 'sms') {
+          await sendSms({
+            to: phone,
+            body: `Your Ooosh Tours verification code is ${code}. It expires in ${ttlMinutes} minutes. Don't share it with anyone.`
+          });
+        } else {
+          await sendEmail({
+            to: email,
+            subject: `Your Ooosh Tours verification code: ${code}`,
+            htmlBody: codeEmailBody(code, linkUrl, ttlMinutes)
+          });
+        }
+      } catch (error) {
+        console.error(`❌ Failed to send verification code by ${channel}:`, error.message);
+        await db.run('UPDATE email_verifications SET invalidated_at = ? WHERE id = ?', [toSqlTimestamp(new Date()), insertId]);
+        return {
+          ok: false,
+          statusCode: 502,
+          error: channel === 'sms' ? 'Failed to send verification text message' : 'Failed to send verification email'
+        };
+      }
+
+      if (DEBUG_MODE) console.log(`🔍 Verification code ${insertId} issued by ${channel}${linkUrl ? ' with sign-in link' : ''}, expires ${expiresAt.toISOString()}`);
+      return { ok: true, linkSent: !!linkUrl };
+    },
+
+    async checkCode(email, jobId, code, { channel = 'email' } = {}) {
+      const db = await getDb();
+      const [row] = await db.query(
+        `SELECT id, code_hash, failed_attempts, expires_at FROM email_verifications
+         WHERE email = ? AND job_id = ? AND channel = ? AND used_at IS NULL AND invalidated_at IS NULL
+         ORDER BY id DESC LIMIT 1`,
+        [email, String(jobId), channel]
+      );
+
+      if (!row) {
+        return { ok: false, statusCode: 400, error: 'No active verification code - please request a new one' };
+      }
+
+      const now = new Date();
+
+      if (fromSqlTimestamp(row.expires_at) <= now) {
+        await invalidateCode(db, row.id, now);
+        return { ok: false, statusCode: 400, error: 'Verification code has expired - please request a new one' };
+      }
+
+      // Checked before the hash - a row already at the cap never accepts a code, right or wrong
+      if (Number(row.failed_attempts || 0) >= MAX_FAILED_ATTEMPTS) {
+        await invalidateCode(db, row.id, now);
+        return TOO_MANY_ATTEMPTS;
+      }
+
+      if (!safeEqual(hashCode(email, jobId, code), row.code_hash)) {
+        // Counted in the database, not from the row read above - concurrent guesses each use up one attempt
+        const { changes } = await db.run(
+          `UPDATE email_verifications SET failed_attempts = failed_attempts + 1
+           WHERE id = ? AND failed_attempts < ? AND used_at IS NULL AND invalidated_at IS NULL`,
+          [row.id, MAX_FAILED_ATTEMPTS]
+        );
+
+        if (await invalidateCode(db, row.id, now, { atCap: true })) {
+          console.log(`🔒 Verification code ${row.id} invalidated after ${MAX_FAILED_ATTEMPTS} wrong attempts`);
+          return TOO_MANY_ATTEMPTS;
+        }
+
+        // Not counted: a concurrent guess used the last attempt (or the code was used meanwhile)
+        if (changes === 0) {
+          return TOO_MANY_ATTEMPTS;
+        }
+
+        return { ok: false, statusCode: 400, error: 'Invalid verification code' };
+      }
+
+      if (!(await claimCode(db, row.id, now))) {
+        return { ok: false, statusCode: 400, error: 'Verification code has already been used' };
+      }
+
+      return { ok: true };
+    },
+
+    async redeemLink(token) {
+      const check = verifySignedToken(token, LINK_TOKEN_PURPOSE);
+
+      if (!check.valid) {
+        return {
+          ok: false,
+          statusCode: 400,
+          error: check.error === 'Token has expired'
+            ? 'This sign-in link has expired - please request a new code'
+            : 'This sign-in link is not valid - please request a new code'
+        };
+      }
+
+      const { email, jobId, codeId } = check.payload;
+      const db = await getDb();
+      const [row] = await db.query(
+        'SELECT id, email, job_id, used_at, invalidated_at, expires_at FROM email_verifications WHERE id = ?',
+        [codeId]
+      );
+
+      if (!row || row.email !== email || String(row.job_id) !== String(jobId)) {
+        return { ok: false, statusCode: 400, error: 'This sign-in link is not valid - please request a new code' };
+      }
+
+      if (row.used_at) {
+        return { ok: false, statusCode: 400, error: 'This sign-in link has already been used - please request a new code' };
+      }
+
+      // Replaced by a newer code, too many wrong guesses at the code, or the email never sent
+      if (row.invalidated_at) {
+        return { ok: false, statusCode: 400, error: 'This sign-in link is no longer valid - please use the latest email or request a new code' };
+      }
+
+      const now = new Date();
+
+      if (fromSqlTimestamp(row.expires_at) <= now) {
+        return { ok: false, statusCode: 400, error: 'This sign-in link has expired - please request a new code' };
+      }
+
+      if (!(await claimCode(db, row.id, now))) {
+        return { ok: false, statusCode: 400, error: 'This sign-in link has already been used - please request a new code' };
+      }
+
+      return { ok: true, email, jobId };
+    }
+  };
+}
+
+// INTERNAL: Single use - a second request for the same row finds nothing left to claim,
+// and neither does one for a row whose wrong guesses reached the cap in the meantime
+async function claimCode(db, id, now) {
+  const { changes } = await db.run(
+    `UPDATE email_verifications SET used_at = ?, verified = 1
+     WHERE id = ? AND failed_attempts < ? AND used_at IS NULL AND invalidated_at IS NULL`,
+    [toSqlTimestamp(now), id, MAX_FAILED_ATTEMPTS]
+  );
+  return changes === 1;
+}
+
+// INTERNAL: Stop a code working - with atCap, only once its wrong guesses have reached the cap
+async function invalidateCode(db, id, now, { atCap = false } = {}) {
+  const { changes } = await db.run(
+    `UPDATE email_verifications SET invalidated_at = ?
+     WHERE id = ? AND invalidated_at IS NULL${atCap ? ' AND failed_attempts >= ?' : ''}`,
+    atCap ? [toSqlTimestamp(now), id, MAX_FAILED_ATTEMPTS] : [toSqlTimestamp(now), id]
+  );
+  return changes === 1;
+}
+
+// INTERNAL: The link lapses with the code it stands for
+function createSignInLink(email, jobId, codeId, expiresAt) {
+  const { token } = createSignedToken(
+    { email, jobId: String(jobId), codeId },
+    { purpose: LINK_TOKEN_PURPOSE, expiresInSeconds: Math.floor((expiresAt.getTime() - Date.now()) / 1000) }
+  );
+  return `${process.env.URL}/?signin=${encodeURIComponent(token)}`;
+}
+
+// INTERNAL: Codes are only six digits, so the hash is keyed - an unkeyed one is reversed by trying all million
+function hashCode(email, jobId, code) {
+  const secret = process.env.TOKEN_SIGNING_SECRET;
+  if (!secret) {
+    throw new Error('TOKEN_SIGNING_SECRET environment variable not set');
+  }
+  return crypto.createHmac('sha256', secret).update(`${email}:${jobId}:${code}`).digest('hex');
+}
+
+// INTERNAL: UTC 'YYYY-MM-DD HH:MM:SS' - valid in both SQLite and MySQL
+function toSqlTimestamp(date) {
+  return date.toISOString().replace('T', ' ').slice(0, 19);
+}
+
+function fromSqlTimestamp(value) {
+  return new Date(`${String(value).replace(' ', 'T').slice(0, 19)}Z`);
+}
+
+function codeEmailBody(code, linkUrl, ttlMinutes) {
+  const linkSection = linkUrl ? `
+      <p>Or tap this button to carry on - on this phone or any other device:</p>
+
+      <p style="margin: 25px 0;">
+        <a href="${linkUrl}" style="background-color: #667eea; color: #ffffff; padding: 12px 24px; text-decoration: none; border-radius: 6px;">Continue verification</a>
+      </p>
+` : '';
+
+  return `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <p>Your Ooosh Tours driver verification code is:</p>
+
+      <p style="font-size: 32px; font-weight: bold; letter-spacing: 6px; margin: 25px 0;">${code}</p>
+
+      <p>Enter it in the verification page to continue.</p>
+${linkSection}
+      <p>The ${linkUrl ? 'code and button work' : 'code works'} once and expire${linkUrl ? '' : 's'} in ${ttlMinutes} minutes.</p>
+
+      <p>If you didn't ask for this code, you can ignore this email.</p>
+
+      <p>Thanks,<br>
+      <strong>Ooosh Tours</strong></p>
+    </div>
+  `;
+}
+
+// ========================================
+// APPS SCRIPT STORE (legacy)
+// ========================================
+
+// The Apps Script only emails codes
+const SMS_UNAVAILABLE = { ok: false, statusCode: 400, error: 'Text message codes are not available - please use email' };
+
+function createAppsScriptCodeStore() {
+  const callScript = async (payload) => {
+    const scriptUrl = process.env.GOOGLE_APPS_SCRIPT_URL;
+
+    if (!scriptUrl) {
+      console.error('❌ GOOGLE_APPS_SCRIPT_URL not configured');
+      return { ok: false, statusCode: 503, error: 'Email verification service temporarily unavailable' };
+    }
+
+    const response = await fetch(scriptUrl, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify(payload)
+    });
+
+    if (!response.ok) {
+      console.error('❌ Apps Script error:', response.status);
+      return { ok: false, statusCode: 502, error: 'Verification service error' };
+    }
+
+    // Handle potential JSON errors
+    try {
+      return { ok: true, result: JSON.parse(await response.text()) };
+    } catch (parseError) {
+      console.error('❌ Invalid JSON response from Apps Script');
+      return { ok: false, statusCode: 502, error: 'Verification service returned invalid response' };
+    }
+  };
+
+  return {
+    async sendCode(email, jobId, { channel = 'email' } = {}) {
+      if (channel !== 'email') {
+        return SMS_UNAVAILABLE;
+      }
+
+      const call = await callScript({ action: 'send-verification-code', email, jobId });
+
+      if (!call.ok) {
+        return call.statusCode === 503 ? call : { ...call, error: 'Failed to send verification email' };
+      }
+
+      if (!call.result.success) {
+        console.error('❌ Apps Script returned failure');
+        return { ok: false, statusCode: 500, error: call.result.error || 'Failed to send verification email' };
+      }
+
+      if (isMagicLinkEnabled()) {
+        console.log('⚠️ MAGIC_LINK_SIGN_IN needs VERIFICATION_CODE_STORE=sql - sent the code only');
+      }
+
+      return { ok: true, linkSent: false };
+    },
+
+    async checkCode(email, jobId, code, { channel = 'email' } = {}) {
+      if (channel !== 'email') {
+        return SMS_UNAVAILABLE;
+      }
+
+      const call = await callScript({ action: 'verify-code', email, code, jobId });
+
+      if (!call.ok) {
+        return call;
+      }
+
+      if (call.result.error) {
+        return { ok: false, statusCode: 400, error: call.result.error };
+      }
+
+      if (!call.result.success || !call.result.verified) {
+        return { ok: false, statusCode: 400, error: 'Invalid verification code' };
+      }
+
+      return { ok: true };
+    },
+
+    // The Apps Script keeps no record a link could claim, so it can't make them single-use
+    async redeemLink() {
+      return { ok: false, statusCode: 400, error: 'Sign-in links are not available - please enter the code from your email' };
+    }
+  };
+}
+
+module.exports = {
+  CODE_CHANNELS,
+  getVerificationCodeStore
+};
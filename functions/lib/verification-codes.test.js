@@ -0,0 +1,237 @@
+/** @jest-environment node */
+// File: functions/lib/verification-codes.test.js
+
+jest.mock('./mailer', () => ({ sendEmail: jest.fn() }));
+jest.mock('./sms', () => ({ sendSms: jest.fn() }));
+
+const crypto = require('crypto');
+const { sendEmail } = require('./mailer');
+const { sendSms } = require('./sms');
+const { getVerificationCodeStore } = require('./verification-codes');
+const { getDb } = require('./db');
+
+const JOB_ID = '11001';
+
+let store;
+let driverCount = 0;
+
+beforeAll(() => {
+  process.env.DATABASE_URL = 'sqlite::memory:';
+  process.env.TOKEN_SIGNING_SECRET = 'test-token-secret';
+  process.env.URL = 'https://drivers.example.com';
+});
+
+beforeEach(() => {
+  delete process.env.VERIFICATION_CODE_STORE;
+  delete process.env.MAGIC_LINK_SIGN_IN;
+  sendEmail.mockReset().mockResolvedValue({});
+  sendSms.mockReset().mockResolvedValue({});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  store = getVerificationCodeStore();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Each test works on its own driver - the in-memory database lasts for the whole file
+function nextDriver() {
+  driverCount += 1;
+  return `driver${driverCount}@example.com`;
+}
+
+function lastEmailedCode() {
+  const { subject } = sendEmail.mock.calls[sendEmail.mock.calls.length - 1][0];
+  return subject.match(/(\d{6})$/)[1];
+}
+
+function lastEmailedLinkToken() {
+  const { htmlBody } = sendEmail.mock.calls[sendEmail.mock.calls.length - 1][0];
+  return decodeURIComponent(htmlBody.match(/\?signin=([^"]+)"/)[1]);
+}
+
+function wrongCodeFor(code) {
+  return code === '000000' ? '111111' : '000000';
+}
+
+test('the SQL store is used when DATABASE_URL is set', async () => {
+  const email = nextDriver();
+
+  expect(await store.sendCode(email, JOB_ID)).toEqual({ ok: true, linkSent: false });
+  expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: email }));
+});
+
+test('only a hash of the code is stored', async () => {
+  const email = nextDriver();
+  await store.sendCode(email, JOB_ID);
+  const code = lastEmailedCode();
+
+  const db = await getDb();
+  const [row] = await db.query('SELECT code_hash FROM email_verifications WHERE email = ?', [email]);
+
+  expect(row.code_hash).not.toContain(code);
+  expect(row.code_hash).toMatch(/^[0-9a-f]{64}$/);
+});
+
+test('a code works once', async () => {
+  const email = nextDriver();
+  await store.sendCode(email, JOB_ID);
+  const code = lastEmailedCode();
+
+  expect(await store.checkCode(email, JOB_ID, code)).toEqual({ ok: true });
+  expect(await store.checkCode(email, JOB_ID, code)).toMatchObject({ ok: false, statusCode: 400 });
+});
+
+test('a code only works for the job it was sent for', async () => {
+  const email = nextDriver();
+  await store.sendCode(email, JOB_ID);
+
+  expect(await store.checkCode(email, '11002', lastEmailedCode())).toMatchObject({ ok: false, statusCode: 400 });
+});
+
+test('a new code replaces the last one', async () => {
+  const email = nextDriver();
+  jest.spyOn(crypto, 'randomInt').mockReturnValueOnce(123456).mockReturnValueOnce(654321);
+  await store.sendCode(email, JOB_ID);
+  await store.sendCode(email, JOB_ID);
+
+  expect(await store.checkCode(email, JOB_ID, '123456')).toEqual({ ok: false, statusCode: 400, error: 'Invalid verification code' });
+  expect(await store.checkCode(email, JOB_ID, '654321')).toEqual({ ok: true });
+});
+
+test('a code stops working after too many wrong guesses', async () => {
+  const email = nextDriver();
+  await store.sendCode(email, JOB_ID);
+  const code = lastEmailedCode();
+
+  for (let i = 0; i < 4; i++) {
+    expect(await store.checkCode(email, JOB_ID, wrongCodeFor(code))).toEqual({ ok: false, statusCode: 400, error: 'Invalid verification code' });
+  }
+  expect(await store.checkCode(email, JOB_ID, wrongCodeFor(code))).toEqual({
+    ok: false,
+    statusCode: 400,
+    error: 'Too many incorrect attempts - please request a new code'
+  });
+
+  expect(await store.checkCode(email, JOB_ID, code)).toMatchObject({ ok: false });
+});
+
+test('the right code is refused once the wrong guesses have reached the cap', async () => {
+  const email = nextDriver();
+  await store.sendCode(email, JOB_ID);
+  const code = lastEmailedCode();
+
+  // As a race between guesses could leave it - at the cap but not yet invalidated
+  const db = await getDb();
+  await db.run('UPDATE email_verifications SET failed_attempts = 5 WHERE email = ?', [email]);
+
+  expect(await store.checkCode(email, JOB_ID, code)).toEqual({
+    ok: false,
+    statusCode: 400,
+    error: 'Too many incorrect attempts - please request a new code'
+  });
+  expect(await store.checkCode(email, JOB_ID, code)).toMatchObject({ ok: false });
+});
+
+test('concurrent wrong guesses each use up an attempt', async () => {
+  const email = nextDriver();
+  await store.sendCode(email, JOB_ID);
+  const code = lastEmailedCode();
+
+  const results = await Promise.all(Array.from({ length: 8 }, () => store.checkCode(email, JOB_ID, wrongCodeFor(code))));
+
+  expect(results.filter(result => result.error === 'Invalid verification code').length).toBeLessThan(5);
+  const db = await getDb();
+  const [row] = await db.query('SELECT failed_attempts, invalidated_at FROM email_verifications WHERE email = ?', [email]);
+  expect(row.failed_attempts).toBe(5);
+  expect(row.invalidated_at).not.toBeNull();
+  expect(await store.checkCode(email, JOB_ID, code)).toMatchObject({ ok: false });
+});
+
+test('an expired code is refused', async () => {
+  const email = nextDriver();
+  await store.sendCode(email, JOB_ID);
+  const code = lastEmailedCode();
+
+  const db = await getDb();
+  await db.run("UPDATE email_verifications SET expires_at = '2000-01-01 00:00:00' WHERE email = ?", [email]);
+
+  expect(await store.checkCode(email, JOB_ID, code)).toEqual({
+    ok: false,
+    statusCode: 400,
+    error: 'Verification code has expired - please request a new one'
+  });
+});
+
+test('a code that could not be sent never works', async () => {
+  const email = nextDriver();
+  sendEmail.mockRejectedValue(new Error('SMTP down'));
+
+  expect(await store.sendCode(email, JOB_ID)).toEqual({ ok: false, statusCode: 502, error: 'Failed to send verification email' });
+
+  const { subject } = sendEmail.mock.calls[0][0];
+  expect(await store.checkCode(email, JOB_ID, subject.match(/(\d{6})$/)[1])).toMatchObject({ ok: false });
+});
+
+test('text message codes are kept apart from email codes', async () => {
+  const email = nextDriver();
+  await store.sendCode(email, JOB_ID, { channel: 'sms', phone: '+447700900123' });
+
+  expect(sendSms).toHaveBeenCalledWith(expect.objectContaining({ to: '+447700900123' }));
+  const smsCode = sendSms.mock.calls[0][0].body.match(/code is (\d{6})/)[1];
+
+  expect(await store.checkCode(email, JOB_ID, smsCode)).toMatchObject({ ok: false });
+  expect(await store.checkCode(email, JOB_ID, smsCode, { channel: 'sms' })).toEqual({ ok: true });
+});
+
+describe('sign-in links', () => {
+  beforeEach(() => {
+    process.env.MAGIC_LINK_SIGN_IN = 'true';
+  });
+
+  test('the link signs the driver in once', async () => {
+    const email = nextDriver();
+    expect(await store.sendCode(email, JOB_ID)).toEqual({ ok: true, linkSent: true });
+    const token = lastEmailedLinkToken();
+
+    expect(await store.redeemLink(token)).toEqual({ ok: true, email, jobId: JOB_ID });
+    expect(await store.redeemLink(token)).toMatchObject({ ok: false, statusCode: 400 });
+  });
+
+  test('the link and the code are one credential', async () => {
+    const email = nextDriver();
+    await store.sendCode(email, JOB_ID);
+    const token = lastEmailedLinkToken();
+
+    expect(await store.checkCode(email, JOB_ID, lastEmailedCode())).toEqual({ ok: true });
+    expect(await store.redeemLink(token)).toMatchObject({ ok: false });
+  });
+
+  test('the link stops working once a newer code is sent', async () => {
+    const email = nextDriver();
+    await store.sendCode(email, JOB_ID);
+    const token = lastEmailedLinkToken();
+    await store.sendCode(email, JOB_ID);
+
+    expect(await store.redeemLink(token)).toMatchObject({ ok: false, statusCode: 400 });
+  });
+
+  test('a tampered link is refused', async () => {
+    expect(await store.redeemLink('not-a-link')).toMatchObject({ ok: false, statusCode: 400 });
+  });
+});
+
+test('the Apps Script store has no text messages or sign-in links', async () => {
+  process.env.VERIFICATION_CODE_STORE = 'apps-script';
+  const appsScript = getVerificationCodeStore();
+
+  expect(await appsScript.sendCode('driver@example.com', JOB_ID, { channel: 'sms' })).toMatchObject({ ok: false, statusCode: 400 });
+  expect(await appsScript.redeemLink('token')).toMatchObject({ ok: false, statusCode: 400 });
+});
+
+test('an unknown store is a configuration error', () => {
+  process.env.VERIFICATION_CODE_STORE = 'carrier-pigeon';
+
+  expect(() => getVerificationCodeStore()).toThrow('Unknown VERIFICATION_CODE_STORE: carrier-pigeon');
+});
@@ -0,0 +1,153 @@
+// File: functions/lib/webhook-events.js
+// OOOSH Driver Verification - Stored Idenfy webhooks
+// Every webhook that passes the signature check is kept verbatim in idenfy_webhook_events with
+// when it arrived and how processing went, so a run that failed halfway can be replayed by staff
+// (idenfy-webhook-replay.js) instead of asking the driver to go through Idenfy again.
+//
+// status is one of:
+//   received  - stored, processing not finished (or the function died part way)
+//   processed - driver updated
+//   ignored   - non-final result
+//   duplicate - Idenfy retry of a webhook that was already processed (or is being processed)
+//   failed    - processing returned or threw an error (see error)
+//
+// Needs DATABASE_URL - without it nothing is stored and replay is unavailable.
+// Bodies hold personal data: they are removed with the driver on erasure (lib/driver-erasure.js).
+
+const { getDb, isDatabaseConfigured } = require('./db');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+const WEBHOOK_STATUSES = ['received', 'processed', 'ignored', 'duplicate', 'failed'];
+
+/**
+ * Is the webhook store available?
+ * @returns {boolean}
+ */
+function isWebhookStoreAvailable() {
+  return isDatabaseConfigured();
+}
+
+/**
+ * Store a signed webhook body exactly as it arrived
+ * Never throws - a storage problem must not stop the webhook being processed
+ * @param {Object} webhook - { body, scanRef, clientId, email }
+ * @returns {Promise<number|null>} - Stored event id, or null when not stored
+ */
+async function recordWebhookEvent({ body, scanRef, clientId, email }) {
+  if (!isWebhookStoreAvailable()) {
+    if (DEBUG_MODE) console.log('ℹ️ Webhook not stored - DATABASE_URL not configured');
+    return null;
+  }
+
+  try {
+    const db = await getDb();
+    const { insertId } = await db.run(
+      `INSERT INTO idenfy_webhook_events (scan_ref, client_id, driver_email, body, status)
+       VALUES (?, ?, ?, ?, 'received')`,
+      [scanRef || null, clientId || null, email || null, body]
+    );
+
+    if (DEBUG_MODE) console.log(`🗄️ Webhook stored as event ${insertId}`);
+    return insertId;
+
+  } catch (error) {
+    // Make it loud - without the stored body this webhook can't be replayed
+    console.error('❌ Could not store webhook body:', error.message, JSON.stringify({ scanRef }));
+    return null;
+  }
+}
+
+/**
+ * Record how a stored webhook was handled
+ * Never throws - the response to Idenfy matters more than the bookkeeping
+ * @param {number|null} id - Event id from recordWebhookEvent (null is ignored)
+ * @param {Object} result - { status, outcome, error }
+ * @returns {Promise<void>}
+ */
+async function finishWebhookEvent(id, { status, outcome = null, error = null }) {
+  if (!id) return;
+
+  try {
+    const db = await getDb();
+    await db.run(
+      `UPDATE idenfy_webhook_events
+       SET status = ?, outcome = ?, error = ?, processed_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [checkStatus(status), outcome ? JSON.stringify(outcome) : null, error, id]
+    );
+  } catch (updateError) {
+    console.error(`❌ Could not record outcome for webhook event ${id}:`, updateError.message);
+  }
+}
+
+/**
+ * Record a staff replay of a stored webhook - status, outcome and error become the replay's
+ * @param {number} id - Event id
+ * @param {Object} replay - { status, outcome, error, requestedBy }
+ * @returns {Promise<void>}
+ */
+async function recordWebhookReplay(id, { status, outcome = null, error = null, requestedBy }) {
+  const db = await getDb();
+  await db.run(
+    `UPDATE idenfy_webhook_events
+     SET status = ?, outcome = ?, error = ?, processed_at = CURRENT_TIMESTAMP,
+         replay_count = replay_count + 1, last_replayed_at = CURRENT_TIMESTAMP, last_replayed_by = ?
+     WHERE id = ?`,
+    [checkStatus(status), outcome ? JSON.stringify(outcome) : null, error, requestedBy || null, id]
+  );
+}
+
+/**
+ * List the stored webhooks for a scan, newest first
+ * @param {string} scanRef - Idenfy scan reference
+ * @param {Object} options - { includeBody }
+ * @returns {Promise<Array>} - [{ id, scanRef, clientId, receivedAt, status, outcome, error, processedAt, replayCount, lastReplayedAt, lastReplayedBy, body? }]
+ */
+async function findWebhookEvents(scanRef, { includeBody = false } = {}) {
+  const db = await getDb();
+  const rows = await db.query(
+    'SELECT * FROM idenfy_webhook_events WHERE scan_ref = ? ORDER BY id DESC',
+    [scanRef]
+  );
+
+  return rows.map(row => toWebhookEvent(row, includeBody));
+}
+
+// INTERNAL: Unknown statuses are a programming error - don't store them silently
+function checkStatus(status) {
+  if (!WEBHOOK_STATUSES.includes(status)) {
+    throw new Error(`Unknown webhook status: ${status}`);
+  }
+  return status;
+}
+
+// INTERNAL: Row → API shape (outcome is JSON text in SQLite, already parsed by MySQL)
+function toWebhookEvent(row, includeBody) {
+  const event = {
+    id: row.id,
+    scanRef: row.scan_ref,
+    clientId: row.client_id,
+    receivedAt: row.received_at,
+    status: row.status,
+    outcome: typeof row.outcome === 'string' ? JSON.parse(row.outcome) : row.outcome,
+    error: row.error,
+    processedAt: row.processed_at,
+    replayCount: Number(row.replay_count || 0),
+    lastReplayedAt: row.last_replayed_at,
+    lastReplayedBy: row.last_replayed_by
+  };
+
+  if (includeBody) event.body = row.body;
+  return event;
+}
+
+module.exports = {
+  WEBHOOK_STATUSES,
+  isWebhookStoreAvailable,
+  recordWebhookEvent,
+  finishWebhookEvent,
+  recordWebhookReplay,
+  findWebhookEvents
+};
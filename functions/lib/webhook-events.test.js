@@ -0,0 +1,119 @@
+/** @jest-environment node */
+// File: functions/lib/webhook-events.test.js
+
+const {
+  isWebhookStoreAvailable,
+  recordWebhookEvent,
+  finishWebhookEvent,
+  recordWebhookReplay,
+  findWebhookEvents
+} = require('./webhook-events');
+
+let scanCount = 0;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+// Each test works on its own scan - the in-memory database lasts for the whole file
+function nextScan() {
+  scanCount += 1;
+  return `scan-${scanCount}`;
+}
+
+function storeWebhook(scanRef, payload = { final: true, status: { overall: 'APPROVED' } }) {
+  return recordWebhookEvent({
+    body: JSON.stringify({ scanRef, ...payload }),
+    scanRef,
+    clientId: 'ooosh_11001_jane_smith_at_example_dot_com_1',
+    email: 'jane.smith@example.com'
+  });
+}
+
+describe('without a database', () => {
+  test('nothing is stored and replay is unavailable', async () => {
+    expect(isWebhookStoreAvailable()).toBe(false);
+    expect(await storeWebhook(nextScan())).toBeNull();
+  });
+});
+
+describe('with a database', () => {
+  beforeAll(() => {
+    process.env.DATABASE_URL = 'sqlite::memory:';
+  });
+
+  afterAll(() => {
+    delete process.env.DATABASE_URL;
+  });
+
+  test('the body is kept exactly as it arrived', async () => {
+    const scanRef = nextScan();
+    const body = `{"scanRef":"${scanRef}",  "final":true}`;
+
+    const id = await recordWebhookEvent({ body, scanRef, clientId: 'ooosh_11001_x', email: 'jane.smith@example.com' });
+    const [stored] = await findWebhookEvents(scanRef, { includeBody: true });
+
+    expect(stored).toMatchObject({ id, scanRef, clientId: 'ooosh_11001_x', status: 'received', replayCount: 0, body });
+  });
+
+  test('the body is only listed when asked for', async () => {
+    const scanRef = nextScan();
+    await storeWebhook(scanRef);
+
+    expect((await findWebhookEvents(scanRef))[0].body).toBeUndefined();
+  });
+
+  test('the outcome of processing is recorded on the event', async () => {
+    const scanRef = nextScan();
+    const id = await storeWebhook(scanRef);
+
+    await finishWebhookEvent(id, { status: 'failed', outcome: { stage: 'documents' }, error: 'Monday.com unavailable' });
+
+    expect((await findWebhookEvents(scanRef))[0]).toMatchObject({
+      status: 'failed',
+      outcome: { stage: 'documents' },
+      error: 'Monday.com unavailable',
+      processedAt: expect.anything()
+    });
+  });
+
+  test('an unknown status is not stored', async () => {
+    const scanRef = nextScan();
+    const id = await storeWebhook(scanRef);
+
+    await finishWebhookEvent(id, { status: 'done' });
+
+    expect((await findWebhookEvents(scanRef))[0].status).toBe('received');
+    expect(console.error).toHaveBeenCalledWith(`❌ Could not record outcome for webhook event ${id}:`, 'Unknown webhook status: done');
+  });
+
+  test('a replay replaces the outcome and is counted', async () => {
+    const scanRef = nextScan();
+    const id = await storeWebhook(scanRef);
+    await finishWebhookEvent(id, { status: 'failed', error: 'Monday.com unavailable' });
+
+    await recordWebhookReplay(id, { status: 'processed', outcome: { success: true }, requestedBy: 'office@example.com' });
+    await recordWebhookReplay(id, { status: 'processed', outcome: { success: true }, requestedBy: 'manager@example.com' });
+
+    expect((await findWebhookEvents(scanRef))[0]).toMatchObject({
+      status: 'processed',
+      outcome: { success: true },
+      error: null,
+      replayCount: 2,
+      lastReplayedBy: 'manager@example.com'
+    });
+  });
+
+  test('events for a scan are listed newest first', async () => {
+    const scanRef = nextScan();
+    const first = await storeWebhook(scanRef, { final: false });
+    const second = await storeWebhook(scanRef);
+
+    expect((await findWebhookEvents(scanRef)).map(event => event.id)).toEqual([second, first]);
+  });
+});
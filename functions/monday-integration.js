@@ -4,19 +4,112 @@
 // 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
 const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
 
+// Shared Monday.com client (MONDAY_API_URL can point at the local stand-in)
+const {
+  callMondayAPI,
+  postMondayFile,
+  getItemsPage,
+  escapeJson,
+  isMondayLimitError
+} = require('./lib/monday-api');
+
+// Column mapping for every board (see lib/monday-columns.js)
+const {
+  BOARD_A,
+  BOARD_B,
+  getColumnId,
+  getFileColumnId,
+  formatColumnValues,
+  getWrittenFields,
+  parseColumnValues,
+  checkAllBoardSchemas
+} = require('./lib/monday-columns');
+
+// Field-level audit trail for every Board A write
+const { recordChanges } = require('./lib/audit-log');
+
+// Status columns derived from the stored dates (shared with the daily refresh)
+const {
+  FLAGGED_STATUSES,
+  calculateStatusFields,
+  calculateUpdateStatuses,
+  calculateBoardBStatus,
+  getChangedStatuses
+} = require('./lib/status-fields');
+
+// Who may call each action (see ACTION_ACCESS)
+const { requireStaff, requireInternal, isInternalRequest } = require('./lib/auth');
+const { requireDriverSession } = require('./lib/session');
+
+// Hire dates from the Q&H board
+const { getJobEndDates, isJobOpen } = require('./lib/job-dates');
+
+// Signed OCR outcomes from document-processor
+const { POA_DOCUMENT_TYPES, verifyDocumentResult } = require('./lib/document-results');
+
+// With DRIVER_STORE=sql the drivers table is the source of truth (see lib/driver-repository.js)
+const { getDriverRepository } = require('./lib/driver-repository');
+
 // Board IDs
-const BOARD_A_ID = '9798399405'; // Driver Database
-const BOARD_B_ID = '841453886';  // Driver Assignments
+const BOARD_A_ID = BOARD_A.id; // Driver Database
+const BOARD_B_ID = BOARD_B.id; // Driver Assignments
+
+// Board schema is checked once per cold start (set MONDAY_SCHEMA_CHECK=false to skip)
+let schemaCheckPromise = null;
+
+// Who may call each action:
+//   driver   - the driver the request names (session token), staff or our own functions
+//   internal - our own functions only (X-Internal-Secret: <INTERNAL_API_SECRET>)
+//   staff    - OOOSH staff only (Authorization: Bearer <STAFF_API_KEY>)
+const ACTION_ACCESS = {
+  'create-driver-board-a': 'driver',
+  'update-driver-board-a': 'driver',
+  'find-driver-board-a': 'driver',
+  'upload-file-board-a': 'driver',
+  'find-driver-board-b': 'driver',
+  'copy-a-to-b': 'driver',
+  'record-document-results': 'driver',
+  'save-idenfy-documents': 'internal',
+  'record-job-ineligibility': 'internal',
+  'test-connection': 'staff',
+  'test-two-board-system': 'staff',
+  'check-board-schema': 'staff',
+  'refresh-all-statuses': 'staff'
+};
 
-// Monday.com API endpoint
-const MONDAY_API_URL = 'https://api.monday.com/v2';
+// Board A fields a driver may write about themselves - contact details and insurance answers.
+// Identity and licence columns come from Idenfy, DVLA / POA results from document-processor's
+// signed results (record-document-results) and statuses from the status calculations.
+const DRIVER_WRITABLE_FIELDS = [
+  'phoneCountry',
+  'phoneNumber',
+  'datePassedTest',
+  'hasDisability',
+  'hasConvictions',
+  'hasProsecution',
+  'hasAccidents',
+  'hasInsuranceIssues',
+  'hasDrivingBan',
+  'additionalDetails',
+  'signatureDate'
+];
+
+// Files a driver uploads themselves (licence and passport images come from Idenfy)
+const DRIVER_FILE_TYPES = ['dvla', 'signature'];
+
+// Actions that write the driver record - saved in the SQL store first when DRIVER_STORE=sql
+const DRIVER_WRITE_ACTIONS = ['create-driver-board-a', 'update-driver-board-a', 'record-document-results'];
+
+// Status refresh: Board A page size, and how long one call may run before handing back a cursor
+const STATUS_REFRESH_PAGE_SIZE = 100;
+const STATUS_REFRESH_TIME_BUDGET_MS = parseInt(process.env.STATUS_REFRESH_TIME_BUDGET_MS) || 8000;
 
 exports.handler = async (event, context) => {
   console.log('Monday.com integration called with method:', event.httpMethod);
   
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Session-Token',
     'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
     'Content-Type': 'application/json'
   };
@@ -43,16 +136,36 @@ exports.handler = async (event, context) => {
 
     const { action } = requestData;
 
+    // 🔒 SECURITY: Every action needs the right credential, and drivers only touch their own records
+    const auth = authorizeAction(event, action, requestData);
+    if (!auth.ok) {
+      return {
+        statusCode: auth.statusCode,
+        headers,
+        body: JSON.stringify({ success: false, error: auth.error })
+      };
+    }
+
+    if (action !== 'check-board-schema') {
+      await ensureBoardSchemaChecked();
+    }
+
+    // DRIVER_STORE=sql: driver and staff writes are saved in the SQL store, which mirrors them
+    // back here as internal calls - only those go straight to Board A
+    const sqlStore = DRIVER_WRITE_ACTIONS.includes(action) ? getSqlStore(event) : null;
+
     switch (action) {
       // Board A (Driver Database) Functions
       case 'create-driver-board-a':
-        return await createDriverBoardA(requestData);
+        return sqlStore ? await saveDriverInSqlStore(sqlStore, requestData) : await createDriverBoardA(requestData);
       case 'update-driver-board-a':
-        return await updateDriverBoardA(requestData);
+        return sqlStore ? await saveDriverInSqlStore(sqlStore, requestData) : await updateDriverBoardA(requestData);
       case 'find-driver-board-a':
         return await findDriverBoardA(requestData);
       case 'upload-file-board-a':
         return await uploadFileBoardA(requestData);
+      case 'record-document-results':
+        return await recordDocumentResults(requestData, sqlStore);
       case 'save-idenfy-documents':
         return await saveIdenfyDocuments(requestData);
       
@@ -61,12 +174,20 @@ exports.handler = async (event, context) => {
         return await findDriverBoardB(requestData);
       case 'copy-a-to-b':
         return await copyAToB(requestData);
+      case 'record-job-ineligibility':
+        return await recordJobIneligibility(requestData);
       
       // Utility Functions
       case 'test-connection':
         return await testConnection();
       case 'test-two-board-system':
         return await testTwoBoardSystem(requestData);
+      case 'check-board-schema':
+        return await checkBoardSchemaAction();
+
+      // Staff Functions
+      case 'refresh-all-statuses':
+        return await refreshAllStatuses(requestData);
       
       default:
         throw new Error(`Unknown action: ${action}`);
@@ -86,144 +207,61 @@ exports.handler = async (event, context) => {
 };
 
 // ========================================
-// CORE API HELPER FUNCTIONS
+// ACCESS CONTROL
 // ========================================
 
-// Call Monday.com API with authentication
-async function callMondayAPI(query) {
-  const token = process.env.MONDAY_API_TOKEN;
-  
-  if (!token) {
-    throw new Error('MONDAY_API_TOKEN environment variable not set');
-  }
-
-  if (DEBUG_MODE) console.log('🔄 Calling Monday.com API...');
-  
-  const response = await fetch(MONDAY_API_URL, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${token}`
-    },
-    body: JSON.stringify({ query })
-  });
+// INTERNAL: Check the caller may run this action (see ACTION_ACCESS)
+// Driver callers also have their writes checked and their audit entry set here, not by the browser
+function authorizeAction(event, action, requestData) {
+  const access = ACTION_ACCESS[action];
 
-  const result = await response.json();
-  
-  if (!response.ok) {
-    console.error('❌ Monday.com API error:', response.status, result);
-    throw new Error(`Monday.com API error: ${response.status}`);
+  if (!access) {
+    return { ok: false, statusCode: 400, error: `Unknown action: ${action}` };
   }
 
-  if (result.errors) {
-    console.error('❌ Monday.com GraphQL errors:', result.errors);
-    throw new Error(`GraphQL errors: ${JSON.stringify(result.errors)}`);
+  // Only our own functions may mark a write as mirrored from the SQL store (not audited here)
+  const auditSource = requestData.audit?.source;
+  if (typeof auditSource === 'string' && auditSource.startsWith('mirror:') && !isInternalRequest(event)) {
+    requestData.audit = { ...requestData.audit, source: undefined };
   }
 
-  return result;
-}
-
-// Escape JSON for GraphQL mutations
-function escapeJson(str) {
-  return str.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
-}
-
-// ========================================
-// STATUS CALCULATION HELPER
-// ========================================
+  if (access === 'staff') return requireStaff(event);
+  if (access === 'internal') return requireInternal(event);
 
-// Calculate all 5 status fields based on driver data
-function calculateStatusFields(driverData) {
-  const today = new Date();
-  const statuses = {};
+  const auth = requireDriverSession(event, { email: requestData.email, jobId: requestData.jobId });
+  if (!auth.ok || !auth.session) return auth;
 
-  // LICENSE STATUS
-  const licenseExpiry = driverData.licenseValidTo ? new Date(driverData.licenseValidTo) : null;
-  const licenseCheckDue = driverData.licenseNextCheckDue ? new Date(driverData.licenseNextCheckDue) : null;
-  
-  if (licenseExpiry && licenseExpiry <= today) {
-    statuses.licenseStatus = 'Expired';
-  } else if (licenseCheckDue && licenseCheckDue <= today) {
-    statuses.licenseStatus = 'Check Due';
-  } else if (licenseExpiry && licenseExpiry > today) {
-    statuses.licenseStatus = 'Valid';
-  } else {
-    statuses.licenseStatus = 'Missing';
-  }
+  const fields = action === 'create-driver-board-a' ? requestData.driverData
+    : action === 'update-driver-board-a' ? requestData.updates
+    : null;
 
-  // POA STATUS
-  const poa1Valid = driverData.poa1ValidUntil ? new Date(driverData.poa1ValidUntil) > today : false;
-  const poa2Valid = driverData.poa2ValidUntil ? new Date(driverData.poa2ValidUntil) > today : false;
-  const poa1Exists = !!driverData.poa1ValidUntil;
-  const poa2Exists = !!driverData.poa2ValidUntil;
-
-  if (poa1Valid && poa2Valid) {
-    statuses.poaStatus = 'Valid';
-  } else if (!poa1Exists || !poa2Exists) {
-    statuses.poaStatus = 'Missing';
-  } else {
-    statuses.poaStatus = 'Expired';
-  }
-
-  // DVLA STATUS (UK drivers only)
-  const isUkDriver = driverData.licenseIssuedBy === 'DVLA';
-  if (isUkDriver) {
-    const dvlaValid = driverData.dvlaValidUntil ? new Date(driverData.dvlaValidUntil) > today : false;
-    statuses.dvlaStatus = dvlaValid ? 'Valid' : 'Expired';
-  } else {
-    statuses.dvlaStatus = 'Not Required';
-  }
-
-  // PASSPORT STATUS (Non-UK drivers only)
-  if (!isUkDriver) {
-    const passportValid = driverData.passportValidUntil ? new Date(driverData.passportValidUntil) > today : false;
-    statuses.passportStatus = passportValid ? 'Valid' : 'Expired';
-  } else {
-    statuses.passportStatus = 'Not Required';
+  if (fields) {
+    const refused = Object.keys(fields).filter(field =>
+      BOARD_A.columns.some(column => column.field === field) && !DRIVER_WRITABLE_FIELDS.includes(field)
+    );
+    if (refused.length > 0) {
+      console.log(`🔒 Driver write refused: ${refused.join(', ')}`);
+      return { ok: false, statusCode: 403, error: `Drivers cannot change: ${refused.join(', ')}` };
+    }
   }
 
-  // INSURANCE STATUS
-  const points = driverData.dvlaPoints || 0;
-  const overallStatus = driverData.overallStatus || '';
-  
-  if (points >= 10) {
-    statuses.insuranceStatus = 'Failed';
-  } else if (points >= 7 || overallStatus === 'Insurance Review' || overallStatus === 'Manual Review Required') {
-    statuses.insuranceStatus = 'Referral';
-  } else {
-    statuses.insuranceStatus = 'Approved';
+  if (action === 'upload-file-board-a' && !DRIVER_FILE_TYPES.includes(requestData.fileType)) {
+    return { ok: false, statusCode: 403, error: `Drivers cannot upload ${requestData.fileType} files` };
   }
 
-  if (DEBUG_MODE) {
-    console.log('📊 Calculated statuses:', statuses);
-  }
+  requestData.audit = { source: `monday-integration.${action}`, actor: 'driver', jobId: auth.session.jobId };
+  // Only a check the server has seen pass may release a review status
+  delete requestData.clearReview;
 
-  return statuses;
+  return auth;
 }
 
-// Calculate Board B overall status from Board A data
-function calculateBoardBStatus(driverData) {
-  const statuses = calculateStatusFields(driverData);
-  
-  // Check for hard fails
-  if (statuses.insuranceStatus === 'Failed' || 
-      statuses.poaStatus === 'Missing' ||
-      driverData.overallStatus === 'Stuck') {
-    return 'Not Approved';
-  }
-  
-  // Check for any yellow flags
-  if (statuses.licenseStatus === 'Expired' ||
-      statuses.licenseStatus === 'Check Due' ||
-      statuses.poaStatus === 'Expired' ||
-      statuses.dvlaStatus === 'Expired' ||
-      statuses.passportStatus === 'Expired' ||
-      statuses.insuranceStatus === 'Referral') {
-    return 'Action Required';
-  }
-  
-  // All green
-  return 'Approved';
+// INTERNAL: The SQL driver repository when it is the store and the caller isn't our own mirror
+function getSqlStore(event) {
+  if (isInternalRequest(event)) return null;
+
+  const repository = getDriverRepository();
+  return repository.store === 'sql' ? repository : null;
 }
 
 // ========================================
@@ -245,7 +283,7 @@ async function findDriverInternal(email) {
           board_id: ${BOARD_A_ID},
           columns: [
             {
-              column_id: "email_mktrgzj",
+              column_id: "${getColumnId(BOARD_A, 'email')}",
               column_values: ["${email}"]
             }
           ],
@@ -277,6 +315,8 @@ async function findDriverInternal(email) {
     }
 
   } catch (error) {
+    // Over the limits is not "not found" - callers would create a duplicate driver
+    if (isMondayLimitError(error)) throw error;
     console.error('❌ Internal find driver error:', error);
     return null;
   }
@@ -302,7 +342,7 @@ async function createDriverBoardA(data) {
     
     if (existingDriver) {
       console.log('✅ Driver exists, updating record');
-      return await updateDriverBoardA({ email, updates: driverData });
+      return await updateDriverBoardA({ email, updates: driverData, audit: data.audit, clearReview: data.clearReview });
     }
 
     console.log('👤 Creating new driver in Board A');
@@ -313,8 +353,8 @@ async function createDriverBoardA(data) {
       email: email  // Ensure email is always included
     };
 
-    // Calculate status fields before saving
-    const statusFields = calculateStatusFields(completeDriverData);
+    // Calculate status fields (and the overall status, if already complete) before saving
+    const statusFields = calculateUpdateStatuses({}, completeDriverData, { clearReview: data.clearReview === true });
     const driverDataWithStatuses = { ...completeDriverData, ...statusFields };
 
     // Prepare column values for Board A
@@ -341,6 +381,9 @@ async function createDriverBoardA(data) {
     
     if (response.data?.create_item?.id) {
       console.log('✅ Driver created in Board A:', response.data.create_item.id);
+
+      await auditBoardAWrite(email, {}, driverDataWithStatuses, data.audit);
+
       return {
         statusCode: 200,
         headers: { 'Content-Type': 'application/json' },
@@ -357,14 +400,10 @@ async function createDriverBoardA(data) {
 
   } catch (error) {
     console.error('❌ Create driver Board A error:', error);
-    return {
-      statusCode: 500,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        success: false, 
-        error: error.message 
-      })
-    };
+    return errorResponse(error, {
+      success: false,
+      error: error.message
+    });
   }
 }
 
@@ -395,9 +434,9 @@ async function updateDriverBoardA(data) {
       email: email
     };
 
-    // Calculate status fields based on updated data
+    // Calculate status fields based on updated data - and complete (or release) the driver
     const mergedData = { ...existingDriver, ...completeUpdates };
-    const statusFields = calculateStatusFields(mergedData);
+    const statusFields = calculateUpdateStatuses(existingDriver, completeUpdates, { clearReview: data.clearReview === true });
     const updatesWithStatuses = { ...completeUpdates, ...statusFields };
 
     // Format updates for Board A columns
@@ -424,6 +463,8 @@ async function updateDriverBoardA(data) {
     
     if (response.data?.change_multiple_column_values?.id) {
       console.log('✅ Driver updated in Board A');
+
+      await auditBoardAWrite(email, existingDriver, updatesWithStatuses, data.audit);
       
       // Update item name if driver name is provided
       if (completeUpdates.driverName) {
@@ -446,6 +487,12 @@ async function updateDriverBoardA(data) {
           console.error('⚠️ Failed to update item name:', nameError.message);
         }
       }
+
+      // Keep the driver's open Board B assignments in step with Board A
+      let boardBRefresh = { refreshed: 0 };
+      if (Object.keys(updates).some(field => BOARD_B_SOURCE_FIELDS.includes(field))) {
+        boardBRefresh = await refreshOpenAssignments(email, { ...mergedData, ...statusFields });
+      }
       
       return {
         statusCode: 200,
@@ -453,6 +500,7 @@ async function updateDriverBoardA(data) {
         body: JSON.stringify({
           success: true,
           boardAId: driverId,
+          boardBRowsRefreshed: boardBRefresh.refreshed,
           message: 'Driver updated in Board A'
         })
       };
@@ -462,14 +510,126 @@ async function updateDriverBoardA(data) {
 
   } catch (error) {
     console.error('❌ Update driver Board A error:', error);
+    return errorResponse(error, {
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Write what document-processor read from the driver's documents (signed result tokens)
+// A passing check can release a review status; two POAs from one provider hold the driver for
+// staff instead - disputeDuplicate records that the driver says they are different documents.
+async function recordDocumentResults(data, sqlStore = null) {
+  if (DEBUG_MODE) console.log('📑 Recording document results in Board A');
+
+  try {
+    const { email, results, disputeDuplicate } = data;
+
+    if (!email || !Array.isArray(results) || results.length === 0) {
+      return {
+        statusCode: 400,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ success: false, error: 'Email and results are required' })
+      };
+    }
+
+    const documents = {};
+    for (const token of results) {
+      const check = verifyDocumentResult(token, email);
+      if (!check.valid) {
+        console.log(`🔒 Document result refused: ${check.error}`);
+        return {
+          statusCode: 403,
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ success: false, error: check.error })
+        };
+      }
+      documents[check.result.documentType] = check.result;
+    }
+
+    const duplicatePoa = !!documents.poa1?.providerName &&
+      documents.poa1.providerName === documents.poa2?.providerName;
+
+    const updates = {};
+    let passed = false;
+    for (const [documentType, result] of Object.entries(documents)) {
+      if (duplicatePoa && POA_DOCUMENT_TYPES.includes(documentType)) continue;
+
+      Object.assign(updates, result.fields);
+      if (result.outcome === 'review') updates.overallStatus = 'Insurance Review';
+      if (result.outcome === 'passed') passed = true;
+    }
+
+    if (duplicatePoa) {
+      console.log('⚠️ Duplicate POA documents - holding for manual review');
+      updates.overallStatus = 'Stuck';
+      updates.additionalDetails = disputeDuplicate
+        ? 'Driver claims POA documents are NOT duplicates despite system detection. Manual review required.'
+        : 'Duplicate POA documents detected - same source uploaded twice. Requires manual review or re-upload.';
+    }
+
+    const write = {
+      email,
+      updates,
+      audit: data.audit,
+      clearReview: passed && updates.overallStatus === undefined
+    };
+    return sqlStore ? await saveDriverInSqlStore(sqlStore, write) : await updateDriverBoardA(write);
+
+  } catch (error) {
+    console.error('❌ Record document results error:', error);
+    return errorResponse(error, {
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Create or update a driver in the SQL store (DRIVER_STORE=sql)
+// The repository works out the status columns and the completion step as they are for Board A,
+// audits the change and mirrors it to Board A.
+async function saveDriverInSqlStore(repository, data) {
+  if (DEBUG_MODE) console.log('🗄️ Saving driver in SQL store');
+
+  try {
+    const { email } = data;
+    const fields = data.driverData || data.updates;
+
+    if (!email || !fields) {
+      throw new Error('Email and driver data are required');
+    }
+
+    const existingDriver = await repository.findByEmail(email);
+    if (!existingDriver && data.updates) {
+      throw new Error('Driver not found in SQL store');
+    }
+
+    const options = { clearReview: data.clearReview === true };
+    const result = existingDriver
+      ? await repository.update(email, fields, data.audit, options)
+      : await repository.create(email, fields, data.audit, options);
+
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to save driver in SQL store');
+    }
+
     return {
-      statusCode: 500,
+      statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        success: false, 
-        error: error.message 
+      body: JSON.stringify({
+        success: true,
+        driverId: result.driverId,
+        message: existingDriver ? 'Driver updated' : 'Driver created'
       })
     };
+
+  } catch (error) {
+    console.error('❌ Save driver in SQL store error:', error);
+    return errorResponse(error, {
+      success: false,
+      error: error.message
+    });
   }
 }
 
@@ -506,14 +666,10 @@ async function findDriverBoardA(data) {
 
   } catch (error) {
     console.error('❌ Find driver Board A error:', error);
-    return {
-      statusCode: 500,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        success: false, 
-        error: error.message 
-      })
-    };
+    return errorResponse(error, {
+      success: false,
+      error: error.message
+    });
   }
 }
 
@@ -539,17 +695,7 @@ async function uploadFileBoardA(data) {
     console.log(`📝 Uploading ${fileType} for driver ID: ${driverId}`);
 
     // Map file types to Board A column IDs
-    const fileColumnMap = {
-      'license_front': 'file_mktrypb7',
-      'license_back': 'file_mktr76g6',
-      'passport': 'file_mktr56t0',
-      'poa1': 'file_mktrf9jv',
-      'poa2': 'file_mktr3fdw',
-      'dvla': 'file_mktrwhn8',
-      'signature': 'file_mktrfanc'
-    };
-
-    const columnId = fileColumnMap[fileType];
+    const columnId = getFileColumnId(fileType);
     if (!columnId) {
       throw new Error(`Unknown file type: ${fileType}`);
     }
@@ -639,23 +785,7 @@ async function uploadFileBoardA(data) {
     formData.append('0', fileBlob);
 
     // Send to Monday.com file upload endpoint
-    const response = await fetch('https://api.monday.com/v2/file', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${process.env.MONDAY_API_TOKEN}`,
-      },
-      body: formData
-    });
-
-    const responseText = await response.text();
-
-    let result;
-    try {
-      result = JSON.parse(responseText);
-    } catch (e) {
-      console.error('❌ Failed to parse response:', responseText.substring(0, 200));
-      throw new Error('Invalid response from Monday.com');
-    }
+    const result = await postMondayFile(formData);
 
     // Check for GraphQL errors
     if (result.errors && result.errors.length > 0) {
@@ -686,15 +816,11 @@ async function uploadFileBoardA(data) {
 
   } catch (error) {
     console.error('❌ Upload file error:', error.message);
-    return {
-      statusCode: 500,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        success: false,
-        error: error.message,
-        details: 'File upload to Board A failed'
-      })
-    };
+    return errorResponse(error, {
+      success: false,
+      error: error.message,
+      details: 'File upload to Board A failed'
+    });
   }
 }
 
@@ -719,7 +845,7 @@ async function findDriverBoardB(data) {
           board_id: ${BOARD_B_ID},
           columns: [
             {
-              column_id: "email",
+              column_id: "${getColumnId(BOARD_B, 'email')}",
               column_values: ["${email}"]
             }
           ],
@@ -765,18 +891,15 @@ async function findDriverBoardB(data) {
 
   } catch (error) {
     console.error('❌ Find driver Board B error:', error);
-    return {
-      statusCode: 500,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        success: false, 
-        error: error.message 
-      })
-    };
+    return errorResponse(error, {
+      success: false,
+      error: error.message
+    });
   }
 }
 
 // Copy driver from Board A to Board B
+// One row per (email, job number): signing again updates the existing row in place
 async function copyAToB(data) {
   console.log('🔄 Copying driver from Board A to Board B');
   
@@ -796,33 +919,61 @@ async function copyAToB(data) {
 
     console.log('📋 Found driver in Board A, preparing Board B data');
 
-    // Calculate Board B status from Board A data
-    const boardBStatus = calculateBoardBStatus(driverA);
-    console.log(`✅ Board B status calculated: ${boardBStatus}`);
-
     // Map Board A data to Board B columns (15 fields + overall status)
+    const signatureDate = new Date().toISOString().split('T')[0];
     const boardBData = {
-      driverName: driverA.driverName,
-      email: driverA.email,
-      phoneNumber: driverA.phoneNumber,
-      phoneCountry: driverA.phoneCountry, 
-      dateOfBirth: driverA.dateOfBirth,
-      nationality: driverA.nationality,
-      licenseNumber: driverA.licenseNumber,
-      licenseIssuedBy: driverA.licenseIssuedBy,
-      licenseValidFrom: driverA.licenseValidFrom,
-      licenseValidTo: driverA.licenseValidTo,
-      datePassedTest: driverA.datePassedTest,
-      homeAddress: driverA.homeAddress,
-      licenseAddress: driverA.licenseAddress,
+      ...buildBoardBData(driverA),
       jobNumber: jobId || '',
-      signatureDate: new Date().toISOString().split('T')[0],
-      overallStatus: boardBStatus  // NEW: Overall status for Board B
+      signatureDate: signatureDate
     };
+    console.log(`✅ Board B status calculated: ${boardBData.overallStatus}`);
 
     // Format for Board B columns
     const columnValues = formatBoardBColumnValues(boardBData);
 
+    // Re-sign: the driver already has a row for this job
+    const existingAssignment = jobId ? await findBoardBAssignment(email, jobId) : null;
+
+    if (existingAssignment) {
+      console.log('🔁 Driver already assigned to job - updating Board B row:', existingAssignment.id);
+
+      const mutation = `
+        mutation {
+          change_multiple_column_values (
+            item_id: ${existingAssignment.id},
+            board_id: ${BOARD_B_ID},
+            column_values: "${escapeJson(JSON.stringify(columnValues))}"
+          ) {
+            id
+          }
+        }
+      `;
+
+      const response = await callMondayAPI(mutation);
+
+      if (!response.data?.change_multiple_column_values?.id) {
+        throw new Error('Failed to update Board B assignment');
+      }
+
+      await addBoardBHistory(
+        existingAssignment.id,
+        `Re-signed on ${signatureDate} (previous signature: ${existingAssignment.signatureDate || 'unknown'}). Overall status: ${boardBData.overallStatus}.`
+      );
+
+      return {
+        statusCode: 200,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          success: true,
+          boardBId: existingAssignment.id,
+          overallStatus: boardBData.overallStatus,
+          resigned: true,
+          previousSignatureDate: existingAssignment.signatureDate || null,
+          message: 'Existing Board B assignment updated (re-signed)'
+        })
+      };
+    }
+
     const mutation = `
       mutation {
         create_item (
@@ -845,7 +996,8 @@ async function copyAToB(data) {
         body: JSON.stringify({
           success: true,
           boardBId: response.data.create_item.id,
-          overallStatus: boardBStatus,
+          overallStatus: boardBData.overallStatus,
+          resigned: false,
           message: 'Driver copied from Board A to Board B'
         })
       };
@@ -855,14 +1007,405 @@ async function copyAToB(data) {
 
   } catch (error) {
     console.error('❌ Copy A to B error:', error);
+    return errorResponse(error, {
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Mark a driver as not eligible for one job's vehicle (document-processor vehicle rules)
+// Only the job's Board B row says Not Approved - Board A is untouched, so the driver can still
+// drive on other hires. A later signature for the job recalculates the row as usual.
+async function recordJobIneligibility(data) {
+  console.log('🚫 Recording vehicle ineligibility in Board B');
+
+  try {
+    const { email, jobId, reasons = [] } = data;
+
+    if (!email || !jobId) {
+      throw new Error('Email and jobId are required');
+    }
+
+    const driverA = await findDriverInternal(email);
+    const boardBData = {
+      ...(driverA ? buildBoardBData(driverA) : { email }),
+      jobNumber: String(jobId),
+      overallStatus: 'Not Approved'
+    };
+    const columnValues = formatBoardBColumnValues(boardBData);
+    const note = `Not eligible for this hire's vehicle: ${reasons.join('; ') || 'see DVLA check'}`;
+
+    const existingAssignment = await findBoardBAssignment(email, jobId);
+    let boardBId;
+
+    if (existingAssignment) {
+      const response = await callMondayAPI(`
+        mutation {
+          change_multiple_column_values (
+            item_id: ${existingAssignment.id},
+            board_id: ${BOARD_B_ID},
+            column_values: "${escapeJson(JSON.stringify(columnValues))}"
+          ) {
+            id
+          }
+        }
+      `);
+      boardBId = response.data?.change_multiple_column_values?.id;
+    } else {
+      const response = await callMondayAPI(`
+        mutation {
+          create_item (
+            board_id: ${BOARD_B_ID},
+            item_name: "${escapeJson(driverA?.driverName || `Driver Assignment - ${email}`)}",
+            column_values: "${escapeJson(JSON.stringify(columnValues))}"
+          ) {
+            id
+          }
+        }
+      `);
+      boardBId = response.data?.create_item?.id;
+    }
+
+    if (!boardBId) {
+      throw new Error('Failed to record ineligibility in Board B');
+    }
+
+    await addBoardBHistory(boardBId, note);
+    console.log(`✅ Board B row ${boardBId} (job ${jobId}) marked Not Approved`);
+
     return {
-      statusCode: 500,
+      statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        success: false, 
-        error: error.message 
+      body: JSON.stringify({
+        success: true,
+        boardBId,
+        overallStatus: 'Not Approved',
+        message: 'Vehicle ineligibility recorded in Board B'
+      })
+    };
+
+  } catch (error) {
+    console.error('❌ Record job ineligibility error:', error);
+    return errorResponse(error, {
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// INTERNAL: Record which Board A fields changed and who changed them
+// Writes mirrored from the SQL store are audited there, so they are skipped here
+async function auditBoardAWrite(email, before, written, audit = {}) {
+  if (audit.source && audit.source.startsWith('mirror:')) return;
+
+  await recordChanges({
+    email,
+    before,
+    after: getWrittenFields(BOARD_A, written),
+    source: audit.source || 'monday-integration',
+    actor: audit.actor,
+    scanRef: audit.scanRef,
+    jobId: audit.jobId
+  });
+}
+
+// Board B fields copied from Board A (everything except job number and signature date)
+function buildBoardBData(driverA) {
+  return {
+    driverName: driverA.driverName,
+    email: driverA.email,
+    phoneNumber: driverA.phoneNumber,
+    phoneCountry: driverA.phoneCountry, 
+    dateOfBirth: driverA.dateOfBirth,
+    nationality: driverA.nationality,
+    licenseNumber: driverA.licenseNumber,
+    licenseIssuedBy: driverA.licenseIssuedBy,
+    licenseValidFrom: driverA.licenseValidFrom,
+    licenseValidTo: driverA.licenseValidTo,
+    datePassedTest: driverA.datePassedTest,
+    homeAddress: driverA.homeAddress,
+    licenseAddress: driverA.licenseAddress,
+    overallStatus: calculateBoardBStatus(driverA)
+  };
+}
+
+// INTERNAL: Find the Board B row for one driver on one job (returns assignment or null)
+async function findBoardBAssignment(email, jobNumber) {
+  const query = `
+    query {
+      items_page_by_column_values (
+        board_id: ${BOARD_B_ID},
+        columns: [
+          {
+            column_id: "${getColumnId(BOARD_B, 'email')}",
+            column_values: ${JSON.stringify([String(email)])}
+          },
+          {
+            column_id: "${getColumnId(BOARD_B, 'jobNumber')}",
+            column_values: ${JSON.stringify([String(jobNumber)])}
+          }
+        ],
+        limit: 10
+      ) {
+        items {
+          id
+          name
+          column_values {
+            id
+            text
+            value
+          }
+        }
+      }
+    }
+  `;
+
+  const response = await callMondayAPI(query);
+  const items = response.data?.items_page_by_column_values?.items || [];
+
+  if (items.length > 1) {
+    console.warn(`⚠️ ${items.length} Board B rows for ${email} on job ${jobNumber} - updating the first`);
+  }
+
+  return items.length > 0 ? parseBoardBData(items[0]) : null;
+}
+
+// INTERNAL: Post a note to a Board B item's update feed - history is best-effort
+async function addBoardBHistory(itemId, message) {
+  try {
+    const mutation = `
+      mutation {
+        create_update (
+          item_id: ${itemId},
+          body: "${escapeJson(message)}"
+        ) {
+          id
+        }
+      }
+    `;
+    await callMondayAPI(mutation);
+    if (DEBUG_MODE) console.log('📝 Board B history added:', message);
+  } catch (error) {
+    console.error('⚠️ Could not add Board B history:', error.message);
+  }
+}
+
+// Board A fields that change what Board B shows (mirrored columns + status inputs)
+const BOARD_B_SOURCE_FIELDS = [
+  ...BOARD_B.columns.map(column => column.field).filter(field => !['jobNumber', 'signatureDate'].includes(field)),
+  'licenseNextCheckDue',
+  'poa1ValidUntil',
+  'poa2ValidUntil',
+  'dvlaValidUntil',
+  'passportValidUntil',
+  'dvlaPoints'
+];
+
+// INTERNAL: Push Board A changes to the driver's Board B rows for jobs that haven't finished
+async function refreshOpenAssignments(email, driverA) {
+  try {
+    const query = `
+      query {
+        items_page_by_column_values (
+          board_id: ${BOARD_B_ID},
+          columns: [
+            {
+              column_id: "${getColumnId(BOARD_B, 'email')}",
+              column_values: ["${email}"]
+            }
+          ],
+          limit: 50
+        ) {
+          items {
+            id
+            name
+            column_values {
+              id
+              text
+              value
+            }
+          }
+        }
+      }
+    `;
+
+    const response = await callMondayAPI(query);
+    const assignments = (response.data?.items_page_by_column_values?.items || []).map(parseBoardBData);
+
+    if (assignments.length === 0) {
+      return { refreshed: 0 };
+    }
+
+    const jobEndDates = await getJobEndDates(assignments.map(assignment => assignment.jobNumber).filter(Boolean));
+    const boardBData = buildBoardBData(driverA);
+    let refreshed = 0;
+
+    for (const assignment of assignments) {
+      if (!isJobOpen(jobEndDates[assignment.jobNumber])) {
+        if (DEBUG_MODE) console.log(`⏭️ Job ${assignment.jobNumber} has finished - leaving Board B row ${assignment.id}`);
+        continue;
+      }
+
+      // Only send the columns that actually differ
+      const changes = {};
+      Object.entries(boardBData).forEach(([field, value]) => {
+        if ((value || '') !== (assignment[field] || '')) {
+          changes[field] = value;
+        }
+      });
+
+      if (Object.keys(changes).length === 0) continue;
+
+      const mutation = `
+        mutation {
+          change_multiple_column_values (
+            item_id: ${assignment.id},
+            board_id: ${BOARD_B_ID},
+            column_values: "${escapeJson(JSON.stringify(formatBoardBColumnValues(changes)))}"
+          ) {
+            id
+          }
+        }
+      `;
+
+      await callMondayAPI(mutation);
+      refreshed++;
+      console.log(`🔄 Board B row ${assignment.id} (job ${assignment.jobNumber}) refreshed:`, Object.keys(changes).join(', '));
+    }
+
+    return { refreshed };
+
+  } catch (error) {
+    // Board A is the source of truth - a stale Board B row must not fail the update
+    console.error('⚠️ Board B refresh failed:', error.message);
+    return { refreshed: 0, error: error.message };
+  }
+}
+
+// ========================================
+// BULK STATUS REFRESH
+// ========================================
+
+// Recalculate the status columns for every Board A driver and write back only the ones that changed
+// Dates pass without anyone updating the driver, so "Valid" quietly becomes "Expired" / "Check Due".
+// Stops after STATUS_REFRESH_TIME_BUDGET_MS and returns a cursor - call again with it to carry on.
+async function refreshAllStatuses(data) {
+  const startedAt = Date.now();
+  const dryRun = data.dryRun === true || data.dryRun === 'true';
+  const audit = {
+    source: 'monday-integration.refreshAllStatuses',
+    actor: 'staff',
+    ...data.audit
+  };
+
+  const report = {
+    scanned: 0,
+    updated: 0,
+    skipped: 0,
+    boardBRowsRefreshed: 0,
+    movedToExpired: 0,
+    movedToCheckDue: 0,
+    flaggedDrivers: [],
+    errors: []
+  };
+
+  try {
+    let page = await getItemsPage(BOARD_A_ID, data.cursor, STATUS_REFRESH_PAGE_SIZE);
+
+    while (true) {
+      for (const item of page.items) {
+        await refreshDriverStatuses(parseBoardAData(item), { dryRun, audit, report });
+      }
+
+      if (!page.cursor || Date.now() - startedAt > STATUS_REFRESH_TIME_BUDGET_MS) break;
+      page = await getItemsPage(BOARD_A_ID, page.cursor, STATUS_REFRESH_PAGE_SIZE);
+    }
+
+    const complete = !page.cursor;
+    console.log(`🔄 Status refresh${dryRun ? ' (dry run)' : ''}: ${report.scanned} scanned, ${report.updated} updated, ` +
+      `${report.movedToExpired} now Expired, ${report.movedToCheckDue} now Check Due${complete ? '' : ' - more to do'}`);
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        success: true,
+        dryRun,
+        complete,
+        cursor: page.cursor || null,
+        ...report
       })
     };
+
+  } catch (error) {
+    console.error('❌ Status refresh error:', error);
+    return errorResponse(error, {
+      success: false,
+      error: error.message,
+      ...report
+    });
+  }
+}
+
+// INTERNAL: Recalculate one driver's statuses and add the outcome to the report
+async function refreshDriverStatuses(driver, { dryRun, audit, report }) {
+  report.scanned++;
+
+  if (!driver.email) {
+    report.skipped++;
+    return;
+  }
+
+  const statusFields = calculateStatusFields(driver);
+  const changed = getChangedStatuses(driver, statusFields);
+
+  if (Object.keys(changed).length === 0) return;
+
+  // Only count a driver once per flag, however many of their columns moved into it
+  const newlyFlagged = Object.entries(changed).filter(([, status]) => FLAGGED_STATUSES.includes(status));
+  if (newlyFlagged.some(([, status]) => status === 'Expired')) report.movedToExpired++;
+  if (newlyFlagged.some(([, status]) => status === 'Check Due')) report.movedToCheckDue++;
+  if (newlyFlagged.length > 0) {
+    report.flaggedDrivers.push({
+      email: driver.email,
+      driverName: driver.driverName,
+      statuses: Object.fromEntries(newlyFlagged)
+    });
+  }
+
+  // Dry run: report what would be written without touching Monday.com
+  if (dryRun) {
+    report.updated++;
+    return;
+  }
+
+  try {
+    const mutation = `
+      mutation {
+        change_multiple_column_values (
+          item_id: ${driver.id},
+          board_id: ${BOARD_A_ID},
+          column_values: "${escapeJson(JSON.stringify(formatColumnValues(BOARD_A, changed)))}"
+        ) {
+          id
+        }
+      }
+    `;
+
+    await callMondayAPI(mutation);
+    report.updated++;
+    if (DEBUG_MODE) console.log(`🔄 ${driver.email} statuses updated:`, changed);
+
+    await auditBoardAWrite(driver.email, driver, changed, audit);
+
+    // Board B shows an overall status built from these columns
+    const boardBRefresh = await refreshOpenAssignments(driver.email, { ...driver, ...statusFields });
+    report.boardBRowsRefreshed += boardBRefresh.refreshed;
+
+  } catch (error) {
+    console.error(`❌ Status refresh failed for ${driver.email}:`, error.message);
+    report.errors.push({ email: driver.email, error: error.message });
   }
 }
 
@@ -875,77 +1418,13 @@ function formatBoardAColumnValues(data) {
   if (DEBUG_MODE) {
     console.log('🔍 formatBoardAColumnValues called with data keys:', Object.keys(data));
   }
-  
-  const columnValues = {};
 
-  // CRITICAL: Always include email field
-  if (data.email) {
-    columnValues.email_mktrgzj = { 
-      email: data.email, 
-      text: data.email 
-    };
-    if (DEBUG_MODE) console.log('✅ Email field added to column values:', data.email);
-  } else {
+  // CRITICAL: Email must always be included
+  if (!data.email) {
     console.error('❌ CRITICAL: Email missing from driver data!');
   }
 
-  // Identity & Contact
-  if (data.driverName) columnValues.text_mktry2je = data.driverName;
-  if (data.firstName) columnValues.text_mkwhc7a = data.firstName; 
-  if (data.lastName) columnValues.text_mkwhm2n5 = data.lastName;
-  if (data.phoneCountry) columnValues.text_mkty5hzk = data.phoneCountry;
-  if (data.phoneNumber) columnValues.text_mktrfqe2 = data.phoneNumber;
-  if (data.dateOfBirth) columnValues.date_mktr2x01 = { date: data.dateOfBirth };
-  if (data.nationality) columnValues.text_mktrdh72 = data.nationality;
-
-  // License Information
-  if (data.licenseNumber) columnValues.text_mktrrv38 = data.licenseNumber;
-  if (data.licenseIssuedBy) columnValues.text_mktrz69 = data.licenseIssuedBy;
-  if (data.datePassedTest) columnValues.date_mktr93jq = { date: data.datePassedTest };
-  if (data.licenseValidFrom) columnValues.date_mktrmdx5 = { date: data.licenseValidFrom };
-  if (data.licenseValidTo) columnValues.date_mktrwk94 = { date: data.licenseValidTo };
-  if (data.licenseEnding) columnValues.text_mktr8kvs = data.licenseEnding;
-
-  // Addresses
-  if (data.homeAddress) columnValues.long_text_mktr2jhb = data.homeAddress;
-  if (data.licenseAddress) columnValues.long_text_mktrs5a0 = data.licenseAddress;
-
-  // Document Expiry Dates - INCLUDING PASSPORT
-  if (data.poa1ValidUntil) columnValues.date_mktr1keg = { date: data.poa1ValidUntil };
-  if (data.poa2ValidUntil) columnValues.date_mktra1a6 = { date: data.poa2ValidUntil };
-  if (data.dvlaValidUntil) columnValues.date_mktrmjfr = { date: data.dvlaValidUntil };
-  if (data.passportValidUntil) columnValues.date_mkvxy5t1 = { date: data.passportValidUntil };
-  if (data.licenseNextCheckDue) columnValues.date_mktsbgpy = { date: data.licenseNextCheckDue };
-  if (data.signatureDate) columnValues.date_mkw4apb7 = { date: data.signatureDate };
-
-  // Insurance Questions (Yes/No status columns)
-  if (data.hasDisability !== undefined) columnValues.status = { label: data.hasDisability ? 'Yes' : 'No' };
-  if (data.hasConvictions !== undefined) columnValues.color_mktr4w0 = { label: data.hasConvictions ? 'Yes' : 'No' };
-  if (data.hasProsecution !== undefined) columnValues.color_mktrbt3x = { label: data.hasProsecution ? 'Yes' : 'No' };
-  if (data.hasAccidents !== undefined) columnValues.color_mktraeas = { label: data.hasAccidents ? 'Yes' : 'No' };
-  if (data.hasInsuranceIssues !== undefined) columnValues.color_mktrpe6q = { label: data.hasInsuranceIssues ? 'Yes' : 'No' };
-  if (data.hasDrivingBan !== undefined) columnValues.color_mktr2t8a = { label: data.hasDrivingBan ? 'Yes' : 'No' };
-
-  // DVLA Insurance Data
-  if (data.dvlaPoints !== undefined) columnValues.text_mkwfhvve = String(data.dvlaPoints);
-  if (data.dvlaEndorsements) columnValues.text_mkwf6e1n = data.dvlaEndorsements;
-  if (data.dvlaCalculatedExcess !== undefined) columnValues.text_mkwf6595 = data.dvlaCalculatedExcess;
-
-  // Additional details and status
-  if (data.additionalDetails) columnValues.long_text_mktr1a66 = data.additionalDetails;
-  if (data.overallStatus) columnValues.color_mktrwatg = { label: data.overallStatus };
-  if (data.lastUpdated) columnValues.date_mktrk8kv = { date: data.lastUpdated };
-  if (data.idenfyCheckDate) columnValues.text_mkvv2z8p = data.idenfyCheckDate;
-  if (data.poa1URL) columnValues.text_mkw34ksx = data.poa1URL;
-  if (data.poa2URL) columnValues.text_mkw3d9ye = data.poa2URL;
-  if (data.idenfyScanRef) columnValues.text_mkwbn8bx = data.idenfyScanRef;
-
-  // NEW: Status Fields (5 calculated statuses)
-  if (data.licenseStatus) columnValues.color_mkxvmz0a = { label: data.licenseStatus };
-  if (data.poaStatus) columnValues.color_mkxvkc9h = { label: data.poaStatus };
-  if (data.dvlaStatus) columnValues.color_mkxvhf62 = { label: data.dvlaStatus };
-  if (data.passportStatus) columnValues.color_mkxv9218 = { label: data.passportStatus };
-  if (data.insuranceStatus) columnValues.color_mkxvxskq = { label: data.insuranceStatus };
+  const columnValues = formatColumnValues(BOARD_A, data);
 
   if (DEBUG_MODE) {
     console.log('📋 Final column values for Monday.com:', Object.keys(columnValues));
@@ -956,29 +1435,7 @@ function formatBoardAColumnValues(data) {
 
 // Format driver data for Board B columns
 function formatBoardBColumnValues(driverData) {
-  const columnValues = {};
-  
-  // Essential fields for Board B (15 fields + overall status)
-  if (driverData.driverName) columnValues.text8 = driverData.driverName;
-  if (driverData.email) columnValues.email = { email: driverData.email, text: driverData.email };
-  if (driverData.phoneNumber) columnValues.text9__1 = driverData.phoneNumber;
-  if (driverData.phoneCountry) columnValues.text_mktywe58 = driverData.phoneCountry; 
-  if (driverData.dateOfBirth) columnValues.date45 = { date: driverData.dateOfBirth };
-  if (driverData.nationality) columnValues.text_mktqjbpm = driverData.nationality;
-  if (driverData.licenseNumber) columnValues.text6 = driverData.licenseNumber;
-  if (driverData.licenseIssuedBy) columnValues.text_mktqwkqn = driverData.licenseIssuedBy;
-  if (driverData.licenseValidFrom) columnValues.date_mktqphhq = { date: driverData.licenseValidFrom };
-  if (driverData.licenseValidTo) columnValues.driver_licence_valid_to = { date: driverData.licenseValidTo };
-  if (driverData.datePassedTest) columnValues.date2 = { date: driverData.datePassedTest };
-  if (driverData.homeAddress) columnValues.long_text6 = driverData.homeAddress;
-  if (driverData.licenseAddress) columnValues.long_text8 = driverData.licenseAddress;
-  if (driverData.jobNumber) columnValues.text86 = driverData.jobNumber;
-  if (driverData.signatureDate) columnValues.date4 = { date: driverData.signatureDate };
-  
-  // NEW: Overall Status for Board B
-  if (driverData.overallStatus) columnValues.color_mkwtaftc = { label: driverData.overallStatus };
-  
-  return columnValues;
+  return formatColumnValues(BOARD_B, driverData);
 }
 
 // ========================================
@@ -987,123 +1444,45 @@ function formatBoardBColumnValues(driverData) {
 
 // Parse Board A driver data from Monday.com response
 function parseBoardAData(item) {
-  const driver = {
+  return {
     id: item.id,
     name: item.name,
-    driverName: '',
-    firstName: '', 
-    lastName: '', 
-    email: '',
-    phoneNumber: '',
-    phoneCountry: '',
-    dateOfBirth: '',
-    nationality: '',
-    licenseNumber: '',
-    licenseIssuedBy: '',
-    datePassedTest: '',
-    licenseValidTo: '',
-    licenseEnding: '',
-    homeAddress: '',
-    licenseAddress: '',
-    hasDisability: false,
-    hasConvictions: false,
-    hasProsecution: false,
-    hasAccidents: false,
-    hasInsuranceIssues: false,
-    hasDrivingBan: false,
-    additionalDetails: '',
-    lastUpdated: '',
-    poa1ValidUntil: '',
-    poa2ValidUntil: '',
-    dvlaValidUntil: '',
-    passportValidUntil: '', 
-    licenseNextCheckDue: '',
-    idenfyCheckDate: '',
-    idenfyScanRef: '',
-    signatureDate: '',
-    dvlaPoints: 0,              
-    dvlaEndorsements: '', 
-    dvlaCalculatedExcess: '',
-    overallStatus: ''
+    ...parseColumnValues(BOARD_A, item)
   };
-
-  item.column_values.forEach(col => {
-    const value = col.value ? JSON.parse(col.value) : null;
-    
-    switch (col.id) {
-      case 'text_mktry2je': driver.driverName = col.text || ''; break;
-      case 'text_mkwhc7a': driver.firstName = col.text || ''; break;
-      case 'text_mkwhm2n5': driver.lastName = col.text || ''; break;
-      case 'email_mktrgzj': driver.email = value?.email || col.text || ''; break;
-      case 'text_mktrfqe2': driver.phoneNumber = col.text || ''; break;
-      case 'text_mkty5hzk': driver.phoneCountry = col.text || ''; break;
-      case 'date_mktr2x01': driver.dateOfBirth = value?.date || ''; break;
-      case 'text_mktrdh72': driver.nationality = col.text || ''; break;
-      case 'text_mktrrv38': driver.licenseNumber = col.text || ''; break;
-      case 'date_mktrmdx5': driver.licenseValidFrom = value?.date || ''; break;
-      case 'text_mktrz69': driver.licenseIssuedBy = col.text || ''; break;
-      case 'date_mktr93jq': driver.datePassedTest = value?.date || ''; break;
-      case 'date_mktrwk94': driver.licenseValidTo = value?.date || ''; break;
-      case 'text_mktr8kvs': driver.licenseEnding = col.text || ''; break;
-      case 'long_text_mktr2jhb': driver.homeAddress = col.text || ''; break;
-      case 'long_text_mktrs5a0': driver.licenseAddress = col.text || ''; break;
-      case 'date_mktr1keg': driver.poa1ValidUntil = value?.date || ''; break;
-      case 'date_mktra1a6': driver.poa2ValidUntil = value?.date || ''; break;
-      case 'date_mktrmjfr': driver.dvlaValidUntil = value?.date || ''; break;
-      case 'date_mkvxy5t1': driver.passportValidUntil = value?.date || ''; break;
-      case 'date_mktsbgpy': driver.licenseNextCheckDue = value?.date || ''; break;
-      case 'date_mkw4apb7': driver.signatureDate = value?.date || ''; break;
-      case 'text_mkw34ksx': driver.poa1URL = col.text || ''; break;
-      case 'text_mkw3d9ye': driver.poa2URL = col.text || ''; break;
-      case 'status': driver.hasDisability = value?.label === 'Yes' || col.text === 'Yes'; break;
-      case 'color_mktr4w0': driver.hasConvictions = value?.label === 'Yes' || col.text === 'Yes'; break;
-      case 'color_mktrbt3x': driver.hasProsecution = value?.label === 'Yes' || col.text === 'Yes' || value?.index === 1; break;
-      case 'color_mktraeas': driver.hasAccidents = value?.label === 'Yes' || col.text === 'Yes' || value?.index === 1; break;
-      case 'color_mktrpe6q': driver.hasInsuranceIssues = value?.label === 'Yes' || col.text === 'Yes' || value?.index === 1; break;
-      case 'color_mktr2t8a': driver.hasDrivingBan = value?.label === 'Yes' || col.text === 'Yes' || value?.index === 1; break;
-      case 'long_text_mktr1a66': driver.additionalDetails = col.text || ''; break;
-      case 'date_mktrk8kv': driver.lastUpdated = value?.date || ''; break;
-      case 'text_mkvv2z8p': driver.idenfyCheckDate = col.text || ''; break;
-      case 'text_mkwbn8bx': driver.idenfyScanRef = col.text || ''; break;
-      case 'text_mkwfhvve': driver.dvlaPoints = col.text ? parseInt(col.text) : 0; break;
-      case 'text_mkwf6e1n': driver.dvlaEndorsements = col.text || ''; break;
-      case 'text_mkwf6595': driver.dvlaCalculatedExcess = col.text || ''; break;
-      case 'color_mktrwatg': driver.overallStatus = value?.label || col.text || ''; break;
-    }
-  });
-
-  return driver;
 }
 
 // Parse Board B assignment data from Monday.com response
 function parseBoardBData(item) {
-  const assignment = {
+  return {
     id: item.id,
     name: item.name,
-    email: '',
-    jobNumber: '',
-    signatureDate: '',
-    overallStatus: ''
+    ...parseColumnValues(BOARD_B, item)
   };
-
-  item.column_values.forEach(col => {
-    const value = col.value ? JSON.parse(col.value) : null;
-    
-    switch (col.id) {
-      case 'email': assignment.email = value?.email || col.text || ''; break;
-      case 'text86': assignment.jobNumber = col.text || ''; break;
-      case 'date4': assignment.signatureDate = value?.date || ''; break;
-      case 'color_mkwtaftc': assignment.overallStatus = value?.label || col.text || ''; break;
-    }
-  });
-
-  return assignment;
 }
 
 // ========================================
 // UTILITY FUNCTIONS
 // ========================================
 
+// Error response for an action - Monday.com limits are temporary, so they come back as
+// 503 with Retry-After and the caller can try the whole action again later
+function errorResponse(error, body) {
+  if (!isMondayLimitError(error)) {
+    return {
+      statusCode: 500,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    };
+  }
+
+  const retryAfterSeconds = error.retryAfterSeconds || 60;
+  return {
+    statusCode: 503,
+    headers: { 'Content-Type': 'application/json', 'Retry-After': String(retryAfterSeconds) },
+    body: JSON.stringify({ ...body, code: error.code, retryAfterSeconds })
+  };
+}
+
 // Test Monday.com connection
 async function testConnection() {
   try {
@@ -1130,14 +1509,48 @@ async function testConnection() {
 
   } catch (error) {
     console.error('❌ Connection test error:', error);
+    return errorResponse(error, {
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+// Run the board schema check once per function instance - never blocks the request
+async function ensureBoardSchemaChecked() {
+  if (process.env.MONDAY_SCHEMA_CHECK === 'false') return;
+
+  if (!schemaCheckPromise) {
+    schemaCheckPromise = checkAllBoardSchemas().catch(error => {
+      console.error('⚠️ Board schema check failed:', error.message);
+      return null;
+    });
+  }
+
+  await schemaCheckPromise;
+}
+
+// Report mapped columns that are missing or have changed type on the live boards
+async function checkBoardSchemaAction() {
+  try {
+    const report = await checkAllBoardSchemas();
+
     return {
-      statusCode: 500,
+      statusCode: 200,
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        success: false, 
-        error: error.message 
+      body: JSON.stringify({
+        success: report.ok,
+        boards: report.boards,
+        message: report.ok ? 'All mapped columns present' : 'Board schema does not match column mapping'
       })
     };
+
+  } catch (error) {
+    console.error('❌ Board schema check error:', error);
+    return errorResponse(error, {
+      success: false,
+      error: error.message
+    });
   }
 }
 
@@ -1195,14 +1608,10 @@ async function testTwoBoardSystem(data) {
 
   } catch (error) {
     console.error('❌ Two-board system test error:', error);
-    return {
-      statusCode: 500,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        success: false, 
-        error: error.message 
-      })
-    };
+    return errorResponse(error, {
+      success: false,
+      error: error.message
+    });
   }
 }
 
@@ -1223,13 +1632,9 @@ async function saveIdenfyDocuments(requestData) {
 
   } catch (error) {
     console.error('❌ Save Idenfy documents error:', error);
-    return {
-      statusCode: 500,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ 
-        error: 'Failed to save Idenfy documents',
-        details: error.message 
-      })
-    };
+    return errorResponse(error, {
+      error: 'Failed to save Idenfy documents',
+      details: error.message
+    });
   }
 }
@@ -0,0 +1,63 @@
+/** @jest-environment node */
+// File: functions/monday-integration.test.js
+
+const { installPlainFetch } = require('../dev/monday/plain-fetch');
+const { BOARD_B } = require('./lib/monday-columns');
+const { handler } = require('./monday-integration');
+
+// Jane Smith already signed for job 11001 (Board B row 8000000001 in dev/monday/fixtures)
+const EMAIL = 'jane.smith@example.com';
+
+let monday;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  monday = installPlainFetch();
+});
+
+afterEach(() => {
+  monday.restore();
+  jest.restoreAllMocks();
+});
+
+async function copyToBoardB(jobId) {
+  const response = await handler({
+    httpMethod: 'POST',
+    headers: { 'x-internal-secret': process.env.INTERNAL_API_SECRET },
+    body: JSON.stringify({ action: 'copy-a-to-b', email: EMAIL, jobId })
+  });
+  return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+}
+
+const assignments = () => monday.fake.findItems(BOARD_B.id, 'email', EMAIL);
+
+function signatureDate(itemId) {
+  const item = monday.fake.listItems(BOARD_B.id).find(entry => entry.id === itemId);
+  return item.column_values.find(column => column.id === 'date4').text;
+}
+
+describe('copy-a-to-b', () => {
+  test('signing again for the same job updates the existing Board B row', async () => {
+    const result = await copyToBoardB('11001');
+
+    expect(result).toMatchObject({ statusCode: 200, success: true, boardBId: '8000000001', resigned: true });
+    expect(assignments()).toHaveLength(1);
+    expect(signatureDate('8000000001')).toBe(new Date().toISOString().split('T')[0]);
+  });
+
+  test('a new job gets its own row', async () => {
+    const result = await copyToBoardB('11002');
+
+    expect(result).toMatchObject({ statusCode: 200, success: true, resigned: false });
+    expect(assignments().map(item => item.id).sort()).toEqual(['8000000001', result.boardBId].sort());
+  });
+
+  test('a job number with quotes in it is matched as text, not read as part of the query', async () => {
+    const result = await copyToBoardB('11001"] }, { column_id: "text86", column_values: ["11001');
+
+    expect(result).toMatchObject({ statusCode: 200, success: true, resigned: false });
+    expect(assignments()).toHaveLength(2);
+  });
+});
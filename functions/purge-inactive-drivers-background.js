@@ -0,0 +1,101 @@
+// File: functions/purge-inactive-drivers-background.js
+// OOOSH Driver Verification - Erase drivers with no hire in RETENTION_YEARS years
+// Background function (up to 15 minutes): started weekly by purge-inactive-drivers,
+// or by staff with POST { "dryRun": true } and Authorization: Bearer <STAFF_API_KEY>.
+// Drivers on legal hold are skipped. Results go to the function logs and the office inbox.
+
+const { requireStaff } = require('./lib/auth');
+const { eraseDriver } = require('./lib/driver-erasure');
+const { getRetentionYears, findInactiveDrivers } = require('./lib/driver-retention');
+
+// Safety stop - a broken Q&H lookup must not wipe the whole driver database in one run
+const MAX_ERASURES_PER_RUN = parseInt(process.env.RETENTION_MAX_PER_RUN) || 50;
+
+exports.handler = async (event, context) => {
+  console.log('🗓️ Retention purge started');
+
+  const auth = requireStaff(event);
+  if (!auth.ok) {
+    console.error('❌ Retention purge refused:', auth.error);
+    return { statusCode: auth.statusCode };
+  }
+
+  const years = getRetentionYears();
+  if (!years) {
+    console.log('⏭️ RETENTION_YEARS not set - retention purge is switched off');
+    return { statusCode: 200 };
+  }
+
+  try {
+    let options;
+    try {
+      options = event.body ? JSON.parse(event.body) : {};
+    } catch (parseError) {
+      console.error('❌ Retention purge refused: invalid JSON in request body');
+      return { statusCode: 400 };
+    }
+    const dryRun = options.dryRun === true;
+
+    const { cutoff, scanned, candidates } = await findInactiveDrivers({ years });
+    const batch = candidates.slice(0, MAX_ERASURES_PER_RUN);
+    const summary = { dryRun, years, cutoff, scanned, due: candidates.length, erased: 0, held: 0, failed: 0, receipts: [] };
+
+    for (const candidate of batch) {
+      try {
+        const result = await eraseDriver(candidate.email, {
+          requestedBy: 'retention-policy',
+          reason: `No hire since ${candidate.lastActivity} (retention ${years} years)`,
+          dryRun
+        });
+
+        if (result.blocked) {
+          summary.held++;
+        } else if (result.receipt.complete) {
+          summary.erased++;
+          summary.receipts.push(result.receipt.receiptId);
+        } else {
+          summary.failed++;
+        }
+      } catch (error) {
+        console.error('❌ Retention erasure failed:', error.message);
+        summary.failed++;
+      }
+    }
+
+    if (candidates.length > batch.length) {
+      console.log(`⚠️ ${candidates.length - batch.length} more drivers are due - they will be purged on the next run`);
+    }
+
+    console.log('📊 Retention purge summary:', JSON.stringify(summary));
+
+    if (candidates.length > 0 && !dryRun) {
+      await sendSummary(summary);
+    }
+
+    return { statusCode: 200 };
+
+  } catch (error) {
+    console.error('❌ Retention purge failed:', error.message);
+    return { statusCode: 500 };
+  }
+};
+
+// Let the office know what the policy removed (no driver details - they have just been erased)
+async function sendSummary(summary) {
+  try {
+    await fetch(`${process.env.URL}/.netlify/functions/send-notification`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        to: 'info@oooshtours.co.uk',
+        subject: `Retention purge: ${summary.erased} driver(s) erased`,
+        message: `Drivers with no hire since ${summary.cutoff} (${summary.years} year retention):\n\n` +
+          `Due: ${summary.due}\nErased: ${summary.erased}\nSkipped (legal hold): ${summary.held}\nFailed: ${summary.failed}\n\n` +
+          `Receipts: ${summary.receipts.join(', ') || 'none'}`
+      })
+    });
+    console.log('✅ Retention purge summary sent');
+  } catch (emailError) {
+    console.error('⚠️ Could not send retention purge summary:', emailError.message);
+  }
+}
@@ -0,0 +1,101 @@
+/** @jest-environment node */
+// File: functions/purge-inactive-drivers-background.test.js
+
+const { createFakeMonday } = require('../dev/monday/fake-monday');
+const { loadFixtures } = require('../dev/monday/fixtures');
+const { installPlainFetch } = require('../dev/monday/plain-fetch');
+const { setLegalHold } = require('./lib/driver-erasure');
+const { BOARD_A } = require('./lib/monday-columns');
+
+const STAFF_KEY = 'test-staff-key';
+
+let monday;
+let handler;
+
+beforeAll(() => {
+  process.env.DATABASE_URL = 'sqlite::memory:';
+  process.env.TOMBSTONE_HASH_KEY = 'test-tombstone-key';
+  process.env.STAFF_API_KEY = STAFF_KEY;
+  process.env.RETENTION_YEARS = '3';
+  // Read when the function loads
+  process.env.RETENTION_MAX_PER_RUN = '3';
+  handler = require('./purge-inactive-drivers-background').handler;
+});
+
+afterAll(() => {
+  ['DATABASE_URL', 'TOMBSTONE_HASH_KEY', 'STAFF_API_KEY', 'RETENTION_YEARS', 'RETENTION_MAX_PER_RUN']
+    .forEach(name => delete process.env[name]);
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  // Sam Archer from the fixtures plus five more drivers created six years ago with no hires
+  const created = new Date();
+  created.setFullYear(created.getFullYear() - 6);
+  const boards = loadFixtures().map(board => (board.id !== BOARD_A.id ? board : {
+    ...board,
+    items: [...board.items, ...[1, 2, 3, 4, 5].map(index => ({
+      id: String(7100000000 + index),
+      name: `Old driver ${index}`,
+      createdAt: created.toISOString(),
+      values: { email_mktrgzj: { email: `old${index}@example.com`, text: `old${index}@example.com` } }
+    }))]
+  }));
+  monday = installPlainFetch({ fake: createFakeMonday({ boards }) });
+});
+
+afterEach(() => {
+  monday.restore();
+  jest.restoreAllMocks();
+});
+
+function runPurge(body, token = STAFF_KEY) {
+  return handler({ httpMethod: 'POST', headers: { authorization: `Bearer ${token}` }, body });
+}
+
+// The summary line the purge logs at the end of each run
+function loggedSummary() {
+  const line = console.log.mock.calls.find(([message]) => message === '📊 Retention purge summary:');
+  return JSON.parse(line[1]);
+}
+
+const boardAEmails = () => monday.fake.listItems(BOARD_A.id)
+  .map(item => item.column_values.find(column => column.id === 'email_mktrgzj').text);
+
+describe('retention purge', () => {
+  test('staff only', async () => {
+    expect((await runPurge('{}', 'wrong-key')).statusCode).toBe(403);
+    expect(boardAEmails()).toHaveLength(8);
+  });
+
+  test('a malformed body is refused', async () => {
+    expect((await runPurge('{dryRun')).statusCode).toBe(400);
+  });
+
+  test('a dry run reports what is due and erases nothing', async () => {
+    expect((await runPurge(JSON.stringify({ dryRun: true }))).statusCode).toBe(200);
+
+    expect(loggedSummary()).toMatchObject({ dryRun: true, scanned: 8, due: 6, erased: 3 });
+    expect(boardAEmails()).toHaveLength(8);
+  });
+
+  test('no more than RETENTION_MAX_PER_RUN drivers are erased in one run', async () => {
+    expect((await runPurge(null)).statusCode).toBe(200);
+
+    expect(loggedSummary()).toMatchObject({ dryRun: false, due: 6, erased: 3, failed: 0 });
+    expect(loggedSummary().receipts).toHaveLength(3);
+    expect(boardAEmails()).toHaveLength(5);
+    expect(boardAEmails()).toEqual(expect.arrayContaining(['jane.smith@example.com', 'tom.jones@example.com']));
+  });
+
+  test('drivers on legal hold are skipped and counted', async () => {
+    await setLegalHold('sam.archer@example.com', { hold: true, reason: 'Insurance claim', requestedBy: 'test' });
+
+    await runPurge(null);
+
+    expect(loggedSummary()).toMatchObject({ held: 1, erased: 2 });
+    expect(boardAEmails()).toContain('sam.archer@example.com');
+  });
+});
@@ -0,0 +1,39 @@
+// File: functions/purge-inactive-drivers.js
+// OOOSH Driver Verification - Weekly retention purge (scheduled)
+// Schedule is set in netlify.toml. Scheduled functions are limited to 30 seconds,
+// so this only starts purge-inactive-drivers-background, which does the work.
+// Nothing happens unless RETENTION_YEARS is set.
+
+const { getRetentionYears } = require('./lib/driver-retention');
+
+exports.handler = async (event, context) => {
+  console.log('⏰ Scheduled retention purge triggered');
+
+  if (!getRetentionYears()) {
+    console.log('⏭️ RETENTION_YEARS not set - retention purge is switched off');
+    return { statusCode: 200 };
+  }
+
+  if (!process.env.STAFF_API_KEY) {
+    console.error('❌ STAFF_API_KEY not configured - retention purge skipped');
+    return { statusCode: 503 };
+  }
+
+  try {
+    const response = await fetch(`${process.env.URL}/.netlify/functions/purge-inactive-drivers-background`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.STAFF_API_KEY}`
+      },
+      body: JSON.stringify({})
+    });
+
+    console.log('✅ Retention purge started:', response.status);
+    return { statusCode: 200 };
+
+  } catch (error) {
+    console.error('❌ Could not start retention purge:', error.message);
+    return { statusCode: 500 };
+  }
+};
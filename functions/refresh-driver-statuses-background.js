@@ -0,0 +1,130 @@
+// File: functions/refresh-driver-statuses-background.js
+// OOOSH Driver Verification - Recalculate status columns for every Board A driver
+// Background function (up to 15 minutes): started daily by refresh-driver-statuses,
+// or by staff with POST { "dryRun": true } and Authorization: Bearer <STAFF_API_KEY>.
+// Works through monday-integration's refresh-all-statuses action one batch at a time
+// and emails a summary when drivers have moved into Expired / Check Due.
+
+const { requireStaff } = require('./lib/auth');
+
+// 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
+const DEBUG_MODE = process.env.DEBUG_LOGGING === 'true';
+
+// Safety stop - each batch covers several pages, so this is far more than Board A needs
+const MAX_BATCHES = 200;
+
+exports.handler = async (event, context) => {
+  console.log('🔄 Driver status refresh started');
+
+  const auth = requireStaff(event);
+  if (!auth.ok) {
+    console.error('❌ Status refresh refused:', auth.error);
+    return { statusCode: auth.statusCode };
+  }
+
+  const options = event.body ? JSON.parse(event.body) : {};
+  const dryRun = options.dryRun === true;
+  const audit = {
+    source: 'refresh-driver-statuses',
+    actor: options.actor || 'staff'
+  };
+
+  const totals = {
+    scanned: 0,
+    updated: 0,
+    skipped: 0,
+    boardBRowsRefreshed: 0,
+    movedToExpired: 0,
+    movedToCheckDue: 0,
+    flaggedDrivers: [],
+    errors: []
+  };
+
+  let cursor = null;
+  let complete = false;
+
+  try {
+    for (let batch = 1; batch <= MAX_BATCHES && !complete; batch++) {
+      const result = await runBatch({ cursor, dryRun, audit });
+
+      Object.keys(totals).forEach(key => {
+        totals[key] = Array.isArray(totals[key]) ? totals[key].concat(result[key] || []) : totals[key] + (result[key] || 0);
+      });
+
+      cursor = result.cursor;
+      complete = result.complete;
+
+      if (DEBUG_MODE) console.log(`📦 Batch ${batch}: ${result.scanned} scanned, ${result.updated} updated`);
+    }
+
+    if (!complete) {
+      console.error(`⚠️ Status refresh stopped after ${MAX_BATCHES} batches - Board A not finished`);
+    }
+
+    console.log('📊 Status refresh summary:', JSON.stringify({
+      dryRun,
+      complete,
+      scanned: totals.scanned,
+      updated: totals.updated,
+      skipped: totals.skipped,
+      boardBRowsRefreshed: totals.boardBRowsRefreshed,
+      movedToExpired: totals.movedToExpired,
+      movedToCheckDue: totals.movedToCheckDue,
+      errors: totals.errors.length
+    }));
+
+    if (totals.flaggedDrivers.length > 0 && !dryRun) {
+      await sendSummary(totals);
+    }
+
+    return { statusCode: 200 };
+
+  } catch (error) {
+    console.error('❌ Status refresh failed:', error.message);
+    return { statusCode: 500 };
+  }
+};
+
+// One refresh-all-statuses call - monday-integration stops at its time budget and returns a cursor
+async function runBatch({ cursor, dryRun, audit }) {
+  const response = await fetch(`${process.env.URL}/.netlify/functions/monday-integration`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${process.env.STAFF_API_KEY}`
+    },
+    body: JSON.stringify({ action: 'refresh-all-statuses', cursor, dryRun, audit })
+  });
+
+  const result = await response.json();
+
+  if (!response.ok || !result.success) {
+    throw new Error(result.error || `refresh-all-statuses returned ${response.status}`);
+  }
+
+  return result;
+}
+
+// Let the office know who needs chasing
+async function sendSummary(totals) {
+  const lines = totals.flaggedDrivers.map(driver =>
+    `${driver.driverName || driver.email} (${driver.email}): ` +
+    Object.entries(driver.statuses).map(([field, status]) => `${field} → ${status}`).join(', ')
+  );
+
+  try {
+    await fetch(`${process.env.URL}/.netlify/functions/send-notification`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        to: 'info@oooshtours.co.uk',
+        subject: `Driver statuses: ${totals.movedToExpired} now Expired, ${totals.movedToCheckDue} now Check Due`,
+        message: `The daily status refresh flagged these drivers:\n\n${lines.join('\n')}\n\n` +
+          `${totals.scanned} drivers checked, ${totals.updated} updated.`
+      })
+    });
+    console.log('✅ Status refresh summary sent');
+  } catch (emailError) {
+    console.error('⚠️ Could not send status refresh summary:', emailError.message);
+  }
+}
@@ -0,0 +1,128 @@
+/** @jest-environment node */
+// File: functions/refresh-driver-statuses-background.test.js
+
+const { createFakeMonday } = require('../dev/monday/fake-monday');
+const { loadFixtures } = require('../dev/monday/fixtures');
+const { installPlainFetch } = require('../dev/monday/plain-fetch');
+const { BOARD_A, formatColumnValues, getColumnId } = require('./lib/monday-columns');
+const { STATUS_FIELDS, calculateStatusFields } = require('./lib/status-fields');
+
+const STAFF_KEY = 'test-staff-key';
+const DRIVER_COUNT = 230;
+// Every 50th driver's licence expired yesterday, but Board A still says Valid
+const STALE_EVERY = 50;
+
+let monday;
+let handler;
+let writes;
+
+beforeAll(() => {
+  process.env.STAFF_API_KEY = STAFF_KEY;
+  // One page per monday-integration call, so the background function has to carry the cursor on
+  process.env.STATUS_REFRESH_TIME_BUDGET_MS = '1';
+  handler = require('./refresh-driver-statuses-background').handler;
+});
+
+afterAll(() => {
+  delete process.env.STAFF_API_KEY;
+  delete process.env.STATUS_REFRESH_TIME_BUDGET_MS;
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  const boards = loadFixtures().map(board => (board.id === BOARD_A.id
+    ? { ...board, items: Array.from({ length: DRIVER_COUNT }, (_, index) => boardAItem(index)) }
+    : board));
+  monday = installPlainFetch({ fake: createFakeMonday({ boards }) });
+
+  // Status writes as { itemId: { columnId: label } }
+  writes = {};
+  const { execute } = monday.fake;
+  monday.fake.execute = (query, variables) => {
+    const write = query.match(/change_multiple_column_values \(\s*item_id: (\d+),[\s\S]*?column_values: ("(?:[^"\\]|\\.)*")/);
+    if (write) writes[write[1]] = JSON.parse(JSON.parse(write[2]));
+    return execute(query, variables);
+  };
+});
+
+afterEach(() => {
+  monday.restore();
+  jest.restoreAllMocks();
+});
+
+function addDays(days) {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// A UK driver whose stored statuses match their dates - apart from the stale ones
+function boardAItem(index) {
+  const stale = index % STALE_EVERY === 0;
+  const driver = {
+    email: `driver${index}@example.com`,
+    driverName: `Driver ${index}`,
+    licenseIssuedBy: 'DVLA',
+    licenseValidTo: addDays(stale ? -1 : 1000),
+    poa1ValidUntil: addDays(60),
+    poa2ValidUntil: addDays(60),
+    dvlaValidUntil: addDays(20)
+  };
+  const statuses = { ...calculateStatusFields(driver), ...(stale ? { licenseStatus: 'Valid' } : {}) };
+
+  return { id: String(7300000000 + index), name: driver.driverName, values: formatColumnValues(BOARD_A, { ...driver, ...statuses }) };
+}
+
+function runRefresh(body) {
+  return handler({ httpMethod: 'POST', headers: { authorization: `Bearer ${STAFF_KEY}` }, body });
+}
+
+function loggedSummary() {
+  const line = console.log.mock.calls.find(([message]) => message === '📊 Status refresh summary:');
+  return JSON.parse(line[1]);
+}
+
+describe('driver status refresh', () => {
+  test('every driver is checked, one batch after another', async () => {
+    expect((await runRefresh(null)).statusCode).toBe(200);
+
+    expect(loggedSummary()).toMatchObject({ complete: true, scanned: DRIVER_COUNT, errors: 0 });
+    const batches = monday.requests.filter(url => url.endsWith('/.netlify/functions/monday-integration'));
+    expect(batches.length).toBeGreaterThanOrEqual(Math.ceil(DRIVER_COUNT / 100));
+  });
+
+  test('only drivers whose statuses moved are written, and only the columns that moved', async () => {
+    await runRefresh(null);
+
+    const staleIds = Object.keys(writes).sort();
+    expect(staleIds).toEqual(['7300000000', '7300000050', '7300000100', '7300000150', '7300000200']);
+    staleIds.forEach(itemId => {
+      expect(writes[itemId]).toEqual({ [getColumnId(BOARD_A, 'licenseStatus')]: { label: 'Expired' } });
+    });
+    expect(loggedSummary()).toMatchObject({ updated: 5, movedToExpired: 5 });
+
+    const refreshed = monday.fake.listItems(BOARD_A.id).find(item => item.id === '7300000050');
+    const statuses = STATUS_FIELDS.map(field => refreshed.column_values.find(column => column.id === getColumnId(BOARD_A, field)).text);
+    expect(statuses).toEqual(['Expired', 'Valid', 'Valid', 'Not Required', 'Approved']);
+  });
+
+  test('a second run has nothing left to write', async () => {
+    await runRefresh(null);
+    writes = {};
+    console.log.mockClear();
+
+    await runRefresh(null);
+
+    expect(writes).toEqual({});
+    expect(loggedSummary()).toMatchObject({ scanned: DRIVER_COUNT, updated: 0 });
+  });
+
+  test('a dry run counts the changes and writes nothing', async () => {
+    await runRefresh(JSON.stringify({ dryRun: true }));
+
+    expect(writes).toEqual({});
+    expect(loggedSummary()).toMatchObject({ dryRun: true, updated: 5, movedToExpired: 5 });
+  });
+});
@@ -0,0 +1,31 @@
+// File: functions/refresh-driver-statuses.js
+// OOOSH Driver Verification - Daily status refresh (scheduled)
+// Schedule is set in netlify.toml. Scheduled functions are limited to 30 seconds,
+// so this only starts refresh-driver-statuses-background, which does the paging.
+
+exports.handler = async (event, context) => {
+  console.log('⏰ Scheduled driver status refresh triggered');
+
+  if (!process.env.STAFF_API_KEY) {
+    console.error('❌ STAFF_API_KEY not configured - status refresh skipped');
+    return { statusCode: 503 };
+  }
+
+  try {
+    const response = await fetch(`${process.env.URL}/.netlify/functions/refresh-driver-statuses-background`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${process.env.STAFF_API_KEY}`
+      },
+      body: JSON.stringify({ actor: 'system' })
+    });
+
+    console.log('✅ Status refresh started:', response.status);
+    return { statusCode: 200 };
+
+  } catch (error) {
+    console.error('❌ Could not start status refresh:', error.message);
+    return { statusCode: 500 };
+  }
+};
@@ -1,11 +1,15 @@
 // File: functions/send-confirmation.js
 // Sends confirmation email using Google Apps Script (same as verification emails)
+// Needs the driver's session token (X-Session-Token) - only sent to the verified email
+
+const { sendEmail } = require('./lib/mailer');
+const { requireDriverSession } = require('./lib/session');
 
 exports.handler = async (event, context) => {
   const headers = {
     'Content-Type': 'application/json',
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Session-Token',
     'Access-Control-Allow-Methods': 'POST, OPTIONS'
   };
 
@@ -29,6 +33,16 @@ exports.handler = async (event, context) => {
       throw new Error('Email and summary are required');
     }
 
+    // 🔒 SECURITY: Stops the function being used to send our email to anyone
+    const auth = requireDriverSession(event, { email, jobId });
+    if (!auth.ok) {
+      return {
+        statusCode: auth.statusCode,
+        headers,
+        body: JSON.stringify({ error: auth.error })
+      };
+    }
+
     // Format the insurance questions nicely
     const formatYesNo = (value) => {
       if (value === true || value === 'yes' || value === 'Yes') return 'Yes';
@@ -129,36 +143,13 @@ exports.handler = async (event, context) => {
       </div>
     `;
 
-    // Call your Google Apps Script to send the email
-    const scriptUrl = process.env.GOOGLE_APPS_SCRIPT_URL;
-    
-    if (!scriptUrl) {
-      throw new Error('Google Apps Script URL not configured');
-    }
-
     console.log('Sending confirmation email via Google Apps Script');
-    
-    const response = await fetch(scriptUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        action: 'send-confirmation',  // Using hyphenated format
-        email: email,
-        subject: `Hire form completed - Job ${jobId || ''}`,
-        htmlBody: htmlContent,
-        fromEmail: 'info@oooshtours.co.uk',
-        fromName: 'Ooosh Tours'
-      })
-    });
 
-    const result = await response.text();
-    console.log('Google Apps Script response:', result);
-
-    if (!response.ok) {
-      throw new Error(`Failed to send email via Google Apps Script: ${result}`);
-    }
+    await sendEmail({
+      to: email,
+      subject: `Hire form completed - Job ${jobId || ''}`,
+      htmlBody: htmlContent
+    });
 
     return {
       statusCode: 200,
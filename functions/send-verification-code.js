@@ -1,79 +1,34 @@
 // File: functions/send-verification-code.js
 // Ooosh Tours Driver Verification - Send Email Verification Code
 // Production-ready version with rate limiting and security hardening
-
-// 🔒 RATE LIMITING: In-memory store for send attempts
-const sendAttempts = new Map();
-
-// Cleanup old attempts every 5 minutes to prevent memory bloat
-setInterval(() => {
-  const now = Date.now();
-  const oneHourAgo = now - (60 * 60 * 1000);
-  
-  for (const [email, attempts] of sendAttempts.entries()) {
-    const recent = attempts.filter(time => time > oneHourAgo);
-    if (recent.length === 0) {
-      sendAttempts.delete(email);
-    } else {
-      sendAttempts.set(email, recent);
-    }
-  }
-}, 5 * 60 * 1000);
-
-/**
- * Check if email has exceeded rate limit
- * @param {string} email - Email address to check
- * @returns {boolean} - True if within limit, false if exceeded
- */
-function checkRateLimit(email) {
-  const now = Date.now();
-  const attempts = sendAttempts.get(email) || [];
-  
-  // Remove attempts older than 1 hour
-  const recent = attempts.filter(time => now - time < 60 * 60 * 1000);
-  
-  // Max 10 codes per hour per email
-  if (recent.length >= 10) {
-    return false;
-  }
-  
-  // Record this attempt
-  sendAttempts.set(email, [...recent, now]);
-  return true;
-}
-
-/**
- * Validate email format using RFC 5322 compliant regex
- * @param {string} email - Email address to validate
- * @returns {boolean} - True if valid format
- */
-function isValidEmail(email) {
-  if (!email || typeof email !== 'string') {
-    return false;
+// channel: 'email' (default) or 'sms' - texts go to the mobile number already on file for the email
+// inviteToken: the signed ?invite= the driver arrived with - required unless they already hold a
+// session for the job (X-Session-Token) or ALLOW_RAW_JOB_LINKS=true (see lib/job-invite.js)
+
+const { isValidEmail, sanitizeEmail } = require('./lib/validation');
+const { CODE_CHANNELS, getVerificationCodeStore } = require('./lib/verification-codes');
+const { getDriverRepository } = require('./lib/driver-repository');
+const { isMondayLimitError } = require('./lib/monday-api');
+const { isSmsConfigured, toE164, maskPhoneNumber } = require('./lib/sms');
+const { consumeRateLimits, getClientIp, rateLimitResponse, formatRetryAfter } = require('./lib/rate-limit');
+const { checkJobEntry } = require('./lib/job-invite');
+const { requireDriverSession } = require('./lib/session');
+
+// 🔒 RATE LIMITING: Sliding windows shared by every instance (see lib/rate-limit.js), per channel
+// Per email stops one inbox or phone being flooded; per IP and per job stop one caller cycling
+// through addresses or job numbers. Texts cost money, so they're limited harder.
+const SEND_LIMITS = {
+  email: {
+    email: { max: 10, windowSeconds: 60 * 60 },
+    ip: { max: 30, windowSeconds: 60 * 60 },
+    job: { max: 100, windowSeconds: 60 * 60 }
+  },
+  sms: {
+    email: { max: 5, windowSeconds: 60 * 60 },
+    ip: { max: 10, windowSeconds: 60 * 60 },
+    job: { max: 50, windowSeconds: 60 * 60 }
   }
-  
-  // Basic email regex - checks for user@domain.tld format
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  
-  // Additional checks
-  return (
-    emailRegex.test(email) &&
-    email.length <= 254 && // RFC 5321 max length
-    email.length >= 6 &&    // Minimum realistic email
-    !email.includes('..') && // No consecutive dots
-    !email.startsWith('.') && // No leading dot
-    !email.endsWith('.')      // No trailing dot
-  );
-}
-
-/**
- * Sanitize email input to prevent injection attacks
- * @param {string} email - Email to sanitize
- * @returns {string} - Sanitized email
- */
-function sanitizeEmail(email) {
-  return email.trim().toLowerCase();
-}
+};
 
 exports.handler = async (event) => {
   // 🔒 SECURITY: CORS headers - Allow both domains for future migration
@@ -83,9 +38,10 @@ exports.handler = async (event) => {
       event.headers.origin === 'https://oooshtours.co.uk'
         ? event.headers.origin
         : 'https://ooosh-driver-verification.netlify.app',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, X-Session-Token',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
     'Access-Control-Allow-Credentials': 'true',
+    'Access-Control-Expose-Headers': 'Retry-After',
     'Content-Type': 'application/json'
   };
 
@@ -114,11 +70,13 @@ exports.handler = async (event) => {
     }
 
     // Parse and validate request data
-    let email, jobId;
+    let email, jobId, channel, inviteToken;
     try {
       const parsed = JSON.parse(event.body);
       email = parsed.email;
       jobId = parsed.jobId;
+      channel = parsed.channel || 'email';
+      inviteToken = parsed.inviteToken;
     } catch (parseError) {
       return {
         statusCode: 400,
@@ -147,84 +105,104 @@ exports.handler = async (event) => {
       };
     }
 
-    // 🔒 SECURITY: Check rate limit
-    if (!checkRateLimit(email)) {
-      console.log(`⚠️ Rate limit exceeded for email: ${email}`);
+    if (!Object.hasOwn(CODE_CHANNELS, channel)) {
       return {
-        statusCode: 429,
+        statusCode: 400,
         headers,
-        body: JSON.stringify({ 
-          error: 'Too many verification requests. Please try again in an hour.',
-          retryAfter: 3600
-        })
+        body: JSON.stringify({ error: 'channel must be email or sms' })
       };
     }
 
-    // 🔒 SECURITY: Ensure Google Apps Script URL is configured
-    if (!process.env.GOOGLE_APPS_SCRIPT_URL) {
-      console.error('❌ GOOGLE_APPS_SCRIPT_URL not configured');
+    // 🔒 SECURITY: Only for a hire the driver was invited to - or already verified for
+    const entry = checkJobEntry({ inviteToken, jobId, email });
+    if (!entry.ok && !hasSessionForJob(event, email, jobId)) {
+      console.log(`🔒 Code refused for job ${jobId}: ${entry.error}`);
       return {
-        statusCode: 503,
+        statusCode: entry.statusCode,
         headers,
-        body: JSON.stringify({ 
-          error: 'Email verification service temporarily unavailable' 
-        })
+        body: JSON.stringify({ error: entry.error })
       };
     }
 
-    // Call Google Apps Script to send verification email
-    console.log('✅ Sending verification code');
-    
-    const response = await fetch(process.env.GOOGLE_APPS_SCRIPT_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        action: 'send-verification-code',
-        email: email,
-        jobId: jobId
-      })
-    });
-
-    // Handle Apps Script response
-    if (!response.ok) {
-      console.error('❌ Apps Script error:', response.status);
+    if (channel === 'sms' && !isSmsConfigured()) {
       return {
-        statusCode: 502,
+        statusCode: 400,
         headers,
-        body: JSON.stringify({ 
-          error: 'Failed to send verification email' 
-        })
+        body: JSON.stringify({ error: 'Text message codes are not available - please use email' })
       };
     }
 
-    const result = await response.json();
+    // 🔒 SECURITY: Check rate limits
+    const limits = SEND_LIMITS[channel];
+    const rateLimit = await consumeRateLimits([
+      { name: `send-code:${channel}:email`, key: email, ...limits.email },
+      { name: `send-code:${channel}:ip`, key: getClientIp(event), ...limits.ip },
+      { name: `send-code:${channel}:job`, key: String(jobId), ...limits.job }
+    ]);
+
+    if (!rateLimit.allowed) {
+      return rateLimitResponse(rateLimit, headers,
+        `Too many verification requests. Please try again in ${formatRetryAfter(rateLimit.retryAfterSeconds)}.`);
+    }
+
+    // 🔒 SECURITY: Only ever text the number on file - a number typed in now proves nothing
+    let phone = null;
+    if (channel === 'sms') {
+      const driver = await getDriverRepository().findByEmail(email);
+      phone = toE164(driver?.phoneCountry, driver?.phoneNumber);
+
+      if (!phone) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: "We don't have a mobile number for this email yet - please use email" })
+        };
+      }
+    }
+
+    // Generate and send the code (see lib/verification-codes.js)
+    console.log(`✅ Sending verification code by ${channel}`);
+
+    const sent = await getVerificationCodeStore().sendCode(email, jobId, { channel, phone });
 
-    // Verify Apps Script succeeded
-    if (!result.success) {
-      console.error('❌ Apps Script returned failure');
+    if (!sent.ok) {
       return {
-        statusCode: 500,
+        statusCode: sent.statusCode,
         headers,
         body: JSON.stringify({ 
-          error: result.error || 'Failed to send verification email' 
+          error: sent.error 
         })
       };
     }
 
     // Success
-    console.log('✅ Verification email sent successfully');
+    console.log(`✅ Verification ${channel === 'sms' ? 'text' : 'email'} sent successfully`);
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({
         success: true,
-        message: 'Verification code sent successfully'
+        message: 'Verification code sent successfully',
+        channel,
+        sentTo: channel === 'sms' ? maskPhoneNumber(phone) : email,
+        linkSent: !!sent.linkSent
       })
     };
 
   } catch (error) {
+    if (isMondayLimitError(error)) {
+      const retryAfterSeconds = error.retryAfterSeconds || 60;
+      console.error(`⏳ Send code: Monday.com limit reached (${error.code})`);
+      return {
+        statusCode: 503,
+        headers: { ...headers, 'Retry-After': String(retryAfterSeconds) },
+        body: JSON.stringify({
+          error: 'Text message codes are busy right now - please use email or try again shortly',
+          retryAfter: retryAfterSeconds
+        })
+      };
+    }
+
     console.error('❌ Unexpected error:', error.message);
     
     return {
@@ -236,3 +214,12 @@ exports.handler = async (event) => {
     };
   }
 };
+
+// A driver session for this email and job - it was only issued after an invited sign-in
+function hasSessionForJob(event, email, jobId) {
+  const token = event.headers?.['x-session-token'] || event.headers?.['X-Session-Token'];
+  if (!token) return false;
+
+  const auth = requireDriverSession(event, { email, jobId });
+  return auth.ok && !!auth.session && auth.session.jobId === String(jobId);
+}
@@ -0,0 +1,133 @@
+/** @jest-environment node */
+// File: functions/send-verification-code.test.js
+
+jest.mock('./lib/mailer', () => ({ sendEmail: jest.fn() }));
+
+const JOB_ID = '11001';
+
+let driverCount = 0;
+
+beforeAll(() => {
+  process.env.DATABASE_URL = 'sqlite::memory:';
+  process.env.TOKEN_SIGNING_SECRET = 'test-token-secret';
+  process.env.URL = 'https://drivers.example.com';
+});
+
+afterAll(() => {
+  ['DATABASE_URL', 'TOKEN_SIGNING_SECRET', 'URL'].forEach(name => delete process.env[name]);
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete process.env.ALLOW_RAW_JOB_LINKS;
+  jest.restoreAllMocks();
+});
+
+// Each test works on its own driver so the per-email rate limit never gets in the way
+function nextDriver() {
+  driverCount += 1;
+  return `driver${driverCount}@example.com`;
+}
+
+// The function with ALLOW_RAW_JOB_LINKS as given - lib/job-invite reads it when it loads
+function loadFunction({ allowRawJobLinks }) {
+  if (allowRawJobLinks) process.env.ALLOW_RAW_JOB_LINKS = 'true';
+
+  let loaded;
+  jest.isolateModules(() => {
+    loaded = {
+      handler: require('./send-verification-code').handler,
+      sendEmail: require('./lib/mailer').sendEmail,
+      createJobInvite: require('./lib/job-invite').createJobInvite,
+      createDriverSession: require('./lib/session').createDriverSession
+    };
+  });
+  loaded.sendEmail.mockResolvedValue({});
+  return loaded;
+}
+
+async function requestCode(handler, body, headers = {}) {
+  const response = await handler({ httpMethod: 'POST', headers, body: JSON.stringify(body) });
+  return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+}
+
+describe('with invitation links required', () => {
+  let fn;
+
+  beforeEach(() => {
+    fn = loadFunction({ allowRawJobLinks: false });
+  });
+
+  test('a plain job number is refused and no code is sent', async () => {
+    const result = await requestCode(fn.handler, { email: nextDriver(), jobId: JOB_ID });
+
+    expect(result).toEqual({ statusCode: 403, error: 'Please use the invitation link you were sent for this hire' });
+    expect(fn.sendEmail).not.toHaveBeenCalled();
+  });
+
+  test('an invite for the job gets a code sent', async () => {
+    const email = nextDriver();
+    const { token } = fn.createJobInvite({ jobId: JOB_ID, email });
+
+    const result = await requestCode(fn.handler, { email, jobId: JOB_ID, inviteToken: token });
+
+    expect(result).toMatchObject({ statusCode: 200, success: true, sentTo: email });
+    expect(fn.sendEmail).toHaveBeenCalledWith(expect.objectContaining({ to: email }));
+  });
+
+  test('an invite for another hire is refused', async () => {
+    const email = nextDriver();
+    const { token } = fn.createJobInvite({ jobId: '11002' });
+
+    const result = await requestCode(fn.handler, { email, jobId: JOB_ID, inviteToken: token });
+
+    expect(result).toEqual({ statusCode: 403, error: 'This invitation is for a different hire' });
+  });
+
+  test('a driver already signed in for the job needs no invite', async () => {
+    const email = nextDriver();
+    const { token } = fn.createDriverSession(email, JOB_ID);
+
+    const result = await requestCode(fn.handler, { email, jobId: JOB_ID }, { 'x-session-token': token });
+
+    expect(result).toMatchObject({ statusCode: 200, success: true });
+  });
+
+  test('a session for another job is not enough', async () => {
+    const email = nextDriver();
+    const { token } = fn.createDriverSession(email, '11002');
+
+    const result = await requestCode(fn.handler, { email, jobId: JOB_ID }, { 'x-session-token': token });
+
+    expect(result.statusCode).toBe(403);
+    expect(fn.sendEmail).not.toHaveBeenCalled();
+  });
+});
+
+describe('with ALLOW_RAW_JOB_LINKS=true', () => {
+  let fn;
+
+  beforeEach(() => {
+    fn = loadFunction({ allowRawJobLinks: true });
+  });
+
+  test('a plain job number gets a code sent', async () => {
+    const email = nextDriver();
+
+    const result = await requestCode(fn.handler, { email, jobId: JOB_ID });
+
+    expect(result).toMatchObject({ statusCode: 200, success: true, sentTo: email });
+    expect(fn.sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  test('an invitation that was given is still checked', async () => {
+    const result = await requestCode(fn.handler, { email: nextDriver(), jobId: JOB_ID, inviteToken: 'not-a-token' });
+
+    expect(result).toEqual({ statusCode: 403, error: 'This invitation link is not valid' });
+    expect(fn.sendEmail).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,140 @@
+// File: functions/session-handoff.js
+// OOOSH Driver Verification - Carry a verified session from the desktop to a phone (see lib/session-handoff.js)
+// POST { action: 'create', email, jobId, step } → { handoffUrl, expiresAt } - shown as a QR code
+//   Needs the driver's session token (X-Session-Token) - see lib/session.js
+// POST { action: 'redeem', token } → { email, jobId, step, sessionToken, sessionExpiresAt }
+//   The phone's own session - the token works once
+
+const { requireDriverSession, createDriverSession } = require('./lib/session');
+const { isHandoffAvailable, createHandoff, redeemHandoff } = require('./lib/session-handoff');
+const { consumeRateLimits, getClientIp, rateLimitResponse, formatRetryAfter } = require('./lib/rate-limit');
+
+// 🔒 RATE LIMITING: Tokens are signed, but don't let one caller hammer the redeem step
+const REDEEM_LIMIT = { max: 20, windowSeconds: 15 * 60 };
+
+exports.handler = async (event, context) => {
+  console.log('Session handoff function called with method:', event.httpMethod);
+
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Session-Token',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Content-Type': 'application/json'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    if (!isHandoffAvailable()) {
+      return {
+        statusCode: 503,
+        headers,
+        body: JSON.stringify({ error: 'Phone handoff is not available' })
+      };
+    }
+
+    const requestData = JSON.parse(event.body || '{}');
+
+    switch (requestData.action) {
+      case 'create':
+        return await handleCreate(event, headers, requestData);
+      case 'redeem':
+        return await handleRedeem(event, headers, requestData);
+      default:
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: `Unknown action: ${requestData.action}` })
+        };
+    }
+
+  } catch (error) {
+    console.error('❌ Session handoff error:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        details: error.message
+      })
+    };
+  }
+};
+
+// The desktop asks for a QR code to carry on from - only for the driver it's verified as
+async function handleCreate(event, headers, { email, jobId, step }) {
+  if (!email || !jobId) {
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'email and jobId are required' })
+    };
+  }
+
+  const auth = requireDriverSession(event, { email, jobId });
+  if (!auth.ok) {
+    return {
+      statusCode: auth.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error })
+    };
+  }
+
+  const handoff = await createHandoff({ email, jobId, step });
+  console.log('📱 Handoff QR code created');
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ success: true, ...handoff })
+  };
+}
+
+// The phone scans the QR code and gets a session of its own
+async function handleRedeem(event, headers, { token }) {
+  const rateLimit = await consumeRateLimits([
+    { name: 'session-handoff:ip', key: getClientIp(event), ...REDEEM_LIMIT }
+  ]);
+
+  if (!rateLimit.allowed) {
+    return rateLimitResponse(rateLimit, headers,
+      `Too many attempts. Please try again in ${formatRetryAfter(rateLimit.retryAfterSeconds)}.`);
+  }
+
+  const handoff = await redeemHandoff(String(token || ''));
+
+  if (!handoff.valid) {
+    console.log(`🔒 Handoff refused: ${handoff.error}`);
+    return {
+      statusCode: 403,
+      headers,
+      body: JSON.stringify({ success: false, error: handoff.error })
+    };
+  }
+
+  const session = createDriverSession(handoff.email, handoff.jobId);
+  console.log('✅ Session handed off to phone');
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      email: handoff.email,
+      jobId: handoff.jobId,
+      step: handoff.step,
+      sessionToken: session.token,
+      sessionExpiresAt: session.expiresAt
+    })
+  };
+}
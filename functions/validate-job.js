@@ -1,6 +1,8 @@
 // File: functions/validate-job.js
-// OOOSH Driver Verification - Job Validation with Real Monday.com Dates
-// Updated to pull actual hire dates from Q&H Board 2431480012
+// OOOSH Driver Verification - Job Validation with Real Hire Dates
+// Pulls hire dates from the job source: Q&H Board 2431480012 (default) or HireHop (JOB_SOURCE=hirehop)
+
+const { getJobSource, isJobSourceConfigured } = require('./lib/job-source');
 
 exports.handler = async (event, context) => {
   console.log('Job validation function called');
@@ -36,8 +38,8 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Validate job against Monday.com Q&H Board
-    const jobValidation = await validateJobInMondayBoard(jobId);
+    // Validate job against the job source (Q&H board or HireHop)
+    const jobValidation = await validateJobInSource(jobId);
     
     if (!jobValidation.found) {
       return {
@@ -87,79 +89,36 @@ exports.handler = async (event, context) => {
   }
 };
 
-// Validate job against Monday.com Quotes & Hires Board
-async function validateJobInMondayBoard(jobId) {
+// Validate job against the configured job source (Monday.com Q&H board or HireHop)
+async function validateJobInSource(jobId) {
   try {
-    console.log('Checking Monday.com Q&H Board for job:', jobId);
-    
-    if (!process.env.MONDAY_API_TOKEN) {
-      console.log('Monday.com API token not configured, using mock validation');
+    if (!isJobSourceConfigured()) {
+      console.log('Job source not configured, using mock validation');
       return getMockJobValidation(jobId);
     }
 
-    // Search for job in Monday.com Q&H Board
-    const query = `
-      query {
-        items_page_by_column_values(
-          limit: 5
-          board_id: 2431480012
-          columns: [
-            {
-              column_id: "text7"
-              column_values: ["${jobId}"]
-            }
-          ]
-        ) {
-          items {
-            id
-            name
-            column_values {
-              id
-              text
-              ... on DateValue {
-                date
-              }
-            }
-          }
-        }
-      }
-    `;
+    const jobSource = getJobSource();
+    console.log(`Checking ${jobSource.source} for job:`, jobId);
 
-    const response = await fetch('https://api.monday.com/v2', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${process.env.MONDAY_API_TOKEN}`,
-        'API-Version': '2023-10'
-      },
-      body: JSON.stringify({ query })
-    });
+    const jobDetails = await jobSource.findJob(jobId);
 
-    if (!response.ok) {
-      throw new Error(`Monday.com API error: ${response.status}`);
+    if (!jobDetails) {
+      console.log('Job not found in job source');
+      return { found: false };
     }
 
-    const result = await response.json();
-    console.log('Monday.com API response:', JSON.stringify(result, null, 2));
-
-    if (result.errors) {
-      throw new Error(`Monday.com GraphQL errors: ${JSON.stringify(result.errors)}`);
-    }
+    console.log('Found job:', jobDetails.jobName);
+    console.log('Extracted job details:', jobDetails);
 
-    const items = result.data?.items_page_by_column_values?.items || [];
-    
-    if (items.length === 0) {
-      console.log('Job not found in Monday.com Q&H Board');
-      return { found: false };
+    if (jobDetails.status === 'cancelled') {
+      return {
+        found: true,
+        valid: false,
+        reason: 'This hire has been cancelled and driver verification is no longer available',
+        job: jobDetails
+      };
     }
 
-    // Process the first matching job
-    const job = items[0];
-    console.log('Found job in Monday.com:', job.name);
-
-    // Extract hire dates from column values
-    const jobDetails = extractJobDetails(job, jobId);
-    
     // Validate hire dates
     const validation = validateHireDates(jobDetails);
     
@@ -171,43 +130,12 @@ async function validateJobInMondayBoard(jobId) {
     };
 
   } catch (error) {
-    console.error('Monday.com validation error:', error);
-    // Fall back to mock validation if Monday.com fails
+    console.error('Job source validation error:', error);
+    // Fall back to mock validation if the job source fails
     return getMockJobValidation(jobId);
   }
 }
 
-// Extract job details from Monday.com item
-function extractJobDetails(mondayItem, jobId) {
-  const jobDetails = {
-    jobId: jobId,
-    jobNumber: jobId,
-    jobName: mondayItem.name || 'Unknown Job',
-    startDate: null,
-    endDate: null,
-    status: 'active'
-  };
-
-  // Extract dates from column values
-  mondayItem.column_values.forEach(column => {
-    switch (column.id) {
-      case 'date': // Start date column
-        if (column.date) {
-          jobDetails.startDate = formatDate(column.date);
-        }
-        break;
-      case 'dup__of_hire_starts': // End date column
-        if (column.date) {
-          jobDetails.endDate = formatDate(column.date);
-        }
-        break;
-    }
-  });
-
-  console.log('Extracted job details:', jobDetails);
-  return jobDetails;
-}
-
 // Validate hire dates with grace period
 function validateHireDates(jobDetails) {
   const today = new Date();
@@ -276,7 +204,11 @@ function getMockJobValidation(jobId) {
     jobName: 'Mock Event Transport',
     startDate: formatDate(startDate),
     endDate: formatDate(endDate),
-    status: 'active'
+    vehicle: null,
+    client: null,
+    driversRequired: null,
+    status: 'active',
+    source: 'mock'
   };
 
   return {
@@ -1,68 +1,21 @@
 // File: functions/verify-code.js
 // Ooosh Tours Driver Verification - Verify Email Code
 // Production-ready version with rate limiting and security hardening
-
-// 🔒 RATE LIMITING: In-memory store for verify attempts
-const verifyAttempts = new Map();
-
-// Cleanup old attempts every 5 minutes to prevent memory bloat
-setInterval(() => {
-  const now = Date.now();
-  const fifteenMinutesAgo = now - (15 * 60 * 1000);
-  
-  for (const [email, attempts] of verifyAttempts.entries()) {
-    const recent = attempts.filter(time => time > fifteenMinutesAgo);
-    if (recent.length === 0) {
-      verifyAttempts.delete(email);
-    } else {
-      verifyAttempts.set(email, recent);
-    }
-  }
-}, 5 * 60 * 1000);
-
-/**
- * Check if email has exceeded rate limit for verification attempts
- * @param {string} email - Email address to check
- * @returns {boolean} - True if within limit, false if exceeded
- */
-function checkRateLimit(email) {
-  const now = Date.now();
-  const attempts = verifyAttempts.get(email) || [];
-  
-  // Remove attempts older than 15 minutes
-  const recent = attempts.filter(time => now - time < 15 * 60 * 1000);
-  
-  // Max 10 verification attempts per 15 minutes
-  if (recent.length >= 10) {
-    return false;
-  }
-  
-  // Record this attempt
-  verifyAttempts.set(email, [...recent, now]);
-  return true;
-}
-
-/**
- * Validate email format using RFC 5322 compliant regex
- * @param {string} email - Email address to validate
- * @returns {boolean} - True if valid format
- */
-function isValidEmail(email) {
-  if (!email || typeof email !== 'string') {
-    return false;
-  }
-  
-  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-  
-  return (
-    emailRegex.test(email) &&
-    email.length <= 254 &&
-    email.length >= 6 &&
-    !email.includes('..') &&
-    !email.startsWith('.') &&
-    !email.endsWith('.')
-  );
-}
+// Codes are stored per (email, job) and only sent for a job the driver was invited to
+// (send-verification-code), so a session is never issued for any other job number
+
+const { isValidEmail, sanitizeEmail } = require('./lib/validation');
+const { createDriverSession } = require('./lib/session');
+const { CODE_CHANNELS, getVerificationCodeStore } = require('./lib/verification-codes');
+const { consumeRateLimits, getClientIp, rateLimitResponse, formatRetryAfter } = require('./lib/rate-limit');
+
+// 🔒 RATE LIMITING: Sliding windows shared by every instance (see lib/rate-limit.js), kept per channel
+// Per email caps guesses at one code; per IP and per job stop guessing spread across emails
+const VERIFY_LIMITS = {
+  email: { max: 10, windowSeconds: 15 * 60 },
+  ip: { max: 30, windowSeconds: 15 * 60 },
+  job: { max: 60, windowSeconds: 15 * 60 }
+};
 
 /**
  * Validate verification code format
@@ -80,15 +33,6 @@ function isValidCode(code) {
   return /^\d{6}$/.test(codeStr);
 }
 
-/**
- * Sanitize email input to prevent injection attacks
- * @param {string} email - Email to sanitize
- * @returns {string} - Sanitized email
- */
-function sanitizeEmail(email) {
-  return email.trim().toLowerCase();
-}
-
 exports.handler = async (event) => {
   // 🔒 SECURITY: CORS headers - Allow both domains for future migration
   const headers = {
@@ -100,6 +44,7 @@ exports.handler = async (event) => {
     'Access-Control-Allow-Headers': 'Content-Type',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
     'Access-Control-Allow-Credentials': 'true',
+    'Access-Control-Expose-Headers': 'Retry-After',
     'Content-Type': 'application/json'
   };
 
@@ -128,12 +73,14 @@ exports.handler = async (event) => {
     }
 
     // Parse and validate request data
-    let email, code, jobId;
+    let email, code, jobId, channel, linkToken;
     try {
       const parsed = JSON.parse(event.body);
       email = parsed.email;
       code = parsed.code;
       jobId = parsed.jobId;
+      channel = parsed.channel || 'email';
+      linkToken = parsed.linkToken;
     } catch (parseError) {
       return {
         statusCode: 400,
@@ -142,6 +89,11 @@ exports.handler = async (event) => {
       };
     }
 
+    // Sign-in link from the code email - carries its own email and job
+    if (linkToken) {
+      return await redeemSignInLink(event, headers, String(linkToken));
+    }
+
     // Validate required fields
     if (!email || !code || !jobId) {
       return {
@@ -173,112 +125,45 @@ exports.handler = async (event) => {
       };
     }
 
-    // 🔒 SECURITY: Check rate limit
-    if (!checkRateLimit(email)) {
-      console.log('⚠️ Rate limit exceeded for verification attempts');
+    if (!Object.hasOwn(CODE_CHANNELS, channel)) {
       return {
-        statusCode: 429,
-        headers,
-        body: JSON.stringify({ 
-          error: 'Too many verification attempts. Please try again in 15 minutes.',
-          retryAfter: 900
-        })
-      };
-    }
-
-    // 🔒 SECURITY: Ensure Google Apps Script URL is configured
-    if (!process.env.GOOGLE_APPS_SCRIPT_URL) {
-      console.error('❌ GOOGLE_APPS_SCRIPT_URL not configured');
-      return {
-        statusCode: 503,
+        statusCode: 400,
         headers,
-        body: JSON.stringify({ 
-          error: 'Email verification service temporarily unavailable' 
-        })
+        body: JSON.stringify({ error: 'channel must be email or sms' })
       };
     }
 
-    // Call Google Apps Script for verification
-    console.log('✅ Verifying code');
-    
-    const response = await fetch(process.env.GOOGLE_APPS_SCRIPT_URL, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
-        action: 'verify-code',
-        email: email,
-        code: codeStr,
-        jobId: jobId
-      })
-    });
+    // 🔒 SECURITY: Check rate limits
+    const rateLimit = await consumeRateLimits([
+      { name: `verify-code:${channel}:email`, key: email, ...VERIFY_LIMITS.email },
+      { name: `verify-code:${channel}:ip`, key: getClientIp(event), ...VERIFY_LIMITS.ip },
+      { name: `verify-code:${channel}:job`, key: String(jobId), ...VERIFY_LIMITS.job }
+    ]);
 
-    // Handle non-OK responses
-    if (!response.ok) {
-      console.error('❌ Apps Script error:', response.status);
-      return {
-        statusCode: 502,
-        headers,
-        body: JSON.stringify({ 
-          error: 'Verification service error' 
-        })
-      };
+    if (!rateLimit.allowed) {
+      return rateLimitResponse(rateLimit, headers,
+        `Too many verification attempts. Please try again in ${formatRetryAfter(rateLimit.retryAfterSeconds)}.`);
     }
 
-    // Parse response - handle potential JSON errors
-    let result;
-    try {
-      const rawText = await response.text();
-      result = JSON.parse(rawText);
-    } catch (parseError) {
-      console.error('❌ Invalid JSON response from Apps Script');
-      return {
-        statusCode: 502,
-        headers,
-        body: JSON.stringify({ 
-          error: 'Verification service returned invalid response' 
-        })
-      };
-    }
+    // Check the code (see lib/verification-codes.js)
+    console.log('✅ Verifying code');
 
-    // Check if Apps Script returned an error
-    if (result.error) {
-      console.log('⚠️ Verification failed:', result.error);
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ 
-          success: false, 
-          error: result.error 
-        })
-      };
-    }
+    const check = await getVerificationCodeStore().checkCode(email, jobId, codeStr, { channel });
 
-    // Check if verification was successful
-    if (!result.success || !result.verified) {
-      console.log('⚠️ Invalid verification code');
+    if (!check.ok) {
+      console.log('⚠️ Verification failed:', check.error);
       return {
-        statusCode: 400,
+        statusCode: check.statusCode,
         headers,
         body: JSON.stringify({ 
           success: false, 
-          error: 'Invalid verification code' 
+          error: check.error 
         })
       };
     }
 
-    // Verification successful
     console.log('✅ Verification successful');
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({
-        success: true,
-        verified: true,
-        message: 'Email verified successfully'
-      })
-    };
+    return verifiedResponse(headers, email, jobId);
 
   } catch (error) {
     console.error('❌ Unexpected error:', error.message);
@@ -292,3 +177,52 @@ exports.handler = async (event) => {
     };
   }
 };
+
+// Magic link (see lib/verification-codes.js) - single use, so only limited per IP
+async function redeemSignInLink(event, headers, linkToken) {
+  const rateLimit = await consumeRateLimits([
+    { name: 'verify-code:email:ip', key: getClientIp(event), ...VERIFY_LIMITS.ip }
+  ]);
+
+  if (!rateLimit.allowed) {
+    return rateLimitResponse(rateLimit, headers,
+      `Too many verification attempts. Please try again in ${formatRetryAfter(rateLimit.retryAfterSeconds)}.`);
+  }
+
+  const link = await getVerificationCodeStore().redeemLink(linkToken);
+
+  if (!link.ok) {
+    console.log('⚠️ Sign-in link refused:', link.error);
+    return {
+      statusCode: link.statusCode,
+      headers,
+      body: JSON.stringify({ 
+        success: false, 
+        error: link.error 
+      })
+    };
+  }
+
+  console.log('✅ Verification successful via sign-in link');
+  return verifiedResponse(headers, link.email, link.jobId);
+}
+
+// Verification successful - the session token is what the other functions check.
+// email and jobId are echoed back so a link opened on another device knows where to carry on.
+function verifiedResponse(headers, email, jobId) {
+  const session = createDriverSession(email, jobId);
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      success: true,
+      verified: true,
+      message: 'Email verified successfully',
+      email,
+      jobId: String(jobId),
+      sessionToken: session.token,
+      sessionExpiresAt: session.expiresAt
+    })
+  };
+}
@@ -9,6 +9,8 @@ import POAValidationPage from './POAValidationPage';
 import PassportUploadPage from './PassportUploadPage';
 import ProcessingHub from './ProcessingHub';
 import SignaturePage from './SignaturePage';
+import HandoffQRCode from './HandoffQRCode';
+import { sessionHeaders, SESSION_TOKEN_KEY, RAW_JOB_LINKS_ALLOWED, saveInvite, getInviteToken } from './session';
 
 const DriverVerificationApp = () => {
   const [jobId, setJobId] = useState('');
@@ -18,6 +20,11 @@ const DriverVerificationApp = () => {
   const [verificationCode, setVerificationCode] = useState('');
   const [currentStep, setCurrentStep] = useState('landing');
   const [jobDetails, setJobDetails] = useState(null);
+  const [jobRoster, setJobRoster] = useState(null);
+  const [inviteEmail, setInviteEmail] = useState('');
+  const [signInLinkSent, setSignInLinkSent] = useState(false);
+  const [codeChannel, setCodeChannel] = useState('email');
+  const [codeSentTo, setCodeSentTo] = useState('');
   const [driverStatus, setDriverStatus] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
@@ -42,17 +49,11 @@ const DriverVerificationApp = () => {
     }, 0);
   };
   
-  const calculateExpiryDate = (daysToAdd) => {
-    const date = new Date();
-    date.setDate(date.getDate() + daysToAdd);
-    return date.toISOString().split('T')[0];
-  };
-
   const updateDriverData = async (updates) => {
     try {
       const response = await fetch('/.netlify/functions/monday-integration', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({
           action: 'update-driver-board-a',
           email: driverEmail,
@@ -71,9 +72,37 @@ const DriverVerificationApp = () => {
     }
   };
 
+  // Record what document-processor read from a document - validity dates and points are
+  // signed server-side (resultToken), the browser only passes them on
+  const recordDocumentResult = async (resultToken) => {
+    if (!resultToken) return null;
+
+    try {
+      const response = await fetch('/.netlify/functions/monday-integration', {
+        method: 'POST',
+        headers: sessionHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({
+          action: 'record-document-results',
+          email: driverEmail,
+          jobId,
+          results: [resultToken]
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error('Failed to record document result');
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error recording document result:', error.message);
+      throw error;
+    }
+  };
+
   // 🔒 SECURITY: Validate active session
   const validateSession = (requiredEmail) => {
-    const sessionToken = sessionStorage.getItem('verificationSessionToken');
+    const sessionToken = sessionStorage.getItem(SESSION_TOKEN_KEY);
     const sessionEmail = sessionStorage.getItem('sessionDriverEmail');
     const sessionStart = sessionStorage.getItem('sessionStartTime');
     
@@ -158,6 +187,12 @@ const DriverVerificationApp = () => {
       return true; // Session checked in URL handler
     }
     
+    // 🔒 SECURITY: Once the email is verified (server-signed session) the driver carries on
+    // from the step their status calls for - a sign-in link arrives here straight from landing
+    if (['contact-details', 'document-upload'].includes(requestedStep) && sessionStorage.getItem(SESSION_TOKEN_KEY)) {
+      return true;
+    }
+    
     // Can go backward or forward one step at a time
     if (requestedIndex <= currentIndex) {
       return true; // Backward navigation allowed
@@ -220,9 +255,12 @@ const DriverVerificationApp = () => {
     const jobParam = urlParams.get('job');
     const emailParam = urlParams.get('email');
     const stepParam = urlParams.get('step');
+    const inviteParam = urlParams.get('invite');
+    const signInParam = urlParams.get('signin');
+    const handoffParam = urlParams.get('handoff');
     
     // 🧹 CLEANUP: Minimal URL logging
-    console.log('📍 Loading verification:', { step: stepParam, hasEmail: !!emailParam, hasJob: !!jobParam });
+    console.log('📍 Loading verification:', { step: stepParam, hasEmail: !!emailParam, hasJob: !!jobParam, hasInvite: !!inviteParam, hasSignIn: !!signInParam, hasHandoff: !!handoffParam });
     
     // Handle direct navigation to specific steps
     if (stepParam === 'processing-hub' && emailParam) {
@@ -301,8 +339,29 @@ const DriverVerificationApp = () => {
       return;
     }
     
-    // Handle normal job flow
-    if (jobParam) {
+    // 🔒 SECURITY: Desktop-to-phone QR codes carry a verified session - checked and used up server-side
+    if (handoffParam) {
+      openHandoff(handoffParam);
+      return;
+    }
+    
+    // 🔒 SECURITY: Sign-in links from the code email verify the driver - checked and used up server-side
+    if (signInParam) {
+      openSignInLink(signInParam);
+      return;
+    }
+    
+    // 🔒 SECURITY: Signed invitation links carry the job number - checked server-side
+    if (inviteParam) {
+      openInvitation(inviteParam);
+      return;
+    }
+    
+    // Handle normal job flow - a bare job number needs an invitation (or session) from this tab
+    // unless raw job links are switched on
+    if (jobParam && !RAW_JOB_LINKS_ALLOWED && !getInviteToken(jobParam) && !sessionStorage.getItem(SESSION_TOKEN_KEY)) {
+      setError('Please open the invitation link you were sent for this hire.');
+    } else if (jobParam) {
       setJobId(jobParam);
       validateJobAndFetchDetails(jobParam);
     } else {
@@ -336,10 +395,130 @@ const DriverVerificationApp = () => {
   // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
-  const validateJobAndFetchDetails = async (jobIdParam) => {
+  const openInvitation = async (token) => {
+    setLoading(true);
+    try {
+      const response = await fetch(`/.netlify/functions/job-invite?token=${encodeURIComponent(token)}`);
+      const result = await response.json();
+
+      if (!response.ok || !result.valid) {
+        console.error('❌ Invitation refused:', result.error);
+        setError(result.error === 'Token has expired'
+          ? 'This invitation link has expired. Please ask the lead hirer or Ooosh Tours for a new one.'
+          : 'This invitation link is not valid. Please use the link exactly as it was sent to you.');
+        setLoading(false);
+        return;
+      }
+
+      setJobId(result.jobId);
+      saveInvite(token, result.jobId);
+      if (result.email) {
+        setDriverEmail(result.email);
+        setInviteEmail(result.email);
+      }
+      validateJobAndFetchDetails(result.jobId);
+    } catch (err) {
+      console.error('❌ Invitation check error:', err.message);
+      setError('Failed to open invitation. Please try again or contact support.');
+      setLoading(false);
+    }
+  };
+
+  // Magic link from the code email - may be opened on a different device from the one that asked for it
+  const openSignInLink = async (token) => {
+    setLoading(true);
+
+    // The link only works once - a reload should start from the job, not retry the link
+    window.history.replaceState({}, '', window.location.pathname);
+
+    try {
+      const response = await fetch('/.netlify/functions/verify-code', {
+        method: 'POST',
+        headers: { 
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        body: JSON.stringify({ linkToken: token })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok || !data.verified) {
+        console.error('❌ Sign-in link refused:', data.error);
+        setError(data.error || 'This sign-in link is not valid. Please request a new code.');
+        setLoading(false);
+        return;
+      }
+
+      console.log('✅ Email verified via sign-in link');
+      window.history.replaceState({}, '', `${window.location.pathname}?job=${encodeURIComponent(data.jobId)}`);
+      setJobId(data.jobId);
+      setDriverEmail(data.email);
+      startVerifiedSession(data.sessionToken, data.email);
+
+      if (await validateJobAndFetchDetails(data.jobId, { showEmailEntry: false })) {
+        await checkDriverStatusEarly(data.email, data.jobId);
+      }
+    } catch (err) {
+      console.error('❌ Sign-in link error:', err.message);
+      setError('Failed to open sign-in link. Please try again or request a new code.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Phone picking up where the desktop left off (HandoffQRCode)
+  const openHandoff = async (token) => {
+    setLoading(true);
+
+    // The QR code only works once - a reload should start from the job, not retry it
+    window.history.replaceState({}, '', window.location.pathname);
+
+    try {
+      const response = await fetch('/.netlify/functions/session-handoff', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action: 'redeem', token })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        console.error('❌ Handoff refused:', data.error);
+        setError(data.error || 'This QR code is not valid. Please show a new one on your computer.');
+        setLoading(false);
+        return;
+      }
+
+      console.log('✅ Session handed over from another device');
+      window.history.replaceState({}, '', `${window.location.pathname}?job=${encodeURIComponent(data.jobId)}`);
+      setJobId(data.jobId);
+      setDriverEmail(data.email);
+      startVerifiedSession(data.sessionToken, data.email);
+
+      if (!(await validateJobAndFetchDetails(data.jobId, { showEmailEntry: false }))) {
+        return;
+      }
+
+      // Pages that check their own data can be opened directly; earlier steps follow the driver's status
+      if (['processing-hub', 'poa-validation', 'dvla-processing', 'passport-upload', 'signature'].includes(data.step)) {
+        handleStepChange(data.step);
+      } else {
+        await checkDriverStatusEarly(data.email, data.jobId);
+      }
+    } catch (err) {
+      console.error('❌ Handoff error:', err.message);
+      setError('Failed to open QR code link. Please show a new one on your computer.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Returns true when the job can be verified for
+  const validateJobAndFetchDetails = async (jobIdParam, { showEmailEntry = true } = {}) => {
     setLoading(true);
     try {
-      const response = await fetch(`/.netlify/functions/validate-job?jobId=${jobIdParam}`);
+      const response = await fetch(`/.netlify/functions/validate-job?jobId=${encodeURIComponent(jobIdParam)}`);
       
       if (!response.ok) {
         throw new Error('Failed to validate job');
@@ -349,21 +528,40 @@ const DriverVerificationApp = () => {
       
       if (!result.valid) {
         setError(result.message || 'This hire is no longer available for driver verification.');
-        return;
+        return false;
       }
       
       setJobDetails(result.job);
-      handleStepChange('email-entry');
+      if (showEmailEntry) handleStepChange('email-entry');
       setError('');
+      fetchJobRoster(jobIdParam);
+      return true;
     } catch (err) {
       console.error('❌ Job validation error:', err.message);
       setError('Failed to validate job. Please try again or contact support.');
+      return false;
     } finally {
       setLoading(false);
     }
   };
 
-  const sendVerificationEmail = async () => {
+  // "2 of 3 drivers verified" - nice to have, so failures are ignored
+  const fetchJobRoster = async (jobIdParam) => {
+    try {
+      const response = await fetch(`/.netlify/functions/job-roster?jobId=${encodeURIComponent(jobIdParam)}`);
+      if (!response.ok) return;
+
+      const result = await response.json();
+      if (result.driversRequired) {
+        setJobRoster(result);
+      }
+    } catch (err) {
+      console.error('⚠️ Job roster unavailable:', err.message);
+    }
+  };
+
+  // channel: 'email', or 'sms' to text the code to the mobile number we already hold for this email
+  const sendVerificationEmail = async (channel = 'email') => {
     if (!driverEmail || !driverEmail.includes('@')) {
       setError('Please enter a valid email address');
       return;
@@ -374,17 +572,19 @@ const DriverVerificationApp = () => {
     
     try {
       // 🧹 CLEANUP: Removed detailed logging
-      console.log('📧 Sending verification code');
+      console.log(`📧 Sending verification code by ${channel}`);
       
       const response = await fetch('/.netlify/functions/send-verification-code', {
         method: 'POST',
-        headers: { 
+        headers: sessionHeaders({ 
           'Content-Type': 'application/json',
           'Accept': 'application/json'
-        },
+        }),
         body: JSON.stringify({ 
           email: driverEmail, 
-          jobId: jobId 
+          jobId: jobId,
+          channel,
+          inviteToken: getInviteToken(jobId)
         })
       });
 
@@ -394,13 +594,16 @@ const DriverVerificationApp = () => {
         throw new Error(data.error || `HTTP error! status: ${response.status}`);
       }
       
+      setCodeChannel(channel);
+      setCodeSentTo(data.sentTo || driverEmail);
+      setSignInLinkSent(!!data.linkSent);
       handleStepChange('email-verification');
       
       // 🔒 SECURITY: Removed test mode logging
       
     } catch (err) {
       console.error('❌ Send verification error:', err.message);
-      setError(`Failed to send verification email: ${err.message}`);
+      setError(`Failed to send verification ${channel === 'sms' ? 'text' : 'email'}: ${err.message}`);
     } finally {
       setLoading(false);
     }
@@ -408,7 +611,7 @@ const DriverVerificationApp = () => {
 
   const verifyEmailCode = async () => {
     if (!verificationCode || verificationCode.length < 6) {
-      setError('Please enter the 6-digit code from your email');
+      setError(`Please enter the 6-digit code from your ${codeChannel === 'sms' ? 'text message' : 'email'}`);
       return;
     }
 
@@ -425,7 +628,8 @@ const DriverVerificationApp = () => {
         body: JSON.stringify({ 
           email: driverEmail, 
           code: verificationCode,
-          jobId: jobId 
+          jobId: jobId,
+          channel: codeChannel
         })
       });
 
@@ -438,12 +642,7 @@ const DriverVerificationApp = () => {
       if (data.success && data.verified) {
         console.log('✅ Email verified');
         
-        // 🔒 SECURITY: Create session after email verification
-        const sessionToken = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        sessionStorage.setItem('verificationSessionToken', sessionToken);
-        sessionStorage.setItem('sessionDriverEmail', driverEmail);
-        sessionStorage.setItem('sessionStartTime', Date.now().toString());
-        console.log('🔒 Session created - 40 minute timeout started');
+        startVerifiedSession(data.sessionToken, driverEmail);
         
         await checkDriverStatusEarly();
       } else {
@@ -458,9 +657,18 @@ const DriverVerificationApp = () => {
     }
   };
 
-  const checkDriverStatusEarly = async () => {
+  // 🔒 SECURITY: Keep the server-signed session token - functions reject requests without it
+  const startVerifiedSession = (sessionToken, email) => {
+    sessionStorage.setItem(SESSION_TOKEN_KEY, sessionToken);
+    sessionStorage.setItem('sessionDriverEmail', email);
+    sessionStorage.setItem('sessionStartTime', Date.now().toString());
+    console.log('🔒 Session created - 40 minute timeout started');
+  };
+
+  // email and job are passed in when state hasn't caught up yet (sign-in links)
+  const checkDriverStatusEarly = async (email = driverEmail, job = jobId) => {
     try {
-      const response = await fetch(`/.netlify/functions/driver-status?email=${encodeURIComponent(driverEmail)}`);
+      const response = await fetch(`/.netlify/functions/driver-status?email=${encodeURIComponent(email)}&jobId=${encodeURIComponent(job)}`, { headers: sessionHeaders() });
       
       if (response.ok) {
         const driverData = await response.json();
@@ -492,13 +700,13 @@ const DriverVerificationApp = () => {
         
         handleStepChange('contact-details');
       } else {
-        setDriverStatus({ status: 'new', email: driverEmail });
+        setDriverStatus({ status: 'new', email });
         handleStepChange('contact-details');
       }
       
     } catch (err) {
       console.error('❌ Error checking driver status:', err.message);
-      setDriverStatus({ status: 'new', email: driverEmail });
+      setDriverStatus({ status: 'new', email });
       handleStepChange('contact-details');
     }
   };
@@ -515,9 +723,9 @@ const DriverVerificationApp = () => {
     try {
       const response = await fetch('/.netlify/functions/monday-integration', {
         method: 'POST',
-        headers: {
+        headers: sessionHeaders({
           'Content-Type': 'application/json',
-        },
+        }),
         body: JSON.stringify({
           action: 'create-driver-board-a',
           email: driverEmail,
@@ -550,7 +758,7 @@ const DriverVerificationApp = () => {
 
   const checkDriverStatus = async () => {
     try {
-      const response = await fetch(`/.netlify/functions/driver-status?email=${encodeURIComponent(driverEmail)}`);
+      const response = await fetch(`/.netlify/functions/driver-status?email=${encodeURIComponent(driverEmail)}&jobId=${encodeURIComponent(jobId)}`, { headers: sessionHeaders() });
       
       if (response.ok) {
         const driverData = await response.json();
@@ -591,9 +799,9 @@ const DriverVerificationApp = () => {
       // Save insurance data to Monday.com
       const response = await fetch('/.netlify/functions/monday-integration', {
         method: 'POST',
-        headers: {
+        headers: sessionHeaders({
           'Content-Type': 'application/json',
-        },
+        }),
         body: JSON.stringify({
           action: 'update-driver-board-a',
           email: driverEmail,
@@ -620,11 +828,12 @@ const DriverVerificationApp = () => {
       
       const routerResponse = await fetch('/.netlify/functions/get-next-step', {
         method: 'POST',
-        headers: {
+        headers: sessionHeaders({
           'Content-Type': 'application/json'
-        },
+        }),
         body: JSON.stringify({
           email: driverEmail,
+          jobId,
           currentStep: 'insurance-complete'
         })
       });
@@ -681,6 +890,8 @@ const DriverVerificationApp = () => {
     setPhoneNumber('');
     setCountryCode('+44');
     setVerificationCode('');
+    setCodeChannel('email');
+    setCodeSentTo('');
     setError('');
     setLoading(false);
     handleStepChange('email-entry');
@@ -717,10 +928,10 @@ const DriverVerificationApp = () => {
       
       const response = await fetch('/.netlify/functions/create-idenfy-session', {
         method: 'POST',
-        headers: { 
+        headers: sessionHeaders({ 
           'Content-Type': 'application/json',
           'Accept': 'application/json'
-        },
+        }),
         body: JSON.stringify({ 
           email: driverEmail, 
           jobId: jobId,
@@ -764,7 +975,7 @@ const DriverVerificationApp = () => {
       
       await checkDriverStatus();
       
-      const response = await fetch(`/.netlify/functions/driver-status?email=${encodeURIComponent(driverEmail)}`);
+      const response = await fetch(`/.netlify/functions/driver-status?email=${encodeURIComponent(driverEmail)}&jobId=${encodeURIComponent(jobId)}`, { headers: sessionHeaders() });
       if (response.ok) {
         const freshData = await response.json();
         setDriverStatus(freshData);
@@ -816,7 +1027,7 @@ const DriverVerificationApp = () => {
       // Process with AWS Textract
       const response = await fetch('/.netlify/functions/document-processor', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({
           testType: 'dvla',
           imageData: fileData.split(',')[1],
@@ -831,11 +1042,11 @@ const DriverVerificationApp = () => {
       if (result.success) {
         console.log('✅ DVLA processing successful');
         
-        // Update Monday.com with DVLA results
+        // Update Monday.com with DVLA results - the validity date and any review status come
+        // from the signed result, approval is worked out server-side
+        await recordDocumentResult(result.result.resultToken);
         await updateDriverData({
-          dvlaProcessingResult: JSON.stringify(result.result),
-          dvlaValidUntil: calculateExpiryDate(90),
-          overallStatus: result.result.decision === 'APPROVED' ? 'Done' : 'Stuck'
+          dvlaProcessingResult: JSON.stringify(result.result)
         });
         
         handleStepChange('complete');
@@ -851,12 +1062,6 @@ const DriverVerificationApp = () => {
     }
   };
  
-  const generateQRCode = () => {
-    const currentUrl = window.location.href;
-    const qrUrl = `https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(currentUrl)}`;
-    return qrUrl;
-  };
-
   const formatHireDate = (dateString) => {
     try {
       const date = new Date(dateString);
@@ -1685,6 +1890,18 @@ const DriverVerificationApp = () => {
               )}, if you have recently completed a form for a different hire, it will re-validate your documents.{' '}
               {!isMobile && "It's best completed on a smartphone though it can be done on a computer with camera. "}
             </p>
+            {jobRoster && (
+              <div className={`mt-4 rounded-md p-3 border ${jobRoster.complete ? 'bg-green-50 border-green-200 text-green-800' : 'bg-blue-50 border-blue-200 text-blue-800'}`}>
+                <p className="text-base font-medium">
+                  {jobRoster.verified} of {jobRoster.driversRequired} driver{jobRoster.driversRequired === 1 ? '' : 's'} verified for this hire
+                </p>
+                {jobRoster.counts.pending + jobRoster.counts.manualReview > 0 && (
+                  <p className="text-sm mt-1">
+                    {jobRoster.counts.pending + jobRoster.counts.manualReview} more in progress
+                  </p>
+                )}
+              </div>
+            )}
             <p className="text-lg text-gray-700 leading-relaxed mt-3">
               Please make sure you review our{' '}
               <a 
@@ -1707,13 +1924,7 @@ const DriverVerificationApp = () => {
                     <p className="text-base text-gray-700 mb-3">
                       Scan this QR code with your phone's camera to open this page on your mobile device:
                     </p>
-                    <div className="text-center">
-                      <img 
-                        src={generateQRCode()} 
-                        alt="QR Code for mobile access" 
-                        className="mx-auto border border-gray-300 rounded"
-                      />
-                    </div>
+                    <HandoffQRCode jobId={jobId} />
                   </div>
                 </div>
               </div>
@@ -1733,11 +1944,16 @@ const DriverVerificationApp = () => {
                     id="email"
                     value={driverEmail}
                     onChange={(e) => setDriverEmail(e.target.value)}
-                    className="w-full px-4 py-4 border-2 border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent text-xl"
+                    readOnly={!!inviteEmail}
+                    className={`w-full px-4 py-4 border-2 border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent text-xl ${inviteEmail ? 'bg-gray-50 text-gray-500' : ''}`}
                     placeholder="driver@example.com"
                     disabled={loading}
                   />
-                  <p className="text-lg text-gray-500 mt-2 text-center">We'll send a verification code to this email address</p>
+                  <p className="text-lg text-gray-500 mt-2 text-center">
+                    {inviteEmail
+                      ? 'This invitation was sent for this email address - we\'ll send a verification code to it'
+                      : 'We\'ll send a verification code to this email address'}
+                  </p>
                 </div>
 
                 {error && (
@@ -1752,7 +1968,7 @@ const DriverVerificationApp = () => {
                 )}
 
                 <button
-                  onClick={sendVerificationEmail}
+                  onClick={() => sendVerificationEmail('email')}
                   disabled={loading || !driverEmail}
                   className="w-full bg-purple-600 text-white py-4 px-6 rounded-lg hover:bg-purple-700 focus:outline-none focus:ring-2 focus:ring-purple-500 disabled:opacity-50 disabled:cursor-not-allowed font-semibold text-xl flex items-center justify-center space-x-2"
                 >
@@ -1768,6 +1984,14 @@ const DriverVerificationApp = () => {
                     <span>Send verification code</span>
                   )}
                 </button>
+
+                <button
+                  onClick={() => sendVerificationEmail('sms')}
+                  disabled={loading || !driverEmail}
+                  className="w-full text-purple-600 hover:text-purple-700 text-lg disabled:opacity-50 disabled:cursor-not-allowed py-2"
+                >
+                  Been verified with us before? Text the code to your mobile instead
+                </button>
               </div>
             </div>
           </div>
@@ -1870,23 +2094,34 @@ const DriverVerificationApp = () => {
   const renderEmailVerification = () => (
     <div className="max-w-md mx-auto bg-white rounded-lg shadow-lg p-6">
       <div className="text-center mb-6">
-        <Mail className="mx-auto h-12 w-12 text-green-600 mb-4" />
-        <h2 className="text-3xl font-bold text-gray-900">Check your email</h2>
-        <p className="text-xl text-gray-600 mt-2">We sent a 6-digit code to:</p>
-        <p className="text-lg font-medium text-gray-900 break-words">{driverEmail}</p>
+        {codeChannel === 'sms'
+          ? <Smartphone className="mx-auto h-12 w-12 text-green-600 mb-4" />
+          : <Mail className="mx-auto h-12 w-12 text-green-600 mb-4" />}
+        <h2 className="text-3xl font-bold text-gray-900">{codeChannel === 'sms' ? 'Check your texts' : 'Check your email'}</h2>
+        <p className="text-xl text-gray-600 mt-2">
+          {codeChannel === 'sms' ? 'We texted a 6-digit code to your mobile:' : 'We sent a 6-digit code to:'}
+        </p>
+        <p className="text-lg font-medium text-gray-900 break-words">{codeSentTo || driverEmail}</p>
+        {signInLinkSent && (
+          <p className="text-base text-gray-600 mt-2">
+            Or tap <strong>Continue verification</strong> in the email - it works on any device.
+          </p>
+        )}
       </div>
 
-      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
-        <div className="flex items-start">
-          <svg className="h-5 w-5 text-blue-400 mt-0.5 mr-3 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
-          </svg>
-          <div className="text-base text-blue-800">
-            <p className="font-medium">Can't find the email?</p>
-            <p className="mt-1">Check your spam/junk folder - verification emails sometimes end up there!</p>
+      {codeChannel === 'email' && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
+          <div className="flex items-start">
+            <svg className="h-5 w-5 text-blue-400 mt-0.5 mr-3 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 16h-1v-4h-1m1-4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z" />
+            </svg>
+            <div className="text-base text-blue-800">
+              <p className="font-medium">Can't find the email?</p>
+              <p className="mt-1">Check your spam/junk folder - verification emails sometimes end up there!</p>
+            </div>
           </div>
         </div>
-      </div>
+      )}
 
       <div className="space-y-4">
         <div>
@@ -1935,13 +2170,23 @@ const DriverVerificationApp = () => {
         </button>
 
         <button
-          onClick={sendVerificationEmail}
+          onClick={() => sendVerificationEmail(codeChannel)}
           disabled={loading}
           className="w-full text-purple-600 hover:text-purple-700 text-lg disabled:opacity-50 disabled:cursor-not-allowed py-2"
         >
           {loading ? 'Please wait...' : "Didn't receive the code? Send again"}
         </button>
 
+        {codeChannel === 'sms' && (
+          <button
+            onClick={() => sendVerificationEmail('email')}
+            disabled={loading}
+            className="w-full text-purple-600 hover:text-purple-700 text-lg disabled:opacity-50 disabled:cursor-not-allowed py-2"
+          >
+            Send the code by email instead
+          </button>
+        )}
+
         <button
           onClick={startAgain}
           disabled={loading}
@@ -1976,6 +2221,17 @@ const DriverVerificationApp = () => {
             <strong>Acceptable proof of address:</strong> Utility bills, bank statements, council tax, credit card statements
           </p>
         </div>
+
+        {/* Photos are easier on a phone - carry the verified session over */}
+        {!isMobile && (
+          <div className="border border-gray-300 rounded-md p-4 bg-gray-50">
+            <div className="flex items-center mb-3">
+              <Smartphone className="h-5 w-5 text-purple-600 mr-2" />
+              <h3 className="text-lg font-medium text-gray-900">Continue on your phone</h3>
+            </div>
+            <HandoffQRCode jobId={jobId} driverEmail={driverEmail} step="document-upload" />
+          </div>
+        )}
       </div>
 
       {error && (
@@ -7,6 +7,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { 
   FileText, Upload, CheckCircle, AlertCircle, ChevronRight, Loader
 } from 'lucide-react';
+import { sessionHeaders } from './session';
 
 const DVLAProcessingPage = () => {
   const [loading, setLoading] = useState(false);
@@ -45,11 +46,12 @@ const DVLAProcessingPage = () => {
     try {
       const routerResponse = await fetch('/.netlify/functions/get-next-step', {
         method: 'POST',
-        headers: {
+        headers: sessionHeaders({
           'Content-Type': 'application/json'
-        },
+        }),
         body: JSON.stringify({
           email: driverEmail,
+          jobId,
           currentStep: currentStepName
         })
       });
@@ -68,7 +70,7 @@ const DVLAProcessingPage = () => {
       console.error('❌ Error calling router:', error);
       return null;
     }
-  }, [driverEmail]);
+  }, [driverEmail, jobId]);
 
   // Navigate to next step using router result
   const navigateToNext = useCallback((nextStep) => {
@@ -95,7 +97,7 @@ const DVLAProcessingPage = () => {
 
       const response = await fetch('/.netlify/functions/monday-integration', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({
           action: 'find-driver-board-a',
           email: driverEmail
@@ -139,46 +141,6 @@ const DVLAProcessingPage = () => {
     }
   }, [driverEmail, loadDriverData]);
 
-  // Save DVLA validation date after successful processing
-  const saveDvlaDate = async () => {
-    console.log('💾 Saving DVLA validation date to Monday.com');
-    
-    try {
-      const today = new Date();
-      const validityDays = 30; // DVLA checks are valid for 30 days
-      
-      const dvlaValidUntil = new Date(today);
-      dvlaValidUntil.setDate(dvlaValidUntil.getDate() + validityDays);
-      const dvlaDateString = dvlaValidUntil.toISOString().split('T')[0];
-      
-      console.log('📅 Setting dvlaValidUntil:', dvlaDateString);
-      
-      // Update Monday.com with the DVLA validity date
-      const response = await fetch('/.netlify/functions/monday-integration', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          action: 'update-driver-board-a',
-          email: driverEmail,
-          updates: {
-            dvlaValidUntil: dvlaDateString
-          }
-        })
-      });
-      
-      if (response.ok) {
-        console.log('✅ DVLA date saved successfully');
-      } else {
-        console.error('❌ Failed to save DVLA date');
-      }
-      
-    } catch (error) {
-      console.error('❌ Error saving DVLA date:', error);
-    }
-  };
-
   // Upload DVLA file to Monday.com
   const uploadDvlaFile = async (imageData) => {
     console.log('📤 Uploading DVLA file to Monday.com...');
@@ -186,7 +148,7 @@ const DVLAProcessingPage = () => {
     try {
       const uploadResponse = await fetch('/.netlify/functions/monday-integration', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({
           action: 'upload-file-board-a',
           email: driverEmail,
@@ -294,13 +256,15 @@ const handleFileUpload = async (fileType, file) => {
     // Now send the image (not PDF) to document processor
     const processingResponse = await fetch('/.netlify/functions/document-processor', {
       method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
+      headers: sessionHeaders({ 'Content-Type': 'application/json' }),
       body: JSON.stringify({
         testType: fileType === 'dvla' ? 'dvla' : 'poa',
         imageData: imageData.split(',')[1], // Remove data URL prefix
         documentType: fileType === 'dvla' ? 'dvla' : 'utility_bill',
         licenseAddress: driverData?.licenseAddress,
-        fileType: 'image' // Always send as image now
+        fileType: 'image', // Always send as image now
+        email: driverEmail,
+        jobId // Vehicle-type rules for this hire (see functions/lib/vehicle-rules.js)
       })
     });
 
@@ -413,28 +377,38 @@ const handleFileUpload = async (fileType, file) => {
         // ===== IDENTITY VERIFIED - NOW CHECK FOR SERIOUS OFFENCES =====
         console.log('✅ Identity verified - checking for serious offences');
         
-        // ===== STEP 5: Check for serious offences or manual review =====
+        // ===== STEP 5: Check the driver can drive the vehicle on this hire =====
+        if (dvlaResult.insuranceDecision?.rejected) {
+          console.log('❌ Not eligible for this vehicle:', dvlaResult.insuranceDecision.reasons);
+          
+          // Keep the DVLA check on file for staff - the job's assignment is marked Not Approved
+          // server-side, so this driver can still drive on other hires
+          await uploadDvlaFile(imageData);
+          
+          await recordDocumentResult(dvlaResult.resultToken);
+          
+          setError({
+            issues: [
+              ...dvlaResult.insuranceDecision.reasons,
+              '',
+              'Unfortunately this means you can\'t be added as a driver on this hire.',
+              'If you think this is wrong, please contact us at info@oooshtours.co.uk'
+            ],
+            isRejection: true
+          });
+          setLoading(false);
+          return; // STOP - Can't sign for this hire
+        }
+        
+        // ===== STEP 6: Check for serious offences or manual review =====
         if (dvlaResult.insuranceDecision?.manualReview) {
           console.log('⚠️ Manual review required:', dvlaResult.insuranceDecision.reasons);
           
           // Upload file FIRST
           await uploadDvlaFile(imageData);
           
-          // Save endorsement data with Insurance Review status
-          let endorsementCodes = 'None';
-          if (dvlaResult.endorsements && dvlaResult.endorsements.length > 0) {
-            endorsementCodes = dvlaResult.endorsements
-              .map(e => `${e.code} (${e.points} pts)`)
-              .join(', ');
-          }
-          
-          await updateDriverData({
-            dvlaPoints: dvlaResult.totalPoints || 0,
-            dvlaEndorsements: endorsementCodes,
-            dvlaCalculatedExcess: 'Pending Review',
-            overallStatus: 'Insurance Review'
-            // NOTE: We DON'T set dvlaValidUntil here!
-          });
+          // Saves the endorsements with Insurance Review status - and no dvlaValidUntil
+          await recordDocumentResult(dvlaResult.resultToken);
           
           // Show user message
           setError({
@@ -475,36 +449,9 @@ const handleFileUpload = async (fileType, file) => {
         // Upload file
         await uploadDvlaFile(imageData);
         
-        // Set DVLA validity date (30 days from now)
-        await saveDvlaDate();
-        
-        // Calculate insurance excess
-        let endorsementCodes = 'None';
-        if (dvlaResult.endorsements && dvlaResult.endorsements.length > 0) {
-          endorsementCodes = dvlaResult.endorsements
-            .map(e => `${e.code} (${e.points} pts)`)
-            .join(', ');
-        }
-        
-        const baseExcess = 1000;
-        const additionalExcess = dvlaResult.insuranceDecision?.excess || 0;
-        const totalBeforeVat = baseExcess + additionalExcess;
-        const totalWithVat = totalBeforeVat * 1.2;
-        const calculatedExcess = `£${totalWithVat.toLocaleString('en-GB')}`;
-        
-        console.log('💾 Saving DVLA insurance data:', {
-          points: dvlaResult.totalPoints || 0,
-          endorsements: endorsementCodes,
-          additionalExcess: additionalExcess,
-          totalExcess: calculatedExcess
-        });
-        
-        // Save insurance data
-        await updateDriverData({
-          dvlaPoints: dvlaResult.totalPoints || 0,
-          dvlaEndorsements: endorsementCodes,
-          dvlaCalculatedExcess: calculatedExcess
-        });
+        // Save insurance data - points, endorsements, excess and the DVLA validity date
+        // (30 days from now) as worked out and signed by document-processor
+        await recordDocumentResult(dvlaResult.resultToken);
         
         console.log('✅ DVLA Check Results:', {
           name: dvlaResult.driverName,
@@ -517,11 +464,11 @@ const handleFileUpload = async (fileType, file) => {
       // Store results
       setProcessingResults(prev => ({ ...prev, [fileType]: processingResult.result }));
 
-      // Update Monday.com with results
+      // Update Monday.com with results - the dvlaStatus / poaStatus columns are worked out
+      // server-side from the stored dates (functions/lib/status-fields.js)
       await updateDriverData({
         [`${fileType}ProcessingResult`]: JSON.stringify(processingResult.result),
-        [`${fileType}ProcessingDate`]: new Date().toISOString().split('T')[0],
-        [`${fileType}Status`]: processingResult.result.decision || 'Processed'
+        [`${fileType}ProcessingDate`]: new Date().toISOString().split('T')[0]
       });
 
       // Use router to determine next step after DVLA
@@ -576,8 +523,7 @@ const handleFileUpload = async (fileType, file) => {
         
         await updateDriverData({
           poaValidationResult: JSON.stringify(poaValidation),
-          poaValidationDate: new Date().toISOString().split('T')[0],
-          poaStatus: poaValidation.overallStatus
+          poaValidationDate: new Date().toISOString().split('T')[0]
         });
 
         await performFinalValidation();
@@ -638,9 +584,9 @@ const handleFileUpload = async (fileType, file) => {
       setFinalDecision(decision);
 
       // Update Monday.com with final decision
+      // The overall status is worked out server-side from the recorded document results
       await updateDriverData({
         finalDecision: JSON.stringify(decision),
-        overallStatus: finalStatus === 'APPROVED' ? 'Done' : 'Stuck',
         completionDate: new Date().toISOString().split('T')[0],
         approvalLevel: decision.approvalLevel
       });
@@ -868,7 +814,7 @@ const licenseEndingsMatch = (expected, actual) => {
     try {
       const response = await fetch('/.netlify/functions/monday-integration', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({
           action: 'update-driver-board-a',
           email: driverEmail,
@@ -886,6 +832,33 @@ const licenseEndingsMatch = (expected, actual) => {
     }
   };
 
+  // Record what document-processor read from a document - the points, excess and validity
+  // dates are signed server-side, the browser only passes them on
+  const recordDocumentResult = async (resultToken) => {
+    if (!resultToken) return;
+
+    try {
+      const response = await fetch('/.netlify/functions/monday-integration', {
+        method: 'POST',
+        headers: sessionHeaders({ 'Content-Type': 'application/json' }),
+        body: JSON.stringify({
+          action: 'record-document-results',
+          email: driverEmail,
+          jobId,
+          results: [resultToken]
+        })
+      });
+
+      const result = await response.json();
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    } catch (error) {
+      console.error('Record document result error:', error);
+      throw error;
+    }
+  };
+
   // Loading state
   if (currentStep === 'loading') {
     return (
@@ -1163,7 +1136,7 @@ const DVLAUploadComponent = ({ onFileUpload, loading, error }) => {
                   <p className={`text-base font-semibold mb-2 ${
                     error.isManualReview ? 'text-yellow-900' : 'text-red-900'
                   }`}>
-                    {error.isManualReview ? 'Insurance Review Required' : 'DVLA document validation failed:'}
+                    {error.isManualReview ? 'Insurance Review Required' : error.isRejection ? 'Not eligible to drive this vehicle' : 'DVLA document validation failed:'}
                   </p>
                   <div className={`space-y-1 text-base mb-3 ${
                     error.isManualReview ? 'text-yellow-800' : 'text-red-800'
@@ -1172,7 +1145,7 @@ const DVLAUploadComponent = ({ onFileUpload, loading, error }) => {
                       <p key={i}>{issue}</p>
                     ))}
                   </div>
-                  {!error.isManualReview && (
+                  {!error.isManualReview && !error.isRejection && (
                     <p className="text-base text-red-900 font-medium">
                       Please generate a fresh DVLA check and upload the complete PDF
                     </p>
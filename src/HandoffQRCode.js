@@ -0,0 +1,106 @@
+// File: src/HandoffQRCode.js
+// "Scan with your phone" QR code, drawn in the browser (nothing is sent to a QR service)
+// Once the driver is verified it encodes a single-use handoff link (functions/session-handoff.js)
+// so the phone carries on at the same step without another email code. Before that - or if
+// handoff isn't available - it encodes the job's invitation (or plain job link) and the phone
+// verifies itself.
+
+import React, { useState, useEffect, useCallback } from 'react';
+import QRCode from 'qrcode';
+import { RefreshCw } from 'lucide-react';
+import { sessionHeaders, SESSION_TOKEN_KEY, getInviteToken } from './session';
+
+const HandoffQRCode = ({ jobId, driverEmail, step }) => {
+  const [qrImage, setQrImage] = useState('');
+  const [expiresAt, setExpiresAt] = useState(null);
+  const [expired, setExpired] = useState(false);
+
+  const inviteToken = getInviteToken(jobId);
+  const jobUrl = inviteToken
+    ? `${window.location.origin}/?invite=${encodeURIComponent(inviteToken)}`
+    : `${window.location.origin}/?job=${encodeURIComponent(jobId || '')}`;
+
+  const createQRCode = useCallback(async () => {
+    let url = jobUrl;
+    let expiry = null;
+
+    // 🔒 SECURITY: Only a verified session can hand itself off - never put the email in the QR link
+    if (driverEmail && sessionStorage.getItem(SESSION_TOKEN_KEY)) {
+      try {
+        const response = await fetch('/.netlify/functions/session-handoff', {
+          method: 'POST',
+          headers: sessionHeaders({ 'Content-Type': 'application/json' }),
+          body: JSON.stringify({ action: 'create', email: driverEmail, jobId, step })
+        });
+        const result = await response.json();
+
+        if (response.ok && result.handoffUrl) {
+          url = result.handoffUrl;
+          expiry = result.expiresAt;
+        } else {
+          console.error('⚠️ Handoff unavailable - QR code links to the job only:', result.error);
+        }
+      } catch (err) {
+        console.error('⚠️ Handoff unavailable - QR code links to the job only:', err.message);
+      }
+    }
+
+    try {
+      setQrImage(await QRCode.toDataURL(url, { width: 200, margin: 1 }));
+      setExpiresAt(expiry);
+      setExpired(false);
+    } catch (err) {
+      console.error('❌ QR code error:', err.message);
+    }
+  }, [jobUrl, driverEmail, jobId, step]);
+
+  useEffect(() => {
+    createQRCode();
+  }, [createQRCode]);
+
+  // Handoff codes lapse after a few minutes - offer a fresh one rather than a dead QR code
+  useEffect(() => {
+    if (!expiresAt) return undefined;
+    const timeout = setTimeout(() => setExpired(true), new Date(expiresAt).getTime() - Date.now());
+    return () => clearTimeout(timeout);
+  }, [expiresAt]);
+
+  if (!qrImage) return null;
+
+  return (
+    <div className="text-center">
+      {expired ? (
+        <button
+          onClick={createQRCode}
+          className="inline-flex items-center space-x-2 text-purple-600 hover:text-purple-800 font-medium py-2"
+        >
+          <RefreshCw className="h-4 w-4" />
+          <span>Show a new QR code</span>
+        </button>
+      ) : (
+        <img
+          src={qrImage}
+          alt="QR Code for mobile access"
+          className="mx-auto border border-gray-300 rounded"
+        />
+      )}
+      {expiresAt && (
+        <div className="mt-2">
+          <p className="text-sm text-gray-500">
+            You'll carry on from here without another code. The QR code works once and only for a few minutes.
+          </p>
+          {!expired && (
+            <button
+              onClick={createQRCode}
+              className="text-sm text-purple-600 hover:text-purple-800 mt-1"
+            >
+              Already used it? Show a new one
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default HandoffQRCode;
@@ -3,6 +3,7 @@
 
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { CheckCircle, XCircle, AlertCircle, Loader, Calendar } from 'lucide-react';
+import { sessionHeaders } from './session';
 
 // 🔧 DEBUG MODE - Set DEBUG_LOGGING=true in Netlify to enable verbose logs
 const DEBUG_MODE = process.env.REACT_APP_DEBUG_LOGGING === 'true';
@@ -39,11 +40,12 @@ const POAValidationPage = ({ driverEmail, jobId }) => {
       // Call the centralized router
       const routerResponse = await fetch('/.netlify/functions/get-next-step', {
         method: 'POST',
-        headers: {
+        headers: sessionHeaders({
           'Content-Type': 'application/json'
-        },
+        }),
         body: JSON.stringify({
           email: driverEmail,
+          jobId,
           currentStep: 'poa-validation-complete'
         })
       });
@@ -156,7 +158,7 @@ const POAValidationPage = ({ driverEmail, jobId }) => {
       if (DEBUG_MODE) console.log('🔄 Sending to document-processor for OCR...');
       const processingResponse = await fetch('/.netlify/functions/document-processor', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({
           action: 'poa',
           imageData: imageData,
@@ -186,83 +188,43 @@ const POAValidationPage = ({ driverEmail, jobId }) => {
     }
   }, []);
 
-  // Function to save POA validation dates after successful processing
-  const savePoaDates = useCallback(async (poa1Date, poa2Date) => {
-    if (DEBUG_MODE) console.log('💾 Saving POA validation dates to Monday.com');
+  // Record the POA results - document-processor signed each validity date (90 days from the
+  // document date, or 30 from today) and the server checks the two aren't the same document.
+  // disputeDuplicate: the driver says two documents from one provider really are different.
+  const recordPoaResults = useCallback(async (poa1Result, poa2Result, { disputeDuplicate = false } = {}) => {
+    if (DEBUG_MODE) console.log('💾 Recording POA results in Monday.com');
+    
+    const results = [poa1Result?.resultToken, poa2Result?.resultToken].filter(Boolean);
+    if (results.length === 0) {
+      if (DEBUG_MODE) console.log('⏭️ No new POA results to record');
+      return;
+    }
     
     try {
-      // Calculate validity dates
-      const today = new Date();
-      const defaultValidityDays = 30;
-      const documentValidityDays = 90;
-      
-      // POA1 date calculation
-      let poa1ValidUntil;
-      if (poa1Date && poa1Date !== 'Not extracted') {
-        const docDate = new Date(poa1Date);
-        if (!isNaN(docDate.getTime())) {
-          // Document date + 90 days
-          docDate.setDate(docDate.getDate() + documentValidityDays);
-          poa1ValidUntil = docDate.toISOString().split('T')[0];
-        }
-      }
-      if (!poa1ValidUntil) {
-        // Default: today + 30 days
-        const defaultDate = new Date(today);
-        defaultDate.setDate(defaultDate.getDate() + defaultValidityDays);
-        poa1ValidUntil = defaultDate.toISOString().split('T')[0];
-      }
-      
-      // POA2 date calculation
-      let poa2ValidUntil;
-      if (poa2Date && poa2Date !== 'Not extracted') {
-        const docDate = new Date(poa2Date);
-        if (!isNaN(docDate.getTime())) {
-          // Document date + 90 days
-          docDate.setDate(docDate.getDate() + documentValidityDays);
-          poa2ValidUntil = docDate.toISOString().split('T')[0];
-        }
-      }
-      if (!poa2ValidUntil) {
-        // Default: today + 30 days
-        const defaultDate = new Date(today);
-        defaultDate.setDate(defaultDate.getDate() + defaultValidityDays);
-        poa2ValidUntil = defaultDate.toISOString().split('T')[0];
-      }
-      
-      if (DEBUG_MODE) {
-        console.log('📅 Calculated POA validity dates:', {
-          poa1ValidUntil,
-          poa2ValidUntil
-        });
-      }
-      
-      // Update Monday.com with the dates
       const response = await fetch('/.netlify/functions/monday-integration', {
         method: 'POST',
-        headers: {
+        headers: sessionHeaders({
           'Content-Type': 'application/json'
-        },
+        }),
         body: JSON.stringify({
-          action: 'update-driver-board-a',
+          action: 'record-document-results',
           email: driverEmail,
-          updates: {
-            poa1ValidUntil: poa1ValidUntil,
-            poa2ValidUntil: poa2ValidUntil
-          }
+          jobId,
+          results,
+          disputeDuplicate
         })
       });
       
       if (response.ok) {
-        console.log('✅ POA dates saved successfully');
+        console.log('✅ POA results recorded successfully');
       } else {
-        console.error('❌ Failed to save POA dates');
+        console.error('❌ Failed to record POA results');
       }
       
     } catch (error) {
-      console.error('❌ Error saving POA dates:', error);
+      console.error('❌ Error recording POA results:', error);
     }
-  }, [driverEmail]);
+  }, [driverEmail, jobId]);
 
   const checkPoaValidationResults = useCallback(async () => {
     const MAX_ATTEMPTS = 20;
@@ -274,7 +236,8 @@ const POAValidationPage = ({ driverEmail, jobId }) => {
         
         // Fetch driver status with cache buster
         const statusResponse = await fetch(
-          `/.netlify/functions/driver-status?email=${encodeURIComponent(driverEmail)}&t=${Date.now()}`
+          `/.netlify/functions/driver-status?email=${encodeURIComponent(driverEmail)}&t=${Date.now()}`,
+          { headers: sessionHeaders() }
         );
         
         if (!statusResponse.ok) {
@@ -355,30 +318,14 @@ const POAValidationPage = ({ driverEmail, jobId }) => {
             // Handle different outcomes
             if (validationResult.approved) {
               console.log('✅ POA validation complete, saving dates...');
-              await savePoaDates(poa1Result.documentDate, poa2Result.documentDate);
+              await recordPoaResults(poa1Result, poa2Result);
               console.log('✅ Proceeding to next step in 3 seconds');
               setTimeout(() => proceedToNext(), 3000);
             } else if (isDuplicate) {
               console.log('⚠️ Duplicate documents detected - flagging for review');
               
-              // Set status to Stuck for manual review
-              try {
-                await fetch('/.netlify/functions/monday-integration', {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json' },
-                  body: JSON.stringify({
-                    action: 'update-driver-board-a',
-                    email: driverEmail,
-                    updates: {
-                      overallStatus: 'Stuck',
-                      additionalDetails: 'Duplicate POA documents detected - same source uploaded twice. Requires manual review or re-upload.'
-                    }
-                  })
-                });
-                console.log('✅ Status set to Stuck for manual review');
-              } catch (error) {
-                console.error('❌ Failed to update status:', error);
-              }
+              // The server sees the same provider twice and sets Stuck for manual review
+              await recordPoaResults(poa1Result, poa2Result);
             }
             
             return; // Exit - processing complete
@@ -418,7 +365,7 @@ const POAValidationPage = ({ driverEmail, jobId }) => {
         }
       }
     }
-  }, [driverEmail, proceedToNext, savePoaDates, processDocument]);
+  }, [driverEmail, proceedToNext, recordPoaResults, processDocument]);
 
   useEffect(() => {
     checkPoaValidationResults();
@@ -597,20 +544,9 @@ const POAValidationPage = ({ driverEmail, jobId }) => {
               onClick={async () => {
                 console.log('⚠️ User bypassing duplicate check - flagging for manual review');
                 
-                // Set status to "Stuck" for manual review
+                // Stays "Stuck" for manual review, with the driver's claim noted
                 try {
-                  await fetch('/.netlify/functions/monday-integration', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                      action: 'update-driver-board-a',
-                      email: driverEmail,
-                      updates: {
-                        overallStatus: 'Stuck',
-                        additionalDetails: 'Driver claims POA documents are NOT duplicates despite system detection. Manual review required.'
-                      }
-                    })
-                  });
+                  await recordPoaResults(poa1, poa2, { disputeDuplicate: true });
                   
                   console.log('✅ Flagged for manual review, proceeding to next step');
                   proceedToNext();
@@ -3,6 +3,7 @@
 
 import React, { useState } from 'react';
 import { Upload, Loader, CheckCircle, BookOpen } from 'lucide-react';
+import { sessionHeaders } from './session';
 
 const PassportUploadPage = ({ driverEmail, jobId }) => {
   const [loading, setLoading] = useState(false);
@@ -17,7 +18,7 @@ const PassportUploadPage = ({ driverEmail, jobId }) => {
       // Create Idenfy session for passport upload only
       const response = await fetch('/.netlify/functions/create-idenfy-session', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({
           email: driverEmail,
           jobId: jobId,
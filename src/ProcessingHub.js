@@ -3,6 +3,7 @@
 
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { Loader, CheckCircle, AlertCircle, Clock, RefreshCw, Shield } from 'lucide-react';
+import { sessionHeaders } from './session';
 
 const ProcessingHub = ({ driverEmail, jobId, sessionType }) => {
   console.log('🔍 ProcessingHub initialized:', { driverEmail, jobId, sessionType });
@@ -33,11 +34,12 @@ const ProcessingHub = ({ driverEmail, jobId, sessionType }) => {
       // Call the centralized router
       const routerResponse = await fetch('/.netlify/functions/get-next-step', {
         method: 'POST',
-        headers: {
+        headers: sessionHeaders({
           'Content-Type': 'application/json'
-        },
+        }),
         body: JSON.stringify({
           email: driverEmail,
+          jobId,
           currentStep: 'idenfy-complete'  // ProcessingHub is after Idenfy
         })
       });
@@ -91,7 +93,7 @@ const ProcessingHub = ({ driverEmail, jobId, sessionType }) => {
       
       // Add cache-busting parameter to ensure fresh data
       const cacheBuster = Date.now();
-      const response = await fetch(`/.netlify/functions/driver-status?email=${encodeURIComponent(driverEmail)}&t=${cacheBuster}`);
+      const response = await fetch(`/.netlify/functions/driver-status?email=${encodeURIComponent(driverEmail)}&t=${cacheBuster}`, { headers: sessionHeaders() });
       
       if (!response.ok) {
         console.log(`📊 Driver status returned: ${response.status}`);
@@ -223,11 +225,12 @@ const ProcessingHub = ({ driverEmail, jobId, sessionType }) => {
       try {
         const routerResponse = await fetch('/.netlify/functions/get-next-step', {
           method: 'POST',
-          headers: {
+          headers: sessionHeaders({
             'Content-Type': 'application/json'
-          },
+          }),
           body: JSON.stringify({
             email: driverEmail,
+            jobId,
             currentStep: 'processing-hub'
           })
         });
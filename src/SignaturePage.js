@@ -6,6 +6,7 @@ import {
   CheckCircle, AlertCircle, Loader, RefreshCw, 
   FileText, User, Shield, Mail, Check, X
 } from 'lucide-react';
+import { sessionHeaders } from './session';
 
 const SignaturePage = ({ driverEmail: propEmail, jobId: propJobId }) => {
   // Support both props and URL params for testing
@@ -53,7 +54,7 @@ const SignaturePage = ({ driverEmail: propEmail, jobId: propJobId }) => {
         setLoading(true);
         
         // Get driver data from Board A
-        const driverResponse = await fetch(`/.netlify/functions/driver-status?email=${encodeURIComponent(driverEmail)}`);
+        const driverResponse = await fetch(`/.netlify/functions/driver-status?email=${encodeURIComponent(driverEmail)}&jobId=${encodeURIComponent(jobId || '')}`, { headers: sessionHeaders() });
         if (driverResponse.ok) {
           const driver = await driverResponse.json();
           setDriverData(driver);
@@ -168,7 +169,7 @@ const draw = (e) => {
       
       const saveResponse = await fetch('/.netlify/functions/monday-integration', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({
           action: 'upload-file-board-a',
           email: driverEmail,
@@ -183,16 +184,15 @@ const draw = (e) => {
         throw new Error('Failed to save signature');
       }
       
-      // Step 2: Update signature date and status in Board A
+      // Step 2: Update signature date in Board A (Board B status is calculated from the documents)
       await fetch('/.netlify/functions/monday-integration', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({
           action: 'update-driver-board-a',
           email: driverEmail,
           updates: {
             signatureDate: signatureDate,
-            overallStatus: 'Verified',
             completionTimestamp: new Date().toISOString()
           }
         })
@@ -203,7 +203,7 @@ const draw = (e) => {
         console.log('Copying driver to Board B with job:', jobId);
         const copyResponse = await fetch('/.netlify/functions/monday-integration', {
           method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
+          headers: sessionHeaders({ 'Content-Type': 'application/json' }),
           body: JSON.stringify({
             action: 'copy-a-to-b',
             email: driverEmail,
@@ -235,7 +235,7 @@ const draw = (e) => {
       
       await fetch('/.netlify/functions/send-confirmation', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: sessionHeaders({ 'Content-Type': 'application/json' }),
         body: JSON.stringify({
           email: driverEmail,
           jobId: jobId,
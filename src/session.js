@@ -0,0 +1,31 @@
+// File: src/session.js
+// Driver session token issued by verify-code - every function that acts on the
+// driver's email checks it (see functions/lib/session.js)
+
+export const SESSION_TOKEN_KEY = 'verificationSessionToken';
+
+// Request headers with the session token added (when there is one)
+export const sessionHeaders = (headers = {}) => {
+  const token = sessionStorage.getItem(SESSION_TOKEN_KEY);
+  return token ? { ...headers, 'X-Session-Token': token } : headers;
+};
+
+// Signed invitation this tab was opened with - send-verification-code needs it for the job
+const INVITE_KEY = 'jobInvite';
+
+// Plain ?job= links without an invitation (see ALLOW_RAW_JOB_LINKS in .env.example)
+export const RAW_JOB_LINKS_ALLOWED = process.env.REACT_APP_ALLOW_RAW_JOB_LINKS === 'true';
+
+export const saveInvite = (token, jobId) => {
+  sessionStorage.setItem(INVITE_KEY, JSON.stringify({ token, jobId: String(jobId) }));
+};
+
+// Invitation token for a job (null if this tab wasn't invited to it)
+export const getInviteToken = (jobId) => {
+  try {
+    const invite = JSON.parse(sessionStorage.getItem(INVITE_KEY));
+    return invite && invite.jobId === String(jobId) ? invite.token : null;
+  } catch (error) {
+    return null;
+  }
+};